@@ -10,6 +10,12 @@
 local HttpService = game:GetService("HttpService")
 local Selection = game:GetService("Selection")
 local RunService = game:GetService("RunService")
+local ChangeHistoryService = game:GetService("ChangeHistoryService")
+local ScriptEditorService = game:GetService("ScriptEditorService")
+local StudioService = game:GetService("StudioService")
+local CollectionService = game:GetService("CollectionService")
+local Players = game:GetService("Players")
+local LogService = game:GetService("LogService")
 
 -- Plugin Setup
 local Plugin = script:FindFirstAncestorWhichIsA("Plugin")
@@ -47,6 +53,8 @@ local ALL_SERVICES = {
 -- Configuration
 local CONFIG = {
 	SERVER_URL = "http://localhost:21326",
+	-- Sent with every request; saved with plugin:SetSetting once entered
+	PAIRING_TOKEN = plugin:GetSetting("PairingToken") or "",
 	SYNC_INTERVAL = 3,
 	AUTO_SYNC = true,
 
@@ -68,6 +76,31 @@ local CONFIG = {
 	},
 
 	USE_FILTERS = true,
+
+	-- Opt-in: send script sources so VS Code and the AI can read them
+	SYNC_SOURCES = false,
+
+	-- Max bytes of script source per /sources request
+	SOURCE_BATCH_BYTES = 512 * 1024,
+
+	-- Gzip request bodies at least this large; big places sync much faster
+	COMPRESS_THRESHOLD = 16 * 1024,
+
+	-- Properties synced per class (matched with IsA). Attributes and
+	-- CollectionService tags are always synced.
+	SYNC_PROPERTIES = {
+		BaseScript = { "RunContext", "Disabled" },
+		ValueBase = { "Value" },
+		Sound = { "SoundId", "Looped", "Volume" },
+		Animation = { "AnimationId" },
+		Decal = { "Texture" },
+		ImageLabel = { "Image" },
+		ImageButton = { "Image" },
+		MeshPart = { "MeshId", "TextureID" },
+		BasePart = { "Anchored", "CanCollide" },
+		ProximityPrompt = { "ActionText", "ObjectText" },
+		ScreenGui = { "Enabled", "ResetOnSpawn" },
+	},
 }
 
 -- Initialize enabled services from defaults
@@ -77,10 +110,66 @@ end
 
 -- State
 local isConnected = false
-local lastTreeHash = ""
 local changeConnections = {}
 local syncLoop = nil
+local commandLoop = nil
 local serviceCheckboxes = {}
+local selectionConnection = nil
+local selectionReportPending = false
+
+-- Most selected instances reported to the server
+local MAX_SELECTION = 100
+
+-- Studio output forwarded to the server; messages beyond MAX_OUTPUT_QUEUE are dropped until the next flush
+local outputConnection = nil
+local outputQueue = {}
+local outputDropped = 0
+local outputFlushPending = false
+local MAX_OUTPUT_QUEUE = 500
+local OUTPUT_LEVELS = {
+	[Enum.MessageType.MessageOutput] = "output",
+	[Enum.MessageType.MessageInfo] = "info",
+	[Enum.MessageType.MessageWarning] = "warning",
+	[Enum.MessageType.MessageError] = "error",
+}
+
+-- Version of the /sync payload format; the server rejects newer ones with a clear error
+local SYNC_PROTOCOL = 1
+
+-- Workspace sync settings: the version the server has (from /sync replies) and the one applied here
+local serverConfigVersion = nil
+local appliedConfigVersion = nil
+
+-- Delta sync state
+local syncSeq = 0
+local needsSnapshot = true
+local lastSyncedNodes = {}
+
+-- Identifies this Studio instance so several can sync to one server
+local SESSION = {
+	sessionId = HttpService:GenerateGUID(false),
+	placeId = game.PlaceId,
+	gameId = game.GameId,
+	user = nil,
+	context = RunService:IsRunning() and (RunService:IsServer() and "server" or "client") or "edit",
+	-- Lets the server notice a silent disconnect after a few missed heartbeats
+	syncInterval = CONFIG.SYNC_INTERVAL,
+}
+
+task.spawn(function()
+	local ok, name = pcall(function()
+		return Players:GetNameFromUserIdAsync(StudioService:GetUserId())
+	end)
+	SESSION.user = ok and name or nil
+end)
+
+-- Source mirroring state: id -> { path, source, hash } last sent to the server
+local sentSources = {}
+local collectedSources = {}
+
+-- Stable ids for instances, kept for as long as the instance is alive
+local instanceIds = setmetatable({}, { __mode = "k" })
+local nextInstanceId = 0
 
 -- Class indicators for the tree
 local CLASS_ICONS = {
@@ -235,6 +324,40 @@ local function createUI()
 	urlPadding.PaddingRight = UDim.new(0, 8)
 	urlPadding.Parent = urlInput
 
+	-- Pairing token input (shown in VS Code: "Roblox: Show Pairing Token")
+	local tokenLabel = Instance.new("TextLabel")
+	tokenLabel.Size = UDim2.new(1, 0, 0, 20)
+	tokenLabel.BackgroundTransparency = 1
+	tokenLabel.Text = "Pairing Token:"
+	tokenLabel.TextColor3 = Color3.fromRGB(180, 180, 180)
+	tokenLabel.TextSize = 11
+	tokenLabel.Font = Enum.Font.Gotham
+	tokenLabel.TextXAlignment = Enum.TextXAlignment.Left
+	tokenLabel.LayoutOrder = 5
+	tokenLabel.Parent = scrollFrame
+
+	local tokenInput = Instance.new("TextBox")
+	tokenInput.Size = UDim2.new(1, 0, 0, 30)
+	tokenInput.BackgroundColor3 = Color3.fromRGB(35, 35, 35)
+	tokenInput.BorderSizePixel = 0
+	tokenInput.Text = CONFIG.PAIRING_TOKEN
+	tokenInput.TextColor3 = Color3.fromRGB(220, 220, 220)
+	tokenInput.PlaceholderText = "Paste the token from VS Code"
+	tokenInput.TextSize = 12
+	tokenInput.Font = Enum.Font.Code
+	tokenInput.ClearTextOnFocus = false
+	tokenInput.LayoutOrder = 6
+	tokenInput.Parent = scrollFrame
+
+	local tokenCorner = Instance.new("UICorner")
+	tokenCorner.CornerRadius = UDim.new(0, 4)
+	tokenCorner.Parent = tokenInput
+
+	local tokenPadding = Instance.new("UIPadding")
+	tokenPadding.PaddingLeft = UDim.new(0, 8)
+	tokenPadding.PaddingRight = UDim.new(0, 8)
+	tokenPadding.Parent = tokenInput
+
 	-- Button helper
 	local function createButton(text, color, order)
 		local btn = Instance.new("TextButton")
@@ -257,9 +380,9 @@ local function createUI()
 	end
 
 	-- Buttons
-	local connectBtn = createButton("🔌 Connect", Color3.fromRGB(0, 120, 215), 5)
-	local syncBtn = createButton("🔄 Sync Now", Color3.fromRGB(80, 160, 80), 6)
-	local disconnectBtn = createButton("⏹ Disconnect", Color3.fromRGB(180, 60, 60), 7)
+	local connectBtn = createButton("🔌 Connect", Color3.fromRGB(0, 120, 215), 7)
+	local syncBtn = createButton("🔄 Sync Now", Color3.fromRGB(80, 160, 80), 8)
+	local disconnectBtn = createButton("⏹ Disconnect", Color3.fromRGB(180, 60, 60), 9)
 
 	-- ========================================
 	-- SERVICES SELECTION SECTION
@@ -273,14 +396,14 @@ local function createUI()
 	servicesLabel.TextSize = 13
 	servicesLabel.Font = Enum.Font.GothamBold
 	servicesLabel.TextXAlignment = Enum.TextXAlignment.Left
-	servicesLabel.LayoutOrder = 8
+	servicesLabel.LayoutOrder = 10
 	servicesLabel.Parent = scrollFrame
 
 	-- Select All / Deselect All buttons
 	local selectAllFrame = Instance.new("Frame")
 	selectAllFrame.Size = UDim2.new(1, 0, 0, 28)
 	selectAllFrame.BackgroundTransparency = 1
-	selectAllFrame.LayoutOrder = 9
+	selectAllFrame.LayoutOrder = 11
 	selectAllFrame.Parent = scrollFrame
 
 	local selectAllBtn = Instance.new("TextButton")
@@ -370,7 +493,7 @@ local function createUI()
 
 	-- Create checkboxes for all services
 	for i, svc in ipairs(ALL_SERVICES) do
-		createServiceCheckbox(svc, 9 + i)
+		createServiceCheckbox(svc, 11 + i)
 	end
 
 	-- Select All / Deselect All handlers
@@ -479,10 +602,53 @@ local function createUI()
 	filtersLabel.TextXAlignment = Enum.TextXAlignment.Left
 	filtersLabel.Parent = filtersFrame
 
-	filtersCheckbox.MouseButton1Click:Connect(function()
-		CONFIG.USE_FILTERS = not CONFIG.USE_FILTERS
+	local function updateFiltersCheckbox()
 		filtersCheckbox.BackgroundColor3 = CONFIG.USE_FILTERS and Color3.fromRGB(0, 150, 80) or Color3.fromRGB(60, 60, 60)
 		filtersCheckbox.Text = CONFIG.USE_FILTERS and "✓" or ""
+	end
+
+	filtersCheckbox.MouseButton1Click:Connect(function()
+		CONFIG.USE_FILTERS = not CONFIG.USE_FILTERS
+		updateFiltersCheckbox()
+	end)
+
+	-- Mirror script sources toggle
+	local sourcesFrame = Instance.new("Frame")
+	sourcesFrame.Size = UDim2.new(1, 0, 0, 26)
+	sourcesFrame.BackgroundTransparency = 1
+	sourcesFrame.LayoutOrder = 53
+	sourcesFrame.Parent = scrollFrame
+
+	local sourcesCheckbox = Instance.new("TextButton")
+	sourcesCheckbox.Size = UDim2.new(0, 22, 0, 22)
+	sourcesCheckbox.Position = UDim2.new(0, 0, 0.5, -11)
+	sourcesCheckbox.BackgroundColor3 = CONFIG.SYNC_SOURCES and Color3.fromRGB(0, 150, 80) or Color3.fromRGB(60, 60, 60)
+	sourcesCheckbox.BorderSizePixel = 0
+	sourcesCheckbox.Text = CONFIG.SYNC_SOURCES and "✓" or ""
+	sourcesCheckbox.TextColor3 = Color3.fromRGB(255, 255, 255)
+	sourcesCheckbox.TextSize = 14
+	sourcesCheckbox.Font = Enum.Font.GothamBold
+	sourcesCheckbox.Parent = sourcesFrame
+
+	local sourcesCorner = Instance.new("UICorner")
+	sourcesCorner.CornerRadius = UDim.new(0, 4)
+	sourcesCorner.Parent = sourcesCheckbox
+
+	local sourcesLabel = Instance.new("TextLabel")
+	sourcesLabel.Size = UDim2.new(1, -30, 1, 0)
+	sourcesLabel.Position = UDim2.new(0, 30, 0, 0)
+	sourcesLabel.BackgroundTransparency = 1
+	sourcesLabel.Text = "Mirror script sources"
+	sourcesLabel.TextColor3 = Color3.fromRGB(200, 200, 200)
+	sourcesLabel.TextSize = 12
+	sourcesLabel.Font = Enum.Font.Gotham
+	sourcesLabel.TextXAlignment = Enum.TextXAlignment.Left
+	sourcesLabel.Parent = sourcesFrame
+
+	sourcesCheckbox.MouseButton1Click:Connect(function()
+		CONFIG.SYNC_SOURCES = not CONFIG.SYNC_SOURCES
+		sourcesCheckbox.BackgroundColor3 = CONFIG.SYNC_SOURCES and Color3.fromRGB(0, 150, 80) or Color3.fromRGB(60, 60, 60)
+		sourcesCheckbox.Text = CONFIG.SYNC_SOURCES and "✓" or ""
 	end)
 
 	-- ========================================
@@ -531,10 +697,12 @@ local function createUI()
 		statusDot = statusDot,
 		statusLabel = statusLabel,
 		urlInput = urlInput,
+		tokenInput = tokenInput,
 		connectBtn = connectBtn,
 		syncBtn = syncBtn,
 		disconnectBtn = disconnectBtn,
 		logFrame = logFrame,
+		updateFilters = updateFiltersCheckbox,
 		logIndex = function()
 			logIndex = logIndex + 1
 			return logIndex
@@ -609,12 +777,81 @@ local function shouldRecurse(instance)
 	return true
 end
 
+-- Get (or assign) the stable sync id for an instance
+local function getInstanceId(instance)
+	local id = instanceIds[instance]
+	if not id then
+		nextInstanceId = nextInstanceId + 1
+		id = tostring(nextInstanceId)
+		instanceIds[instance] = id
+	end
+	return id
+end
+
+-- JSON-friendly form of a property or attribute value
+local function serializeValue(value)
+	local valueType = typeof(value)
+	if valueType == "string" or valueType == "boolean" then
+		return value
+	elseif valueType == "number" then
+		-- NaN and infinity can't be encoded as JSON
+		if value ~= value or value == math.huge or value == -math.huge then
+			return tostring(value)
+		end
+		return value
+	elseif valueType == "EnumItem" then
+		return value.Name
+	elseif valueType == "Instance" then
+		return value:GetFullName()
+	end
+	return valueType .. "(" .. tostring(value) .. ")"
+end
+
+-- Attributes, tags and whitelisted properties, set on the node only when present
+local function addMetadata(node, instance)
+	local attributes = {}
+	local hasAttributes = false
+	for name, value in pairs(instance:GetAttributes()) do
+		attributes[name] = serializeValue(value)
+		hasAttributes = true
+	end
+	if hasAttributes then
+		node.attributes = attributes
+	end
+
+	local tags = CollectionService:GetTags(instance)
+	if #tags > 0 then
+		table.sort(tags)
+		node.tags = tags
+	end
+
+	local properties = {}
+	local hasProperties = false
+	for className, names in pairs(CONFIG.SYNC_PROPERTIES) do
+		if instance:IsA(className) then
+			for _, name in ipairs(names) do
+				local ok, value = pcall(function()
+					return instance[name]
+				end)
+				if ok and value ~= nil then
+					properties[name] = serializeValue(value)
+					hasProperties = true
+				end
+			end
+		end
+	end
+	if hasProperties then
+		node.properties = properties
+	end
+end
+
 -- Build tree data structure
 local function buildTreeNode(instance, depth)
 	if depth > 50 then return nil end
 	if shouldSkipClass(instance) then return nil end
 
 	local node = {
+		id = getInstanceId(instance),
 		name = instance.Name,
 		className = instance.ClassName,
 		icon = CLASS_ICONS[instance.ClassName] or "default",
@@ -622,15 +859,20 @@ local function buildTreeNode(instance, depth)
 		children = {},
 	}
 
+	addMetadata(node, instance)
+
 	-- Add script line count
 	if instance:IsA("LuaSourceContainer") then
-		local success, lineCount = pcall(function()
+		local success, lineCount, source = pcall(function()
 			local source = instance.Source
 			local _, count = source:gsub("\n", "\n")
-			return count + 1
+			return count + 1, source
 		end)
 		if success then
 			node.lineCount = lineCount
+			if CONFIG.SYNC_SOURCES then
+				collectedSources[node.id] = { path = node.path, source = source }
+			end
 		end
 	end
 
@@ -664,6 +906,7 @@ end
 -- Build full tree from enabled services only
 local function buildFullTree()
 	local enabledServices = getEnabledServices()
+	collectedSources = {}
 
 	local tree = {
 		name = game.Name ~= "" and game.Name or "Game",
@@ -674,12 +917,14 @@ local function buildFullTree()
 	for _, container in ipairs(enabledServices) do
 		if container then
 			local containerNode = {
+				id = getInstanceId(container),
 				name = container.Name,
 				className = container.ClassName,
 				icon = "service",
 				path = container:GetFullName(),
 				children = {},
 			}
+			addMetadata(containerNode, container)
 
 			for _, child in ipairs(container:GetChildren()) do
 				local childNode = buildTreeNode(child, 1)
@@ -695,7 +940,204 @@ local function buildFullTree()
 	return tree
 end
 
--- Send tree to server
+-- Flatten a tree into id -> { node, parent } for diffing
+local function flattenTree(tree)
+	local flat = {}
+
+	local function visit(node, parentId)
+		flat[node.id] = { node = node, parent = parentId }
+		for _, child in ipairs(node.children) do
+			visit(child, node.id)
+		end
+	end
+
+	for _, container in ipairs(tree.containers) do
+		visit(container, nil)
+	end
+
+	return flat
+end
+
+-- Fields compared for "update" ops (name/parent have their own ops)
+local DIFF_FIELDS = { "className", "icon", "lineCount", "childCount", "attributes", "tags", "properties" }
+
+-- Deep equality for the table-valued fields (attributes, tags, properties)
+local function sameValue(a, b)
+	if type(a) ~= "table" or type(b) ~= "table" then
+		return a == b
+	end
+	for key, value in pairs(a) do
+		if not sameValue(value, b[key]) then return false end
+	end
+	for key in pairs(b) do
+		if a[key] == nil then return false end
+	end
+	return true
+end
+
+-- Compute add/remove/rename/reparent/update ops between two flattened trees
+local function diffTrees(old, new)
+	local ops = {}
+	local added = {}
+	local removed = {}
+
+	for id in pairs(new) do
+		if not old[id] then
+			added[id] = true
+		end
+	end
+	for id in pairs(old) do
+		if not new[id] then
+			removed[id] = true
+		end
+	end
+
+	-- Adds carry their whole subtree, so only emit the top-most new node
+	for id, entry in pairs(new) do
+		if added[id] and not (entry.parent and added[entry.parent]) then
+			table.insert(ops, { op = "add", parent = entry.parent, node = entry.node })
+		end
+	end
+
+	for id, entry in pairs(new) do
+		local prev = old[id]
+		if prev then
+			-- Moves into a freshly added subtree are covered by the add
+			if prev.parent ~= entry.parent and not (entry.parent and added[entry.parent]) then
+				table.insert(ops, { op = "reparent", id = id, parent = entry.parent })
+			end
+			if prev.node.name ~= entry.node.name then
+				table.insert(ops, { op = "rename", id = id, name = entry.node.name })
+			end
+
+			local props, clear = {}, {}
+			for _, field in ipairs(DIFF_FIELDS) do
+				if not sameValue(prev.node[field], entry.node[field]) then
+					if entry.node[field] == nil then
+						table.insert(clear, field)
+					else
+						props[field] = entry.node[field]
+					end
+				end
+			end
+			if next(props) or #clear > 0 then
+				table.insert(ops, { op = "update", id = id, props = props, clear = clear })
+			end
+		end
+	end
+
+	-- Removes go last so anything moved out of a removed subtree survives
+	for id, entry in pairs(old) do
+		if removed[id] and not (entry.parent and removed[entry.parent]) then
+			table.insert(ops, { op = "remove", id = id })
+		end
+	end
+
+	return ops
+end
+
+-- Headers every request to the server carries
+local function authHeaders()
+	return { ["X-Pairing-Token"] = CONFIG.PAIRING_TOKEN }
+end
+
+-- POST a JSON body, returning (ok, statusCode, decodedBody or error)
+local function postJson(path, body)
+	local headers = authHeaders()
+	headers["Content-Type"] = "application/json"
+
+	local success, response = pcall(function()
+		return HttpService:RequestAsync({
+			Url = CONFIG.SERVER_URL .. path,
+			Method = "POST",
+			Headers = headers,
+			Body = body,
+			-- Sets Content-Encoding: gzip, which the server decodes
+			Compress = #body >= CONFIG.COMPRESS_THRESHOLD and Enum.HttpCompression.Gzip or Enum.HttpCompression.None,
+		})
+	end)
+
+	if not success then
+		return false, 0, response
+	end
+
+	local decoded = nil
+	pcall(function()
+		decoded = HttpService:JSONDecode(response.Body)
+	end)
+
+	return response.Success, response.StatusCode, decoded
+end
+
+-- Cheap content hash (djb2) so unchanged sources aren't re-sent
+local function hashSource(source)
+	local hash = 5381
+	for i = 1, #source do
+		hash = bit32.band(hash * 33 + string.byte(source, i), 0xFFFFFFFF)
+	end
+	return string.format("%08x-%d", hash, #source)
+end
+
+-- Send changed script sources to the server in size-limited batches
+local function syncSources()
+	local changed = {}
+	local removed = {}
+	local nextSent = {}
+
+	for id, entry in pairs(collectedSources) do
+		local sent = sentSources[id]
+		local hash = (sent and sent.source == entry.source) and sent.hash or hashSource(entry.source)
+
+		if sent and sent.path ~= entry.path then
+			table.insert(removed, sent.path)
+		end
+		if not sent or sent.hash ~= hash or sent.path ~= entry.path then
+			table.insert(changed, { path = entry.path, source = entry.source, hash = hash })
+		end
+		nextSent[id] = { path = entry.path, source = entry.source, hash = hash }
+	end
+
+	for id, sent in pairs(sentSources) do
+		if not collectedSources[id] then
+			table.insert(removed, sent.path)
+		end
+	end
+
+	if #changed == 0 and #removed == 0 then
+		return true
+	end
+
+	-- Split into batches so a big place doesn't hit HttpService body limits
+	local batches = { { sources = {}, removed = removed } }
+	local batchBytes = 0
+	for _, entry in ipairs(changed) do
+		if batchBytes > 0 and batchBytes + #entry.source > CONFIG.SOURCE_BATCH_BYTES then
+			table.insert(batches, { sources = {}, removed = {} })
+			batchBytes = 0
+		end
+		table.insert(batches[#batches].sources, entry)
+		batchBytes = batchBytes + #entry.source
+	end
+
+	for _, batch in ipairs(batches) do
+		batch.session = SESSION
+		local ok, _, result = postJson("/sources", HttpService:JSONEncode(batch))
+		if not ok then
+			local message = type(result) == "table" and result.error or tostring(result)
+			log("Source sync failed: " .. tostring(message), Color3.fromRGB(255, 100, 100))
+			return false
+		end
+		if type(result) == "table" and result.rejected and #result.rejected > 0 then
+			log(#result.rejected .. " script(s) too large to mirror", Color3.fromRGB(255, 200, 100))
+		end
+	end
+
+	sentSources = nextSent
+	log("Mirrored " .. #changed .. " script source(s)", Color3.fromRGB(100, 200, 255))
+	return true
+end
+
+-- Send tree to server (full snapshot first, then delta patches)
 local function syncToServer()
 	if not isConnected then
 		log("Not connected", Color3.fromRGB(255, 150, 100))
@@ -713,50 +1155,187 @@ local function syncToServer()
 	end
 
 	local tree = buildFullTree()
-	local json = HttpService:JSONEncode(tree)
+	local flat = flattenTree(tree)
+	local payload
 
-	-- Simple hash to detect changes
-	local hash = #json .. "-" .. (tree.timestamp or 0)
-	if hash == lastTreeHash then
-		return true
+	-- placeId is 0 until the place is published; refresh it every sync
+	SESSION.placeId = game.PlaceId
+	SESSION.gameId = game.GameId
+
+	if needsSnapshot then
+		payload = { protocol = SYNC_PROTOCOL, type = "snapshot", seq = syncSeq + 1, tree = tree, session = SESSION }
+	else
+		local ops = diffTrees(lastSyncedNodes, flat)
+		-- An empty patch keeps the seq and acts as a heartbeat
+		payload = {
+			protocol = SYNC_PROTOCOL,
+			type = "patch",
+			baseSeq = syncSeq,
+			seq = #ops > 0 and syncSeq + 1 or syncSeq,
+			name = tree.name,
+			timestamp = tree.timestamp,
+			ops = ops,
+			session = SESSION,
+		}
 	end
 
-	local success, result = pcall(function()
-		return HttpService:PostAsync(
-			CONFIG.SERVER_URL .. "/sync",
-			json,
-			Enum.HttpContentType.ApplicationJson,
-			false
-		)
-	end)
+	local json = HttpService:JSONEncode(payload)
+	local ok, statusCode, result = postJson("/sync", json)
 
-	if success then
-		lastTreeHash = hash
-		log("Synced " .. enabledCount .. " services (" .. #json .. " bytes)", Color3.fromRGB(100, 255, 100))
+	if ok then
+		syncSeq = payload.seq
+		lastSyncedNodes = flat
+		if type(result) == "table" then
+			serverConfigVersion = result.configVersion
+		end
+		if payload.type == "snapshot" then
+			needsSnapshot = false
+			-- The server may have restarted, so re-send every source
+			sentSources = {}
+			log("Synced " .. enabledCount .. " services (" .. #json .. " bytes)", Color3.fromRGB(100, 255, 100))
+		elseif #payload.ops > 0 then
+			log("Synced " .. #payload.ops .. " changes (" .. #json .. " bytes)", Color3.fromRGB(100, 255, 100))
+		end
+		syncSources()
 		return true
+	elseif statusCode == 409 then
+		-- Server lost track of our sequence; resend everything next time
+		needsSnapshot = true
+		log("Server requested full resync", Color3.fromRGB(255, 200, 100))
+		if payload.type == "patch" then
+			task.defer(syncToServer)
+		end
+		return false
 	else
-		log("Sync failed: " .. tostring(result), Color3.fromRGB(255, 100, 100))
+		local message = type(result) == "table" and result.error or tostring(result)
+		log("Sync failed: " .. tostring(message), Color3.fromRGB(255, 100, 100))
+		-- Field-level problems from the server's payload validation
+		if type(result) == "table" and type(result.issues) == "table" then
+			for i = 1, math.min(#result.issues, 5) do
+				local issue = result.issues[i]
+				log("  " .. tostring(issue.path) .. ": " .. tostring(issue.message), Color3.fromRGB(255, 150, 100))
+			end
+		end
 		return false
 	end
 end
 
+-- Keep the session alive while auto-sync is off (an empty patch changes nothing)
+local function sendHeartbeat()
+	if needsSnapshot then return end
+	local ok, statusCode, result = postJson("/sync", HttpService:JSONEncode({
+		protocol = SYNC_PROTOCOL,
+		type = "patch",
+		baseSeq = syncSeq,
+		seq = syncSeq,
+		ops = {},
+		session = SESSION,
+	}))
+	if ok and type(result) == "table" then
+		serverConfigVersion = result.configVersion
+	elseif not ok and statusCode == 409 then
+		needsSnapshot = true
+	end
+end
+
+-- Apply the sync settings from the VS Code workspace (robloxDirectoryTree.* settings).
+-- Settings the workspace leaves unset keep what is ticked in the widget. Returns true
+-- when something changed, so the caller can re-sync.
+local function fetchConfig()
+	local success, response = pcall(function()
+		return HttpService:RequestAsync({
+			Url = CONFIG.SERVER_URL .. "/config",
+			Method = "GET",
+			Headers = authHeaders(),
+		})
+	end)
+	-- Older servers have no /config
+	if not success or not response.Success then return false end
+
+	local ok, config = pcall(function()
+		return HttpService:JSONDecode(response.Body)
+	end)
+	if not ok or type(config) ~= "table" or config.version == appliedConfigVersion then return false end
+	appliedConfigVersion = config.version
+	serverConfigVersion = config.version
+
+	local applied = {}
+	if type(config.services) == "table" then
+		local wanted = {}
+		for _, name in ipairs(config.services) do
+			wanted[name] = true
+		end
+		for _, svc in ipairs(ALL_SERVICES) do
+			CONFIG.ENABLED_SERVICES[svc.name] = wanted[svc.name] == true
+			wanted[svc.name] = nil
+			if serviceCheckboxes[svc.name] then
+				serviceCheckboxes[svc.name].update()
+			end
+		end
+		for name in pairs(wanted) do
+			log("Unknown service in the workspace settings: " .. tostring(name), Color3.fromRGB(255, 200, 100))
+		end
+		table.insert(applied, "services")
+	end
+	if type(config.skipClasses) == "table" then
+		CONFIG.SKIP_CLASSES = config.skipClasses
+		table.insert(applied, "skipped classes")
+	end
+	if type(config.shallowClasses) == "table" then
+		CONFIG.SHALLOW_CLASSES = config.shallowClasses
+		table.insert(applied, "shallow classes")
+	end
+	if type(config.syncInterval) == "number" then
+		CONFIG.SYNC_INTERVAL = math.max(1, config.syncInterval)
+		SESSION.syncInterval = CONFIG.SYNC_INTERVAL
+		table.insert(applied, "sync interval")
+	end
+	if type(config.useFilters) == "boolean" then
+		CONFIG.USE_FILTERS = config.useFilters
+		ui.updateFilters()
+		table.insert(applied, "filters")
+	end
+
+	if #applied > 0 then
+		log("Using workspace settings from VS Code: " .. table.concat(applied, ", "), Color3.fromRGB(150, 200, 255))
+	end
+	return true
+end
+
 -- Test connection
 local function testConnection()
 	CONFIG.SERVER_URL = ui.urlInput.Text
+	CONFIG.PAIRING_TOKEN = ui.tokenInput.Text:gsub("%s", "")
 
 	log("Connecting to " .. CONFIG.SERVER_URL .. "...")
 
 	local success, result = pcall(function()
-		return HttpService:GetAsync(CONFIG.SERVER_URL .. "/ping")
+		return HttpService:RequestAsync({
+			Url = CONFIG.SERVER_URL .. "/ping",
+			Method = "GET",
+			Headers = authHeaders(),
+		})
 	end)
 
-	if success then
-		local data = HttpService:JSONDecode(result)
-		if data.status == "ok" then
+	if success and result.StatusCode == 401 then
+		updateStatus(false, "Invalid pairing token")
+		log("Pairing token rejected. Copy it from VS Code (Roblox: Show Pairing Token).", Color3.fromRGB(255, 150, 100))
+		return false
+	end
+
+	if success and result.Success then
+		local ok, data = pcall(function()
+			return HttpService:JSONDecode(result.Body)
+		end)
+		if ok and data.status == "ok" then
+			plugin:SetSetting("PairingToken", CONFIG.PAIRING_TOKEN)
 			updateStatus(true, "Connected to server")
 			log("Connected!", Color3.fromRGB(100, 255, 100))
 			return true
 		end
+		result = "Unexpected response from server"
+	elseif success then
+		result = "HTTP " .. result.StatusCode
 	end
 
 	updateStatus(false, "Connection failed")
@@ -805,6 +1384,14 @@ local function startSyncLoop()
 			task.wait(CONFIG.SYNC_INTERVAL)
 			if CONFIG.AUTO_SYNC and isConnected then
 				syncToServer()
+			elseif isConnected then
+				sendHeartbeat()
+			end
+			-- The workspace settings changed in VS Code
+			if isConnected and serverConfigVersion and serverConfigVersion ~= appliedConfigVersion and fetchConfig() then
+				needsSnapshot = true
+				setupChangeListeners()
+				syncToServer()
 			end
 		end
 	end)
@@ -818,24 +1405,278 @@ local function stopSyncLoop()
 	end
 end
 
+-- Resolve a dotted instance path (as produced by GetFullName) to an instance
+local function resolvePath(path)
+	local current = game
+	for segment in string.gmatch(path, "[^%.]+") do
+		local child = current:FindFirstChild(segment)
+		if not child and current == game then
+			local ok, service = pcall(function()
+				return game:GetService(segment)
+			end)
+			child = ok and service or nil
+		end
+		if not child then
+			return nil, "No instance at " .. path
+		end
+		current = child
+	end
+	return current
+end
+
+-- Write-back command handlers; each returns an optional result table or errors
+local COMMAND_HANDLERS = {
+	create = function(params)
+		local parent = assert(resolvePath(params.parent))
+		local instance = Instance.new(params.className)
+		instance.Name = params.name
+		if params.source and instance:IsA("LuaSourceContainer") then
+			instance.Source = params.source
+		end
+		instance.Parent = parent
+		return { path = instance:GetFullName() }
+	end,
+
+	rename = function(params)
+		local instance = assert(resolvePath(params.path))
+		instance.Name = params.name
+		return { path = instance:GetFullName() }
+	end,
+
+	reparent = function(params)
+		local instance = assert(resolvePath(params.path))
+		instance.Parent = assert(resolvePath(params.parent))
+		return { path = instance:GetFullName() }
+	end,
+
+	destroy = function(params)
+		local instance = assert(resolvePath(params.path))
+		instance:Destroy()
+		return nil
+	end,
+
+	setSource = function(params)
+		local instance = assert(resolvePath(params.path))
+		if not instance:IsA("LuaSourceContainer") then
+			error(params.path .. " is not a script", 0)
+		end
+		-- Goes through the script editor so open tabs pick up the change
+		ScriptEditorService:UpdateSourceAsync(instance, function()
+			return params.source
+		end)
+		return nil
+	end,
+
+	setAttribute = function(params)
+		local instance = assert(resolvePath(params.path))
+		instance:SetAttribute(params.attribute, params.value)
+		return nil
+	end,
+
+	-- Selected from VS Code; ids survive renames the server hasn't seen yet
+	select = function(params)
+		local byId = {}
+		for instance, id in pairs(instanceIds) do
+			byId[id] = instance
+		end
+
+		local instances = {}
+		for i, path in ipairs(params.paths or {}) do
+			local id = params.ids and params.ids[i]
+			local instance = (type(id) == "string" and byId[id]) or resolvePath(path)
+			if instance then
+				table.insert(instances, instance)
+			end
+		end
+		Selection:Set(instances)
+		return { selected = #instances }
+	end,
+}
+
+-- Commands that don't change the place, so they get no undo waypoint
+local UNRECORDED_COMMANDS = { select = true }
+
+-- Run one approved command as a single undoable step and report the result
+local function runCommand(command)
+	local handler = COMMAND_HANDLERS[command.type]
+	local recording = not UNRECORDED_COMMANDS[command.type]
+		and ChangeHistoryService:TryBeginRecording("LiveDirectoryTree: " .. tostring(command.type))
+
+	local success, result = pcall(function()
+		if not handler then
+			error("Unsupported command " .. tostring(command.type), 0)
+		end
+		return handler(command.params or {})
+	end)
+
+	if recording then
+		ChangeHistoryService:FinishRecording(
+			recording,
+			success and Enum.FinishRecordingOperation.Commit or Enum.FinishRecordingOperation.Cancel
+		)
+	end
+
+	if not success then
+		log("✗ " .. command.type .. ": " .. tostring(result), Color3.fromRGB(255, 100, 100))
+	elseif not UNRECORDED_COMMANDS[command.type] then
+		log("✓ " .. command.type .. " (#" .. command.id .. ")", Color3.fromRGB(100, 255, 100))
+	end
+
+	postJson("/commands/" .. command.id .. "/result?session=" .. SESSION.sessionId, HttpService:JSONEncode({
+		success = success,
+		result = success and result or nil,
+		error = not success and tostring(result) or nil,
+	}))
+end
+
+-- Long-poll the server for approved write-back commands
+local function startCommandLoop()
+	if commandLoop then return end
+
+	commandLoop = task.spawn(function()
+		while isConnected do
+			local success, response = pcall(function()
+				return HttpService:GetAsync(CONFIG.SERVER_URL .. "/commands?wait=20000&session=" .. SESSION.sessionId, true, authHeaders())
+			end)
+
+			local commands = nil
+			if success then
+				pcall(function()
+					commands = HttpService:JSONDecode(response).commands
+				end)
+			end
+
+			if commands and #commands > 0 then
+				local changed = false
+				for _, command in ipairs(commands) do
+					runCommand(command)
+					changed = changed or not UNRECORDED_COMMANDS[command.type]
+				end
+				if changed then
+					task.defer(syncToServer)
+				end
+			elseif not success then
+				-- Server unreachable; don't spin
+				task.wait(CONFIG.SYNC_INTERVAL)
+			end
+		end
+		commandLoop = nil
+	end)
+end
+
+-- Stop command loop
+local function stopCommandLoop()
+	if commandLoop then
+		task.cancel(commandLoop)
+		commandLoop = nil
+	end
+end
+
+-- Tell the server what is selected in the Explorer; bursts of changes are sent once
+local function reportSelection()
+	if selectionReportPending then return end
+	selectionReportPending = true
+	task.delay(0.2, function()
+		selectionReportPending = false
+		if not isConnected then return end
+
+		local selection = {}
+		for _, instance in ipairs(Selection:Get()) do
+			if #selection >= MAX_SELECTION then break end
+			-- Instances outside the synced services have no id; the server goes by path
+			table.insert(selection, { id = instanceIds[instance], path = instance:GetFullName() })
+		end
+		postJson("/selection", HttpService:JSONEncode({ session = SESSION, selection = selection }))
+	end)
+end
+
+local function startSelectionSync()
+	if selectionConnection then return end
+	selectionConnection = Selection.SelectionChanged:Connect(reportSelection)
+	reportSelection()
+end
+
+local function stopSelectionSync()
+	if selectionConnection then
+		selectionConnection:Disconnect()
+		selectionConnection = nil
+	end
+end
+
+-- Forward Studio's output (prints, warnings, errors and their stack traces) in batches
+local function flushOutput()
+	outputFlushPending = false
+	if not isConnected or #outputQueue == 0 then return end
+
+	local messages = outputQueue
+	if outputDropped > 0 then
+		table.insert(messages, {
+			message = string.format("[LiveDirectoryTree] %d messages were not forwarded (too much output)", outputDropped),
+			level = "warning",
+		})
+	end
+	outputQueue = {}
+	outputDropped = 0
+	postJson("/log", HttpService:JSONEncode({ session = SESSION, messages = messages }))
+end
+
+local function onMessageOut(message, messageType)
+	-- The plugin's own log lines are already in its widget
+	if not isConnected or string.sub(message, 1, 19) == "[LiveDirectoryTree]" then return end
+	if #outputQueue >= MAX_OUTPUT_QUEUE then
+		outputDropped = outputDropped + 1
+		return
+	end
+	table.insert(outputQueue, { message = message, level = OUTPUT_LEVELS[messageType] or "output" })
+	if not outputFlushPending then
+		outputFlushPending = true
+		task.delay(0.5, flushOutput)
+	end
+end
+
+local function startOutputSync()
+	if outputConnection then return end
+	outputConnection = LogService.MessageOut:Connect(onMessageOut)
+end
+
+local function stopOutputSync()
+	if outputConnection then
+		outputConnection:Disconnect()
+		outputConnection = nil
+	end
+	outputQueue = {}
+	outputDropped = 0
+end
+
 -- Connect
 local function connect()
 	if testConnection() then
+		needsSnapshot = true
+		fetchConfig()
 		setupChangeListeners()
 		startSyncLoop()
+		startCommandLoop()
 		syncToServer()
+		startSelectionSync()
+		startOutputSync()
 	end
 end
 
 -- Disconnect
 local function disconnect()
 	stopSyncLoop()
+	stopCommandLoop()
+	stopSelectionSync()
+	stopOutputSync()
 	for _, conn in ipairs(changeConnections) do
 		conn:Disconnect()
 	end
 	changeConnections = {}
 	updateStatus(false, "Disconnected")
 	log("Disconnected", Color3.fromRGB(255, 200, 100))
+
+	-- Tell the server right away instead of letting the session time out
+	postJson("/disconnect", HttpService:JSONEncode({ session = SESSION }))
 end
 
 -- UI Event Handlers
@@ -849,7 +1690,7 @@ end)
 
 ui.syncBtn.MouseButton1Click:Connect(function()
 	if isConnected then
-		lastTreeHash = "" -- Force sync
+		needsSnapshot = true -- Force full sync
 		syncToServer()
 	else
 		log("Connect first!", Color3.fromRGB(255, 200, 100))
@@ -867,6 +1708,12 @@ ui.urlInput.FocusLost:Connect(function(enterPressed)
 	end
 end)
 
+ui.tokenInput.FocusLost:Connect(function(enterPressed)
+	if enterPressed and not isConnected then
+		connect()
+	end
+end)
+
 -- Toolbar handlers
 connectButton.Click:Connect(function()
 	widget.Enabled = true
@@ -877,7 +1724,7 @@ end)
 
 syncButton.Click:Connect(function()
 	if isConnected then
-		lastTreeHash = ""
+		needsSnapshot = true
 		syncToServer()
 	else
 		widget.Enabled = true
@@ -885,6 +1732,12 @@ syncButton.Click:Connect(function()
 	end
 end)
 
+plugin.Unloading:Connect(function()
+	if isConnected then
+		disconnect()
+	end
+end)
+
 -- Initialize
 widget.Enabled = false
 log("Plugin loaded. Select services and connect!", Color3.fromRGB(150, 200, 255))
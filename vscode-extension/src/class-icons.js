@@ -0,0 +1,34 @@
+// ============================================
+// CLASS ICONS
+// ============================================
+//
+// Icon per node `icon` key (set by the plugin from the ClassName). The tree
+// view uses the codicon; the explorer page, which has no icon font, draws the
+// glyph in the same spot so both views tell classes apart the same way.
+
+const CLASS_ICONS = {
+    module: { codicon: 'symbol-module', glyph: '◆', color: '#c586c0' },
+    script: { codicon: 'file-code', glyph: '▣', color: '#4fc1ff' },
+    localscript: { codicon: 'device-desktop', glyph: '▤', color: '#4ec9b0' },
+    folder: { codicon: 'folder', glyph: '▰', color: '#dcb67a' },
+    service: { codicon: 'package', glyph: '⬢', color: '#569cd6' },
+    remoteevent: { codicon: 'broadcast', glyph: '⇶', color: '#ce9178' },
+    remotefunction: { codicon: 'call-outgoing', glyph: '⇥', color: '#ce9178' },
+    bindableevent: { codicon: 'pulse', glyph: '∿', color: '#d7ba7d' },
+    bindablefunction: { codicon: 'call-incoming', glyph: '⇤', color: '#d7ba7d' },
+    screengui: { codicon: 'browser', glyph: '▭', color: '#9cdcfe' },
+    frame: { codicon: 'layout', glyph: '▢', color: '#9cdcfe' },
+    textlabel: { codicon: 'text-size', glyph: 'T', color: '#9cdcfe' },
+    textbutton: { codicon: 'inspect', glyph: '⊡', color: '#9cdcfe' },
+    model: { codicon: 'symbol-structure', glyph: '⬡', color: '#b5cea8' },
+    tool: { codicon: 'tools', glyph: '⚒', color: '#b5cea8' },
+    sound: { codicon: 'unmute', glyph: '♪', color: '#d16969' },
+};
+
+const DEFAULT_ICON = { codicon: 'circle-outline', glyph: '○', color: '#858585' };
+
+function iconFor(key) {
+    return CLASS_ICONS[key] || DEFAULT_ICON;
+}
+
+module.exports = { CLASS_ICONS, DEFAULT_ICON, iconFor };
@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+
+// ============================================
+// HEADLESS SERVER
+// ============================================
+//
+// Runs the Studio sync server without VS Code, for Neovim, Zed, terminal AI
+// agents or anything else that can talk HTTP or MCP. The Studio plugin,
+// /mcp, the explorer page and the stdio proxy work exactly as they do
+// against the extension.
+//
+// With --mcp-stdio the process is also an MCP server on stdin/stdout, so an
+// agent can launch it as its MCP command and get the sync server with it.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const { EmbeddedServer } = require('./server');
+const { findProjectFiles } = require('./rojo-project');
+const { describeCommand } = require('./command-queue');
+const { generateToken } = require('./pairing');
+const { createMcpServer } = require('./mcp-tools');
+const { version } = require('../package.json');
+
+const USAGE = `Usage: roblox-directory-server [options]
+
+Serves the Roblox Studio plugin's live sync without VS Code.
+
+Options:
+  -p, --port <port>      Port to listen on (default: 21326)
+      --host <host>      Interface to bind; 0.0.0.0 accepts LAN connections (default: 127.0.0.1)
+      --token <token>    Pairing token (default: $DIRECTORY_TREE_TOKEN, the one saved in
+                         --data-dir, or a new one)
+      --data-dir <dir>   Keep the pairing token, tree history, snapshots, the last tree of
+                         every place and the command audit log here (default: memory only)
+      --project <dir>    Where to look for Rojo *.project.json files (default: current directory)
+      --auto-approve     Run write-back commands from AI tools without asking
+      --mcp-stdio        Also serve MCP on stdin/stdout; logs go to stderr
+      --verbose          Log every patch, source update and Studio output line (default:
+                         snapshots and Studio errors only)
+  -h, --help             Show this help
+  -v, --version          Show the version
+`;
+
+const OPTIONS = {
+    port: { type: 'string', short: 'p' },
+    host: { type: 'string' },
+    token: { type: 'string' },
+    'data-dir': { type: 'string' },
+    project: { type: 'string' },
+    'auto-approve': { type: 'boolean' },
+    'mcp-stdio': { type: 'boolean' },
+    verbose: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' },
+    version: { type: 'boolean', short: 'v' },
+};
+
+// Wait after the last change to a project or script file before re-reading the Rojo projects
+const ROJO_RELOAD_DELAY = 1000;
+
+function log(message) {
+    const time = new Date().toTimeString().slice(0, 8);
+    process.stderr.write(`[${time}] ${message}\n`);
+}
+
+function fail(message) {
+    process.stderr.write(`roblox-directory-server: ${message}\n`);
+    process.exit(1);
+}
+
+function parseOptions(argv) {
+    let values;
+    try {
+        ({ values } = parseArgs({ args: argv, options: OPTIONS, strict: true }));
+    } catch (e) {
+        fail(`${e.message}\n\n${USAGE}`);
+    }
+
+    const port = values.port === undefined ? 21326 : Number(values.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) fail(`Invalid port "${values.port}"`);
+
+    return {
+        port,
+        host: values.host || '127.0.0.1',
+        token: values.token || process.env.DIRECTORY_TREE_TOKEN || null,
+        dataDir: values['data-dir'] ? path.resolve(values['data-dir']) : null,
+        projectDir: path.resolve(values.project || '.'),
+        autoApprove: Boolean(values['auto-approve']),
+        mcpStdio: Boolean(values['mcp-stdio']),
+        verbose: Boolean(values.verbose),
+        help: Boolean(values.help),
+        version: Boolean(values.version),
+    };
+}
+
+// The token saved in the data directory, so the Studio plugin stays paired across restarts
+function loadToken(dataDir) {
+    const file = path.join(dataDir, 'pairing-token');
+    try {
+        const saved = fs.readFileSync(file, 'utf8').trim();
+        if (saved) return saved;
+    } catch (e) {
+        // First run
+    }
+    const token = generateToken();
+    fs.writeFileSync(file, token + '\n', { mode: 0o600 });
+    return token;
+}
+
+// ============================================
+// COMMAND APPROVAL
+// ============================================
+
+/**
+ * Decides on write-back commands the way the extension's approval prompt
+ * does: --auto-approve runs them, an interactive terminal asks, and anything
+ * else rejects them since nobody could approve them.
+ */
+class TerminalApprover {
+    constructor(queue, { autoApprove, interactive, auditPath }) {
+        this.queue = queue;
+        this.autoApprove = autoApprove;
+        this.interactive = interactive;
+        this.auditPath = auditPath;
+        this.prompts = Promise.resolve();
+
+        this.queue.onCommandQueued = (command) => this.decide(command);
+        this.queue.onAudit = (entry) => this.audit(entry);
+    }
+
+    decide(command) {
+        if (this.autoApprove) {
+            this.queue.approve(command.id);
+        } else if (this.interactive) {
+            // One question at a time; commands queued meanwhile wait their turn
+            this.prompts = this.prompts.then(() => this.ask(command));
+        } else {
+            this.queue.reject(command.id, 'No one to approve it (start the server with --auto-approve)');
+        }
+    }
+
+    ask(command) {
+        if (command.status !== 'pending') return Promise.resolve();
+        // The whole new source, so nothing is approved unseen
+        const detail = command.type === 'setSource'
+            ? String(command.params.source).split('\n').map(line => `    ${line}`).join('\n')
+            : JSON.stringify(command.params);
+        process.stderr.write(`\n${command.origin} wants to: ${describeCommand(command)}\n${detail}\n`);
+
+        const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+        return new Promise((resolve) => {
+            rl.question('Approve? [y/N] ', (answer) => {
+                rl.close();
+                if (/^y(es)?$/i.test(answer.trim())) {
+                    this.queue.approve(command.id);
+                } else {
+                    this.queue.reject(command.id);
+                }
+                resolve();
+            });
+        });
+    }
+
+    audit(entry) {
+        log(`#${entry.id} ${entry.event.toUpperCase()} (${entry.origin}) ${entry.description}` + (entry.error ? ` - ${entry.error}` : ''));
+
+        if (this.auditPath) {
+            try {
+                fs.appendFileSync(this.auditPath, JSON.stringify(entry) + '\n');
+            } catch (e) {
+                log(`Failed to write audit log: ${e.message}`);
+            }
+        }
+    }
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+function logEvents(server, verbose) {
+    server.events.subscribe((type, data) => {
+        switch (type) {
+            case 'session-connected':
+                log(`Studio connected: ${data.session.label} (session ${data.session.id})`);
+                break;
+            case 'session-disconnected':
+                log(`Studio disconnected: ${data.session.label} (${data.reason})`);
+                break;
+            case 'session-removed':
+                if (verbose) log(`Session ${data.session} removed`);
+                break;
+            case 'tree-changed': {
+                if (data.type !== 'snapshot' && !verbose) break;
+                const session = server.sessions.sessions.get(data.session);
+                const what = data.type === 'snapshot' ? 'snapshot' : `patch, ${(data.ops || []).length} op(s)`;
+                log(`Synced ${session ? session.label : data.session} (${what}, seq ${data.seq})`);
+                break;
+            }
+            case 'sources-changed':
+                if (verbose) log(`${data.paths.length} script source(s) updated`);
+                break;
+            case 'sync-error':
+                log(`Sync error: ${data.error}`);
+                break;
+            case 'output':
+                // Studio errors always; everything else in the Output window with --verbose
+                data.entries
+                    .filter(entry => verbose || entry.level === 'error')
+                    .forEach(entry => log(`Studio ${entry.level}: ${entry.message}`));
+                break;
+        }
+    });
+}
+
+// Rojo project mapping. Project files are only searched for and parsed again
+// when one of them changes; other files coming and going rebuild the mapping,
+// and saving a script re-counts its lines. Only watched once a project is
+// found, so starting in a large directory stays cheap.
+function watchRojo(server, projectDir) {
+    let projectsChanged = true;
+    const reload = () => {
+        if (projectsChanged) {
+            projectsChanged = false;
+            server.rojo.load(findProjectFiles(projectDir));
+        } else {
+            server.rojo.rebuild();
+        }
+        server.rojo.errors.forEach(({ file, error }) => log(`Rojo project ${file}: ${error}`));
+    };
+    reload();
+    if (!server.rojo.hasProject()) {
+        log(`No Rojo place project in ${projectDir}; pass --project to map instances to files`);
+        return null;
+    }
+    log(`Rojo: ${server.rojo.projects.map(project => path.relative(projectDir, project.file)).join(', ')}`);
+
+    let timer = null;
+    try {
+        const watcher = fs.watch(projectDir, { recursive: true }, (event, file) => {
+            if (!file || !/\.(project\.json|meta\.json|model\.json|lua|luau)$/.test(file)) return;
+            // A script saved in place
+            if (event === 'change' && /\.luau?$/.test(file) && server.rojo.updateFile(path.join(projectDir, file))) return;
+            if (file.endsWith('.project.json')) projectsChanged = true;
+            clearTimeout(timer);
+            timer = setTimeout(reload, ROJO_RELOAD_DELAY);
+        });
+        watcher.on('error', () => watcher.close());
+        return watcher;
+    } catch (e) {
+        log(`Not watching ${projectDir} for Rojo changes: ${e.message}`);
+        return null;
+    }
+}
+
+async function main() {
+    const options = parseOptions(process.argv.slice(2));
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (options.version) {
+        process.stdout.write(`${version}\n`);
+        return;
+    }
+
+    // stdout carries MCP messages with --mcp-stdio; nothing else may write there
+    if (options.mcpStdio) console.log = console.error;
+
+    const server = new EmbeddedServer();
+    server.configure({ port: options.port, host: options.host });
+
+    let auditPath = null;
+    if (options.dataDir) {
+        fs.mkdirSync(options.dataDir, { recursive: true });
+        server.history.open(path.join(options.dataDir, 'tree-history'));
+        server.restorePlaces(path.join(options.dataDir, 'places'));
+        auditPath = path.join(options.dataDir, 'command-audit.log');
+    }
+    server.setToken(options.token || (options.dataDir ? loadToken(options.dataDir) : generateToken()));
+
+    new TerminalApprover(server.commands, {
+        autoApprove: options.autoApprove,
+        interactive: !options.mcpStdio && Boolean(process.stdin.isTTY),
+        auditPath
+    });
+    logEvents(server, options.verbose);
+    const watcher = watchRojo(server, options.projectDir);
+
+    try {
+        await server.start();
+    } catch (e) {
+        fail(e.message);
+    }
+
+    const where = `http://${options.host === '0.0.0.0' ? 'localhost' : options.host}:${server.port}`;
+    log(`Listening on ${options.host}:${server.port}`);
+    log(`Pairing token: ${server.token} (paste it into the Studio plugin)`);
+    log(`MCP: ${where}/mcp · Explorer: ${where}/?token=${server.token}`);
+    const restored = server.sessions.list().length;
+    if (restored > 0) log(`Restored ${restored} saved tree(s) from ${options.dataDir}`);
+
+    let shuttingDown = false;
+    const shutdown = async () => {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        log('Shutting down');
+        if (watcher) watcher.close();
+        server.placeCache.flush();
+        server.history.dispose();
+        server.commands.dispose();
+        await server.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    if (options.mcpStdio) {
+        const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+        const session = createMcpServer(server);
+        server.events.subscribe(session.handleEvent);
+        const transport = new StdioServerTransport();
+        // The agent that launched us went away
+        transport.onclose = shutdown;
+        process.stdin.on('end', () => transport.close());
+        await session.mcp.connect(transport);
+        log('Serving MCP on stdio');
+    }
+}
+
+main().catch((e) => fail(e.stack || e.message));
@@ -0,0 +1,305 @@
+// ============================================
+// COMMAND QUEUE
+// ============================================
+//
+// Write-back operations for Studio. Commands are enqueued by MCP tools or the
+// tree view, wait for approval in VS Code, are long-polled by the plugin from
+// /commands, and report back through /commands/:id/result.
+//
+// Lifecycle: pending -> approved -> dispatched -> succeeded | failed
+//            pending -> rejected | expired
+//
+// A dispatched command that gets no result within DISPATCH_TIMEOUT (Studio
+// closed, or the plugin lost the result) fails, as do the unfinished commands
+// of a session that goes away, so nobody waits on them forever.
+//
+// `select` only changes Studio's Explorer selection, so it skips approval and
+// the audit log, replaces any select not yet picked up by the plugin, and is
+// dropped from the history once it finishes.
+
+// Required params for each command type
+const COMMAND_TYPES = {
+    create: ['parent', 'className', 'name'],
+    rename: ['path', 'name'],
+    reparent: ['path', 'parent'],
+    destroy: ['path'],
+    setSource: ['path', 'source'],
+    setAttribute: ['path', 'attribute'],
+    select: ['paths'],
+};
+
+// Command types that change nothing in the place
+const UNAPPROVED_TYPES = new Set(['select']);
+
+const TERMINAL_STATES = new Set(['succeeded', 'failed', 'rejected', 'expired']);
+
+const APPROVAL_TIMEOUT = 5 * 60 * 1000;
+const DISPATCH_TIMEOUT = 60 * 1000;
+const MAX_HISTORY = 200;
+
+function validateCommand(type, params) {
+    const required = COMMAND_TYPES[type];
+    if (!required) {
+        throw new Error(`Unknown command type "${type}". Expected one of: ${Object.keys(COMMAND_TYPES).join(', ')}`);
+    }
+    const missing = required.filter(key => params[key] === undefined || params[key] === '');
+    if (missing.length > 0) {
+        throw new Error(`Command "${type}" is missing: ${missing.join(', ')}`);
+    }
+}
+
+// One-line human readable description, used in approval prompts and the audit log
+function describeCommand({ type, params }) {
+    switch (type) {
+        case 'create': return `Create ${params.className} "${params.name}" in ${params.parent}`;
+        case 'rename': return `Rename ${params.path} to "${params.name}"`;
+        case 'reparent': return `Move ${params.path} into ${params.parent}`;
+        case 'destroy': return `Delete ${params.path}`;
+        case 'setSource': return `Replace source of ${params.path} (${String(params.source).split('\n').length} lines)`;
+        case 'setAttribute': return `Set attribute "${params.attribute}" on ${params.path} to ${JSON.stringify(params.value)}`;
+        case 'select': return params.paths.length > 0 ? `Select ${params.paths.join(', ')} in Studio` : 'Clear the Studio selection';
+        default: return type;
+    }
+}
+
+class CommandQueue {
+    constructor() {
+        this.commands = new Map();
+        this.nextId = 1;
+        this.pollers = [];
+        this.waiters = new Map();
+        this.onCommandQueued = null;
+        this.onAudit = null;
+    }
+
+    /**
+     * Queue a command for approval. `session` targets one Studio session;
+     * null lets whichever session polls first run it.
+     */
+    enqueue(type, params = {}, origin = 'unknown', session = null) {
+        validateCommand(type, params);
+
+        const command = {
+            id: String(this.nextId++),
+            type,
+            params,
+            origin,
+            session,
+            status: 'pending',
+            createdAt: Date.now(),
+            updatedAt: Date.now(),
+        };
+
+        if (UNAPPROVED_TYPES.has(type)) {
+            for (const [id, queued] of this.commands) {
+                if (queued.type === type && queued.status === 'approved' && queued.session === session) this.commands.delete(id);
+            }
+            command.status = 'approved';
+            this.commands.set(command.id, command);
+            this.flushPollers();
+            return command;
+        }
+
+        this.commands.set(command.id, command);
+        this.trimHistory();
+        this.audit(command, 'queued');
+
+        command.expiryTimer = setTimeout(() => {
+            if (command.status === 'pending') this.finish(command, 'expired', { error: 'Approval timed out' });
+        }, APPROVAL_TIMEOUT);
+
+        if (this.onCommandQueued) this.onCommandQueued(command);
+        return command;
+    }
+
+    get(id) {
+        return this.commands.get(id) || null;
+    }
+
+    list() {
+        return [...this.commands.values()].map(command => this.toJSON(command));
+    }
+
+    approve(id) {
+        const command = this.commands.get(id);
+        if (!command || command.status !== 'pending') return false;
+        clearTimeout(command.expiryTimer);
+        command.status = 'approved';
+        command.updatedAt = Date.now();
+        this.audit(command, 'approved');
+        this.flushPollers();
+        return true;
+    }
+
+    reject(id, reason = 'Rejected in VS Code') {
+        const command = this.commands.get(id);
+        if (!command || command.status !== 'pending') return false;
+        this.finish(command, 'rejected', { error: reason });
+        return true;
+    }
+
+    /**
+     * Take every approved command for a session and mark it dispatched. Used by the plugin poll.
+     */
+    takeApproved(session = null) {
+        const ready = [...this.commands.values()].filter(command =>
+            command.status === 'approved' && (!command.session || command.session === session)
+        );
+        ready.forEach(command => {
+            command.status = 'dispatched';
+            command.dispatchedTo = session;
+            command.updatedAt = Date.now();
+            this.audit(command, 'dispatched');
+            command.expiryTimer = setTimeout(() => {
+                if (command.status === 'dispatched') this.finish(command, 'failed', { error: 'Studio did not report a result' });
+            }, DISPATCH_TIMEOUT);
+        });
+        return ready.map(command => this.toJSON(command));
+    }
+
+    /**
+     * Long-poll for approved commands. Resolves immediately if any are ready,
+     * otherwise when one gets approved or after `timeoutMs` with an empty list.
+     */
+    poll(timeoutMs, session = null) {
+        const ready = this.takeApproved(session);
+        if (ready.length > 0 || timeoutMs <= 0) return Promise.resolve(ready);
+
+        return new Promise((resolve) => {
+            const poller = {
+                resolve,
+                session,
+                timer: setTimeout(() => {
+                    this.pollers = this.pollers.filter(p => p !== poller);
+                    resolve([]);
+                }, timeoutMs)
+            };
+            this.pollers.push(poller);
+        });
+    }
+
+    // Put dispatched commands back if the poll that took them never reached the plugin
+    requeue(ids) {
+        ids.forEach(id => {
+            const command = this.commands.get(id);
+            if (command && command.status === 'dispatched') {
+                clearTimeout(command.expiryTimer);
+                command.status = 'approved';
+                command.dispatchedTo = null;
+            }
+        });
+    }
+
+    cancelPolls() {
+        this.pollers.forEach(poller => {
+            clearTimeout(poller.timer);
+            poller.resolve([]);
+        });
+        this.pollers = [];
+    }
+
+    flushPollers() {
+        for (const poller of [...this.pollers]) {
+            const ready = this.takeApproved(poller.session);
+            if (ready.length === 0) continue;
+            this.pollers = this.pollers.filter(p => p !== poller);
+            clearTimeout(poller.timer);
+            poller.resolve(ready);
+        }
+    }
+
+    /**
+     * Record the plugin's result: `{ success, result, error }`.
+     */
+    complete(id, { success, result, error }) {
+        const command = this.commands.get(id);
+        if (!command) return false;
+        if (TERMINAL_STATES.has(command.status)) return true;
+        this.finish(command, success ? 'succeeded' : 'failed', { result, error });
+        return true;
+    }
+
+    /**
+     * Fail the unfinished commands of a Studio session that went away: those
+     * targeting it, and any it took from the queue without reporting back.
+     */
+    failSession(session, reason) {
+        for (const command of this.commands.values()) {
+            if (TERMINAL_STATES.has(command.status)) continue;
+            const dispatched = command.status === 'dispatched' && command.dispatchedTo === session;
+            if (command.session === session || dispatched) this.finish(command, 'failed', { error: reason });
+        }
+    }
+
+    /**
+     * Resolve once the command reaches a terminal state, or with its current
+     * state after `timeoutMs`.
+     */
+    waitFor(id, timeoutMs) {
+        const command = this.commands.get(id);
+        if (!command) return Promise.resolve(null);
+        if (TERMINAL_STATES.has(command.status) || timeoutMs <= 0) {
+            return Promise.resolve(this.toJSON(command));
+        }
+
+        return new Promise((resolve) => {
+            const waiters = this.waiters.get(id) || [];
+            const waiter = () => {
+                clearTimeout(timer);
+                resolve(this.toJSON(command));
+            };
+            const timer = setTimeout(() => {
+                this.waiters.set(id, (this.waiters.get(id) || []).filter(w => w !== waiter));
+                resolve(this.toJSON(command));
+            }, timeoutMs);
+            waiters.push(waiter);
+            this.waiters.set(id, waiters);
+        });
+    }
+
+    finish(command, status, { result, error } = {}) {
+        clearTimeout(command.expiryTimer);
+        command.status = status;
+        command.updatedAt = Date.now();
+        if (result !== undefined) command.result = result;
+        if (error) command.error = error;
+        this.audit(command, status);
+
+        (this.waiters.get(command.id) || []).forEach(waiter => waiter());
+        this.waiters.delete(command.id);
+        if (UNAPPROVED_TYPES.has(command.type)) this.commands.delete(command.id);
+    }
+
+    trimHistory() {
+        if (this.commands.size <= MAX_HISTORY) return;
+        for (const [id, command] of this.commands) {
+            if (this.commands.size <= MAX_HISTORY) break;
+            if (TERMINAL_STATES.has(command.status)) this.commands.delete(id);
+        }
+    }
+
+    audit(command, event) {
+        if (!this.onAudit || UNAPPROVED_TYPES.has(command.type)) return;
+        this.onAudit({
+            time: new Date().toISOString(),
+            id: command.id,
+            event,
+            origin: command.origin,
+            type: command.type,
+            description: describeCommand(command),
+            error: command.error
+        });
+    }
+
+    toJSON(command) {
+        const { expiryTimer, ...rest } = command;
+        return rest;
+    }
+
+    dispose() {
+        this.cancelPolls();
+        this.commands.forEach(command => clearTimeout(command.expiryTimer));
+    }
+}
+
+module.exports = { CommandQueue, COMMAND_TYPES, describeCommand };
@@ -0,0 +1,560 @@
+// ============================================
+// MODULE DEPENDENCY GRAPH
+// ============================================
+//
+// Finds `require(...)` calls in mirrored script sources and resolves them
+// against the synced tree:
+//
+//   require(script.Parent.Util)
+//   require(game:GetService("ReplicatedStorage").Shared.Signal)
+//   require(ReplicatedStorage:WaitForChild("Shared"):WaitForChild("Signal"))
+//   local Shared = ReplicatedStorage.Shared   -- aliases are followed
+//   require("./Util"), require("@self/Types") -- string requires
+//
+// Anything that can't be resolved statically (computed names, asset ids,
+// loader functions) is reported as unresolved instead of guessed.
+
+const KEYWORDS = new Set([
+    'and', 'break', 'do', 'else', 'elseif', 'end', 'false', 'for', 'function', 'if', 'in',
+    'local', 'nil', 'not', 'or', 'repeat', 'return', 'then', 'true', 'until', 'while', 'continue'
+]);
+
+// ============================================
+// LEXER
+// ============================================
+
+// Level of a long bracket opener at `i` (0 for `[[`, 2 for `[==[`), or -1
+function longBracketLevel(source, i) {
+    if (source[i] !== '[') return -1;
+    let j = i + 1;
+    while (source[j] === '=') j++;
+    return source[j] === '[' ? j - i - 1 : -1;
+}
+
+function lineAt(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (lineStarts[mid] <= offset) low = mid;
+        else high = mid - 1;
+    }
+    return low + 1;
+}
+
+/**
+ * Tokens of a Luau source, without comments. Each token is
+ * `{ type: 'name' | 'string' | 'number' | 'op', value, start, end }`.
+ * Interpolated strings are kept as opaque `template` tokens.
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const ch = source[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        // Comments: -- line, --[[ block ]], --[==[ block ]==]
+        if (ch === '-' && source[i + 1] === '-') {
+            const level = longBracketLevel(source, i + 2);
+            if (level >= 0) {
+                const close = ']' + '='.repeat(level) + ']';
+                const end = source.indexOf(close, i + 4 + level);
+                i = end === -1 ? source.length : end + close.length;
+            } else {
+                const end = source.indexOf('\n', i);
+                i = end === -1 ? source.length : end;
+            }
+            continue;
+        }
+
+        const start = i;
+
+        if (/[A-Za-z_]/.test(ch)) {
+            while (i < source.length && /\w/.test(source[i])) i++;
+            tokens.push({ type: 'name', value: source.slice(start, i), start, end: i });
+            continue;
+        }
+
+        if (/\d/.test(ch) || (ch === '.' && /\d/.test(source[i + 1]))) {
+            while (i < source.length && /[\w.]/.test(source[i])) i++;
+            tokens.push({ type: 'number', value: source.slice(start, i), start, end: i });
+            continue;
+        }
+
+        if (ch === '"' || ch === "'" || ch === '`') {
+            let value = '';
+            i++;
+            while (i < source.length && source[i] !== ch && source[i] !== '\n') {
+                if (source[i] === '\\') {
+                    const next = source[i + 1];
+                    value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+                    i += 2;
+                } else {
+                    value += source[i++];
+                }
+            }
+            i++;
+            tokens.push({ type: ch === '`' ? 'template' : 'string', value, start, end: i });
+            continue;
+        }
+
+        const level = longBracketLevel(source, i);
+        if (level >= 0) {
+            const close = ']' + '='.repeat(level) + ']';
+            const end = source.indexOf(close, i + 2 + level);
+            const stop = end === -1 ? source.length : end;
+            i = end === -1 ? source.length : end + close.length;
+            tokens.push({ type: 'string', value: source.slice(start + 2 + level, stop).replace(/^\n/, ''), start, end: i });
+            continue;
+        }
+
+        const two = source.slice(i, i + 2);
+        if (['==', '~=', '<=', '>=', '::', '..', '->', '+=', '-=', '*=', '/='].includes(two)) {
+            i += source.slice(i, i + 3) === '...' ? 3 : 2;
+        } else {
+            i++;
+        }
+        tokens.push({ type: 'op', value: source.slice(start, i), start, end: i });
+    }
+
+    return tokens;
+}
+
+// ============================================
+// EXPRESSIONS
+// ============================================
+
+function isOp(token, value) {
+    return token && token.type === 'op' && token.value === value;
+}
+
+/**
+ * Parse an instance path expression starting at token `i`:
+ *   root ( .Name | ["Name"] | :Method("Name", ...) )*
+ * Returns `{ root, steps, end }` or null when the tokens aren't a path
+ * expression we understand. `end` (also on each step) is the index of the
+ * first token after it. With `partial`, a call or index that can't be
+ * followed ends the path instead (`{ ..., incomplete: true }`).
+ */
+function parsePath(tokens, i, { partial = false } = {}) {
+    const first = tokens[i];
+    if (!first) return null;
+
+    let root;
+    if (first.type === 'name' && !KEYWORDS.has(first.value)) {
+        root = { type: 'name', value: first.value };
+    } else if (first.type === 'string' || first.type === 'number') {
+        return { root: { type: first.type, value: first.value }, steps: [], end: i + 1 };
+    } else {
+        return null;
+    }
+
+    const steps = [];
+    let j = i + 1;
+    while (j < tokens.length) {
+        const token = tokens[j];
+        if (isOp(token, '.') && tokens[j + 1] && tokens[j + 1].type === 'name') {
+            steps.push({ type: 'index', name: tokens[j + 1].value, end: j + 2 });
+            j += 2;
+        } else if (isOp(token, '[') && tokens[j + 1] && tokens[j + 1].type === 'string' && isOp(tokens[j + 2], ']')) {
+            steps.push({ type: 'index', name: tokens[j + 1].value, end: j + 3 });
+            j += 3;
+        } else if (isOp(token, ':') && tokens[j + 1] && tokens[j + 1].type === 'name' && isOp(tokens[j + 2], '(')) {
+            // Method call with literal arguments only
+            const args = [];
+            let k = j + 3;
+            while (k < tokens.length && !isOp(tokens[k], ')')) {
+                const arg = tokens[k];
+                if (arg.type === 'string' || arg.type === 'number' || (arg.type === 'name' && ['true', 'false', 'nil'].includes(arg.value))) {
+                    args.push(arg.value);
+                } else if (!isOp(arg, ',')) {
+                    return partial ? { root, steps, end: j, incomplete: true } : null;
+                }
+                k++;
+            }
+            if (k >= tokens.length) return partial ? { root, steps, end: j, incomplete: true } : null;
+            steps.push({ type: 'call', method: tokens[j + 1].value, args, end: k + 1 });
+            j = k + 1;
+        } else if (isOp(token, '(') || isOp(token, '[') || token.type === 'string') {
+            // Plain function calls and computed indexes can't be followed statically
+            return partial ? { root, steps, end: j, incomplete: true } : null;
+        } else {
+            break;
+        }
+    }
+
+    return { root, steps, end: j };
+}
+
+function childNamed(node, name) {
+    return (node.children || []).find(child => child.name === name) || null;
+}
+
+function describe(node) {
+    return node.path || 'game';
+}
+
+/**
+ * Evaluate a parsed path to `{ node }` or `{ reason }`.
+ * `scope` supplies `game`, `script`, the parent map and the file's aliases.
+ */
+function evaluatePath(expr, scope) {
+    const { root, steps } = expr;
+
+    if (root.type === 'number') return { reason: 'requires an asset id' };
+    if (root.type === 'string') return resolveStringRequire(root.value, scope);
+
+    let value;
+    if (scope.aliases.has(root.value)) {
+        value = scope.aliases.get(root.value);
+    } else if (root.value === 'script') {
+        value = { node: scope.script };
+    } else if (root.value === 'game' || root.value === 'Game') {
+        value = { node: scope.game };
+    } else if (root.value === 'workspace' || root.value === 'Workspace') {
+        const workspace = childNamed(scope.game, 'Workspace');
+        value = workspace ? { node: workspace } : { reason: 'Workspace is not synced' };
+    } else {
+        return { reason: `unknown variable "${root.value}"` };
+    }
+
+    for (const step of steps) {
+        if (!value.node) return value;
+        const node = value.node;
+
+        if (step.type === 'index') {
+            if (step.name === 'Parent') {
+                value = node === scope.game ? { reason: 'game has no Parent' } : { node: scope.parents.get(node) };
+                continue;
+            }
+            const child = childNamed(node, step.name);
+            value = child ? { node: child } : { reason: `no "${step.name}" in ${describe(node)}` };
+            continue;
+        }
+
+        const name = step.args[0];
+        switch (step.method) {
+            case 'GetService':
+            case 'FindService':
+            case 'WaitForChild':
+            case 'FindFirstChild': {
+                if (typeof name !== 'string') return { reason: `${step.method} without a literal name` };
+                const child = childNamed(node, name);
+                value = child ? { node: child } : { reason: `no "${name}" in ${describe(node)}` };
+                break;
+            }
+            case 'FindFirstAncestor': {
+                let current = scope.parents.get(node);
+                while (current && current !== scope.game && current.name !== name) current = scope.parents.get(current);
+                if (current === scope.game) current = null;
+                value = current ? { node: current } : { reason: `no ancestor "${name}" of ${describe(node)}` };
+                break;
+            }
+            default:
+                return { reason: `can't follow :${step.method}()` };
+        }
+    }
+
+    return value;
+}
+
+// Luau require-by-string: "./Sibling", "../Uncle", "@self/Child", "@game/Service/Child"
+function resolveStringRequire(text, scope) {
+    const parts = text.split('/').filter(part => part !== '');
+    let node;
+    if (parts[0] === '@self') {
+        node = scope.script;
+        parts.shift();
+    } else if (parts[0] === '@game') {
+        node = scope.game;
+        parts.shift();
+    } else if (parts[0] === '.' || parts[0] === '..') {
+        node = scope.parents.get(scope.script);
+    } else {
+        return { reason: `unsupported require path "${text}"` };
+    }
+
+    for (const part of parts) {
+        if (part === '.') continue;
+        if (part === '..') {
+            if (node === scope.game) return { reason: `"${text}" goes above game` };
+            node = scope.parents.get(node);
+            continue;
+        }
+        const child = childNamed(node, part.replace(/\.luau?$/, ''));
+        if (!child) return { reason: `no "${part}" in ${describe(node)}` };
+        node = child;
+    }
+    return { node };
+}
+
+// ============================================
+// ANALYSIS
+// ============================================
+
+/**
+ * Find the requires in one script. Returns `{ requires, unresolved }` where
+ * requires are `{ target, line, expression }` and unresolved entries carry a
+ * `reason`. `game` is the root node (its children are the synced services)
+ * and `parents` maps every node to its parent.
+ */
+function analyzeScript(source, script, { game, parents }) {
+    const tokens = tokenize(source);
+    const lineStarts = [0];
+    for (let i = 0; i < source.length; i++) {
+        if (source[i] === '\n') lineStarts.push(i + 1);
+    }
+
+    const scope = { game, script, parents, aliases: new Map() };
+    const requires = [];
+    const unresolved = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const previous = tokens[i - 1];
+        if (token.type !== 'name' || isOp(previous, '.') || isOp(previous, ':')) continue;
+
+        const declaration = declarationAt(tokens, i);
+        if (declaration) {
+            trackAlias(declaration.name, tokens, declaration.start, scope);
+            continue;
+        }
+
+        if (token.value !== 'require') continue;
+
+        let expr = null;
+        let exprStart;
+        let exprEnd;
+        const next = tokens[i + 1];
+        if (isOp(next, '(')) {
+            expr = parsePath(tokens, i + 2);
+            exprStart = next.end;
+            if (expr && !isOp(tokens[expr.end], ')')) expr = null;
+            exprEnd = expr ? tokens[expr.end].start : closingParen(tokens, i + 1);
+        } else if (next && next.type === 'string') {
+            // require "path"
+            expr = { root: { type: 'string', value: next.value }, steps: [] };
+            exprStart = next.start;
+            exprEnd = next.end;
+        } else {
+            continue;
+        }
+
+        const line = lineAt(lineStarts, token.start);
+        const expression = source.slice(exprStart, exprEnd).replace(/\s+/g, ' ').trim();
+        const result = expr ? evaluatePath(expr, scope) : { reason: 'dynamic require' };
+        if (result.node && result.node !== game) {
+            requires.push({ target: result.node, line, expression });
+        } else {
+            unresolved.push({ line, expression, reason: result.reason || 'requires game itself' });
+        }
+    }
+
+    return { requires, unresolved };
+}
+
+/**
+ * `local Name = <expr>` or `Name = <expr>` (optionally `local Name: Type = ...`)
+ * at token `i`: `{ name, start }` where `start` is the first expression token,
+ * or null.
+ */
+function declarationAt(tokens, i) {
+    const token = tokens[i];
+    if (token.value === 'local' && tokens[i + 1] && tokens[i + 1].type === 'name') {
+        let j = i + 2;
+        if (isOp(tokens[j], ':') && tokens[j + 1] && tokens[j + 1].type === 'name') j += 2;
+        return isOp(tokens[j], '=') ? { name: tokens[i + 1].value, start: j + 1 } : null;
+    }
+    if (isOp(tokens[i + 1], '=') && !KEYWORDS.has(token.value) && token.value !== 'require') {
+        return { name: token.value, start: i + 2 };
+    }
+    return null;
+}
+
+function trackAlias(name, tokens, start, scope) {
+    const expr = parsePath(tokens, start);
+    // Only plain paths: `local X = Foo.Bar + 1` or a call result is not an instance
+    if (expr && expr.root.type === 'name' && !isOp(tokens[expr.end], '(')) {
+        const value = evaluatePath(expr, scope);
+        if (value.node) {
+            scope.aliases.set(name, value);
+            return;
+        }
+    }
+    scope.aliases.delete(name);
+}
+
+function closingParen(tokens, open) {
+    let depth = 0;
+    for (let i = open; i < tokens.length; i++) {
+        if (isOp(tokens[i], '(')) depth++;
+        else if (isOp(tokens[i], ')') && --depth === 0) return tokens[i].start;
+    }
+    return tokens.length > 0 ? tokens[tokens.length - 1].end : 0;
+}
+
+/**
+ * `game` and the parent of every node for a synced tree. `game` is a stand-in
+ * whose children are the synced services; `byPath` maps instance paths to nodes.
+ */
+function indexTree(tree) {
+    const game = { name: 'game', className: 'DataModel', path: '', children: tree.containers || [] };
+    const parents = new Map();
+    const byPath = new Map();
+
+    const walk = (node, parent) => {
+        parents.set(node, parent);
+        if (node.path && !byPath.has(node.path)) byPath.set(node.path, node);
+        (node.children || []).forEach(child => walk(child, node));
+    };
+    game.children.forEach(container => walk(container, game));
+    return { game, parents, byPath };
+}
+
+// ============================================
+// GRAPH
+// ============================================
+
+class DependencyGraph {
+    constructor() {
+        // path -> { path, className, dependencies: [edge], dependents: [edge] }
+        this.modules = new Map();
+        this.unresolved = [];
+        this.analyzed = 0;
+        this.missingSources = 0;
+    }
+
+    /**
+     * Build the graph for a tree and a SourceStore (or anything with `get(path)`).
+     * Scripts whose source isn't mirrored count towards `missingSources`.
+     */
+    static build(tree, sources) {
+        const graph = new DependencyGraph();
+        const { game, parents } = indexTree(tree);
+        const scripts = [...parents.keys()].filter(node => /Script$/.test(node.className));
+
+        scripts.forEach(script => {
+            const entry = sources.get(script.path);
+            if (!entry) {
+                graph.missingSources++;
+                return;
+            }
+            graph.analyzed++;
+            const { requires, unresolved } = analyzeScript(entry.source, script, { game, parents });
+            requires.forEach(({ target, line, expression }) => {
+                graph.addEdge(script, target, line, expression);
+            });
+            unresolved.forEach(item => graph.unresolved.push({ from: script.path, ...item }));
+        });
+
+        return graph;
+    }
+
+    module(node) {
+        if (!this.modules.has(node.path)) {
+            this.modules.set(node.path, { path: node.path, className: node.className, dependencies: [], dependents: [] });
+        }
+        return this.modules.get(node.path);
+    }
+
+    addEdge(from, to, line, expression) {
+        const edge = { from: from.path, to: to.path, line, expression };
+        this.module(from).dependencies.push(edge);
+        this.module(to).dependents.push(edge);
+    }
+
+    /**
+     * Modules `path` requires (direction 'dependencies') or that require it
+     * ('dependents'). With `transitive`, follows edges breadth-first and
+     * reports the depth each module was first reached at.
+     */
+    walk(path, direction, { transitive = false, maxDepth = Infinity } = {}) {
+        const results = [];
+        const seen = new Set([path]);
+        let frontier = [path];
+        let depth = 1;
+
+        while (frontier.length > 0 && depth <= maxDepth) {
+            const next = [];
+            frontier.forEach(current => {
+                const module = this.modules.get(current);
+                if (!module) return;
+                module[direction].forEach(edge => {
+                    const other = direction === 'dependencies' ? edge.to : edge.from;
+                    if (seen.has(other)) return;
+                    seen.add(other);
+                    const className = this.modules.get(other).className;
+                    results.push({ path: other, className, depth, via: current, line: edge.line, expression: edge.expression, from: edge.from });
+                    next.push(other);
+                });
+            });
+            if (!transitive) break;
+            frontier = next;
+            depth++;
+        }
+
+        return results;
+    }
+
+    /**
+     * Require cycles (strongly connected components with more than one module,
+     * or a module requiring itself), each as a list of paths.
+     */
+    findCycles() {
+        const index = new Map();
+        const low = new Map();
+        const stack = [];
+        const onStack = new Set();
+        const cycles = [];
+        let counter = 0;
+
+        const visit = (path) => {
+            index.set(path, counter);
+            low.set(path, counter);
+            counter++;
+            stack.push(path);
+            onStack.add(path);
+
+            this.modules.get(path).dependencies.forEach(({ to }) => {
+                if (!index.has(to)) {
+                    visit(to);
+                    low.set(path, Math.min(low.get(path), low.get(to)));
+                } else if (onStack.has(to)) {
+                    low.set(path, Math.min(low.get(path), index.get(to)));
+                }
+            });
+
+            if (low.get(path) === index.get(path)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== path);
+
+                const selfLoop = component.length === 1 && this.modules.get(path).dependencies.some(edge => edge.to === path);
+                if (component.length > 1 || selfLoop) cycles.push(component.reverse());
+            }
+        };
+
+        [...this.modules.keys()].forEach(path => {
+            if (!index.has(path)) visit(path);
+        });
+        return cycles;
+    }
+
+    cyclesThrough(path) {
+        return this.findCycles().filter(cycle => cycle.includes(path));
+    }
+}
+
+module.exports = {
+    DependencyGraph, analyzeScript, tokenize, parsePath, evaluatePath, declarationAt, trackAlias, indexTree, isOp, KEYWORDS
+};
@@ -0,0 +1,88 @@
+// ============================================
+// EVENT STREAM (Server-Sent Events)
+// ============================================
+//
+// GET /events pushes what happens on the server (tree changes, sessions
+// connecting/disconnecting, sync errors) so clients don't have to poll.
+// In-process listeners (the tree views, the MCP endpoint) get the same events.
+
+// Comment line sent to idle streams so proxies and clients don't time out
+const KEEPALIVE_INTERVAL = 15000;
+// Events kept for clients that reconnect with Last-Event-ID
+const REPLAY_BUFFER = 100;
+
+class EventHub {
+    constructor() {
+        this.clients = new Set();
+        this.nextId = 1;
+        this.recent = [];
+        this.keepAliveTimer = null;
+        this.onEvent = null;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Attach an HTTP response as an event stream. `hello` is sent first so the
+     * client starts from a known state.
+     */
+    attach(req, res, hello) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write('retry: 3000\n\n');
+
+        // Replay what a reconnecting client missed, when we still have it
+        const lastId = parseInt(req.headers['last-event-id']);
+        if (lastId) {
+            this.recent.filter(event => event.id > lastId).forEach(event => res.write(event.frame));
+        }
+        res.write(this.frame(0, 'hello', hello));
+
+        this.clients.add(res);
+        req.on('close', () => this.clients.delete(res));
+
+        if (!this.keepAliveTimer) {
+            this.keepAliveTimer = setInterval(() => {
+                this.clients.forEach(client => client.write(': keepalive\n\n'));
+            }, KEEPALIVE_INTERVAL);
+        }
+    }
+
+    frame(id, type, data) {
+        return (id ? `id: ${id}\n` : '') + `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    }
+
+    /**
+     * Listen in-process next to `onEvent` (used by the MCP endpoint). Returns
+     * a function that removes the listener.
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Send an event to every stream client and the in-process listeners.
+     */
+    broadcast(type, data) {
+        const id = this.nextId++;
+        const frame = this.frame(id, type, data);
+        this.recent.push({ id, frame });
+        if (this.recent.length > REPLAY_BUFFER) this.recent.shift();
+
+        this.clients.forEach(client => client.write(frame));
+        if (this.onEvent) this.onEvent(type, data);
+        this.listeners.forEach(listener => listener(type, data));
+    }
+
+    close() {
+        clearInterval(this.keepAliveTimer);
+        this.keepAliveTimer = null;
+        this.clients.forEach(client => client.end());
+        this.clients.clear();
+    }
+}
+
+module.exports = { EventHub };
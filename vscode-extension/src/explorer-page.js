@@ -0,0 +1,513 @@
+// ============================================
+// EXPLORER PAGE
+// ============================================
+//
+// Interactive tree explorer served at `/` and shown in the VS Code
+// "Roblox Explorer" webview. The page is the same in both places; only the
+// transport differs:
+//
+//   http     fetch() against the embedded server, live updates over /events
+//   webview  postMessage requests answered by the extension, which also
+//            forwards server events
+//
+// Rows are virtualized (only the visible slice is in the DOM), so places
+// with tens of thousands of instances stay responsive.
+
+const { CLASS_ICONS, DEFAULT_ICON } = require('./class-icons');
+
+// Runs in the page. Serialized with toString(), so it must not use anything
+// from this module's scope.
+function explorerClient(config) {
+    const ROW_HEIGHT = 22;
+    const OVERSCAN = 10;
+
+    const $ = id => document.getElementById(id);
+    const escapeHtml = text => String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+    // ---- Transport ----
+
+    function httpTransport() {
+        const headers = { 'X-Pairing-Token': config.token };
+        const get = async (path) => {
+            const res = await fetch(path, { headers });
+            const body = await res.json();
+            if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+            return body;
+        };
+        const withSession = (path, session) => session ? `${path}${path.includes('?') ? '&' : '?'}session=${encodeURIComponent(session)}` : path;
+        return {
+            tree: session => get(withSession('/tree', session)),
+            status: session => get(withSession('/status', session)),
+            search: (session, query) => get(withSession(`/search?limit=5000&q=${encodeURIComponent(query)}`, session)),
+            subscribe(onEvent, onError) {
+                const events = new EventSource('/events?token=' + encodeURIComponent(config.token));
+                ['hello', 'tree-changed', 'session-connected', 'session-disconnected', 'session-removed', 'sync-error']
+                    .forEach(type => events.addEventListener(type, e => onEvent(type, JSON.parse(e.data))));
+                events.onerror = onError;
+            },
+            action: null
+        };
+    }
+
+    function webviewTransport() {
+        const vscode = acquireVsCodeApi();
+        const pending = new Map();
+        let nextId = 1;
+        let eventHandler = () => {};
+        window.addEventListener('message', ({ data }) => {
+            if (data.type === 'response' && pending.has(data.id)) {
+                const { resolve, reject } = pending.get(data.id);
+                pending.delete(data.id);
+                if (data.error) reject(new Error(data.error));
+                else resolve(data.result);
+            } else if (data.type === 'event') {
+                eventHandler(data.event, data.data);
+            }
+        });
+        const request = (method, params) => new Promise((resolve, reject) => {
+            const id = nextId++;
+            pending.set(id, { resolve, reject });
+            vscode.postMessage({ type: 'request', id, method, params });
+        });
+        return {
+            tree: session => request('tree', { session }),
+            status: session => request('status', { session }),
+            search: (session, query) => request('search', { session, query }),
+            subscribe(onEvent) {
+                eventHandler = onEvent;
+            },
+            action: (name, params) => vscode.postMessage({ type: 'action', name, params })
+        };
+    }
+
+    const transport = config.transport === 'webview' ? webviewTransport() : httpTransport();
+
+    // ---- State ----
+
+    const state = {
+        session: null,
+        status: null,
+        tree: null,
+        byPath: new Map(),
+        parents: new Map(),
+        depths: new Map(),
+        expanded: new Set(),
+        selected: null,
+        filter: null,
+        rows: [],
+        eventsDown: false
+    };
+
+    function index(tree) {
+        state.byPath = new Map();
+        state.parents = new Map();
+        state.depths = new Map();
+        const walk = (node, parent, depth) => {
+            state.byPath.set(node.path, node);
+            state.parents.set(node, parent);
+            state.depths.set(node, depth);
+            (node.children || []).forEach(child => walk(child, node, depth + 1));
+        };
+        (tree.containers || []).forEach(container => walk(container, null, 0));
+    }
+
+    function ancestors(node) {
+        const chain = [];
+        let current = node;
+        while (current) {
+            chain.unshift(current);
+            current = state.parents.get(current);
+        }
+        return chain;
+    }
+
+    function computeRows() {
+        const rows = [];
+        const filter = state.filter;
+        const visit = (node) => {
+            if (filter && !filter.visible.has(node.path)) return;
+            rows.push(node);
+            const open = filter ? true : state.expanded.has(node.path);
+            if (open) (node.children || []).forEach(visit);
+        };
+        ((state.tree && state.tree.containers) || []).forEach(visit);
+        state.rows = rows;
+        $('spacer').style.height = `${rows.length * ROW_HEIGHT}px`;
+        renderRows();
+    }
+
+    // ---- Rendering ----
+
+    let frame = null;
+    function renderRows() {
+        if (frame) return;
+        frame = requestAnimationFrame(() => {
+            frame = null;
+            const viewport = $('viewport');
+            const first = Math.max(0, Math.floor(viewport.scrollTop / ROW_HEIGHT) - OVERSCAN);
+            const count = Math.ceil(viewport.clientHeight / ROW_HEIGHT) + OVERSCAN * 2;
+            const slice = state.rows.slice(first, first + count);
+
+            $('rows').style.transform = `translateY(${first * ROW_HEIGHT}px)`;
+            $('rows').innerHTML = slice.map((node, i) => {
+                const hasChildren = node.children && node.children.length > 0;
+                const open = state.filter ? true : state.expanded.has(node.path);
+                const icon = config.icons[node.icon] || config.defaultIcon;
+                const matched = state.filter && state.filter.matched.has(node.path);
+                const extra = node.lineCount ? `${node.lineCount} lines` : node.childCount ? `${node.childCount} items` : '';
+                return `<div class="row${node.path === state.selected ? ' selected' : ''}${matched ? ' matched' : ''}" data-index="${first + i}"` +
+                    ` style="padding-left:${state.depths.get(node) * 16 + 4}px">` +
+                    `<span class="twisty">${hasChildren ? (open ? '▾' : '▸') : ''}</span>` +
+                    `<span class="icon" style="color:${icon.color}">${icon.glyph}</span>` +
+                    `<span class="name">${escapeHtml(node.name)}</span>` +
+                    `<span class="class">${escapeHtml(node.className)}</span>` +
+                    (extra ? `<span class="extra">${extra}</span>` : '') +
+                    (node.tags && node.tags.length ? `<span class="tags">${node.tags.map(escapeHtml).join(' ')}</span>` : '') +
+                    `</div>`;
+            }).join('');
+        });
+    }
+
+    function renderDetails() {
+        const node = state.selected ? state.byPath.get(state.selected) : null;
+        $('breadcrumbs').innerHTML = node
+            ? ancestors(node).map(item => `<a href="#" data-path="${escapeHtml(item.path)}">${escapeHtml(item.name)}</a>`).join('<span class="sep">›</span>')
+            : '';
+
+        if (!node) {
+            $('details').innerHTML = '<p class="muted">Select an instance to see its details.</p>';
+            return;
+        }
+
+        const rows = [
+            ['Class', node.className],
+            ['Path', node.path],
+            node.lineCount ? ['Lines', node.lineCount] : null,
+            ['Children', node.children && node.children.length ? node.children.length : (node.childCount || 0)],
+            node.tags && node.tags.length ? ['Tags', node.tags.join(', ')] : null
+        ].filter(Boolean);
+
+        const table = (title, values) => !values || Object.keys(values).length === 0 ? '' :
+            `<h3>${title}</h3><table>${Object.keys(values).sort().map(key =>
+                `<tr><td>${escapeHtml(key)}</td><td>${escapeHtml(JSON.stringify(values[key]))}</td></tr>`).join('')}</table>`;
+
+        const isScript = /Script$/.test(node.className);
+        const actions = [`<button data-action="copy">Copy Path</button>`];
+        if (transport.action && isScript) {
+            actions.push(`<button data-action="open">Open Script</button>`);
+            actions.push(`<button data-action="dependencies">Dependencies</button>`);
+        }
+
+        $('details').innerHTML =
+            `<h2><span style="color:${(config.icons[node.icon] || config.defaultIcon).color}">${(config.icons[node.icon] || config.defaultIcon).glyph}</span> ${escapeHtml(node.name)}</h2>` +
+            `<table>${rows.map(([key, value]) => `<tr><td>${key}</td><td>${escapeHtml(value)}</td></tr>`).join('')}</table>` +
+            table('Attributes', node.attributes) +
+            table('Properties', node.properties) +
+            `<div class="actions">${actions.join('')}</div>`;
+    }
+
+    const formatBytes = bytes => bytes >= 1048576 ? `${(bytes / 1048576).toFixed(1)} MB` : bytes >= 1024 ? `${Math.round(bytes / 1024)} KB` : `${bytes} B`;
+    const formatAgo = time => {
+        const seconds = Math.round((Date.now() - time) / 1000);
+        if (seconds < 60) return `${seconds}s ago`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+        return new Date(time).toLocaleTimeString();
+    };
+
+    function renderHealth() {
+        const status = state.status;
+        if (!status) return;
+        const sessions = status.sessions || [];
+        const current = sessions.find(session => session.id === status.session);
+
+        $('sessions').innerHTML = sessions.map(session =>
+            `<option value="${escapeHtml(session.id)}"${session.id === status.session ? ' selected' : ''}>` +
+            `${escapeHtml(session.label)}${session.connected ? '' : ' (not syncing)'}</option>`).join('');
+        $('sessions').style.display = sessions.length > 1 ? '' : 'none';
+
+        const parts = [];
+        if (state.eventsDown) {
+            parts.push('<span class="bad">● Lost connection to VS Code, retrying...</span>');
+        } else if (!current) {
+            parts.push('<span class="bad">● Waiting for Roblox Studio...</span>');
+        } else {
+            parts.push(current.connected
+                ? `<span class="good">● Connected</span> ${escapeHtml(current.label)}`
+                : `<span class="bad">● Not syncing</span> ${escapeHtml(current.label)}`);
+            parts.push(`last seen ${formatAgo(current.lastSeen)}`);
+            if (current.lastSync) {
+                const sync = current.lastSync;
+                parts.push(`last change ${formatAgo(sync.time)} (${sync.type}${sync.ops !== undefined ? `, ${sync.ops} ops` : ''}, ${formatBytes(sync.bytes)})`);
+            }
+            parts.push(`${current.nodes.toLocaleString()} instances`);
+            parts.push(`${current.scripts.toLocaleString()} sources mirrored`);
+        }
+        if (sessions.length > 1) parts.push(`${sessions.length} sessions`);
+        $('health').innerHTML = parts.join(' · ');
+    }
+
+    // ---- Data ----
+
+    async function loadStatus() {
+        try {
+            state.status = await transport.status(state.session);
+        } catch (e) {
+            state.status = null;
+            $('health').innerHTML = `<span class="bad">● ${escapeHtml(e.message)}</span>`;
+        }
+        renderHealth();
+    }
+
+    async function loadTree() {
+        const tree = await transport.tree(state.session);
+        const first = !state.tree || (state.tree.containers || []).length === 0;
+        state.tree = tree;
+        index(tree);
+        // Services start expanded
+        if (first) (tree.containers || []).forEach(container => state.expanded.add(container.path));
+        if (state.selected && !state.byPath.has(state.selected)) state.selected = null;
+        if (state.filter) await applyFilter($('filter').value);
+        computeRows();
+        renderDetails();
+    }
+
+    async function applyFilter(query) {
+        $('filter-error').textContent = '';
+        if (!query.trim()) {
+            state.filter = null;
+            $('filter-count').textContent = '';
+            computeRows();
+            return;
+        }
+        try {
+            const { results, total, truncated } = await transport.search(state.session, query);
+            const matched = new Set(results.map(result => result.path));
+            const visible = new Set();
+            matched.forEach(path => {
+                const node = state.byPath.get(path);
+                if (node) ancestors(node).forEach(item => visible.add(item.path));
+            });
+            state.filter = { matched, visible };
+            $('filter-count').textContent = `${total} match${total === 1 ? '' : 'es'}${truncated ? ` (showing ${results.length})` : ''}`;
+        } catch (e) {
+            $('filter-error').textContent = e.message;
+            return;
+        }
+        $('viewport').scrollTop = 0;
+        computeRows();
+    }
+
+    let refreshTimer = null;
+    function scheduleRefresh() {
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(() => {
+            loadStatus();
+            loadTree().catch(() => {});
+        }, 300);
+    }
+
+    // ---- Interaction ----
+
+    function select(path, reveal) {
+        state.selected = path;
+        const node = state.byPath.get(path);
+        if (reveal && node) {
+            ancestors(node).slice(0, -1).forEach(item => state.expanded.add(item.path));
+            computeRows();
+            const index = state.rows.indexOf(node);
+            const viewport = $('viewport');
+            if (index >= 0 && (index * ROW_HEIGHT < viewport.scrollTop || (index + 1) * ROW_HEIGHT > viewport.scrollTop + viewport.clientHeight)) {
+                viewport.scrollTop = index * ROW_HEIGHT - viewport.clientHeight / 2;
+            }
+        }
+        renderRows();
+        renderDetails();
+    }
+
+    function toggle(node) {
+        if (!node.children || node.children.length === 0 || state.filter) return;
+        if (state.expanded.has(node.path)) state.expanded.delete(node.path);
+        else state.expanded.add(node.path);
+        computeRows();
+    }
+
+    $('viewport').addEventListener('scroll', renderRows);
+    window.addEventListener('resize', renderRows);
+
+    $('rows').addEventListener('click', (e) => {
+        const row = e.target.closest('.row');
+        if (!row) return;
+        const node = state.rows[parseInt(row.dataset.index)];
+        if (e.target.classList.contains('twisty')) toggle(node);
+        select(node.path, false);
+    });
+    $('rows').addEventListener('dblclick', (e) => {
+        const row = e.target.closest('.row');
+        if (!row) return;
+        const node = state.rows[parseInt(row.dataset.index)];
+        if (transport.action && /Script$/.test(node.className)) transport.action('open', { path: node.path, session: state.session });
+        else toggle(node);
+    });
+
+    $('viewport').addEventListener('keydown', (e) => {
+        const node = state.selected ? state.byPath.get(state.selected) : null;
+        const position = node ? state.rows.indexOf(node) : -1;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            const next = state.rows[Math.min(state.rows.length - 1, Math.max(0, position + (e.key === 'ArrowDown' ? 1 : -1)))];
+            if (next) select(next.path, true);
+        } else if (node && e.key === 'ArrowRight' && !state.expanded.has(node.path)) {
+            toggle(node);
+        } else if (node && e.key === 'ArrowLeft') {
+            if (state.expanded.has(node.path)) toggle(node);
+            else if (state.parents.get(node)) select(state.parents.get(node).path, true);
+        } else if (node && e.key === 'Enter') {
+            toggle(node);
+        } else {
+            return;
+        }
+        e.preventDefault();
+    });
+
+    $('breadcrumbs').addEventListener('click', (e) => {
+        const link = e.target.closest('a');
+        if (!link) return;
+        e.preventDefault();
+        select(link.dataset.path, true);
+    });
+
+    $('details').addEventListener('click', (e) => {
+        const button = e.target.closest('button');
+        if (!button || !state.selected) return;
+        const action = button.dataset.action;
+        if (action === 'copy') {
+            navigator.clipboard.writeText(state.selected);
+            button.textContent = 'Copied!';
+            setTimeout(() => { button.textContent = 'Copy Path'; }, 1500);
+        } else if (transport.action) {
+            transport.action(action, { path: state.selected, session: state.session });
+        }
+    });
+
+    let filterTimer = null;
+    $('filter').addEventListener('input', () => {
+        clearTimeout(filterTimer);
+        filterTimer = setTimeout(() => applyFilter($('filter').value), 250);
+    });
+
+    $('collapse').addEventListener('click', () => {
+        state.expanded = new Set(((state.tree && state.tree.containers) || []).map(container => container.path));
+        computeRows();
+    });
+
+    $('sessions').addEventListener('change', () => {
+        state.session = $('sessions').value;
+        state.tree = null;
+        state.selected = null;
+        scheduleRefresh();
+    });
+
+    transport.subscribe((type, data) => {
+        state.eventsDown = false;
+        if (type === 'tree-changed' && state.status && data.session !== state.status.session) return;
+        if (type === 'tree-changed' || type === 'hello' || type.startsWith('session-')) scheduleRefresh();
+    }, () => {
+        state.eventsDown = true;
+        renderHealth();
+    });
+
+    // Relative times in the health bar
+    setInterval(renderHealth, 1000);
+
+    loadStatus();
+    loadTree().catch(e => { $('health').innerHTML = `<span class="bad">● ${escapeHtml(e.message)}</span>`; });
+}
+
+/**
+ * Full HTML for the explorer. `transport` is 'http' (served at `/`, needs
+ * `token`) or 'webview' (needs `nonce` and `cspSource` for the CSP).
+ */
+function explorerHtml({ transport, token = '', nonce = '', cspSource = '' }) {
+    const config = { transport, token, icons: CLASS_ICONS, defaultIcon: DEFAULT_ICON };
+    const csp = transport === 'webview'
+        ? `<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}';">`
+        : '';
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    ${csp}
+    <title>Roblox Explorer</title>
+    <style>
+        :root {
+            --bg: var(--vscode-sideBar-background, #1e1e1e);
+            --fg: var(--vscode-foreground, #d4d4d4);
+            --muted: var(--vscode-descriptionForeground, #8b8b8b);
+            --border: var(--vscode-panel-border, #333);
+            --hover: var(--vscode-list-hoverBackground, #2a2d2e);
+            --selected: var(--vscode-list-activeSelectionBackground, #094771);
+            --input: var(--vscode-input-background, #2d2d2d);
+            --accent: var(--vscode-textLink-foreground, #569cd6);
+        }
+        * { box-sizing: border-box; }
+        html, body { height: 100%; margin: 0; }
+        body { font-family: var(--vscode-font-family, system-ui); font-size: 13px; background: var(--bg); color: var(--fg);
+            display: flex; flex-direction: column; }
+        header { padding: 8px 12px; border-bottom: 1px solid var(--border); display: flex; gap: 8px; align-items: center; flex-wrap: wrap; }
+        #health { flex: 1; color: var(--muted); }
+        .good { color: #89d185; }
+        .bad { color: #f48771; }
+        .toolbar { padding: 6px 12px; display: flex; gap: 8px; align-items: center; border-bottom: 1px solid var(--border); }
+        #filter { flex: 1; background: var(--input); color: var(--fg); border: 1px solid var(--border); padding: 4px 8px; border-radius: 3px; font-family: inherit; }
+        #filter-count, .muted { color: var(--muted); }
+        #filter-error { color: #f48771; padding: 0 12px; }
+        select, button { background: var(--input); color: var(--fg); border: 1px solid var(--border); padding: 3px 8px; border-radius: 3px; cursor: pointer; font-family: inherit; }
+        button:hover { background: var(--hover); }
+        #breadcrumbs { padding: 4px 12px; min-height: 24px; border-bottom: 1px solid var(--border); white-space: nowrap; overflow-x: auto; }
+        #breadcrumbs a { color: var(--accent); text-decoration: none; }
+        #breadcrumbs .sep { color: var(--muted); margin: 0 6px; }
+        main { flex: 1; display: flex; min-height: 0; }
+        #viewport { flex: 1; overflow: auto; position: relative; outline: none; }
+        #spacer { position: relative; }
+        #rows { position: absolute; top: 0; left: 0; right: 0; }
+        .row { height: 22px; line-height: 22px; white-space: nowrap; cursor: pointer; }
+        .row:hover { background: var(--hover); }
+        .row.selected { background: var(--selected); }
+        .row.matched .name { font-weight: bold; color: var(--accent); }
+        .twisty { display: inline-block; width: 14px; color: var(--muted); }
+        .icon { display: inline-block; width: 18px; text-align: center; }
+        .class, .extra, .tags { color: var(--muted); margin-left: 8px; font-size: 12px; }
+        .tags { font-style: italic; }
+        #details { width: 340px; border-left: 1px solid var(--border); padding: 8px 12px; overflow: auto; }
+        #details h2 { font-size: 15px; margin: 4px 0 8px; word-break: break-all; }
+        #details h3 { font-size: 12px; text-transform: uppercase; color: var(--muted); margin: 14px 0 4px; }
+        #details table { border-collapse: collapse; width: 100%; }
+        #details td { padding: 2px 4px; vertical-align: top; word-break: break-all; }
+        #details td:first-child { color: var(--muted); width: 35%; }
+        .actions { margin-top: 12px; display: flex; gap: 6px; flex-wrap: wrap; }
+    </style>
+</head>
+<body>
+    <header>
+        <div id="health">Loading...</div>
+        <select id="sessions" style="display:none"></select>
+    </header>
+    <div class="toolbar">
+        <input id="filter" placeholder="Filter: words or class:ModuleScript under:ReplicatedStorage name:*Service tag:Door attr:Health>0" spellcheck="false">
+        <span id="filter-count"></span>
+        <button id="collapse" title="Collapse all">Collapse</button>
+    </div>
+    <div id="filter-error"></div>
+    <div id="breadcrumbs"></div>
+    <main>
+        <div id="viewport" tabindex="0"><div id="spacer"><div id="rows"></div></div></div>
+        <div id="details"></div>
+    </main>
+    <script${nonce ? ` nonce="${nonce}"` : ''}>
+        (${explorerClient.toString()})(${JSON.stringify(config).replace(/</g, '\\u003c')});
+    </script>
+</body>
+</html>`;
+}
+
+module.exports = { explorerHtml };
@@ -1,202 +1,64 @@
 const vscode = require('vscode');
-const http = require('http');
-
-// ============================================
-// EMBEDDED SERVER
-// ============================================
-
-class EmbeddedServer {
-    constructor() {
-        this.server = null;
-        this.port = 21326;
-        this.currentTree = {
-            name: "Waiting for Roblox Studio...",
-            timestamp: 0,
-            containers: []
-        };
-        this.lastUpdateTime = 0;
-        this.onDataReceived = null;
-    }
-
-    start(port) {
-        return new Promise((resolve, reject) => {
-            if (this.server) {
-                resolve(true);
-                return;
-            }
-
-            this.port = port || vscode.workspace.getConfiguration('robloxDirectoryTree').get('serverPort') || 21326;
-
-            this.server = http.createServer((req, res) => this.handleRequest(req, res));
-
-            this.server.on('error', (err) => {
-                if (err.code === 'EADDRINUSE') {
-                    reject(new Error(`Port ${this.port} is already in use`));
-                } else {
-                    reject(err);
-                }
-            });
-
-            this.server.listen(this.port, () => {
-                console.log(`Server started on port ${this.port}`);
-                resolve(true);
-            });
-        });
-    }
-
-    stop() {
-        return new Promise((resolve) => {
-            if (this.server) {
-                this.server.close(() => {
-                    this.server = null;
-                    resolve(true);
-                });
-            } else {
-                resolve(true);
-            }
-        });
-    }
-
-    isRunning() {
-        return this.server !== null;
-    }
-
-    handleRequest(req, res) {
-        const url = new URL(req.url, `http://localhost:${this.port}`);
-        const pathname = url.pathname;
-
-        // CORS headers
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-        if (req.method === 'OPTIONS') {
-            res.writeHead(204);
-            res.end();
-            return;
-        }
-
-        // Routes
-        if (pathname === '/ping' && req.method === 'GET') {
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ status: 'ok', server: 'LiveDirectoryTree-VSCode', version: '1.0.0' }));
-            return;
-        }
-
-        if (pathname === '/sync' && req.method === 'POST') {
-            let body = '';
-            req.on('data', chunk => body += chunk);
-            req.on('end', () => {
-                try {
-                    this.currentTree = JSON.parse(body);
-                    this.lastUpdateTime = Date.now();
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ status: 'ok', received: true }));
-
-                    // Notify that we got new data
-                    if (this.onDataReceived) {
-                        this.onDataReceived(this.currentTree);
-                    }
-                } catch (e) {
-                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Invalid JSON' }));
-                }
-            });
-            return;
-        }
-
-        if (pathname === '/tree' && req.method === 'GET') {
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(this.currentTree));
-            return;
-        }
-
-        if (pathname === '/status' && req.method === 'GET') {
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({
-                connected: Date.now() - this.lastUpdateTime < 30000,
-                lastUpdate: this.lastUpdateTime,
-                gameName: this.currentTree.name
-            }));
-            return;
-        }
-
-        // Simple web UI
-        if (pathname === '/' && req.method === 'GET') {
-            res.writeHead(200, { 'Content-Type': 'text/html' });
-            res.end(this.getDebugHTML());
-            return;
-        }
-
-        res.writeHead(404);
-        res.end('Not found');
-    }
-
-    getDebugHTML() {
-        return `<!DOCTYPE html>
-<html>
-<head>
-    <title>Live Directory Tree</title>
-    <style>
-        body { font-family: system-ui; background: #1e1e1e; color: #d4d4d4; padding: 20px; }
-        h1 { color: #569cd6; }
-        .status { padding: 8px 16px; border-radius: 4px; display: inline-block; margin: 10px 0; }
-        .connected { background: #2d5a2d; color: #90EE90; }
-        .disconnected { background: #5a2d2d; color: #ff9090; }
-        pre { background: #2d2d2d; padding: 15px; border-radius: 6px; overflow: auto; max-height: 70vh; }
-        button { background: #0e639c; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; margin-right: 10px; }
-        button:hover { background: #1177bb; }
-    </style>
-</head>
-<body>
-    <h1>🌲 Live Directory Tree Server</h1>
-    <p>Running inside VS Code on port ${this.port}</p>
-    <div id="status" class="status disconnected">Checking...</div>
-    <p><button onclick="copyTree()">Copy Tree</button></p>
-    <pre id="tree">Loading...</pre>
-    <script>
-        async function refresh() {
-            try {
-                const status = await (await fetch('/status')).json();
-                const statusEl = document.getElementById('status');
-                statusEl.className = 'status ' + (status.connected ? 'connected' : 'disconnected');
-                statusEl.textContent = status.connected ? '✓ Connected: ' + status.gameName : '✗ Waiting for Roblox Studio...';
-                
-                const tree = await (await fetch('/tree')).json();
-                document.getElementById('tree').textContent = JSON.stringify(tree, null, 2);
-            } catch(e) {
-                document.getElementById('status').textContent = 'Error: ' + e.message;
-            }
-        }
-        async function copyTree() {
-            const tree = document.getElementById('tree').textContent;
-            await navigator.clipboard.writeText(tree);
-            alert('Copied!');
-        }
-        refresh();
-        setInterval(refresh, 2000);
-    </script>
-</body>
-</html>`;
-    }
-
-    getTree() {
-        return this.currentTree;
-    }
-}
+const fs = require('fs');
+const path = require('path');
+const { EmbeddedServer } = require('./server');
+const { describeCommand } = require('./command-queue');
+const { describeDrift, DRIFT_KINDS } = require('./rojo-drift');
+const { isEmptyDiff, treeToListing } = require('./tree-history');
+const { generateToken } = require('./pairing');
+const { compileQuery } = require('./tree-query');
+const { exportTree, estimateTokens } = require('./tree-export');
+const { describeAge } = require('./place-cache');
+const { iconFor } = require('./class-icons');
+const { explorerHtml } = require('./explorer-page');
+const { completionAt, instanceAt, findMissingChildren } = require('./instance-paths');
+const { parseLocations } = require('./output-log');
+const { KEYWORDS } = require('./dependency-graph');
 
 // ============================================
 // TREE VIEW PROVIDER
 // ============================================
 
 class RobloxTreeItem extends vscode.TreeItem {
-    constructor(node, collapsibleState) {
+    constructor(node, collapsibleState, rojoNode = null, sessionId = null) {
         super(node.name, collapsibleState);
         this.node = node;
+        this.sessionId = sessionId;
+        // Stable across refreshes so reveal() and the expansion state find the same item
+        this.id = RobloxTreeItem.idFor(sessionId, node);
+        this.filePath = rojoNode ? rojoNode.filePath : null;
         this.tooltip = `${node.path || node.name}\nClass: ${node.className}`;
+        if (this.filePath) this.tooltip += `\nFile: ${vscode.workspace.asRelativePath(this.filePath)}`;
+        if (node.tags && node.tags.length > 0) this.tooltip += `\nTags: ${node.tags.join(', ')}`;
+        this.tooltip += RobloxTreeItem.valueLines('Attributes', node.attributes);
+        this.tooltip += RobloxTreeItem.valueLines('Properties', node.properties);
         this.description = this.getDescription();
         this.iconPath = this.getIcon();
-        this.contextValue = 'robloxItem';
+        this.contextValue = (RobloxTreeItem.isScript(node) ? 'robloxScript' : 'robloxItem') + (this.filePath ? '.rojo' : '');
+
+        // Scripts open their Rojo file (or the mirrored source); mapped files like
+        // .model.json open too. Directories keep the default expand-on-click.
+        if (RobloxTreeItem.isScript(node) || (rojoNode && rojoNode.filePath && !rojoNode.isDirectory)) {
+            this.command = {
+                command: 'robloxDirectoryTree.openScript',
+                title: 'Open',
+                arguments: [this]
+            };
+        }
+    }
+
+    static idFor(sessionId, node) {
+        return `${sessionId || ''}/${node.id || node.path}`;
+    }
+
+    static valueLines(title, values) {
+        if (!values || Object.keys(values).length === 0) return '';
+        const lines = Object.keys(values).sort().map(key => `\n  ${key} = ${JSON.stringify(values[key])}`);
+        return `\n${title}:${lines.join('')}`;
+    }
+
+    static isScript(node) {
+        return ['Script', 'LocalScript', 'ModuleScript'].includes(node.className);
     }
 
     getDescription() {
@@ -206,35 +68,51 @@ class RobloxTreeItem extends vscode.TreeItem {
     }
 
     getIcon() {
-        const icons = {
-            'module': 'symbol-module',
-            'script': 'file-code',
-            'localscript': 'device-desktop',
-            'folder': 'folder',
-            'service': 'package',
-            'remoteevent': 'broadcast',
-            'remotefunction': 'call-outgoing',
-            'bindableevent': 'pulse',
-            'bindablefunction': 'call-incoming',
-            'screengui': 'browser',
-            'frame': 'layout',
-            'textlabel': 'text-size',
-            'textbutton': 'inspect',
-            'model': 'symbol-structure',
-            'tool': 'tools',
-            'sound': 'unmute',
-        };
-        const iconName = icons[this.node.icon] || 'circle-outline';
-        return new vscode.ThemeIcon(iconName);
+        return RobloxTreeItem.themeIcon(this.node);
+    }
+
+    static themeIcon(node) {
+        return new vscode.ThemeIcon(iconFor(node.icon).codicon);
+    }
+}
+
+// Root item per Studio session when more than one is syncing
+class RobloxSessionItem extends vscode.TreeItem {
+    constructor(session) {
+        super(session.label, vscode.TreeItemCollapsibleState.Expanded);
+        this.session = session;
+        this.sessionId = session.id;
+        this.id = session.id;
+        const stale = session.staleness();
+        if (session.offline) {
+            this.description = `${session.offline.source === 'import' ? 'imported' : 'offline'} · ${describeAge(stale.since)} old`;
+        } else {
+            this.description = stale ? 'not syncing' : (session.placeId ? `Place ${session.placeId}` : '');
+        }
+        this.tooltip = `Session ${session.id}\nPlace: ${session.placeId || 'unpublished'}\nUser: ${session.user || 'unknown'}` +
+            `\nLast sync: ${new Date(stale ? stale.since : session.lastSeen).toLocaleString()}`;
+        this.iconPath = new vscode.ThemeIcon(session.offline ? 'history' : stale ? 'vm-outline' : 'vm-running');
+        this.contextValue = 'robloxSession';
     }
 }
 
+function filterKey(sessionId, path) {
+    return `${sessionId}\u0000${path}`;
+}
+
+// Server events that change what the tree view shows
+const TREE_REFRESH_EVENTS = new Set(['tree-changed', 'session-connected', 'session-disconnected', 'session-removed']);
+
 class RobloxDirectoryTreeProvider {
     constructor(server) {
         this._onDidChangeTreeData = new vscode.EventEmitter();
         this.onDidChangeTreeData = this._onDidChangeTreeData.event;
         this.server = server;
-        this.refreshInterval = null;
+        this.refreshTimer = null;
+        this.filter = null;
+        this.filterMessage = null;
+        this.view = null;
+        this.revealedId = null;
 
         // Status bar
         this.statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
@@ -242,18 +120,35 @@ class RobloxDirectoryTreeProvider {
         this.updateStatusBar();
         this.statusBarItem.show();
 
-        // Listen for server data
-        this.server.onDataReceived = () => {
-            this.refresh();
-        };
+        // Keep the age shown for offline trees current
+        this.ageTimer = setInterval(() => {
+            this.updateStatusBar();
+            this.updateMessage();
+        }, 30000);
     }
 
     updateStatusBar() {
+        const session = this.server.getSession();
         const tree = this.server.getTree();
         const hasData = tree.containers && tree.containers.length > 0;
+        const sessionCount = this.server.sessions.size;
+
+        const stale = hasData ? session.staleness() : null;
+        this.statusBarItem.tooltip = stale
+            ? `Showing the tree from ${new Date(stale.since).toLocaleString()}${session.offline && session.offline.source === 'import' ? ' (imported snapshot)' : ''}. Connect Studio for live data.`
+            : undefined;
 
         if (this.server.isRunning()) {
-            if (hasData) {
+            if (stale && session.offline) {
+                this.statusBarItem.text = `$(history) Roblox: ${tree.name || 'Studio'} (offline, ${describeAge(stale.since)} old)`;
+                this.statusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
+            } else if (stale) {
+                this.statusBarItem.text = `$(debug-disconnect) Roblox: ${tree.name || 'Studio'} disconnected ${describeAge(stale.since)} ago`;
+                this.statusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
+            } else if (hasData && sessionCount > 1) {
+                this.statusBarItem.text = `$(check) Roblox: ${tree.name || 'Connected'} (+${sessionCount - 1} more)`;
+                this.statusBarItem.backgroundColor = undefined;
+            } else if (hasData) {
                 this.statusBarItem.text = `$(check) Roblox: ${tree.name || 'Connected'}`;
                 this.statusBarItem.backgroundColor = undefined;
             } else {
@@ -268,6 +163,7 @@ class RobloxDirectoryTreeProvider {
 
     refresh() {
         this.updateStatusBar();
+        this.updateFilter();
         this._onDidChangeTreeData.fire();
     }
 
@@ -277,6 +173,7 @@ class RobloxDirectoryTreeProvider {
 
     getChildren(element) {
         const tree = this.server.getTree();
+        const sessions = this.server.sessions.list();
 
         if (!element) {
             // Root level
@@ -287,6 +184,10 @@ class RobloxDirectoryTreeProvider {
                 return [item];
             }
 
+            if (sessions.length > 1) {
+                return sessions.map(session => new RobloxSessionItem(session));
+            }
+
             if (!tree.containers || tree.containers.length === 0) {
                 const item = new vscode.TreeItem('Waiting for Roblox Studio...');
                 item.description = 'Connect from Studio plugin';
@@ -294,151 +195,1967 @@ class RobloxDirectoryTreeProvider {
                 return [item];
             }
 
-            return tree.containers.map(container => {
-                const hasChildren = container.children && container.children.length > 0;
-                return new RobloxTreeItem(
-                    container,
-                    hasChildren ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.None
-                );
-            });
+            return this.getContainerItems(tree, sessions.length > 0 ? sessions[0].id : null);
+        }
+
+        if (element instanceof RobloxSessionItem) {
+            return this.getContainerItems(element.session.store.getTree(), element.sessionId);
         }
 
         // Children
         if (element.node && element.node.children) {
-            return element.node.children.map(child => {
-                const hasChildren = child.children && child.children.length > 0;
-                return new RobloxTreeItem(
-                    child,
-                    hasChildren ? vscode.TreeItemCollapsibleState.Collapsed : vscode.TreeItemCollapsibleState.None
-                );
-            });
+            return this.getNodeItems(element.node.children, element.sessionId, vscode.TreeItemCollapsibleState.Collapsed);
         }
 
         return [];
     }
 
-    startAutoRefresh() {
-        const config = vscode.workspace.getConfiguration('robloxDirectoryTree');
-        if (!config.get('autoRefresh')) return;
+    getContainerItems(tree, sessionId) {
+        return this.getNodeItems(tree.containers, sessionId, vscode.TreeItemCollapsibleState.Expanded);
+    }
+
+    getNodeItems(nodes, sessionId, collapsedState) {
+        const filter = this.filter;
+        const visible = filter ? nodes.filter(node => filter.visible.has(filterKey(sessionId, node.path))) : nodes;
 
-        this.stopAutoRefresh();
-        const interval = config.get('refreshInterval') || 3000;
-        this.refreshInterval = setInterval(() => this.refresh(), interval);
+        return visible.map(node => this.getNodeItem(node, sessionId, collapsedState));
     }
 
-    stopAutoRefresh() {
-        if (this.refreshInterval) {
-            clearInterval(this.refreshInterval);
-            this.refreshInterval = null;
+    getNodeItem(node, sessionId, collapsedState) {
+        const filter = this.filter;
+        const hasChildren = filter
+            ? node.children && node.children.some(child => filter.visible.has(filterKey(sessionId, child.path)))
+            : node.children && node.children.length > 0;
+        // While filtering, everything left on screen leads to a match, so expand it
+        const state = !hasChildren ? vscode.TreeItemCollapsibleState.None
+            : filter ? vscode.TreeItemCollapsibleState.Expanded : collapsedState;
+        const item = new RobloxTreeItem(node, state, this.server.rojo.getNode(node.path), sessionId);
+        if (filter) {
+            // VS Code keeps the expansion state of known ids; filtered items must start expanded
+            item.id += `?${filter.query}`;
+            if (filter.matched.has(filterKey(sessionId, node.path))) {
+                item.label = { label: node.name, highlights: [[0, node.name.length]] };
+            }
         }
+        return item;
     }
 
-    getTreeAsText() {
-        const tree = this.server.getTree();
+    // Needed by reveal(): the session item or the item of the parent node
+    getParent(element) {
+        if (!(element instanceof RobloxTreeItem)) return null;
+        const session = this.server.sessions.sessions.get(element.sessionId);
+        if (!session) return null;
+
+        const parent = element.node.id ? session.store.getParent(element.node.id) : null;
+        if (!parent) {
+            return this.server.sessions.list().length > 1 ? new RobloxSessionItem(session) : null;
+        }
+        return this.itemFor(session, parent);
+    }
+
+    // The item getChildren() gives a node: containers start expanded, the rest collapsed
+    itemFor(session, node) {
+        const isContainer = !node.id || !session.store.getParent(node.id);
+        return this.getNodeItem(node, session.id,
+            isContainer ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.Collapsed);
+    }
+
+    /**
+     * Reveal and select what is selected in Studio. Skipped while the view is
+     * hidden (reveal would open it) or when the node is filtered out.
+     */
+    revealSelection(sessionId) {
+        if (!this.view || !this.view.visible) return;
+        if (!vscode.workspace.getConfiguration('robloxDirectoryTree').get('syncSelection', true)) return;
+        const sessions = this.server.sessions.list();
+        // A single session is shown without its session item
+        if (sessions.length === 1 && sessions[0].id !== sessionId) return;
+
+        const session = this.server.sessions.sessions.get(sessionId);
+        if (!session) return;
+        const { selection } = this.server.getSelection(session);
+        const first = selection && selection.find(item => item.node);
+        if (!first) return;
+        if (this.filter && !this.filter.visible.has(filterKey(sessionId, first.node.path))) return;
+
+        const item = this.itemFor(session, first.node);
+        // Only the first item is revealed; this keeps the view's selection change from narrowing Studio's
+        this.revealedId = item.id;
+        this.view.reveal(item, { select: true, focus: false, expand: false }).then(undefined, () => {});
+    }
+
+    // Show a node in the view, e.g. from a link in the Studio output
+    revealPath(sessionId, instancePath) {
+        const session = this.server.sessions.sessions.get(sessionId);
+        const node = session ? this.server.getTreeIndex(session).byPath.get(instancePath) : null;
+        if (!this.view || !node) return;
+        if (this.filter) this.setFilter(null);
+        this.view.reveal(this.itemFor(session, node), { select: true, focus: true, expand: true }).then(undefined, () => {});
+    }
+
+    /**
+     * Show only nodes matching a tree query (and their ancestors); null clears
+     * the filter. Throws QueryError for an invalid query.
+     */
+    setFilter(query) {
+        this.filter = query ? { query, matches: compileQuery(query), visible: new Set(), matched: new Set() } : null;
+        vscode.commands.executeCommand('setContext', 'robloxDirectoryTree.filtered', Boolean(this.filter));
+        this.refresh();
+    }
+
+    updateFilter() {
+        if (!this.filter) {
+            this.filterMessage = null;
+            this.updateMessage();
+            return;
+        }
+
+        const { matches, visible, matched } = this.filter;
+        visible.clear();
+        matched.clear();
+
+        this.server.sessions.list().forEach(session => {
+            const walk = (node) => {
+                let show = false;
+                (node.children || []).forEach(child => {
+                    if (walk(child)) show = true;
+                });
+                if (matches(node)) {
+                    matched.add(filterKey(session.id, node.path));
+                    show = true;
+                }
+                if (show) visible.add(filterKey(session.id, node.path));
+                return show;
+            };
+            (session.store.getTree().containers || []).forEach(walk);
+        });
+
+        this.filterMessage = `${matched.size} match${matched.size === 1 ? '' : 'es'} for "${this.filter.query}"`;
+        this.updateMessage();
+    }
+
+    // Banner above the tree: a note when the single tree shown isn't live, and the filter summary
+    updateMessage() {
+        if (!this.view) return;
+        const sessions = this.server.sessions.list();
+        const stale = sessions.length === 1 && sessions[0].store.hasData() ? sessions[0].staleness() : null;
+        let staleMessage = null;
+        if (stale) {
+            const what = stale.source === 'import' ? 'Imported snapshot' : 'Offline';
+            staleMessage = `${what}: tree last synced ${describeAge(stale.since)} ago`;
+        }
+        this.view.message = [staleMessage, this.filterMessage].filter(Boolean).join(' · ') || undefined;
+    }
+
+    /**
+     * Server push events. Tree changes are coalesced so a burst of patches
+     * re-renders once; connection changes always update the status bar.
+     */
+    handleEvent(type) {
+        if (!TREE_REFRESH_EVENTS.has(type)) return;
+        if (!vscode.workspace.getConfiguration('robloxDirectoryTree').get('autoRefresh', true)) {
+            this.updateStatusBar();
+            return;
+        }
+        if (this.refreshTimer) return;
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            this.refresh();
+        }, 100);
+    }
+
+    getTreeAsText(sessionId, options = {}) {
+        const tree = this.server.getTree(sessionId);
         if (!tree.containers || tree.containers.length === 0) {
             return 'No data available. Make sure:\n1. Server is running (click ▶ button)\n2. Roblox Studio plugin is connected';
         }
+        return exportTree(tree, options).text;
+    }
 
-        let result = `=====================================\n`;
-        result += `  PROJECT DIRECTORY TREE\n`;
-        result += `  Game: ${tree.name || 'Unknown'}\n`;
-        result += `  For AI Assistant Context\n`;
-        result += `=====================================\n\n`;
+    dispose() {
+        clearTimeout(this.refreshTimer);
+        clearInterval(this.ageTimer);
+        this.statusBarItem.dispose();
+    }
+}
 
-        tree.containers.forEach((container, i) => {
-            result += this.nodeToText(container, '', i === tree.containers.length - 1);
-            result += '\n';
-        });
+// ============================================
+// DRIFT VIEW
+// ============================================
+
+// "Drift" section: Studio vs Rojo differences, mirrored into the Problems panel
+class RojoDriftProvider {
+    constructor(server) {
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+        this.server = server;
+        this.drift = [];
+        this.timer = null;
+        this.diagnostics = vscode.languages.createDiagnosticCollection('roblox-drift');
+    }
+
+    // Drift is recomputed at most once a second while Studio is syncing
+    schedule() {
+        if (this.timer) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.update();
+        }, 1000);
+    }
 
-        return result;
+    update() {
+        const session = this.server.getSession();
+        this.drift = session && session.store.hasData() ? this.server.getDrift(session) : [];
+        this.updateDiagnostics();
+        this._onDidChangeTreeData.fire();
     }
 
-    nodeToText(node, prefix = '', isLast = true) {
-        const connector = prefix ? (isLast ? '└── ' : '├── ') : '';
-        const childPrefix = prefix + (isLast ? '    ' : '│   ');
+    updateDiagnostics() {
+        const projectFile = this.server.rojo.projects.length > 0 ? this.server.rojo.projects[0].file : null;
+        const byFile = new Map();
+
+        for (const entry of this.drift) {
+            // Studio-only instances have no file; report them on their parent's file or the project
+            let file = entry.filePath;
+            try {
+                if (file && fs.statSync(file).isDirectory()) file = projectFile;
+            } catch (e) {
+                file = projectFile;
+            }
+            if (!file) continue;
 
-        let line = prefix + connector + node.name + ` [${node.className}]`;
-        if (node.lineCount) line += ` (${node.lineCount} lines)`;
-        if (node.childCount) line += ` (${node.childCount} children)`;
+            const severity = entry.kind === 'studio-only' || entry.kind === 'line-mismatch'
+                ? vscode.DiagnosticSeverity.Warning
+                : vscode.DiagnosticSeverity.Information;
+            const diagnostic = new vscode.Diagnostic(new vscode.Range(0, 0, 0, 0), describeDrift(entry), severity);
+            diagnostic.source = 'Roblox Drift';
+            diagnostic.code = entry.kind;
 
-        let result = line + '\n';
+            if (!byFile.has(file)) byFile.set(file, []);
+            byFile.get(file).push(diagnostic);
+        }
 
-        if (node.children && node.children.length > 0) {
-            node.children.forEach((child, i) => {
-                result += this.nodeToText(child, childPrefix, i === node.children.length - 1);
-            });
+        this.diagnostics.clear();
+        for (const [file, diagnostics] of byFile) {
+            this.diagnostics.set(vscode.Uri.file(file), diagnostics);
+        }
+    }
+
+    getTreeItem(element) {
+        return element;
+    }
+
+    getChildren(element) {
+        if (!element) {
+            if (!this.server.rojo.hasProject()) {
+                const item = new vscode.TreeItem('No Rojo place project found');
+                item.description = '*.project.json with a DataModel tree';
+                item.iconPath = new vscode.ThemeIcon('info');
+                return [item];
+            }
+            const session = this.server.getSession();
+            if (!session || !session.store.hasData()) {
+                const item = new vscode.TreeItem('Waiting for Roblox Studio...');
+                item.iconPath = new vscode.ThemeIcon('loading~spin');
+                return [item];
+            }
+            if (this.drift.length === 0) {
+                const item = new vscode.TreeItem('Studio matches the Rojo project');
+                item.iconPath = new vscode.ThemeIcon('pass');
+                return [item];
+            }
+
+            return Object.entries(DRIFT_KINDS)
+                .map(([kind, label]) => {
+                    const entries = this.drift.filter(entry => entry.kind === kind);
+                    if (entries.length === 0) return null;
+                    const item = new vscode.TreeItem(label, vscode.TreeItemCollapsibleState.Expanded);
+                    item.description = String(entries.length);
+                    item.iconPath = new vscode.ThemeIcon(kind === 'studio-only' ? 'warning' : 'diff');
+                    item.entries = entries;
+                    return item;
+                })
+                .filter(Boolean);
         }
 
-        return result;
+        return (element.entries || []).map(entry => {
+            const item = new vscode.TreeItem(entry.path);
+            item.tooltip = describeDrift(entry);
+            if (entry.kind === 'line-mismatch') item.description = `Studio ${entry.studioLines} / disk ${entry.fileLines}`;
+            else if (entry.kind === 'class-mismatch') item.description = `${entry.className} ≠ ${entry.expectedClassName}`;
+            else item.description = entry.className || entry.expectedClassName || '';
+
+            if (entry.filePath && entry.kind !== 'studio-only') {
+                item.resourceUri = vscode.Uri.file(entry.filePath);
+                item.command = { command: 'vscode.open', title: 'Open', arguments: [item.resourceUri] };
+            }
+            return item;
+        });
     }
 
     dispose() {
-        this.stopAutoRefresh();
-        this.statusBarItem.dispose();
+        clearTimeout(this.timer);
+        this.diagnostics.dispose();
     }
 }
 
 // ============================================
-// EXTENSION ACTIVATION
+// SCRIPT SOURCE DOCUMENTS
 // ============================================
 
-function activate(context) {
-    console.log('Roblox Live Directory Tree activated');
+const SCRIPT_SCHEME = 'roblox-script';
 
-    // Create embedded server
-    const server = new EmbeddedServer();
+// Read-only documents backed by the mirrored sources in EmbeddedServer
+class RobloxScriptContentProvider {
+    constructor(server) {
+        this.server = server;
+        this._onDidChange = new vscode.EventEmitter();
+        this.onDidChange = this._onDidChange.event;
+    }
 
-    // Create tree provider
-    const treeProvider = new RobloxDirectoryTreeProvider(server);
+    static uriFor(instancePath, sessionId) {
+        const displayPath = '/' + instancePath.split('.').join('/') + '.lua';
+        const query = new URLSearchParams({ path: instancePath, session: sessionId || '' }).toString();
+        return vscode.Uri.from({ scheme: SCRIPT_SCHEME, path: displayPath, query });
+    }
 
-    // Register tree view
-    const treeView = vscode.window.createTreeView('robloxDirectoryTree', {
-        treeDataProvider: treeProvider,
-        showCollapseAll: true,
-    });
+    static instancePathOf(uri) {
+        return new URLSearchParams(uri.query).get('path');
+    }
 
-    // Track server state for menu visibility
-    const updateServerContext = () => {
-        vscode.commands.executeCommand('setContext', 'robloxDirectoryTree.serverRunning', server.isRunning());
-    };
+    static sessionOf(uri) {
+        return new URLSearchParams(uri.query).get('session') || null;
+    }
 
-    // Commands
-    const startServerCmd = vscode.commands.registerCommand('robloxDirectoryTree.startServer', async () => {
-        try {
-            const port = vscode.workspace.getConfiguration('robloxDirectoryTree').get('serverPort') || 21326;
-            await server.start(port);
-            updateServerContext();
-            treeProvider.startAutoRefresh();
-            treeProvider.refresh();
-            vscode.window.showInformationMessage(`🌲 Server started on http://localhost:${port}`);
-        } catch (err) {
-            vscode.window.showErrorMessage(`Failed to start server: ${err.message}`);
+    provideTextDocumentContent(uri) {
+        const session = this.server.getSession(RobloxScriptContentProvider.sessionOf(uri));
+        const entry = session ? session.sources.get(RobloxScriptContentProvider.instancePathOf(uri)) : null;
+        if (!entry) {
+            return '-- Source not available.\n-- Enable "Mirror script sources" in the Studio plugin widget to read scripts here.\n';
         }
-    });
+        return entry.source;
+    }
 
-    const stopServerCmd = vscode.commands.registerCommand('robloxDirectoryTree.stopServer', async () => {
-        await server.stop();
-        updateServerContext();
-        treeProvider.stopAutoRefresh();
-        treeProvider.refresh();
-        vscode.window.showInformationMessage('Server stopped');
-    });
+    sourcesChanged(sessionId, paths) {
+        for (const doc of vscode.workspace.textDocuments) {
+            if (doc.uri.scheme !== SCRIPT_SCHEME) continue;
+            const docSession = RobloxScriptContentProvider.sessionOf(doc.uri);
+            if (docSession && docSession !== sessionId) continue;
+            if (paths.includes(RobloxScriptContentProvider.instancePathOf(doc.uri))) {
+                this._onDidChange.fire(doc.uri);
+            }
+        }
+    }
 
-    const refreshCmd = vscode.commands.registerCommand('robloxDirectoryTree.refresh', () => {
-        treeProvider.refresh();
-    });
+    dispose() {
+        this._onDidChange.dispose();
+    }
+}
 
-    const copyPathCmd = vscode.commands.registerCommand('robloxDirectoryTree.copyPath', (item) => {
-        if (item && item.node && item.node.path) {
-            vscode.env.clipboard.writeText(item.node.path);
-            vscode.window.setStatusBarMessage(`Copied: ${item.node.path}`, 2000);
+// ============================================
+// INSTANCE PATH COMPLETION AND HOVER
+// ============================================
+
+// Lua/Luau files on disk (Rojo) and the mirrored sources
+const LUAU_DOCUMENTS = [
+    { scheme: 'file', language: 'lua' },
+    { scheme: 'file', language: 'luau' },
+    { scheme: SCRIPT_SCHEME },
+];
+
+// The suggest list can't show theme icons, so each class icon maps to the closest completion kind
+const COMPLETION_KINDS = {
+    module: 'Module',
+    script: 'File',
+    localscript: 'File',
+    folder: 'Folder',
+    service: 'Class',
+    remoteevent: 'Event',
+    bindableevent: 'Event',
+    remotefunction: 'Function',
+    bindablefunction: 'Function',
+};
+
+function isIdentifier(name) {
+    return /^[A-Za-z_]\w*$/.test(name) && !KEYWORDS.has(name);
+}
+
+// Session, tree index and what `script` is in a Luau document; null before anything has synced
+function instanceContext(server, uri) {
+    const mirrored = uri.scheme === SCRIPT_SCHEME;
+    const session = server.getSession(mirrored ? RobloxScriptContentProvider.sessionOf(uri) : null);
+    if (!session || !session.store.hasData()) return null;
+
+    const index = server.getTreeIndex(session);
+    const scriptPath = mirrored ? RobloxScriptContentProvider.instancePathOf(uri) : server.rojo.instancePathFor(uri.fsPath);
+    return { session, index: { ...index, script: (scriptPath && index.byPath.get(scriptPath)) || null } };
+}
+
+// Suggests real children while typing instance paths and describes the instance under the cursor
+class InstancePathProvider {
+    constructor(server) {
+        this.server = server;
+    }
+
+    resolve(document) {
+        if (!vscode.workspace.getConfiguration('robloxDirectoryTree').get('instancePathCompletion', true)) return null;
+        return instanceContext(this.server, document.uri);
+    }
+
+    provideCompletionItems(document, position) {
+        const context = this.resolve(document);
+        if (!context) return undefined;
+
+        const found = completionAt(document.getText(), document.offsetAt(position), context.index);
+        if (!found) return undefined;
+
+        const typed = new vscode.Range(document.positionAt(found.start), position);
+        return (found.parent.children || []).map((child, i) => {
+            const kind = vscode.CompletionItemKind[COMPLETION_KINDS[child.icon] || 'Field'];
+            const item = new vscode.CompletionItem({ label: child.name, description: child.className }, kind);
+            item.documentation = this.describe(child);
+            // Keep the tree's order (folders, scripts, then by name)
+            item.sortText = String(i).padStart(6, '0');
+
+            if (found.quote || isIdentifier(child.name)) {
+                item.range = typed;
+            } else {
+                // `.My Thing` isn't valid Luau; index with a string instead
+                item.range = new vscode.Range(document.positionAt(found.start - 1), position);
+                item.insertText = `[${JSON.stringify(child.name)}]`;
+                item.filterText = `.${child.name}`;
+            }
+            return item;
+        });
+    }
+
+    provideHover(document, position) {
+        const context = this.resolve(document);
+        if (!context) return undefined;
+
+        const found = instanceAt(document.getText(), document.offsetAt(position), context.index);
+        if (!found) return undefined;
+        return new vscode.Hover(this.describe(found.node), new vscode.Range(document.positionAt(found.start), document.positionAt(found.end)));
+    }
+
+    // Class, path and size of an instance, with the icon the tree view shows for it
+    describe(node) {
+        const markdown = new vscode.MarkdownString('', true);
+        markdown.appendMarkdown(`$(${RobloxTreeItem.themeIcon(node).id}) **`);
+        markdown.appendText(node.name);
+        markdown.appendMarkdown(`** \`${node.className}\`\n\n`);
+        markdown.appendText(node.path || node.name);
+
+        const details = [];
+        if (node.lineCount) details.push(`${node.lineCount} lines`);
+        const children = node.children ? node.children.length : node.childCount;
+        if (children) details.push(`${children} ${children === 1 ? 'child' : 'children'}`);
+        const file = this.server.rojo.resolve(node.path);
+        if (file) details.push(`File: ${vscode.workspace.asRelativePath(file)}`);
+        if (details.length > 0) {
+            markdown.appendMarkdown('\n\n');
+            markdown.appendText(details.join(' · '));
         }
-    });
+        return markdown;
+    }
+}
 
-    const copyTreeCmd = vscode.commands.registerCommand('robloxDirectoryTree.copyTree', () => {
-        const text = treeProvider.getTreeAsText();
-        vscode.env.clipboard.writeText(text);
-        vscode.window.showInformationMessage(' Directory tree copied to clipboard!');
+// ============================================
+// MISSING INSTANCE DIAGNOSTICS
+// ============================================
+
+const REFERENCE_SOURCE = 'Roblox References';
+
+// Workspace scans stop after this many Luau files and skip files larger than this
+const MAX_REFERENCE_FILES = 2000;
+const MAX_REFERENCE_FILE_BYTES = 1024 * 1024;
+
+function lineStartsOf(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') starts.push(i + 1);
+    }
+    return starts;
+}
+
+function positionIn(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (lineStarts[mid] <= offset) low = mid;
+        else high = mid - 1;
+    }
+    return new vscode.Position(low, offset - lineStarts[low]);
+}
+
+/**
+ * Warns in the Problems panel about workspace Luau files that reference
+ * children the live place doesn't have (see instance-paths.js), and offers
+ * the closest sibling names as quick fixes.
+ */
+class MissingInstanceDiagnostics {
+    constructor(server) {
+        this.server = server;
+        this.diagnostics = vscode.languages.createDiagnosticCollection('roblox-references');
+        // uri -> [{ range, suggestions }] for the quick fixes
+        this.findings = new Map();
+        this.timer = null;
+        this.scanning = false;
+        this.rescan = false;
+        // 'workspace' or 'open', see schedule()
+        this.pendingScope = null;
+    }
+
+    static enabled() {
+        return vscode.workspace.getConfiguration('robloxDirectoryTree').get('instanceDiagnostics', true);
+    }
+
+    static isLuau(document) {
+        return document.uri.scheme === 'file' && (document.languageId === 'lua' || document.languageId === 'luau');
+    }
+
+    /**
+     * Check again 1.5 seconds after the last call. `workspace` rescans every
+     * Lua file (a new tree, project or setting); `open` only re-checks open
+     * documents and the files that have warnings, which is all a patch from
+     * Studio needs. A pending workspace scan covers an open-only one.
+     */
+    schedule(scope = 'workspace') {
+        if (scope === 'workspace' || !this.pendingScope) this.pendingScope = scope;
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.update(), 1500);
+    }
+
+    async update() {
+        if (this.scanning) {
+            this.rescan = true;
+            return;
+        }
+        const scope = this.pendingScope || 'workspace';
+        this.pendingScope = null;
+        this.scanning = true;
+        try {
+            if (!MissingInstanceDiagnostics.enabled() || !this.server.getSession()) {
+                this.clear();
+            } else if (scope === 'workspace') {
+                await this.scanWorkspace();
+            } else {
+                await this.scanOpen();
+            }
+        } catch (e) {
+            console.error('Failed to check instance references:', e);
+        } finally {
+            this.scanning = false;
+            if (this.rescan) {
+                this.rescan = false;
+                this.schedule(this.pendingScope || 'open');
+            }
+        }
+    }
+
+    // Text of a Lua file: unsaved edits win over what's on disk. Null if it can't be read or is too large.
+    static async readText(uri) {
+        const document = vscode.workspace.textDocuments.find(doc => doc.uri.toString() === uri.toString());
+        if (document) return document.getText();
+        try {
+            const stat = await fs.promises.stat(uri.fsPath);
+            if (stat.size > MAX_REFERENCE_FILE_BYTES) return null;
+            return await fs.promises.readFile(uri.fsPath, 'utf8');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async scanWorkspace() {
+        const files = await vscode.workspace.findFiles('**/*.{lua,luau}', '**/{node_modules,Packages,_Index}/**', MAX_REFERENCE_FILES);
+        const checked = new Set();
+
+        for (const uri of files) {
+            const text = await MissingInstanceDiagnostics.readText(uri);
+            if (text === null) continue;
+            this.check(uri, text);
+            checked.add(uri.toString());
+        }
+
+        // Files deleted (or no longer found) since the last scan
+        for (const key of [...this.findings.keys()]) {
+            if (!checked.has(key)) this.forget(vscode.Uri.parse(key));
+        }
+    }
+
+    async scanOpen() {
+        const open = vscode.workspace.textDocuments.filter(doc => MissingInstanceDiagnostics.isLuau(doc));
+        open.forEach(doc => this.check(doc.uri, doc.getText()));
+
+        // Closed files with warnings, so references fixed in Studio clear
+        const openKeys = new Set(open.map(doc => doc.uri.toString()));
+        for (const key of [...this.findings.keys()]) {
+            if (!openKeys.has(key)) await this.updateFile(vscode.Uri.parse(key));
+        }
+    }
+
+    // Re-check one file after it changed on disk
+    async updateFile(uri) {
+        if (!MissingInstanceDiagnostics.enabled() || !this.server.getSession()) return;
+        const text = await MissingInstanceDiagnostics.readText(uri);
+        if (text === null) {
+            this.forget(uri);
+        } else {
+            this.check(uri, text);
+        }
+    }
+
+    // Re-check one open document as it is edited
+    updateDocument(document) {
+        if (!MissingInstanceDiagnostics.isLuau(document) || !MissingInstanceDiagnostics.enabled()) return;
+        this.check(document.uri, document.getText());
+    }
+
+    check(uri, text) {
+        const context = instanceContext(this.server, uri);
+        const missing = context && text.length <= MAX_REFERENCE_FILE_BYTES ? findMissingChildren(text, context.index) : [];
+        if (missing.length === 0) {
+            this.forget(uri);
+            return;
+        }
+
+        const lineStarts = lineStartsOf(text);
+        const findings = [];
+        const diagnostics = missing.map(entry => {
+            const range = new vscode.Range(positionIn(lineStarts, entry.start), positionIn(lineStarts, entry.end));
+            const where = entry.parent.path || entry.parent.name;
+            let message = `"${entry.name}" is not a child of ${where} in the live place`;
+            if (entry.method === 'WaitForChild') message += '; WaitForChild will yield forever';
+            else if (entry.method === 'FindFirstChild') message += '; FindFirstChild returns nil';
+            if (entry.suggestions.length > 0) message += `. Did you mean ${entry.suggestions.map(name => `"${name}"`).join(', ')}?`;
+
+            // FindFirstChild callers already expect a miss
+            const severity = entry.method === 'FindFirstChild' ? vscode.DiagnosticSeverity.Information : vscode.DiagnosticSeverity.Warning;
+            const diagnostic = new vscode.Diagnostic(range, message, severity);
+            diagnostic.source = REFERENCE_SOURCE;
+            diagnostic.code = 'missing-child';
+            findings.push({ range, suggestions: entry.suggestions });
+            return diagnostic;
+        });
+
+        this.findings.set(uri.toString(), findings);
+        this.diagnostics.set(uri, diagnostics);
+    }
+
+    forget(uri) {
+        this.findings.delete(uri.toString());
+        this.diagnostics.delete(uri);
+    }
+
+    clear() {
+        this.findings.clear();
+        this.diagnostics.clear();
+    }
+
+    // Quick fixes: replace the name with one of the closest siblings
+    provideCodeActions(document, range, context) {
+        const findings = this.findings.get(document.uri.toString()) || [];
+        const actions = [];
+
+        for (const diagnostic of context.diagnostics) {
+            if (diagnostic.source !== REFERENCE_SOURCE) continue;
+            const finding = findings.find(entry => entry.range.isEqual(diagnostic.range));
+            if (!finding) continue;
+
+            finding.suggestions.forEach((name, i) => {
+                const action = new vscode.CodeAction(`Change to "${name}"`, vscode.CodeActionKind.QuickFix);
+                action.edit = new vscode.WorkspaceEdit();
+                const { replaceRange, text } = MissingInstanceDiagnostics.replacement(document, diagnostic.range, name);
+                action.edit.replace(document.uri, replaceRange, text);
+                action.diagnostics = [diagnostic];
+                action.isPreferred = i === 0;
+                actions.push(action);
+            });
+        }
+        return actions;
+    }
+
+    // Strings keep their quotes; `.Name` becomes `["Name"]` when the new name isn't an identifier
+    static replacement(document, range, name) {
+        const current = document.getText(range);
+        if (current[0] === '"' || current[0] === "'") {
+            return { replaceRange: range, text: `${current[0]}${name}${current[0]}` };
+        }
+        if (isIdentifier(name)) return { replaceRange: range, text: name };
+
+        const dot = range.start.translate(0, -1);
+        if (range.start.character > 0 && document.getText(new vscode.Range(dot, range.start)) === '.') {
+            return { replaceRange: new vscode.Range(dot, range.end), text: `[${JSON.stringify(name)}]` };
+        }
+        return { replaceRange: range, text: name };
+    }
+
+    dispose() {
+        clearTimeout(this.timer);
+        this.diagnostics.dispose();
+    }
+}
+
+// ============================================
+// SNAPSHOT DIFFS
+// ============================================
+
+const TREE_SCHEME = 'roblox-tree';
+
+// Text listings of saved/historic trees and live sessions, for vscode.diff
+class TreeListingContentProvider {
+    constructor(server) {
+        this.server = server;
+    }
+
+    // `ref` is a snapshot name or history timestamp; null means the live tree
+    static uriFor(title, ref, sessionId) {
+        const query = new URLSearchParams({ ref: ref || '', session: sessionId || '' }).toString();
+        return vscode.Uri.from({ scheme: TREE_SCHEME, path: `/${title}.txt`, query });
+    }
+
+    provideTextDocumentContent(uri) {
+        const params = new URLSearchParams(uri.query);
+        const sessionId = params.get('session') || null;
+        const ref = params.get('ref');
+
+        if (!ref) return treeToListing(this.server.getTree(sessionId));
+
+        const entry = this.server.history.find(ref, sessionId);
+        if (!entry) return `Snapshot "${ref}" no longer exists.\n`;
+        return treeToListing(this.server.history.loadTree(entry));
+    }
+}
+
+// ============================================
+// WRITE-BACK COMMANDS
+// ============================================
+
+// Class choices offered by the "New Instance" context menu command
+const CREATABLE_CLASSES = [
+    'ModuleScript', 'Script', 'LocalScript', 'Folder',
+    'RemoteEvent', 'RemoteFunction', 'BindableEvent', 'BindableFunction',
+    'StringValue', 'NumberValue', 'BoolValue', 'ObjectValue', 'Configuration',
+];
+
+const COMMAND_SCHEME = 'roblox-command';
+
+// Prompts for approval of every queued command and keeps an audit trail. Also
+// serves the proposed source of queued setSource commands for their diffs.
+class CommandApprover {
+    constructor(queue, storageUri) {
+        this.queue = queue;
+        this.output = vscode.window.createOutputChannel('Roblox Commands');
+        this.auditPath = null;
+
+        if (storageUri) {
+            fs.mkdirSync(storageUri.fsPath, { recursive: true });
+            this.auditPath = path.join(storageUri.fsPath, 'command-audit.log');
+        }
+
+        this.queue.onCommandQueued = (command) => this.promptApproval(command);
+        this.queue.onAudit = (entry) => this.audit(entry);
+    }
+
+    async promptApproval(command) {
+        if (command.type === 'setSource') {
+            await this.promptSourceApproval(command);
+            return;
+        }
+
+        const choice = await vscode.window.showWarningMessage(
+            `Roblox Studio: ${describeCommand(command)}?`,
+            { modal: true, detail: `Requested by ${command.origin}\n\n${JSON.stringify(command.params, null, 2)}` },
+            'Approve'
+        );
+
+        if (choice === 'Approve') {
+            this.queue.approve(command.id);
+        } else {
+            this.queue.reject(command.id);
+        }
+    }
+
+    // A modal can only show part of a script, so new sources are approved
+    // after opening a diff of the whole script against the mirrored one
+    async promptSourceApproval(command) {
+        const review = await vscode.window.showWarningMessage(
+            `Roblox Studio: ${describeCommand(command)}?`,
+            { modal: true, detail: `Requested by ${command.origin}\n\nReview the full change in a diff before approving it.` },
+            'Show Diff'
+        );
+        if (review !== 'Show Diff') {
+            this.queue.reject(command.id);
+            return;
+        }
+
+        const scriptPath = command.params.path;
+        const name = scriptPath.split('.').pop();
+        const proposed = vscode.Uri.from({ scheme: COMMAND_SCHEME, path: `/${name}.lua`, query: command.id });
+        await vscode.commands.executeCommand('vscode.diff',
+            RobloxScriptContentProvider.uriFor(scriptPath, command.session), proposed, `${name}: Studio ↔ proposed (#${command.id})`);
+
+        const choice = await vscode.window.showWarningMessage(
+            `Apply the new source of ${scriptPath} shown in the diff? Requested by ${command.origin}.`,
+            'Approve',
+            'Reject'
+        );
+        if (choice === 'Approve') {
+            this.queue.approve(command.id);
+        } else {
+            this.queue.reject(command.id);
+        }
+    }
+
+    provideTextDocumentContent(uri) {
+        const command = this.queue.get(uri.query);
+        return command && command.type === 'setSource' ? String(command.params.source) : '';
+    }
+
+    audit(entry) {
+        const line = `[${entry.time}] #${entry.id} ${entry.event.toUpperCase()} (${entry.origin}) ${entry.description}` +
+            (entry.error ? ` - ${entry.error}` : '');
+        this.output.appendLine(line);
+
+        if (this.auditPath) {
+            try {
+                fs.appendFileSync(this.auditPath, JSON.stringify(entry) + '\n');
+            } catch (e) {
+                this.output.appendLine(`Failed to write audit log: ${e.message}`);
+            }
+        }
+    }
+
+    dispose() {
+        this.queue.onCommandQueued = null;
+        this.queue.onAudit = null;
+        this.output.dispose();
+    }
+}
+
+// ============================================
+// STUDIO OUTPUT
+// ============================================
+
+// Language of the output channel's document, so the link provider only sees that one
+const STUDIO_OUTPUT_LANGUAGE = 'roblox-studio-output';
+
+// `[12:34:56] [session] [level] ` in front of each message
+const OUTPUT_LINE_PREFIX = /^\[\d\d:\d\d:\d\d\] (?:\[[^\]\n]*\] )?(?:\[(?:info|warning|error)\] )?/;
+
+/**
+ * Studio's Output window in the "Roblox Studio" output channel. Script
+ * locations in errors and stack traces link to the Rojo file, else the
+ * mirrored source, else the node in the tree view.
+ */
+class StudioOutputChannel {
+    constructor(server) {
+        this.server = server;
+        this.output = vscode.window.createOutputChannel('Roblox Studio', STUDIO_OUTPUT_LANGUAGE);
+    }
+
+    append(sessionId, entries) {
+        // Name the session when several Studios (e.g. Team Test server and client) send output
+        const session = this.server.sessions.sessions.get(sessionId);
+        const source = session && this.server.sessions.size > 1 ? `[${session.label}] ` : '';
+        entries.forEach(entry => {
+            const time = new Date(entry.time).toTimeString().slice(0, 8);
+            const level = entry.level === 'output' ? '' : `[${entry.level}] `;
+            this.output.appendLine(`[${time}] ${source}${level}${entry.message}`);
+        });
+    }
+
+    provideDocumentLinks(document) {
+        const links = [];
+        for (let line = 0; line < document.lineCount; line++) {
+            const text = document.lineAt(line).text;
+            const prefix = OUTPUT_LINE_PREFIX.exec(text);
+            const offset = prefix ? prefix[0].length : 0;
+
+            parseLocations(text.slice(offset)).forEach(location => {
+                const target = this.targetFor(location);
+                if (!target) return;
+                const range = new vscode.Range(line, offset + location.start, line, offset + location.end);
+                const link = new vscode.DocumentLink(range, target.uri);
+                link.tooltip = target.tooltip;
+                links.push(link);
+            });
+        }
+        return links;
+    }
+
+    targetFor({ path, line }) {
+        const rojoNode = this.server.rojo.getNode(path);
+        if (rojoNode && rojoNode.filePath && !rojoNode.isDirectory) {
+            return { uri: vscode.Uri.file(rojoNode.filePath).with({ fragment: `L${line}` }), tooltip: `Open ${vscode.workspace.asRelativePath(rojoNode.filePath)}` };
+        }
+
+        const sessions = this.server.sessions.list();
+        const mirrored = sessions.find(session => session.sources.has(path));
+        if (mirrored) {
+            return { uri: RobloxScriptContentProvider.uriFor(path, mirrored.id).with({ fragment: `L${line}` }), tooltip: 'Open the mirrored source' };
+        }
+
+        const synced = sessions.find(session => this.server.getTreeIndex(session).byPath.has(path));
+        if (synced) {
+            const args = encodeURIComponent(JSON.stringify([synced.id, path]));
+            return { uri: vscode.Uri.parse(`command:robloxDirectoryTree.revealInTree?${args}`), tooltip: 'Reveal in the Roblox Directory tree' };
+        }
+        return null;
+    }
+
+    dispose() {
+        this.output.dispose();
+    }
+}
+
+// ============================================
+// DEPENDENCY GRAPH
+// ============================================
+
+const GRAPH_COLUMN_WIDTH = 260;
+const GRAPH_ROW_HEIGHT = 34;
+const GRAPH_NODE_WIDTH = 220;
+const GRAPH_NODE_HEIGHT = 24;
+// Levels shown on each side of the selected module
+const GRAPH_MAX_DEPTH = 3;
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// Static webview page; `script` runs with `vscode` bound to the webview API
+function webviewPage(body, style, script) {
+    const nonce = generateToken().replace(/-/g, '');
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'nonce-${nonce}';">
+    <style>
+        body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); }
+        .summary { color: var(--vscode-descriptionForeground); }
+        .warning { color: var(--vscode-errorForeground); }
+        .muted { color: var(--vscode-descriptionForeground); font-size: 0.9em; }${style}
+    </style>
+</head>
+<body>
+    ${body}
+    <script nonce="${nonce}">
+        const vscode = acquireVsCodeApi();${script}
+    </script>
+</body>
+</html>`;
+}
+
+// Webview showing what a module requires (right) and what requires it (left)
+class DependencyGraphPanel {
+    static show(server, sessionId, modulePath) {
+        if (!DependencyGraphPanel.current) {
+            DependencyGraphPanel.current = new DependencyGraphPanel(server);
+        }
+        const panel = DependencyGraphPanel.current;
+        panel.sessionId = sessionId;
+        panel.modulePath = modulePath;
+        panel.render();
+        panel.panel.reveal();
+    }
+
+    constructor(server) {
+        this.server = server;
+        this.sessionId = null;
+        this.modulePath = null;
+        this.timer = null;
+        this.panel = vscode.window.createWebviewPanel(
+            'robloxDependencyGraph',
+            'Module Dependencies',
+            vscode.ViewColumn.Beside,
+            { enableScripts: true }
+        );
+        this.panel.onDidDispose(() => {
+            clearTimeout(this.timer);
+            DependencyGraphPanel.current = null;
+        });
+        this.panel.webview.onDidReceiveMessage((message) => {
+            if (message.type === 'focus') {
+                this.modulePath = message.path;
+                this.render();
+            } else if (message.type === 'open') {
+                openInstanceSource(this.server, this.sessionId, message.path);
+            }
+        });
+    }
+
+    // Sources and the tree change often while Studio syncs; redraw at most once a second
+    schedule(sessionId) {
+        if (sessionId && this.sessionId && sessionId !== this.sessionId) return;
+        if (this.timer) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.render();
+        }, 1000);
+    }
+
+    render() {
+        const session = this.server.getSession(this.sessionId);
+        this.panel.title = `Dependencies: ${this.modulePath.split('.').pop()}`;
+        if (!session || !session.store.findByPath(this.modulePath)) {
+            this.panel.webview.html = this.page(`<p>${escapeHtml(this.modulePath)} is not in the synced tree.</p>`);
+            return;
+        }
+
+        const report = this.server.getDependencies(session, this.modulePath, { transitive: true, maxDepth: GRAPH_MAX_DEPTH });
+        const inCycle = new Set(report.cycles.flat());
+
+        // Column -n..-1 holds dependents, 0 the module, 1..n its dependencies
+        const columns = new Map([[0, [{ path: this.modulePath, className: session.store.findByPath(this.modulePath).className }]]]);
+        report.dependents.forEach(item => {
+            if (!columns.has(-item.depth)) columns.set(-item.depth, []);
+            columns.get(-item.depth).push(item);
+        });
+        report.dependencies.forEach(item => {
+            if (!columns.has(item.depth)) columns.set(item.depth, []);
+            columns.get(item.depth).push(item);
+        });
+
+        const minColumn = Math.min(...columns.keys());
+        const tallest = Math.max(...[...columns.values()].map(items => items.length));
+        const positions = new Map();
+        columns.forEach((items, column) => {
+            items.sort((a, b) => a.path.localeCompare(b.path));
+            const offset = (tallest - items.length) * GRAPH_ROW_HEIGHT / 2;
+            items.forEach((item, row) => {
+                // A module can be both a dependency and a dependent (a cycle); keep the first position
+                const key = `${column < 0 ? 'in' : 'out'}:${item.path}`;
+                positions.set(column === 0 ? item.path : key, {
+                    x: (column - minColumn) * GRAPH_COLUMN_WIDTH + 20,
+                    y: offset + row * GRAPH_ROW_HEIGHT + 20
+                });
+            });
+        });
+
+        const position = (path, side) => positions.get(path === this.modulePath ? path : `${side}:${path}`);
+        const edges = [];
+        report.dependencies.forEach(item => edges.push([position(item.via, 'out'), position(item.path, 'out'), item]));
+        report.dependents.forEach(item => edges.push([position(item.path, 'in'), position(item.via, 'in'), item]));
+
+        const edgeSvg = edges.filter(([from, to]) => from && to).map(([from, to, item]) => {
+            const x1 = from.x + GRAPH_NODE_WIDTH;
+            const y1 = from.y + GRAPH_NODE_HEIGHT / 2;
+            const x2 = to.x;
+            const y2 = to.y + GRAPH_NODE_HEIGHT / 2;
+            const cycle = inCycle.has(item.path) && inCycle.has(item.via);
+            return `<path class="edge${cycle ? ' cycle' : ''}" d="M${x1},${y1} C${x1 + 30},${y1} ${x2 - 30},${y2} ${x2},${y2}" marker-end="url(#arrow)">` +
+                `<title>${escapeHtml(item.from)} line ${item.line}: require(${escapeHtml(item.expression)})</title></path>`;
+        }).join('');
+
+        const nodeSvg = [];
+        columns.forEach((items, column) => {
+            items.forEach(item => {
+                const at = column === 0 ? positions.get(item.path) : positions.get(`${column < 0 ? 'in' : 'out'}:${item.path}`);
+                const classes = ['node', column === 0 ? 'selected' : '', inCycle.has(item.path) ? 'cycle' : ''].filter(Boolean).join(' ');
+                const label = item.path.split('.').pop();
+                nodeSvg.push(
+                    `<g class="${classes}" data-path="${escapeHtml(item.path)}" transform="translate(${at.x},${at.y})">` +
+                    `<rect width="${GRAPH_NODE_WIDTH}" height="${GRAPH_NODE_HEIGHT}" rx="4"></rect>` +
+                    `<text x="8" y="16">${escapeHtml(label.length > 28 ? label.slice(0, 27) + '…' : label)}</text>` +
+                    `<title>${escapeHtml(item.path)} [${escapeHtml(item.className)}]\nClick to focus, double-click to open</title></g>`
+                );
+            });
+        });
+
+        const width = (Math.max(...columns.keys()) - minColumn) * GRAPH_COLUMN_WIDTH + GRAPH_NODE_WIDTH + 40;
+        const height = tallest * GRAPH_ROW_HEIGHT + 40;
+
+        let notes = `<p class="summary">${report.dependencies.length} dependenc${report.dependencies.length === 1 ? 'y' : 'ies'} · ` +
+            `${report.dependents.length} dependent${report.dependents.length === 1 ? '' : 's'} · ` +
+            `${report.analyzed} scripts analyzed</p>`;
+        if (report.missingSources > 0) {
+            notes += `<p class="warning">${report.missingSources} scripts have no mirrored source, so their requires are missing. Enable "Mirror script sources" in the Studio plugin.</p>`;
+        }
+        report.cycles.forEach(cycle => {
+            notes += `<p class="warning">Require cycle: ${cycle.map(escapeHtml).join(' → ')} → ${escapeHtml(cycle[0])}</p>`;
+        });
+        report.unresolved.forEach(item => {
+            notes += `<p class="muted">Line ${item.line}: require(${escapeHtml(item.expression)}) not resolved (${escapeHtml(item.reason)})</p>`;
+        });
+
+        this.panel.webview.html = this.page(`
+            <h2>${escapeHtml(this.modulePath)}</h2>
+            ${notes}
+            <svg width="${width}" height="${height}">
+                <defs><marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                    <path d="M 0 0 L 10 5 L 0 10 z"></path></marker></defs>
+                ${edgeSvg}
+                ${nodeSvg.join('')}
+            </svg>`);
+    }
+
+    page(body) {
+        return webviewPage(body, `
+        .node rect { fill: var(--vscode-editorWidget-background); stroke: var(--vscode-editorWidget-border, #888); }
+        .node.selected rect { stroke: var(--vscode-focusBorder); stroke-width: 2; }
+        .node.cycle rect { stroke: var(--vscode-errorForeground); }
+        .node text { fill: var(--vscode-foreground); font-size: 12px; pointer-events: none; }
+        .node { cursor: pointer; }
+        .edge { fill: none; stroke: var(--vscode-descriptionForeground); }
+        .edge.cycle { stroke: var(--vscode-errorForeground); }
+        marker path { fill: var(--vscode-descriptionForeground); }`, `
+        document.querySelectorAll('.node').forEach(node => {
+            node.addEventListener('click', () => vscode.postMessage({ type: 'focus', path: node.dataset.path }));
+            node.addEventListener('dblclick', () => vscode.postMessage({ type: 'open', path: node.dataset.path }));
+        });`);
+    }
+}
+
+DependencyGraphPanel.current = null;
+
+// Open a script's Rojo file when it has one, else its mirrored source
+async function openInstanceSource(server, sessionId, instancePath) {
+    const filePath = server.rojo.resolve(instancePath);
+    const doc = filePath
+        ? await vscode.workspace.openTextDocument(vscode.Uri.file(filePath))
+        : await vscode.workspace.openTextDocument(RobloxScriptContentProvider.uriFor(instancePath, sessionId));
+    await vscode.window.showTextDocument(doc, { preview: true });
+}
+
+// ============================================
+// EXPLORER
+// ============================================
+
+// The browser explorer served at `/`, hosted in a webview; requests go over postMessage
+class ExplorerPanel {
+    static show(server) {
+        if (ExplorerPanel.current) {
+            ExplorerPanel.current.panel.reveal();
+            return;
+        }
+        ExplorerPanel.current = new ExplorerPanel(server);
+    }
+
+    constructor(server) {
+        this.server = server;
+        this.panel = vscode.window.createWebviewPanel(
+            'robloxExplorer',
+            'Roblox Explorer',
+            vscode.ViewColumn.Active,
+            { enableScripts: true, retainContextWhenHidden: true }
+        );
+        this.panel.webview.html = explorerHtml({
+            transport: 'webview',
+            nonce: generateToken().replace(/-/g, ''),
+            cspSource: this.panel.webview.cspSource
+        });
+        this.panel.onDidDispose(() => {
+            ExplorerPanel.current = null;
+        });
+        this.panel.webview.onDidReceiveMessage(message => this.handleMessage(message));
+    }
+
+    handleMessage(message) {
+        if (message.type === 'request') {
+            let response;
+            try {
+                response = { type: 'response', id: message.id, result: this.answer(message.method, message.params || {}) };
+            } catch (e) {
+                response = { type: 'response', id: message.id, error: e.message };
+            }
+            this.panel.webview.postMessage(response);
+        } else if (message.type === 'action') {
+            const { path, session } = message.params || {};
+            const sessionId = session || (this.server.getSession() || {}).id;
+            if (message.name === 'open') {
+                openInstanceSource(this.server, sessionId, path).catch(e => {
+                    vscode.window.showErrorMessage(`Could not open ${path}: ${e.message}`);
+                });
+            } else if (message.name === 'dependencies') {
+                DependencyGraphPanel.show(this.server, sessionId, path);
+            }
+        }
+    }
+
+    answer(method, { session, query }) {
+        switch (method) {
+            case 'tree': return this.server.getTree(session);
+            case 'status': return this.server.getStatus(this.server.getSession(session));
+            case 'search': return this.server.search(this.server.getSession(session), query, 5000);
+            default: throw new Error(`Unknown request "${method}"`);
+        }
+    }
+
+    postEvent(type, data) {
+        this.panel.webview.postMessage({ type: 'event', event: type, data });
+    }
+}
+
+ExplorerPanel.current = null;
+
+// ============================================
+// PROJECT STATS
+// ============================================
+
+function plural(count, word, pluralWord = word + 's') {
+    return `${count.toLocaleString()} ${count === 1 ? word : pluralWord}`;
+}
+
+// Webview with the project-stats report for the active session
+class ProjectStatsPanel {
+    static show(server) {
+        if (!ProjectStatsPanel.current) {
+            ProjectStatsPanel.current = new ProjectStatsPanel(server);
+        }
+        ProjectStatsPanel.current.render();
+        ProjectStatsPanel.current.panel.reveal();
+    }
+
+    constructor(server) {
+        this.server = server;
+        this.timer = null;
+        this.panel = vscode.window.createWebviewPanel(
+            'robloxProjectStats',
+            'Project Stats',
+            vscode.ViewColumn.Active,
+            { enableScripts: true }
+        );
+        this.panel.onDidDispose(() => {
+            clearTimeout(this.timer);
+            ProjectStatsPanel.current = null;
+        });
+        this.panel.webview.onDidReceiveMessage((message) => {
+            if (message.type === 'open') {
+                openInstanceSource(this.server, this.sessionId, message.path);
+            } else if (message.type === 'refresh') {
+                this.render();
+            }
+        });
+    }
+
+    // Recomputing walks the whole tree; do it at most every few seconds while Studio syncs
+    schedule() {
+        if (this.timer) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.render();
+        }, 3000);
+    }
+
+    render() {
+        const session = this.server.getSession();
+        this.sessionId = session ? session.id : null;
+        if (!session) {
+            this.panel.webview.html = this.page('<p>Waiting for Roblox Studio to connect.</p>');
+            return;
+        }
+
+        const stats = this.server.getStats(session);
+        const { totals } = stats;
+        const link = (path, className) => /Script$/.test(className)
+            ? `<a class="script" data-path="${escapeHtml(path)}">${escapeHtml(path)}</a>`
+            : escapeHtml(path);
+        const bar = (value, max) => `<span class="bar" style="width:${max > 0 ? Math.round(value / max * 120) : 0}px"></span>`;
+        const table = (headers, rows) => rows.length === 0
+            ? '<p class="muted">None.</p>'
+            : `<table><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr>${rows.map(cells => `<tr>${cells.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</table>`;
+        const more = (shown, count) => count > shown ? `<p class="muted">…and ${count - shown} more</p>` : '';
+
+        const maxServiceLines = Math.max(0, ...stats.services.map(s => s.lines));
+        const maxScriptLines = stats.largestScripts.length > 0 ? stats.largestScripts[0].lines : 0;
+
+        let unreferenced;
+        if (stats.unreferencedModules === null) {
+            unreferenced = '<p class="muted">Needs script sources: tick "Mirror script sources" in the Studio plugin.</p>';
+        } else {
+            unreferenced = table(['Module'], stats.unreferencedModules.map(path => [link(path, 'ModuleScript')])) +
+                more(stats.unreferencedModules.length, stats.unreferencedModuleCount);
+            if (stats.missingSources > 0) {
+                unreferenced += `<p class="muted">${plural(stats.missingSources, 'script')} without a mirrored source weren't checked, so some of these may still be required.</p>`;
+            }
+        }
+
+        this.panel.webview.html = this.page(`
+            <h2>${escapeHtml(stats.game)} <button id="refresh">Refresh</button></h2>
+            <p class="summary">${plural(totals.instances, 'instance')} · ${plural(totals.scripts, 'script')}
+                (${totals.serverScripts.toLocaleString()} Script, ${totals.localScripts.toLocaleString()} LocalScript, ${totals.modules.toLocaleString()} ModuleScript)
+                · ${plural(totals.lines, 'line')} · nesting depth ${stats.maxDepth}</p>
+
+            <h3>Services</h3>
+            ${table(['Service', 'Instances', 'Scripts', 'Lines', ''], stats.services.map(s =>
+                [escapeHtml(s.name), s.instances.toLocaleString(), s.scripts.toLocaleString(), s.lines.toLocaleString(), bar(s.lines, maxServiceLines)]))}
+
+            <h3>Largest folders</h3>
+            ${table(['Folder', 'Class', 'Scripts', 'Lines'], stats.folders.map(f =>
+                [escapeHtml(f.path), escapeHtml(f.className), f.scripts.toLocaleString(), f.lines.toLocaleString()]))}
+
+            <h3>Largest scripts</h3>
+            ${table(['Script', 'Class', 'Lines', ''], stats.largestScripts.map(s =>
+                [link(s.path, s.className), escapeHtml(s.className), s.lines.toLocaleString(), bar(s.lines, maxScriptLines)]))}
+
+            <h3 class="${stats.misplacedScripts.count ? 'warning' : ''}">Scripts that never run (${stats.misplacedScripts.count})</h3>
+            ${table(['Script', 'Why'], stats.misplacedScripts.items.map(s => [link(s.path, s.className), escapeHtml(s.reason)]))}
+            ${more(stats.misplacedScripts.items.length, stats.misplacedScripts.count)}
+
+            <h3 class="${stats.duplicateNames.count ? 'warning' : ''}">Duplicate sibling names (${stats.duplicateNames.count})</h3>
+            ${table(['Parent', 'Name', 'Count', 'Classes'], stats.duplicateNames.items.map(d =>
+                [escapeHtml(d.parent), escapeHtml(d.name), d.count, escapeHtml([...new Set(d.classNames)].join(', '))]))}
+            ${more(stats.duplicateNames.items.length, stats.duplicateNames.count)}
+
+            <h3>Unreferenced ModuleScripts${stats.unreferencedModuleCount !== null ? ` (${stats.unreferencedModuleCount})` : ''}</h3>
+            ${unreferenced}
+
+            <h3>Deep nesting (${stats.deepNesting.count})</h3>
+            <p class="muted">Instances ${stats.deepNesting.threshold} levels below their service, with the deepest level reached under them.</p>
+            ${table(['Instance', 'Depth'], stats.deepNesting.items.map(d => [escapeHtml(d.path), d.depth]))}
+            ${more(stats.deepNesting.items.length, stats.deepNesting.count)}`);
+    }
+
+    page(body) {
+        return webviewPage(body, `
+        table { border-collapse: collapse; margin-bottom: 8px; }
+        th, td { text-align: left; padding: 2px 12px 2px 0; }
+        th { color: var(--vscode-descriptionForeground); font-weight: normal; }
+        .bar { display: inline-block; height: 8px; background: var(--vscode-progressBar-background); }
+        a.script { color: var(--vscode-textLink-foreground); cursor: pointer; }`, `
+        document.querySelectorAll('a.script').forEach(link => {
+            link.addEventListener('click', () => vscode.postMessage({ type: 'open', path: link.dataset.path }));
+        });
+        const refresh = document.getElementById('refresh');
+        if (refresh) refresh.addEventListener('click', () => vscode.postMessage({ type: 'refresh' }));`);
+    }
+}
+
+ProjectStatsPanel.current = null;
+
+// ============================================
+// EXPORT OPTIONS
+// ============================================
+
+const DEFAULT_EXPORT_OPTIONS = { format: 'tree', maxTokens: null, depth: null, services: null, scriptsOnly: false };
+
+const EXPORT_FORMATS = [
+    { label: 'ASCII tree', format: 'tree' },
+    { label: 'Markdown', format: 'markdown', description: 'Nested bullet list' },
+    { label: 'JSON', format: 'json', description: 'Compact, one line' },
+    { label: 'YAML', format: 'yaml' },
+    { label: 'Paths', format: 'paths', description: 'One dotted path per line' },
+];
+
+function describeExportOptions(options) {
+    const format = EXPORT_FORMATS.find(f => f.format === options.format) || EXPORT_FORMATS[0];
+    const parts = [format.label];
+    parts.push(options.maxTokens ? `~${options.maxTokens / 1000}k tokens` : 'no size limit');
+    if (options.depth !== null && options.depth !== undefined) parts.push(`depth ${options.depth}`);
+    if (options.services && options.services.length > 0) parts.push(options.services.join(', '));
+    if (options.scriptsOnly) parts.push('scripts only');
+    return parts.join(' · ');
+}
+
+// Walk the user through format, budget, depth and services; undefined if cancelled
+async function pickExportOptions(tree, current) {
+    const format = await vscode.window.showQuickPick(
+        EXPORT_FORMATS.map(f => ({ ...f, picked: f.format === current.format })),
+        { placeHolder: 'Output format' }
+    );
+    if (!format) return undefined;
+
+    const budget = await vscode.window.showQuickPick(
+        [null, 2000, 4000, 8000, 16000, 32000].map(maxTokens => ({
+            label: maxTokens ? `~${maxTokens / 1000}k tokens` : 'No limit',
+            description: maxTokens ? 'Deep folders are collapsed into summaries to fit' : '',
+            maxTokens
+        })),
+        { placeHolder: 'Size budget' }
+    );
+    if (!budget) return undefined;
+
+    const depth = await vscode.window.showQuickPick(
+        [null, 0, 1, 2, 3, 4, 5].map(value => ({
+            label: value === null ? 'Full depth' : value === 0 ? 'Services only' : `${value} level${value === 1 ? '' : 's'} below each service`,
+            value
+        })),
+        { placeHolder: 'Depth' }
+    );
+    if (!depth) return undefined;
+
+    const services = (tree.containers || []).map(container => container.name);
+    const include = await vscode.window.showQuickPick(
+        [
+            ...services.map(name => ({
+                label: name,
+                description: 'Service',
+                picked: !current.services || current.services.length === 0 || current.services.includes(name)
+            })),
+            { label: 'Non-script instances', description: 'Parts, values, remotes, UI...', nonScripts: true, picked: !current.scriptsOnly }
+        ],
+        { placeHolder: 'What to include', canPickMany: true }
+    );
+    if (!include) return undefined;
+
+    const pickedServices = include.filter(choice => !choice.nonScripts).map(choice => choice.label);
+    return {
+        format: format.format,
+        maxTokens: budget.maxTokens,
+        depth: depth.value,
+        services: pickedServices.length === services.length ? null : pickedServices,
+        scriptsOnly: !include.some(choice => choice.nonScripts)
+    };
+}
+
+// ============================================
+// EXTENSION ACTIVATION
+// ============================================
+
+const PAIRING_TOKEN_KEY = 'pairingToken';
+
+// The token is kept in SecretStorage (the OS keychain), created on first use
+async function loadPairingToken(context) {
+    let token = await context.secrets.get(PAIRING_TOKEN_KEY);
+    if (!token) {
+        token = generateToken();
+        await context.secrets.store(PAIRING_TOKEN_KEY, token);
+    }
+    return token;
+}
+
+// EmbeddedServer settings from the robloxDirectoryTree.* configuration
+function serverSettings() {
+    const config = vscode.workspace.getConfiguration('robloxDirectoryTree');
+    return {
+        port: config.get('serverPort') || 21326,
+        host: config.get('allowLanConnections') ? '0.0.0.0' : '127.0.0.1',
+        sessionTimeout: (config.get('sessionTimeout') || 120) * 1000,
+        maxScriptBytes: (config.get('maxScriptSizeKB') || 512) * 1024,
+        maxSourceStoreBytes: (config.get('maxSourceStoreMB') || 32) * 1024 * 1024,
+        maxBodyBytes: (config.get('maxRequestBodyMB') || 16) * 1024 * 1024,
+        maxSyncNodes: config.get('maxSyncNodes') || 250000,
+        // What the plugin syncs; settings left at null keep the plugin widget's choice
+        syncConfig: {
+            services: config.get('syncServices'),
+            skipClasses: config.get('skipClasses'),
+            shallowClasses: config.get('shallowClasses'),
+            syncInterval: config.get('syncInterval'),
+            useFilters: config.get('filterNonCode')
+        }
+    };
+}
+
+// Settings pushed to the Studio plugin through /config
+const SYNC_SETTINGS = ['syncServices', 'skipClasses', 'shallowClasses', 'syncInterval', 'filterNonCode'];
+
+function activate(context) {
+    console.log('Roblox Live Directory Tree activated');
+
+    // Create embedded server
+    const server = new EmbeddedServer();
+
+    // Per-install pairing token, entered once in the Studio widget
+    const tokenLoaded = loadPairingToken(context).then(token => server.setToken(token));
+
+    // Create tree provider
+    const treeProvider = new RobloxDirectoryTreeProvider(server);
+
+    // Register tree view
+    const treeView = vscode.window.createTreeView('robloxDirectoryTree', {
+        treeDataProvider: treeProvider,
+        showCollapseAll: true,
+    });
+    treeProvider.view = treeView;
+
+    // Selecting nodes in the view selects them in Studio's Explorer (no approval: nothing is modified)
+    const treeSelectionReg = treeView.onDidChangeSelection(({ selection }) => {
+        if (!vscode.workspace.getConfiguration('robloxDirectoryTree').get('syncSelection', true)) return;
+        const items = selection.filter(item => item instanceof RobloxTreeItem);
+        if (items.length === 1 && items[0].id === treeProvider.revealedId) {
+            treeProvider.revealedId = null;
+            return;
+        }
+        treeProvider.revealedId = null;
+        if (items.length === 0) return;
+
+        // The view can only select within one session
+        const session = server.sessions.sessions.get(items[0].sessionId);
+        if (!session) return;
+        server.selectInStudio(session, items.filter(item => item.sessionId === session.id).map(item => item.node.path), 'VS Code');
+    });
+
+    // Drift view (Studio vs Rojo)
+    const driftProvider = new RojoDriftProvider(server);
+    const driftView = vscode.window.createTreeView('robloxDriftView', {
+        treeDataProvider: driftProvider,
+    });
+
+
+    // Quick pick over live sessions; resolves immediately when there's only one
+    const pickSession = async (placeHolder) => {
+        const sessions = server.sessions.list();
+        if (sessions.length <= 1) return sessions.length === 1 ? sessions[0].id : null;
+        const choice = await vscode.window.showQuickPick(
+            sessions.map(session => ({
+                label: session.label,
+                description: session.placeId ? `Place ${session.placeId}` : '',
+                detail: `${session.isConnected() ? 'Syncing' : 'Not syncing'} · session ${session.id}`,
+                id: session.id
+            })),
+            { placeHolder }
+        );
+        return choice ? choice.id : undefined;
+    };
+
+    // Read-only script documents
+    const scriptProvider = new RobloxScriptContentProvider(server);
+    const scriptProviderReg = vscode.workspace.registerTextDocumentContentProvider(SCRIPT_SCHEME, scriptProvider);
+
+    // Problems for references to instances the live place doesn't have
+    const missingInstances = new MissingInstanceDiagnostics(server);
+
+    // Studio's Output window, with links from errors to the scripts
+    const studioOutput = new StudioOutputChannel(server);
+    const studioOutputLinksReg = vscode.languages.registerDocumentLinkProvider({ language: STUDIO_OUTPUT_LANGUAGE }, studioOutput);
+
+    // Server push events (the same stream /events serves to the explorer page and MCP server)
+    server.events.onEvent = (type, data) => {
+        treeProvider.handleEvent(type);
+        if (type === 'output') {
+            studioOutput.append(data.session, data.entries);
+        } else if (type === 'sources-changed') {
+            scriptProvider.sourcesChanged(data.session, data.paths);
+        } else if (TREE_REFRESH_EVENTS.has(type)) {
+            driftProvider.schedule();
+            missingInstances.schedule(type === 'tree-changed' && data.type === 'patch' ? 'open' : 'workspace');
+        }
+        if ((type === 'sources-changed' || type === 'tree-changed') && DependencyGraphPanel.current) {
+            DependencyGraphPanel.current.schedule(data.session);
+        }
+        if (type === 'selection-changed' && data.origin === 'studio') {
+            treeProvider.revealSelection(data.session);
+        }
+        if (ExplorerPanel.current) ExplorerPanel.current.postEvent(type, data);
+        if ((type === 'sources-changed' || TREE_REFRESH_EVENTS.has(type)) && ProjectStatsPanel.current) {
+            ProjectStatsPanel.current.schedule();
+        }
+    };
+
+    // Approval prompts + audit log for write-back commands
+    const storageUri = context.storageUri || context.globalStorageUri;
+    const approver = new CommandApprover(server.commands, storageUri);
+    const proposedSourceReg = vscode.workspace.registerTextDocumentContentProvider(COMMAND_SCHEME, approver);
+
+    // Tree history and named snapshots
+    if (storageUri) {
+        try {
+            server.history.open(path.join(storageUri.fsPath, 'tree-history'));
+        } catch (e) {
+            console.error('Failed to load tree history:', e);
+        }
+        // Last tree of every place, shown offline until Studio connects again
+        try {
+            server.restorePlaces(path.join(storageUri.fsPath, 'places'));
+        } catch (e) {
+            console.error('Failed to restore saved trees:', e);
+        }
+    }
+    const treeListingReg = vscode.workspace.registerTextDocumentContentProvider(TREE_SCHEME, new TreeListingContentProvider(server));
+
+    // Completion and hover for instance paths in Lua/Luau files
+    const instancePaths = new InstancePathProvider(server);
+    const completionReg = vscode.languages.registerCompletionItemProvider(LUAU_DOCUMENTS, instancePaths, '.', '"', "'");
+    const hoverReg = vscode.languages.registerHoverProvider(LUAU_DOCUMENTS, instancePaths);
+
+    // Quick fixes for references to instances the live place doesn't have
+    const missingInstancesFixReg = vscode.languages.registerCodeActionsProvider(
+        [{ scheme: 'file', language: 'lua' }, { scheme: 'file', language: 'luau' }],
+        missingInstances,
+        { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] }
+    );
+    let referenceEditTimer = null;
+    const referenceEditsReg = vscode.workspace.onDidChangeTextDocument(({ document }) => {
+        if (!MissingInstanceDiagnostics.isLuau(document)) return;
+        clearTimeout(referenceEditTimer);
+        referenceEditTimer = setTimeout(() => missingInstances.updateDocument(document), 500);
+    });
+    const referenceSettingReg = vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration('robloxDirectoryTree.instanceDiagnostics')) missingInstances.schedule();
+    });
+
+    // Connected plugins pick up sync settings with their next /sync reply, no restart needed
+    server.setSyncConfig(serverSettings().syncConfig);
+    const syncSettingsReg = vscode.workspace.onDidChangeConfiguration((event) => {
+        if (SYNC_SETTINGS.some(key => event.affectsConfiguration(`robloxDirectoryTree.${key}`))) {
+            server.setSyncConfig(serverSettings().syncConfig);
+        }
+    });
+
+    // Rojo project mapping (instance path <-> file on disk). Project files are
+    // only searched for and parsed again when one of them changes; other files
+    // coming and going rebuild the mapping, and saving a script re-counts its lines.
+    let rojoReloadTimer = null;
+    let rojoProjectsChanged = true;
+    const reloadRojo = async () => {
+        if (rojoProjectsChanged) {
+            rojoProjectsChanged = false;
+            const files = await vscode.workspace.findFiles('**/*.project.json', '**/{node_modules,Packages,_Index}/**', 50);
+            server.rojo.load(files.map(uri => uri.fsPath));
+        } else {
+            server.rojo.rebuild();
+        }
+        treeProvider.refresh();
+        driftProvider.update();
+        // `script` may map to a different instance now
+        missingInstances.schedule();
+    };
+    const scheduleRojoReload = (uri) => {
+        if (uri.fsPath.endsWith('.project.json')) rojoProjectsChanged = true;
+        clearTimeout(rojoReloadTimer);
+        rojoReloadTimer = setTimeout(reloadRojo, 1000);
+    };
+    const rojoWatcher = vscode.workspace.createFileSystemWatcher('**/*.{lua,luau,json,toml,txt,csv,rbxm,rbxmx}');
+    rojoWatcher.onDidCreate(scheduleRojoReload);
+    rojoWatcher.onDidDelete(scheduleRojoReload);
+    rojoWatcher.onDidChange((uri) => {
+        // Content changes only matter for project and class files, and script line counts
+        if (/\.(project\.json|meta\.json|model\.json)$/.test(uri.fsPath)) {
+            scheduleRojoReload(uri);
+        } else if (/\.luau?$/.test(uri.fsPath)) {
+            if (server.rojo.updateFile(uri.fsPath)) driftProvider.update();
+            missingInstances.updateFile(uri);
+        }
+    });
+    reloadRojo();
+
+    // Track server state for menu visibility
+    const updateServerContext = () => {
+        vscode.commands.executeCommand('setContext', 'robloxDirectoryTree.serverRunning', server.isRunning());
+    };
+
+    // Commands
+    const startServerCmd = vscode.commands.registerCommand('robloxDirectoryTree.startServer', async () => {
+        try {
+            server.configure(serverSettings());
+            await tokenLoaded;
+            await server.start();
+            updateServerContext();
+            treeProvider.refresh();
+            const where = server.host === '127.0.0.1' ? `http://localhost:${server.port}` : `port ${server.port} (LAN access enabled)`;
+            const action = await vscode.window.showInformationMessage(
+                `🌲 Server started on ${where}. Pairing token: ${server.token}`,
+                'Copy Token'
+            );
+            if (action === 'Copy Token') vscode.env.clipboard.writeText(server.token);
+        } catch (err) {
+            vscode.window.showErrorMessage(`Failed to start server: ${err.message}`);
+        }
+    });
+
+    const stopServerCmd = vscode.commands.registerCommand('robloxDirectoryTree.stopServer', async () => {
+        await server.stop();
+        updateServerContext();
+        treeProvider.refresh();
+        vscode.window.showInformationMessage('Server stopped');
+    });
+
+    const refreshCmd = vscode.commands.registerCommand('robloxDirectoryTree.refresh', () => {
+        treeProvider.refresh();
+    });
+
+    const copyPathCmd = vscode.commands.registerCommand('robloxDirectoryTree.copyPath', (item) => {
+        if (item && item.node && item.node.path) {
+            vscode.env.clipboard.writeText(item.node.path);
+            vscode.window.setStatusBarMessage(`Copied: ${item.node.path}`, 2000);
+        }
+    });
+
+    // Prefer the Rojo file on disk; fall back to the read-only mirrored source
+    const openScriptCmd = vscode.commands.registerCommand('robloxDirectoryTree.openScript', async (item) => {
+        if (!item || !item.node || !item.node.path) return;
+        const rojoNode = server.rojo.getNode(item.node.path);
+        const uri = rojoNode && rojoNode.filePath && !rojoNode.isDirectory
+            ? vscode.Uri.file(rojoNode.filePath)
+            : RobloxScriptContentProvider.uriFor(item.node.path, item.sessionId);
+        const doc = await vscode.workspace.openTextDocument(uri);
+        await vscode.window.showTextDocument(doc, { preview: true });
+    });
+
+    const openMirroredSourceCmd = vscode.commands.registerCommand('robloxDirectoryTree.openMirroredSource', async (item) => {
+        if (!item || !item.node || !item.node.path) return;
+        const doc = await vscode.workspace.openTextDocument(RobloxScriptContentProvider.uriFor(item.node.path, item.sessionId));
+        await vscode.window.showTextDocument(doc, { preview: true });
+    });
+
+    const statsCmd = vscode.commands.registerCommand('robloxDirectoryTree.showStats', () => {
+        ProjectStatsPanel.show(server);
+    });
+
+    const explorerCmd = vscode.commands.registerCommand('robloxDirectoryTree.openExplorer', () => {
+        ExplorerPanel.show(server);
+    });
+
+    const dependencyGraphCmd = vscode.commands.registerCommand('robloxDirectoryTree.showDependencies', (item) => {
+        if (!item || !item.node || !item.node.path) return;
+        DependencyGraphPanel.show(server, item.sessionId, item.node.path);
+    });
+
+    const revealFileCmd = vscode.commands.registerCommand('robloxDirectoryTree.revealFile', (item) => {
+        const filePath = item && item.node ? server.rojo.resolve(item.node.path) : null;
+        if (filePath) {
+            vscode.commands.executeCommand('revealInExplorer', vscode.Uri.file(filePath));
+        }
+    });
+
+    // Tree view write-back commands go through the same approval queue as MCP
+    const enqueueFromView = (type, params, sessionId) => {
+        if (!server.isRunning()) {
+            vscode.window.showWarningMessage('Start the server and connect Studio first');
+            return;
+        }
+        try {
+            const command = server.commands.enqueue(type, params, 'VS Code', sessionId || null);
+            server.commands.waitFor(command.id, 120000).then((result) => {
+                if (result.status === 'succeeded') {
+                    vscode.window.setStatusBarMessage(`Roblox: ${describeCommand(result)}`, 3000);
+                } else if (result.status === 'failed') {
+                    vscode.window.showErrorMessage(`Roblox: ${describeCommand(result)} failed: ${result.error}`);
+                }
+            });
+        } catch (e) {
+            vscode.window.showErrorMessage(e.message);
+        }
+    };
+
+    const createInstanceCmd = vscode.commands.registerCommand('robloxDirectoryTree.createInstance', async (item) => {
+        if (!item || !item.node) return;
+        const className = await vscode.window.showQuickPick(CREATABLE_CLASSES, {
+            placeHolder: `New instance in ${item.node.path}`
+        });
+        if (!className) return;
+        const name = await vscode.window.showInputBox({ prompt: `Name for the new ${className}`, value: className });
+        if (!name) return;
+        enqueueFromView('create', { parent: item.node.path, className, name }, item.sessionId);
+    });
+
+    const renameInstanceCmd = vscode.commands.registerCommand('robloxDirectoryTree.renameInstance', async (item) => {
+        if (!item || !item.node) return;
+        const name = await vscode.window.showInputBox({ prompt: `Rename ${item.node.path}`, value: item.node.name });
+        if (!name || name === item.node.name) return;
+        enqueueFromView('rename', { path: item.node.path, name }, item.sessionId);
+    });
+
+    const moveInstanceCmd = vscode.commands.registerCommand('robloxDirectoryTree.moveInstance', async (item) => {
+        if (!item || !item.node) return;
+        const parent = await vscode.window.showInputBox({
+            prompt: `Move ${item.node.path} into...`,
+            placeHolder: 'ReplicatedStorage.Shared'
+        });
+        if (!parent) return;
+        enqueueFromView('reparent', { path: item.node.path, parent }, item.sessionId);
+    });
+
+    const deleteInstanceCmd = vscode.commands.registerCommand('robloxDirectoryTree.deleteInstance', (item) => {
+        if (!item || !item.node) return;
+        enqueueFromView('destroy', { path: item.node.path }, item.sessionId);
+    });
+
+    const showCommandLogCmd = vscode.commands.registerCommand('robloxDirectoryTree.showCommandLog', () => {
+        approver.output.show();
+    });
+
+    const showStudioOutputCmd = vscode.commands.registerCommand('robloxDirectoryTree.showStudioOutput', () => {
+        studioOutput.output.show();
+    });
+
+    // Target of the links in the Studio output for instances without a file or mirrored source
+    const revealInTreeCmd = vscode.commands.registerCommand('robloxDirectoryTree.revealInTree', (sessionId, instancePath) => {
+        treeProvider.revealPath(sessionId, instancePath);
+    });
+
+    const refreshDriftCmd = vscode.commands.registerCommand('robloxDirectoryTree.refreshDrift', () => {
+        driftProvider.update();
+    });
+
+    const selectSessionCmd = vscode.commands.registerCommand('robloxDirectoryTree.selectSession', async () => {
+        if (server.sessions.size === 0) {
+            vscode.window.showInformationMessage('No Studio sessions are syncing yet');
+            return;
+        }
+        const sessionId = await pickSession('Session used for copy, drift and AI tools by default');
+        if (!sessionId) return;
+        server.activeSessionId = sessionId;
+        treeProvider.refresh();
+        driftProvider.update();
+    });
+
+    const saveSnapshotCmd = vscode.commands.registerCommand('robloxDirectoryTree.saveSnapshot', async () => {
+        const sessionId = await pickSession('Snapshot which session?');
+        const session = sessionId === undefined ? null : server.getSession(sessionId);
+        if (!session || !session.store.hasData()) {
+            if (sessionId !== undefined) vscode.window.showWarningMessage('Connect Roblox Studio before saving a snapshot');
+            return;
+        }
+        const name = await vscode.window.showInputBox({
+            prompt: 'Snapshot name',
+            value: `${session.gameName} ${new Date().toLocaleString()}`
+        });
+        if (!name) return;
+        if (server.history.snapshots.has(name)) {
+            const overwrite = await vscode.window.showWarningMessage(`Replace snapshot "${name}"?`, { modal: true }, 'Replace');
+            if (overwrite !== 'Replace') return;
+        }
+        server.history.saveSnapshot(name, session);
+        vscode.window.setStatusBarMessage(`Saved snapshot "${name}"`, 3000);
+    });
+
+    const exportSnapshotCmd = vscode.commands.registerCommand('robloxDirectoryTree.exportSnapshot', async () => {
+        const sessionId = await pickSession('Export which session?');
+        const session = sessionId === undefined ? null : server.getSession(sessionId);
+        if (!session || !session.store.hasData()) {
+            if (sessionId !== undefined) vscode.window.showWarningMessage('No tree to export. Connect Roblox Studio first.');
+            return;
+        }
+        const folder = vscode.workspace.workspaceFolders ? vscode.workspace.workspaceFolders[0].uri : undefined;
+        const fileName = `${session.gameName.replace(/[^\w.-]+/g, '_')}.tree.json`;
+        const uri = await vscode.window.showSaveDialog({
+            defaultUri: folder ? vscode.Uri.joinPath(folder, fileName) : undefined,
+            filters: { 'Tree snapshot': ['json'] },
+            saveLabel: 'Export'
+        });
+        if (!uri) return;
+        await vscode.workspace.fs.writeFile(uri, Buffer.from(server.exportSnapshot(session), 'utf8'));
+        vscode.window.setStatusBarMessage(`Exported ${session.gameName} to ${vscode.workspace.asRelativePath(uri)}`, 3000);
+    });
+
+    const importSnapshotCmd = vscode.commands.registerCommand('robloxDirectoryTree.importSnapshot', async () => {
+        const uris = await vscode.window.showOpenDialog({
+            canSelectMany: false,
+            filters: { 'Tree snapshot': ['json'] },
+            openLabel: 'Import'
+        });
+        if (!uris || uris.length === 0) return;
+        try {
+            const text = Buffer.from(await vscode.workspace.fs.readFile(uris[0])).toString('utf8');
+            const session = server.importSnapshot(text);
+            vscode.window.showInformationMessage(
+                `Imported ${session.gameName} (synced ${new Date(session.offline.since).toLocaleString()}). It stays offline; the tree view and AI tools use it until you pick another session.`);
+        } catch (e) {
+            vscode.window.showErrorMessage(`Could not import tree snapshot: ${e.message}`);
+        }
+    });
+
+    const compareSnapshotCmd = vscode.commands.registerCommand('robloxDirectoryTree.compareWithSnapshot', async () => {
+        const snapshots = server.history.listSnapshots().map(entry => ({
+            label: `$(bookmark) ${entry.name}`,
+            description: new Date(entry.time).toLocaleString(),
+            detail: entry.label,
+            ref: entry.name,
+            title: entry.name
+        }));
+        const history = server.history.listHistory().map(entry => ({
+            label: `$(history) ${new Date(entry.time).toLocaleString()}`,
+            description: 'Automatic',
+            detail: entry.label,
+            ref: String(entry.time),
+            title: new Date(entry.time).toLocaleString()
+        }));
+        if (snapshots.length + history.length === 0) {
+            vscode.window.showInformationMessage('No snapshots yet. Use "Save Snapshot" or keep Studio connected for a while.');
+            return;
+        }
+
+        const choice = await vscode.window.showQuickPick(
+            [
+                { label: 'Snapshots', kind: vscode.QuickPickItemKind.Separator },
+                ...snapshots,
+                { label: 'History', kind: vscode.QuickPickItemKind.Separator },
+                ...history
+            ].filter((item, i, items) => item.kind !== vscode.QuickPickItemKind.Separator || (items[i + 1] && items[i + 1].ref)),
+            { placeHolder: 'Compare the live tree with...', matchOnDetail: true }
+        );
+        if (!choice) return;
+
+        const sessionId = await pickSession('Compare against which session?');
+        if (sessionId === undefined) return;
+        const session = server.getSession(sessionId);
+        if (session) {
+            const changes = server.history.changesSince(choice.ref, session);
+            if (changes && !isEmptyDiff(changes.diff)) {
+                const { added, removed, moved, classChanged, lineDelta } = changes.diff;
+                vscode.window.setStatusBarMessage(
+                    `Roblox: ${added.length} added, ${removed.length} removed, ${moved.length} moved, ` +
+                    `${classChanged.length} class changes, ${lineDelta.length} scripts edited`, 10000);
+            }
+        }
+
+        await vscode.commands.executeCommand('vscode.diff',
+            TreeListingContentProvider.uriFor(choice.title, choice.ref, sessionId),
+            TreeListingContentProvider.uriFor('Live', null, sessionId),
+            `${choice.title} ↔ Live`
+        );
+    });
+
+    const findCmd = vscode.commands.registerCommand('robloxDirectoryTree.find', async () => {
+        const query = await vscode.window.showInputBox({
+            prompt: 'Find in Roblox Tree: words, or filters like class:ModuleScript under:ReplicatedStorage name:*Service lines:>200 tag:Interactable',
+            placeHolder: 'class:LuaSourceContainer under:ServerScriptService',
+            value: treeProvider.filter ? treeProvider.filter.query : '',
+            validateInput: (text) => {
+                if (!text.trim()) return null;
+                try {
+                    compileQuery(text);
+                    return null;
+                } catch (e) {
+                    return e.message;
+                }
+            }
+        });
+        if (query === undefined) return;
+        treeProvider.setFilter(query.trim() || null);
+    });
+
+    const clearFindCmd = vscode.commands.registerCommand('robloxDirectoryTree.clearFind', () => {
+        treeProvider.setFilter(null);
+    });
+
+    const copyTreeCmd = vscode.commands.registerCommand('robloxDirectoryTree.copyTree', async (item) => {
+        const sessionId = item && item.sessionId ? item.sessionId : await pickSession('Copy the tree of which session?');
+        if (sessionId === undefined) return;
+
+        const last = context.globalState.get('exportOptions', DEFAULT_EXPORT_OPTIONS);
+        const action = await vscode.window.showQuickPick([
+            { label: '$(copy) Copy', description: describeExportOptions(last), customize: false },
+            { label: '$(settings-gear) Customize...', description: 'Format, size budget, depth and services', customize: true }
+        ], { placeHolder: 'Copy the project tree for an AI assistant' });
+        if (!action) return;
+
+        let options = last;
+        if (action.customize) {
+            options = await pickExportOptions(server.getTree(sessionId), last);
+            if (!options) return;
+            await context.globalState.update('exportOptions', options);
+        }
+
+        const text = treeProvider.getTreeAsText(sessionId, options);
+        vscode.env.clipboard.writeText(text);
+        vscode.window.showInformationMessage(` Directory tree copied to clipboard (~${estimateTokens(text)} tokens)`);
+    });
+
+    const showTokenCmd = vscode.commands.registerCommand('robloxDirectoryTree.showPairingToken', async () => {
+        await tokenLoaded;
+        await vscode.env.clipboard.writeText(server.token);
+        vscode.window.showInformationMessage(
+            `Pairing token ${server.token} copied. Paste it into the "Pairing Token" field of the Studio plugin.`
+        );
+    });
+
+    const regenerateTokenCmd = vscode.commands.registerCommand('robloxDirectoryTree.regeneratePairingToken', async () => {
+        const confirm = await vscode.window.showWarningMessage(
+            'Generate a new pairing token? Connected Studio plugins will need the new token.',
+            { modal: true },
+            'Regenerate'
+        );
+        if (confirm !== 'Regenerate') return;
+        const token = generateToken();
+        await context.secrets.store(PAIRING_TOKEN_KEY, token);
+        server.setToken(token);
+        await vscode.env.clipboard.writeText(token);
+        vscode.window.showInformationMessage(`New pairing token ${token} copied to the clipboard.`);
     });
 
     const setUrlCmd = vscode.commands.registerCommand('robloxDirectoryTree.setServerUrl', async () => {
@@ -460,7 +2177,8 @@ function activate(context) {
         const path = require('path');
         const fs = require('fs');
 
-        // Get the MCP server script path
+        // Both run the stdio proxy, which finds the server and its pairing token
+        // through the discovery file, so no token is written into their configs
         const mcpServerPath = path.join(__dirname, 'mcp-server.js');
         const mcpEntry = { command: 'node', args: [mcpServerPath] };
 
@@ -579,14 +2297,60 @@ function activate(context) {
     // Register all disposables
     context.subscriptions.push(
         treeView,
+        treeSelectionReg,
         treeProvider,
+        driftView,
+        driftProvider,
+        refreshDriftCmd,
         startServerCmd,
         stopServerCmd,
         refreshCmd,
         copyPathCmd,
+        openScriptCmd,
+        openMirroredSourceCmd,
+        dependencyGraphCmd,
+        explorerCmd,
+        statsCmd,
+        revealFileCmd,
+        rojoWatcher,
+        { dispose: () => clearTimeout(rojoReloadTimer) },
         copyTreeCmd,
+        selectSessionCmd,
+        saveSnapshotCmd,
+        compareSnapshotCmd,
+        exportSnapshotCmd,
+        importSnapshotCmd,
+        findCmd,
+        clearFindCmd,
+        treeListingReg,
+        completionReg,
+        hoverReg,
+        missingInstances,
+        missingInstancesFixReg,
+        referenceEditsReg,
+        referenceSettingReg,
+        syncSettingsReg,
+        { dispose: () => clearTimeout(referenceEditTimer) },
+        { dispose: () => server.history.dispose() },
+        { dispose: () => server.placeCache.dispose() },
         setUrlCmd,
+        showTokenCmd,
+        regenerateTokenCmd,
         setupMCPCmd,
+        scriptProviderReg,
+        scriptProvider,
+        approver,
+        proposedSourceReg,
+        createInstanceCmd,
+        renameInstanceCmd,
+        moveInstanceCmd,
+        deleteInstanceCmd,
+        showCommandLogCmd,
+        studioOutput,
+        studioOutputLinksReg,
+        showStudioOutputCmd,
+        revealInTreeCmd,
+        { dispose: () => server.commands.dispose() },
         { dispose: () => server.stop() }
     );
 }
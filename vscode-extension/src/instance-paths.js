@@ -0,0 +1,239 @@
+// ============================================
+// INSTANCE PATHS AT THE CURSOR
+// ============================================
+//
+// Works out which synced instance an expression in a Luau file refers to, for
+// completion and hover in the editor:
+//
+//   game:GetService("ReplicatedStorage").|      -> children of ReplicatedStorage
+//   script.Parent:WaitForChild("|               -> children of the script's parent
+//   local Shared = ReplicatedStorage.Shared     -> hovering Shared resolves it
+//
+// Expressions are parsed and followed the same way the dependency graph
+// follows requires, including the `local X = <path>` aliases above the cursor.
+//
+// The same walk finds references to children the live place doesn't have
+// (`Remotes.PlayerJoinned`, `:WaitForChild("Remtoes")`). Only lookups that are
+// certainly meant as children are checked, and only under instances whose
+// children were synced: the plugin sends Models and Parts without their
+// contents, and `.Size` on a Frame is a property, not a missing child.
+
+const { tokenize, parsePath, evaluatePath, declarationAt, trackAlias, isOp, KEYWORDS } = require('./dependency-graph');
+
+// Methods whose first string argument names a child (or service)
+const CHILD_METHODS = 'WaitForChild|FindFirstChild|GetService|FindService';
+
+// `:WaitForChild("Par` or `["Par` right before the cursor
+const STRING_ARGUMENT = new RegExp(`(?::\\s*(?:${CHILD_METHODS})\\s*\\(\\s*|\\[\\s*)(["'])([^"'\\\\\\n]*)$`);
+
+// `.Par` right before the cursor (but not the `..` operator)
+const MEMBER = /(?:^|[^.])\.([A-Za-z_]\w*)?$/;
+
+// Classes whose `.Name` indexes can only mean a child: they have next to no
+// properties scripts read. Everything else is only checked through
+// WaitForChild/FindFirstChild.
+const CONTAINER_CLASSES = new Set([
+    'Folder', 'Configuration', 'ModuleScript', 'Script', 'LocalScript',
+    'ReplicatedStorage', 'ReplicatedFirst', 'ServerStorage', 'ServerScriptService',
+    'StarterPack', 'StarterPlayerScripts', 'StarterCharacterScripts',
+]);
+
+// Members every container has; `folder.Name` isn't a child lookup
+const INSTANCE_MEMBERS = new Set([
+    'Name', 'Parent', 'ClassName', 'Archivable', 'Changed', 'ChildAdded', 'ChildRemoved',
+    'DescendantAdded', 'DescendantRemoving', 'AncestryChanged', 'AttributeChanged', 'Destroying',
+    'Source', 'Disabled', 'Enabled', 'RunContext', 'LinkedSource',
+]);
+
+// Suggestions for a misspelled name: at most this many, within this many edits per 3 characters
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Walk the chains in `tokens` in order, keeping `scope.aliases` up to date,
+ * until `visit(expr, start)` returns something other than undefined.
+ */
+function findChain(tokens, scope, visit) {
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type !== 'name' || isOp(tokens[i - 1], '.') || isOp(tokens[i - 1], ':')) continue;
+
+        const declaration = declarationAt(tokens, i);
+        if (declaration) trackAlias(declaration.name, tokens, declaration.start, scope);
+        if (KEYWORDS.has(token.value)) continue;
+
+        const expr = parsePath(tokens, i, { partial: true });
+        if (!expr) continue;
+        const result = visit(expr, i);
+        if (result !== undefined) return result;
+    }
+    return null;
+}
+
+function newScope({ game, parents, script }) {
+    return { game, parents, script: script || null, aliases: new Map() };
+}
+
+/**
+ * What to complete at `offset`: `{ parent, quote, start }` where `parent` is
+ * the instance whose children fit there, `quote` is the quote character when
+ * the cursor is inside a string argument (null after a `.`), and `start` is
+ * where the partly typed name begins. Null when the cursor isn't after an
+ * instance path.
+ */
+function completionAt(source, offset, index) {
+    const before = source.slice(0, offset);
+
+    let quote = null;
+    let exprEnd;
+    let start;
+    const argument = STRING_ARGUMENT.exec(before);
+    const member = argument ? null : MEMBER.exec(before);
+    if (argument) {
+        quote = argument[1];
+        exprEnd = argument.index;
+        start = offset - argument[2].length;
+    } else if (member) {
+        const typed = member[1] || '';
+        start = offset - typed.length;
+        exprEnd = start - 1;
+    } else {
+        return null;
+    }
+
+    // The path has to run right up to the `.` or `:`; anything else (a comment,
+    // a string, a call result) isn't an instance we can follow
+    const tokens = tokenize(source.slice(0, exprEnd));
+    const last = tokens[tokens.length - 1];
+    if (!last || last.end !== exprEnd || (last.type !== 'name' && !isOp(last, ')') && !isOp(last, ']'))) return null;
+
+    const scope = newScope(index);
+    const parent = findChain(tokens, scope, (expr) => {
+        if (expr.end !== tokens.length) return undefined;
+        const value = evaluatePath(expr, scope);
+        return value.node || null;
+    });
+    return parent ? { parent, quote, start } : null;
+}
+
+/**
+ * The instance the name or string under `offset` resolves to, following the
+ * path up to and including it: `{ node, start, end }` (the token's range), or
+ * null when it isn't part of a path into the synced tree.
+ */
+function instanceAt(source, offset, index) {
+    const tokens = tokenize(source);
+    const hovered = tokens.findIndex(token => token.start <= offset && offset < token.end);
+    if (hovered === -1 || (tokens[hovered].type !== 'name' && tokens[hovered].type !== 'string')) return null;
+
+    const scope = newScope(index);
+    const node = findChain(tokens, scope, (expr, start) => {
+        if (start > hovered) return null;
+        if (hovered >= expr.end) return undefined;
+
+        // Steps up to the one the hovered token belongs to
+        const steps = [];
+        let stepStart = start + 1;
+        for (const step of expr.steps) {
+            if (stepStart > hovered) break;
+            steps.push(step);
+            stepStart = step.end;
+        }
+        return evaluatePath({ root: expr.root, steps }, scope).node || null;
+    });
+
+    if (!node || node === index.game) return null;
+    return { node, start: tokens[hovered].start, end: tokens[hovered].end };
+}
+
+// ============================================
+// MISSING CHILDREN
+// ============================================
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Names from `candidates` close enough to `name` to be what was meant,
+ * closest first. Case differences count as half an edit.
+ */
+function closestNames(name, candidates) {
+    const limit = Math.max(1, Math.floor(name.length / 3));
+    return [...new Set(candidates)]
+        .map(candidate => {
+            const folded = editDistance(name.toLowerCase(), candidate.toLowerCase());
+            return { candidate, distance: folded + (editDistance(name, candidate) > folded ? 0.5 : 0) };
+        })
+        .filter(({ distance }) => distance > 0 && distance <= limit)
+        .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+        .slice(0, MAX_SUGGESTIONS)
+        .map(({ candidate }) => candidate);
+}
+
+/**
+ * The child a path step looks up: `{ name, token, method }` with the token
+ * holding the name, or null when the step isn't a child lookup we check.
+ */
+function childLookup(step, tokens, stepStart, parent) {
+    if (step.type === 'index') {
+        if (INSTANCE_MEMBERS.has(step.name) || !CONTAINER_CLASSES.has(parent.className)) return null;
+        return { name: step.name, token: tokens[stepStart + 1], method: null };
+    }
+    if ((step.method === 'WaitForChild' || step.method === 'FindFirstChild') && typeof step.args[0] === 'string') {
+        // The second FindFirstChild argument makes the search recursive
+        if (step.method === 'FindFirstChild' && step.args[1] === 'true') return null;
+        return { name: step.args[0], token: tokens[stepStart + 3], method: step.method };
+    }
+    return null;
+}
+
+/**
+ * References in `source` to children the synced tree doesn't have. Each is
+ * `{ start, end, name, parent, method, suggestions }`: the range of the name
+ * (the string, quotes included, for WaitForChild/FindFirstChild), the node it
+ * was looked up in, the method (null for `.Name` and `["Name"]`) and the
+ * closest sibling names. Only the first missing step of a path is reported.
+ */
+function findMissingChildren(source, index) {
+    const tokens = tokenize(source);
+    const scope = newScope(index);
+    const missing = [];
+
+    findChain(tokens, scope, (expr, start) => {
+        let node = evaluatePath({ root: expr.root, steps: [] }, scope).node;
+        let stepStart = start + 1;
+
+        for (let n = 0; n < expr.steps.length && node; n++) {
+            const step = expr.steps[n];
+            const lookup = node.childCount === undefined ? childLookup(step, tokens, stepStart, node) : null;
+            const next = evaluatePath({ root: expr.root, steps: expr.steps.slice(0, n + 1) }, scope).node;
+
+            if (lookup && !next) {
+                missing.push({
+                    start: lookup.token.start,
+                    end: lookup.token.end,
+                    name: lookup.name,
+                    parent: node,
+                    method: lookup.method,
+                    suggestions: closestNames(lookup.name, (node.children || []).map(child => child.name)),
+                });
+            }
+            node = next;
+            stepStart = step.end;
+        }
+        return undefined;
+    });
+
+    return missing;
+}
+
+module.exports = { completionAt, instanceAt, findMissingChildren, closestNames };
@@ -1,244 +1,101 @@
 #!/usr/bin/env node
 
 /**
- * MCP Server for Roblox Directory Tree
- * This connects Claude Desktop directly to your VS Code extension
+ * MCP stdio proxy for Roblox Directory Tree
+ * The tools live in the VS Code extension, which serves them over Streamable
+ * HTTP at /mcp. Clients that can only launch a command (Claude Desktop) run
+ * this script; it forwards every message to that endpoint and back.
  */
 
-import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import {
-  CallToolRequestSchema,
-  ListToolsRequestSchema,
-} from "@modelcontextprotocol/sdk/types.js";
-import http from "http";
-
-const SERVER_URL = process.env.DIRECTORY_TREE_SERVER || "http://localhost:21326";
-
-// Fetch from the VS Code extension's built-in server
-async function fetchTree() {
-  return new Promise((resolve, reject) => {
-    http.get(`${SERVER_URL}/tree`, { timeout: 5000 }, (res) => {
-      let data = "";
-      res.on("data", (chunk) => (data += chunk));
-      res.on("end", () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (e) {
-          reject(new Error("Invalid response from server"));
-        }
-      });
-    }).on("error", (err) => {
-      reject(new Error(`Server not running. Start it in VS Code first! (${err.message})`));
-    });
-  });
-}
-
-async function fetchStatus() {
-  return new Promise((resolve, reject) => {
-    http.get(`${SERVER_URL}/status`, { timeout: 5000 }, (res) => {
-      let data = "";
-      res.on("data", (chunk) => (data += chunk));
-      res.on("end", () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (e) {
-          reject(new Error("Invalid response"));
-        }
-      });
-    }).on("error", (err) => {
-      reject(new Error(`Cannot connect: ${err.message}`));
-    });
-  });
-}
-
-// Format tree as text
-function treeToText(tree) {
-  let result = `=====================================\n`;
-  result += `  ROBLOX PROJECT STRUCTURE\n`;
-  result += `  Game: ${tree.name || "Unknown"}\n`;
-  result += `=====================================\n\n`;
-
-  if (tree.containers && tree.containers.length > 0) {
-    tree.containers.forEach((container, i) => {
-      result += nodeToText(container, "", i === tree.containers.length - 1);
-      result += "\n";
-    });
-  } else {
-    result += "(No data - connect Roblox Studio first)\n";
-  }
-
-  return result;
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { isInitializeRequest, isJSONRPCRequest } from "@modelcontextprotocol/sdk/types.js";
+import { readDiscovery, discoveryUrl } from "./pairing.js";
+
+// Server URL and pairing token: environment overrides, else the discovery file
+// VS Code writes while its server runs (re-read on every reconnect, so restarts
+// and regenerated tokens are picked up).
+function resolveServer() {
+  const discovery = readDiscovery();
+  return {
+    url: process.env.DIRECTORY_TREE_SERVER || (discovery ? discoveryUrl(discovery) : "http://localhost:21326"),
+    token: process.env.DIRECTORY_TREE_TOKEN || (discovery ? discovery.token : "")
+  };
 }
 
-function nodeToText(node, prefix = "", isLast = true) {
-  const connector = prefix ? (isLast ? "└── " : "├── ") : "";
-  const childPrefix = prefix + (isLast ? "    " : "│   ");
-
-  let line = prefix + connector + node.name + ` [${node.className}]`;
-  if (node.lineCount) line += ` (${node.lineCount} lines)`;
-  if (node.childCount) line += ` (${node.childCount} children)`;
+// Id of the initialize request replayed after VS Code restarts; its response isn't forwarded
+const REPLAY_ID = "roblox-directory-tree-proxy-initialize";
 
-  let result = line + "\n";
+const stdio = new StdioServerTransport();
+let upstream = null;
+let initializeParams = null;
 
-  if (node.children && node.children.length > 0) {
-    node.children.forEach((child, i) => {
-      result += nodeToText(child, childPrefix, i === node.children.length - 1);
-    });
+// Open a session on the extension's /mcp endpoint. After a restart the client
+// is already initialized, so its original handshake is replayed first.
+async function connect(replay) {
+  const { url, token } = resolveServer();
+  const transport = new StreamableHTTPClientTransport(new URL("/mcp", url), {
+    requestInit: { headers: { "X-Pairing-Token": token } }
+  });
+  transport.onmessage = (message) => {
+    if (message.id !== REPLAY_ID) stdio.send(message).catch(() => {});
+  };
+  // Failed POSTs surface from send(); a dropped notification stream is reopened on the next request
+  transport.onerror = () => {};
+  await transport.start();
+
+  if (replay) {
+    await transport.send({ jsonrpc: "2.0", id: REPLAY_ID, method: "initialize", params: initializeParams });
+    await transport.send({ jsonrpc: "2.0", method: "notifications/initialized" });
   }
-
-  return result;
+  return transport;
 }
 
-// Search in tree
-function searchTree(tree, query) {
-  const results = [];
-  const q = query.toLowerCase();
-
-  function search(node, path = "") {
-    const fullPath = path ? `${path}.${node.name}` : node.name;
-    
-    if (node.name.toLowerCase().includes(q) || fullPath.toLowerCase().includes(q)) {
-      results.push({
-        name: node.name,
-        path: fullPath,
-        className: node.className,
-        lineCount: node.lineCount,
-      });
-    }
-
-    if (node.children) {
-      node.children.forEach((child) => search(child, fullPath));
+async function forward(message) {
+  if (isInitializeRequest(message)) initializeParams = message.params;
+
+  // One retry with a fresh session covers VS Code restarting (new port, token or sessions)
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      if (!upstream) upstream = await connect(!isInitializeRequest(message) && initializeParams !== null);
+      await upstream.send(message);
+      return;
+    } catch (error) {
+      const failed = upstream;
+      upstream = null;
+      if (failed) failed.close().catch(() => {});
+      if (attempt === 0 && failed) continue;
+
+      if (isJSONRPCRequest(message)) {
+        await stdio.send({
+          jsonrpc: "2.0",
+          id: message.id,
+          error: { code: -32000, message: `Roblox Directory Tree server not reachable. Start it in VS Code first! (${error.message})` }
+        });
+      }
+      return;
     }
   }
-
-  if (tree.containers) {
-    tree.containers.forEach((c) => search(c));
-  }
-
-  return results;
 }
 
-// Create MCP Server
-const server = new Server(
-  { name: "roblox-directory-tree", version: "1.0.0" },
-  { capabilities: { tools: {} } }
-);
-
-// List tools
-server.setRequestHandler(ListToolsRequestSchema, async () => ({
-  tools: [
-    {
-      name: "get_roblox_project_structure",
-      description: "Get the complete directory tree of the Roblox Studio project. Shows all scripts, modules, folders with their types and line counts.",
-      inputSchema: {
-        type: "object",
-        properties: {
-          format: {
-            type: "string",
-            enum: ["text", "json"],
-            description: "Output format (default: text)"
-          }
-        }
-      }
-    },
-    {
-      name: "search_roblox_project",
-      description: "Search for scripts, modules, or folders by name in the Roblox project",
-      inputSchema: {
-        type: "object",
-        properties: {
-          query: {
-            type: "string",
-            description: "Name or partial path to search for"
-          }
-        },
-        required: ["query"]
-      }
-    },
-    {
-      name: "check_roblox_connection",
-      description: "Check if Roblox Studio is connected and the server is running",
-      inputSchema: { type: "object", properties: {} }
-    }
-  ]
-}));
-
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+// Messages are forwarded one at a time so the handshake always reaches the server first
+let queue = Promise.resolve();
 
-  try {
-    switch (name) {
-      case "get_roblox_project_structure": {
-        const tree = await fetchTree();
-        const format = args?.format || "text";
-        
-        return {
-          content: [{
-            type: "text",
-            text: format === "json" ? JSON.stringify(tree, null, 2) : treeToText(tree)
-          }]
-        };
-      }
-
-      case "search_roblox_project": {
-        const tree = await fetchTree();
-        const results = searchTree(tree, args.query);
-        
-        if (results.length === 0) {
-          return { content: [{ type: "text", text: `No results for "${args.query}"` }] };
-        }
-
-        let text = `Found ${results.length} result(s) for "${args.query}":\n\n`;
-        results.forEach((r, i) => {
-          text += `${i + 1}. ${r.name} [${r.className}]\n   Path: ${r.path}\n`;
-          if (r.lineCount) text += `   Lines: ${r.lineCount}\n`;
-          text += "\n";
-        });
-
-        return { content: [{ type: "text", text }] };
-      }
-
-      case "check_roblox_connection": {
-        try {
-          const status = await fetchStatus();
-          const tree = await fetchTree();
-          
-          return {
-            content: [{
-              type: "text",
-              text: `✅ Server running\n` +
-                    `Game: ${tree.name || "Unknown"}\n` +
-                    `Studio connected: ${status.connected ? "Yes" : "No"}\n` +
-                    `Containers: ${tree.containers?.length || 0}`
-            }]
-          };
-        } catch (e) {
-          return {
-            content: [{
-              type: "text",
-              text: `❌ Not connected\n\nMake sure:\n1. VS Code is open\n2. Click ▶ Start Server in Roblox Directory sidebar\n3. Connect from Roblox Studio plugin`
-            }]
-          };
-        }
-      }
-
-      default:
-        throw new Error(`Unknown tool: ${name}`);
-    }
-  } catch (error) {
-    return {
-      content: [{ type: "text", text: `Error: ${error.message}` }],
-      isError: true
-    };
-  }
-});
+stdio.onmessage = (message) => {
+  queue = queue.then(() => forward(message)).catch(console.error);
+};
 
 // Start
 async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
+  stdio.onclose = async () => {
+    if (upstream) {
+      await upstream.terminateSession().catch(() => {});
+      await upstream.close().catch(() => {});
+    }
+    process.exit(0);
+  };
+  await stdio.start();
+  process.stdin.on("end", () => stdio.close());
 }
 
 main().catch(console.error);
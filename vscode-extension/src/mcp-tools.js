@@ -0,0 +1,1148 @@
+// ============================================
+// MCP TOOLS
+// ============================================
+//
+// The tools and resources AI clients use to read and edit the Studio place.
+// EmbeddedServer serves them at /mcp over Streamable HTTP, reading the
+// in-memory sessions directly; mcp-server.js is a stdio proxy to the same
+// endpoint for clients that can only launch a command.
+//
+// Every HTTP client gets its own MCP session (and its own resource
+// subscriptions); server events are fanned out to all of them.
+
+const crypto = require('crypto');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const {
+    CallToolRequestSchema,
+    ListToolsRequestSchema,
+    ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
+    ReadResourceRequestSchema,
+    SubscribeRequestSchema,
+    UnsubscribeRequestSchema,
+} = require('@modelcontextprotocol/sdk/types.js');
+const { withLineNumbers } = require('./source-store');
+const { queryTree } = require('./tree-query');
+const { exportTree, FORMATS } = require('./tree-export');
+const { describeAge } = require('./place-cache');
+const { describeDrift } = require('./rojo-drift');
+const { diffToText } = require('./tree-history');
+const { parseLocations, LEVELS } = require('./output-log');
+
+// How long a write-back tool waits for VS Code approval and the Studio result
+const COMMAND_TIMEOUT = 3 * 60 * 1000;
+
+// Sync errors older than this aren't mentioned by check_roblox_connection
+const SYNC_ERROR_WINDOW = 60000;
+
+// get_studio_selection lists at most this many children per item and source lines per script
+const SELECTION_CHILDREN = 20;
+const SELECTION_SOURCE_LINES = 500;
+
+// MCP sessions with no requests and no open notification stream for this long
+// are dropped (clients don't always end them); the client re-initializes on 404
+const IDLE_SESSION_TIMEOUT = 60 * 60 * 1000;
+
+// ============================================
+// FORMATTING
+// ============================================
+
+// Warning line for trees that aren't live (Studio closed, restored or imported); '' otherwise
+function staleNote(tree) {
+    if (!tree.stale) return '';
+    const { since, source } = tree.stale;
+    const what = source === 'import' ? 'an imported snapshot' : 'an offline copy';
+    return `⚠️ Roblox Studio is not connected: this is ${what} of the tree, last synced ${describeAge(since)} ago ` +
+        `(${new Date(since).toISOString()}). It may be out of date.\n\n`;
+}
+
+// `Name = value, ...` for attribute and property maps
+function formatValues(values) {
+    return Object.entries(values).map(([key, value]) => `${key} = ${JSON.stringify(value)}`).join(', ');
+}
+
+function dependencyText(report, direction) {
+    const items = report[direction];
+    const name = report.path;
+    let text = direction === 'dependencies'
+        ? `${name} requires ${items.length} module(s)${items.length ? ':' : '.'}\n`
+        : `${items.length} script(s) require ${name}${items.length ? ':' : '.'}\n`;
+
+    items.forEach(item => {
+        const indent = '  '.repeat(item.depth - 1);
+        const via = item.depth > 1 ? `, via ${item.via}` : '';
+        text += `${indent}- ${item.path} [${item.className}] (${item.from} line ${item.line}: require(${item.expression})${via})\n`;
+    });
+
+    if (report.cycles.length > 0) {
+        text += '\nRequire cycles:\n';
+        report.cycles.forEach(cycle => {
+            text += `- ${[...cycle, cycle[0]].join(' -> ')}\n`;
+        });
+    }
+    if (direction === 'dependencies' && report.unresolved.length > 0) {
+        text += '\nUnresolved requires:\n';
+        report.unresolved.forEach(item => {
+            text += `- line ${item.line}: require(${item.expression}) (${item.reason})\n`;
+        });
+    }
+    if (report.missingSources > 0) {
+        text += `\nNote: ${report.missingSources} script(s) have no mirrored source, so their requires are not included. ` +
+            'Enable "Mirror script sources" in the Studio plugin for a complete graph.\n';
+    }
+    return text;
+}
+
+function statsText(stats) {
+    const { totals } = stats;
+    let text = `Project stats for ${stats.game}\n` +
+        `${totals.instances} instances, ${totals.scripts} scripts (${totals.serverScripts} Script, ${totals.localScripts} LocalScript, ` +
+        `${totals.modules} ModuleScript), ${totals.lines} lines, max nesting depth ${stats.maxDepth}\n`;
+
+    const section = (title, items, line, count = items.length) => {
+        text += `\n${title}${count > items.length ? ` (showing ${items.length} of ${count})` : ''}:\n`;
+        text += items.length > 0 ? items.map(item => `- ${line(item)}\n`).join('') : '(none)\n';
+    };
+
+    section('Services', stats.services, s => `${s.name}: ${s.instances} instances, ${s.scripts} scripts, ${s.lines} lines`);
+    section('Largest folders', stats.folders, f => `${f.path} [${f.className}]: ${f.scripts} scripts, ${f.lines} lines`);
+    section('Largest scripts', stats.largestScripts, s => `${s.path} [${s.className}]: ${s.lines} lines`);
+    section('Scripts that never run where they are', stats.misplacedScripts.items,
+        s => `${s.path} [${s.className}]: ${s.reason}`, stats.misplacedScripts.count);
+    section('Duplicate sibling names (FindFirstChild returns only one)', stats.duplicateNames.items,
+        d => `${d.parent}.${d.name} x${d.count} (${[...new Set(d.classNames)].join(', ')})`, stats.duplicateNames.count);
+
+    if (stats.unreferencedModules === null) {
+        text += '\nUnreferenced ModuleScripts: unknown - enable "Mirror script sources" in the Studio plugin.\n';
+    } else {
+        section('ModuleScripts no script requires', stats.unreferencedModules, path => path, stats.unreferencedModuleCount);
+        if (stats.missingSources > 0) {
+            text += `(${stats.missingSources} script(s) have no mirrored source, so some of these may still be required)\n`;
+        }
+    }
+
+    section(`Deep nesting (instances ${stats.deepNesting.threshold} levels below their service)`, stats.deepNesting.items,
+        d => `${d.path} (reaches depth ${d.depth})`, stats.deepNesting.count);
+    return text;
+}
+
+// One selected instance: what it is, where it lives and, for mirrored scripts, its source
+function selectionItemText(item, file, source) {
+    const { node } = item;
+    if (!node) return `- ${item.path} (not in the synced tree)\n`;
+
+    let text = `- ${node.name} [${node.className}]\n  Path: ${node.path}\n`;
+    if (node.lineCount) text += `  Lines: ${node.lineCount}\n`;
+    if (node.tags && node.tags.length > 0) text += `  Tags: ${node.tags.join(', ')}\n`;
+    if (node.attributes) text += `  Attributes: ${formatValues(node.attributes)}\n`;
+    if (node.properties) text += `  Properties: ${formatValues(node.properties)}\n`;
+    if (file) text += `  File: ${file}\n`;
+
+    const children = node.children || [];
+    if (children.length > 0) {
+        const shown = children.slice(0, SELECTION_CHILDREN).map(child => `${child.name} [${child.className}]`);
+        if (children.length > shown.length) shown.push(`... ${children.length - shown.length} more`);
+        text += `  Children (${children.length}): ${shown.join(', ')}\n`;
+    } else if (node.childCount) {
+        text += `  Children: ${node.childCount} (not synced)\n`;
+    }
+
+    if (source) {
+        const end = Math.min(source.lineCount, SELECTION_SOURCE_LINES);
+        text += `\n  -- Source (${source.lineCount} lines${end < source.lineCount ? `, showing 1-${end}; read the rest with read_roblox_script` : ''})\n` +
+            withLineNumbers(source.source, 1, end) + '\n';
+    }
+    return text;
+}
+
+function commandResultText(command, summary) {
+    switch (command.status) {
+        case 'succeeded':
+            return `✅ ${summary}` + (command.result ? `\nResult: ${JSON.stringify(command.result)}` : '');
+        case 'failed':
+            return `❌ ${summary} failed in Studio: ${command.error}`;
+        case 'rejected':
+            return `🚫 ${summary} was rejected by the user in VS Code.`;
+        case 'expired':
+            return `⌛ ${summary} was not approved in time.`;
+        default:
+            return `⏳ ${summary} is still ${command.status} (command #${command.id}). Is the Studio plugin connected?`;
+    }
+}
+
+// ============================================
+// TOOL DEFINITIONS
+// ============================================
+
+// Every tool accepts an optional `session` to pick one of several connected Studio instances
+const SESSION_ARG = {
+    type: 'string',
+    description: 'Studio session to use when several are connected (id, user, place id or game name from check_roblox_connection). Defaults to the active session.'
+};
+
+function withSessionArg(tool) {
+    return {
+        ...tool,
+        inputSchema: {
+            ...tool.inputSchema,
+            properties: { ...tool.inputSchema.properties, session: SESSION_ARG }
+        }
+    };
+}
+
+const TOOLS = [
+    {
+        name: 'get_roblox_project_structure',
+        description: 'Get the directory tree of the Roblox Studio project. Shows all scripts, modules, folders with their types and line counts. ' +
+            'On large places pass max_tokens: deep folders are then collapsed into summaries like "Folder (37 items, 12 scripts)" ' +
+            'Use services or depth to look at one part of the tree in more detail.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                format: {
+                    type: 'string',
+                    enum: ['text', ...FORMATS],
+                    description: 'tree (ASCII, same as text), markdown, json (compact), yaml or paths (one dotted path per line). Default: tree'
+                },
+                max_tokens: {
+                    type: 'number',
+                    description: 'Approximate size budget in tokens; deep folders are summarized to fit'
+                },
+                depth: {
+                    type: 'number',
+                    description: 'Levels to show below each service (0 = services only). Default: all'
+                },
+                services: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Only include these top-level services, e.g. ["ReplicatedStorage", "ServerScriptService"]'
+                },
+                scripts_only: {
+                    type: 'boolean',
+                    description: 'Leave out instances that aren\'t scripts or folders containing scripts (default: false)'
+                }
+            }
+        }
+    },
+    {
+        name: 'search_roblox_project',
+        description: 'Search the Roblox project tree. Plain words match names and paths; filters narrow it down: ' +
+            'class:<Class> (IsA, e.g. class:LuaSourceContainer for all scripts, class:BasePart), classname:<exact>, ' +
+            'name:<glob> (e.g. name:*Service), path:<glob> (* within a segment, ** across), under:<path>, ' +
+            'lines:<cmp> (>200, <=50, 10..200), tag:<Tag> (CollectionService), attr:<Name> (has attribute), attr:<Name>=<value> or attr:<Name>><n>, ' +
+            'prop:<Name>=<value> (synced properties such as RunContext, Value, SoundId). Prefix a term with - to negate it. ' +
+            'Example: class:ModuleScript under:ReplicatedStorage.Shared name:*Service lines:>200',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                query: {
+                    type: 'string',
+                    description: 'Query, e.g. "DataService" or "class:ModuleScript under:ReplicatedStorage name:*Util*"'
+                },
+                limit: {
+                    type: 'number',
+                    description: 'Maximum number of results (default: 100)'
+                },
+                format: {
+                    type: 'string',
+                    enum: ['text', 'json'],
+                    description: 'Text listing or JSON (default: text). Structured results are always included.'
+                }
+            },
+            required: ['query']
+        },
+        outputSchema: {
+            type: 'object',
+            properties: {
+                query: { type: 'string' },
+                total: { type: 'number' },
+                truncated: { type: 'boolean' },
+                stale: {
+                    type: 'object',
+                    description: 'Present when Studio isn\'t connected and the tree is a saved copy',
+                    properties: {
+                        since: { type: 'number', description: 'When the tree was last synced (epoch ms)' },
+                        source: { type: 'string', enum: ['studio', 'cache', 'import'] }
+                    }
+                },
+                results: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            className: { type: 'string' },
+                            path: { type: 'string' },
+                            lineCount: { type: 'number' },
+                            childCount: { type: 'number' },
+                            tags: { type: 'array', items: { type: 'string' } },
+                            attributes: { type: 'object' },
+                            properties: { type: 'object' },
+                            file: { type: 'string' }
+                        },
+                        required: ['name', 'className', 'path']
+                    }
+                }
+            },
+            required: ['query', 'total', 'truncated', 'results']
+        }
+    },
+    {
+        name: 'read_roblox_script',
+        description: 'Read the source of a Script, LocalScript or ModuleScript from the live Roblox Studio place, with line numbers. Requires "Mirror script sources" to be enabled in the Studio plugin.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: {
+                    type: 'string',
+                    description: 'Full instance path, e.g. ReplicatedStorage.Shared.Utils.Math'
+                },
+                startLine: {
+                    type: 'number',
+                    description: 'First line to return (default: 1)'
+                },
+                endLine: {
+                    type: 'number',
+                    description: 'Last line to return (default: end of script)'
+                }
+            },
+            required: ['path']
+        }
+    },
+    {
+        name: 'grep_roblox_scripts',
+        description: 'Search the source of all mirrored scripts in the Roblox Studio place. Returns matching lines with their script path and line number.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                pattern: {
+                    type: 'string',
+                    description: 'Text to search for (or a regular expression when regex is true)'
+                },
+                regex: {
+                    type: 'boolean',
+                    description: 'Treat pattern as a JavaScript regular expression, up to 200 characters and without nested quantifiers like (a+)+ (default: false)'
+                },
+                caseSensitive: {
+                    type: 'boolean',
+                    description: 'Match case (default: false)'
+                },
+                under: {
+                    type: 'string',
+                    description: 'Only search scripts under this instance path, e.g. ServerScriptService'
+                },
+                maxResults: {
+                    type: 'number',
+                    description: 'Maximum number of matching lines (default: 200)'
+                }
+            },
+            required: ['pattern']
+        }
+    },
+    {
+        name: 'create_roblox_instance',
+        description: 'Create a new instance (e.g. ModuleScript, RemoteEvent, Folder) in Roblox Studio. The user must approve the change in VS Code.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                parent: { type: 'string', description: 'Full path of the parent, e.g. ReplicatedStorage.Remotes' },
+                className: { type: 'string', description: 'Roblox class name, e.g. ModuleScript or RemoteEvent' },
+                name: { type: 'string', description: 'Name of the new instance' },
+                source: { type: 'string', description: 'Initial source for Script/LocalScript/ModuleScript' }
+            },
+            required: ['parent', 'className', 'name']
+        }
+    },
+    {
+        name: 'rename_roblox_instance',
+        description: 'Rename an instance in Roblox Studio. The user must approve the change in VS Code.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'Full instance path' },
+                name: { type: 'string', description: 'New name' }
+            },
+            required: ['path', 'name']
+        }
+    },
+    {
+        name: 'move_roblox_instance',
+        description: 'Move (reparent) an instance in Roblox Studio. The user must approve the change in VS Code.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'Full instance path to move' },
+                parent: { type: 'string', description: 'Full path of the new parent' }
+            },
+            required: ['path', 'parent']
+        }
+    },
+    {
+        name: 'delete_roblox_instance',
+        description: 'Destroy an instance in Roblox Studio. The user must approve the change in VS Code.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'Full instance path to destroy' }
+            },
+            required: ['path']
+        }
+    },
+    {
+        name: 'set_roblox_script_source',
+        description: 'Replace the full source of a Script, LocalScript or ModuleScript in Roblox Studio. The user must approve the change in VS Code.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'Full instance path of the script' },
+                source: { type: 'string', description: 'New source code' }
+            },
+            required: ['path', 'source']
+        }
+    },
+    {
+        name: 'set_roblox_attribute',
+        description: 'Set (or clear, with value null) an Attribute on an instance in Roblox Studio. The user must approve the change in VS Code.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'Full instance path' },
+                attribute: { type: 'string', description: 'Attribute name' },
+                value: { description: 'Attribute value (string, number, boolean or null to remove)' }
+            },
+            required: ['path', 'attribute']
+        }
+    },
+    {
+        name: 'get_rojo_drift',
+        description: 'Compare the live Roblox Studio place against the workspace Rojo project. Lists instances that exist only in Studio (lost on the next rojo build), files missing from Studio, class mismatches and line-count mismatches that suggest unsynced Studio edits.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                kind: {
+                    type: 'string',
+                    enum: ['studio-only', 'missing-in-studio', 'class-mismatch', 'line-mismatch'],
+                    description: 'Only return one kind of difference'
+                }
+            }
+        }
+    },
+    {
+        name: 'get_roblox_changes',
+        description: 'Show what changed in the Roblox Studio place since a saved snapshot or a point in time: added, removed, moved/renamed instances, class changes and script line-count changes. Call without `since` to list the available snapshots and history.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                since: {
+                    type: 'string',
+                    description: 'Snapshot name, ISO timestamp (e.g. 2024-05-01T13:00), epoch milliseconds, or a relative time like 30m, 2h or 1d'
+                }
+            }
+        }
+    },
+    {
+        name: 'get_module_dependencies',
+        description: 'List the modules a script requires, resolved from its require(...) calls against the live tree ' +
+            '(script.Parent.X, game:GetService(...).X, WaitForChild chains, local aliases, string requires). Also reports require cycles and requires that can\'t be resolved statically.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'Full path of the script, e.g. ServerScriptService.Services.DataService' },
+                transitive: { type: 'boolean', description: 'Include indirect dependencies (default: false)' }
+            },
+            required: ['path']
+        }
+    },
+    {
+        name: 'get_module_dependents',
+        description: 'List the scripts that require a module. Use before renaming, moving or changing a module\'s API to find every caller.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'Full path of the module, e.g. ServerScriptService.Services.DataService' },
+                transitive: { type: 'boolean', description: 'Include scripts that depend on it indirectly (default: false)' }
+            },
+            required: ['path']
+        }
+    },
+    {
+        name: 'get_roblox_project_stats',
+        description: 'Size and code-health report for the Roblox project: instance, script and line counts per service, ' +
+            'the largest folders and scripts, ModuleScripts nothing requires (needs mirrored sources), deeply nested instances, ' +
+            'duplicate sibling names (which break FindFirstChild) and Scripts/LocalScripts in containers where they never run.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                limit: { type: 'number', description: 'Maximum entries per list (default: 25)' },
+                format: {
+                    type: 'string',
+                    enum: ['text', 'json'],
+                    description: 'text (default) or json for the raw report'
+                }
+            }
+        }
+    },
+    {
+        name: 'get_studio_selection',
+        description: 'Get what is currently selected in Roblox Studio\'s Explorer: each instance\'s class, path, tags, attributes, ' +
+            'properties, children and Rojo file, plus the source of selected scripts when sources are mirrored. ' +
+            'Use when the user refers to "this", "the selected script" or "what I have selected".',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                format: {
+                    type: 'string',
+                    enum: ['text', 'json'],
+                    description: 'text (default) or json for paths and nodes without sources'
+                }
+            }
+        }
+    },
+    {
+        name: 'get_studio_output',
+        description: 'Read recent messages from Roblox Studio\'s Output window (prints, warnings, errors and their stack traces) ' +
+            'while the plugin is connected, including playtests. Use after a playtest errors instead of asking the user to paste the output; ' +
+            'script locations in errors are mapped to Rojo files.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                level: {
+                    type: 'string',
+                    enum: LEVELS,
+                    description: 'Lowest level to include: output (everything, default), info, warning or error'
+                },
+                since: {
+                    type: 'string',
+                    description: 'Only messages after this time: ISO timestamp, epoch milliseconds, or a relative time like 30s, 5m or 2h'
+                },
+                search: { type: 'string', description: 'Only messages containing this text (case-insensitive)' },
+                limit: { type: 'number', description: 'Maximum messages, newest kept (default: 100)' }
+            }
+        }
+    },
+    {
+        name: 'check_roblox_connection',
+        description: 'Check if Roblox Studio is connected and the server is running',
+        inputSchema: { type: 'object', properties: {} }
+    }
+].map(withSessionArg);
+
+// Write-back tools: command type and the summary used in the result text
+const WRITE_TOOLS = {
+    create_roblox_instance: { type: 'create', summary: args => `Create ${args.className} "${args.name}" in ${args.parent}` },
+    rename_roblox_instance: { type: 'rename', summary: args => `Rename ${args.path} to "${args.name}"` },
+    move_roblox_instance: { type: 'reparent', summary: args => `Move ${args.path} into ${args.parent}` },
+    delete_roblox_instance: { type: 'destroy', summary: args => `Delete ${args.path}` },
+    set_roblox_script_source: { type: 'setSource', summary: args => `Update source of ${args.path}` },
+    set_roblox_attribute: { type: 'setAttribute', summary: args => `Set ${args.attribute} on ${args.path}` },
+};
+
+// ============================================
+// RESOURCES
+// ============================================
+//
+//   roblox://tree                         whole project tree
+//   roblox://tree/{service}/{child}/...   subtree (each segment URI-encoded)
+//   roblox://script/{path}                mirrored script source, dotted instance path
+//
+// Any resource URI accepts ?session=<id or name> to read a specific Studio session.
+
+function treeUri(segments = []) {
+    return ['roblox://tree', ...segments.map(encodeURIComponent)].join('/');
+}
+
+function scriptUri(path) {
+    return `roblox://script/${encodeURIComponent(path)}`;
+}
+
+function parseResourceUri(uri) {
+    let url;
+    try {
+        url = new URL(uri);
+    } catch (e) {
+        return null;
+    }
+    if (url.protocol !== 'roblox:') return null;
+
+    const session = url.searchParams.get('session') || undefined;
+    const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    if (url.host === 'tree') return { kind: 'tree', segments, session };
+    if (url.host === 'script' && segments.length > 0) return { kind: 'script', path: segments.join('/'), session };
+    return null;
+}
+
+function findByNames(tree, segments) {
+    let nodes = tree.containers || [];
+    let found = null;
+    for (const name of segments) {
+        found = nodes.find(node => node.name === name);
+        if (!found) return null;
+        nodes = found.children || [];
+    }
+    return found;
+}
+
+// Ops that add/remove/move instances change the resource list; `update` ops don't
+function hasStructuralOps(ops) {
+    return (ops || []).some(op => op.op !== 'update');
+}
+
+// ============================================
+// MCP SERVER
+// ============================================
+
+/**
+ * One MCP session over the EmbeddedServer's state. Returns the SDK server
+ * (connect it to a transport) and `handleEvent(type, data)`, which turns
+ * server events into resource notifications for this session.
+ */
+function createMcpServer(server) {
+    const mcp = new Server(
+        { name: 'roblox-directory-tree', version: '1.0.0' },
+        { capabilities: { tools: {}, resources: { subscribe: true, listChanged: true } } }
+    );
+    let lastSyncError = null;
+
+    // A named session must exist; without a name the active one (or none) is used
+    function sessionFor(query) {
+        const session = server.getSession(query);
+        if (query && !session) throw new Error(`Unknown session "${query}". Call check_roblox_connection to list them.`);
+        return session;
+    }
+
+    function readSource(path, query) {
+        const session = sessionFor(query);
+        const entry = session ? session.sources.get(path) : null;
+        if (!entry) throw new Error('Source not mirrored. Enable "Mirror script sources" in the Studio plugin.');
+        return entry;
+    }
+
+    // Map instance paths to Rojo files on disk; empty if no project is loaded
+    function resolveFiles(paths) {
+        const files = {};
+        paths.forEach(instancePath => {
+            const file = server.rojo.resolve(instancePath);
+            if (file) files[instancePath] = file;
+        });
+        return files;
+    }
+
+    // Queue a write-back command and wait for VS Code approval and the Studio result
+    function runStudioCommand(type, args) {
+        const { session: query, ...params } = args;
+        const target = sessionFor(query);
+        const command = server.commands.enqueue(type, params, 'MCP', target ? target.id : null);
+        return server.commands.waitFor(command.id, COMMAND_TIMEOUT);
+    }
+
+    async function callTool(name, args = {}) {
+        if (WRITE_TOOLS[name]) {
+            const { type, summary } = WRITE_TOOLS[name];
+            const params = type === 'setAttribute' ? { ...args, value: args.value ?? null } : args;
+            const command = await runStudioCommand(type, params);
+            return { content: [{ type: 'text', text: commandResultText(command, summary(args)) }] };
+        }
+
+        switch (name) {
+            case 'get_roblox_project_structure': {
+                const tree = server.getSessionTree(sessionFor(args.session));
+                const { text } = exportTree(tree, {
+                    format: args.format,
+                    maxTokens: args.max_tokens,
+                    depth: args.depth,
+                    services: args.services,
+                    scriptsOnly: args.scripts_only
+                });
+
+                return {
+                    content: [{ type: 'text', text: args.format === 'json' ? text : staleNote(tree) + text }]
+                };
+            }
+
+            case 'search_roblox_project': {
+                const tree = server.getSessionTree(sessionFor(args.session));
+                const { results, total, truncated } = queryTree(tree, args.query, { limit: args.limit || 100 });
+
+                const files = resolveFiles(results.map(r => r.path));
+                results.forEach(r => {
+                    if (files[r.path]) r.file = files[r.path];
+                });
+                const structured = { query: args.query, total, truncated, results };
+                if (tree.stale) structured.stale = tree.stale;
+
+                let text;
+                if (args.format === 'json') {
+                    text = JSON.stringify(structured, null, 2);
+                } else if (results.length === 0) {
+                    text = `No results for "${args.query}"`;
+                } else {
+                    text = `Found ${total} result(s) for "${args.query}"${truncated ? ` (showing ${results.length})` : ''}:\n\n`;
+                    results.forEach((r, i) => {
+                        text += `${i + 1}. ${r.name} [${r.className}]\n   Path: ${r.path}\n`;
+                        if (r.lineCount) text += `   Lines: ${r.lineCount}\n`;
+                        if (r.tags && r.tags.length > 0) text += `   Tags: ${r.tags.join(', ')}\n`;
+                        if (r.attributes) text += `   Attributes: ${formatValues(r.attributes)}\n`;
+                        if (r.properties) text += `   Properties: ${formatValues(r.properties)}\n`;
+                        if (r.file) text += `   File: ${r.file}\n`;
+                        text += '\n';
+                    });
+                }
+                if (args.format !== 'json') text = staleNote(tree) + text;
+
+                return { content: [{ type: 'text', text }], structuredContent: structured };
+            }
+
+            case 'read_roblox_script': {
+                const entry = readSource(args.path, args.session);
+                const start = args.startLine || 1;
+                const end = args.endLine || entry.lineCount;
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `-- ${entry.path} (${entry.lineCount} lines, showing ${start}-${Math.min(end, entry.lineCount)})\n` +
+                            withLineNumbers(entry.source, start, end)
+                    }]
+                };
+            }
+
+            case 'grep_roblox_scripts': {
+                const session = sessionFor(args.session);
+                const { results, truncated } = session
+                    ? session.sources.grep(args.pattern, {
+                        regex: args.regex,
+                        caseSensitive: args.caseSensitive,
+                        under: args.under,
+                        maxResults: args.maxResults
+                    })
+                    : { results: [], truncated: false };
+
+                if (results.length === 0) {
+                    return { content: [{ type: 'text', text: `No matches for "${args.pattern}"` }] };
+                }
+
+                let text = `Found ${results.length}${truncated ? '+' : ''} match(es) for "${args.pattern}":\n\n`;
+                results.forEach(r => {
+                    text += `${r.path}:${r.line}: ${r.text.trim()}\n`;
+                });
+                if (truncated) text += '\n(Results truncated - narrow the search with `under` or raise `maxResults`)\n';
+
+                return { content: [{ type: 'text', text }] };
+            }
+
+            case 'get_rojo_drift': {
+                const session = sessionFor(args.session);
+                if (!server.rojo.hasProject()) {
+                    return { content: [{ type: 'text', text: 'No Rojo place project (*.project.json with a DataModel tree) found in the VS Code workspace.' }] };
+                }
+                if (!session || !session.store.hasData()) {
+                    return { content: [{ type: 'text', text: 'Roblox Studio hasn\'t synced yet - connect the Studio plugin first.' }] };
+                }
+
+                const drift = server.getDrift(session).filter(d => !args.kind || d.kind === args.kind);
+                if (drift.length === 0) {
+                    return { content: [{ type: 'text', text: '✅ Studio matches the Rojo project.' }] };
+                }
+
+                let text = `Found ${drift.length} difference(s) between Studio and the Rojo project:\n\n`;
+                drift.forEach(d => {
+                    text += `- [${d.kind}] ${describeDrift(d)}\n`;
+                    if (d.filePath && d.kind !== 'studio-only') text += `  File: ${d.filePath}\n`;
+                });
+
+                return { content: [{ type: 'text', text }] };
+            }
+
+            case 'get_roblox_changes': {
+                if (!args.since) {
+                    const snapshots = server.history.listSnapshots();
+                    const history = server.history.listHistory();
+                    let text = 'Snapshots:\n';
+                    text += snapshots.length > 0
+                        ? snapshots.map(s => `- "${s.name}" (${new Date(s.time).toISOString()}, ${s.label})`).join('\n')
+                        : '(none - save one with "Roblox: Save Snapshot" in VS Code)';
+                    text += `\n\nAutomatic history: ${history.length} entr${history.length === 1 ? 'y' : 'ies'}`;
+                    if (history.length > 0) {
+                        text += ` from ${new Date(history[history.length - 1].time).toISOString()} to ${new Date(history[0].time).toISOString()}`;
+                    }
+                    text += '\n\nPass a snapshot name or a time as `since` to see the changes.';
+                    return { content: [{ type: 'text', text }] };
+                }
+
+                const session = sessionFor(args.session);
+                if (!session) throw new Error('No Studio session has synced yet');
+                const changes = server.history.changesSince(args.since, session);
+                if (!changes) throw new Error(`No snapshot or history entry matches "${args.since}"`);
+                const baseline = changes.baseline.name
+                    ? `snapshot "${changes.baseline.name}"`
+                    : `history entry from ${new Date(changes.baseline.time).toISOString()}`;
+
+                return {
+                    content: [{
+                        type: 'text',
+                        text: `Changes since ${baseline} (${changes.baseline.label}):\n\n${diffToText(changes.diff)}`
+                    }]
+                };
+            }
+
+            case 'get_module_dependencies':
+            case 'get_module_dependents': {
+                const direction = name === 'get_module_dependencies' ? 'dependencies' : 'dependents';
+                const session = sessionFor(args.session);
+                if (!session || !session.store.findByPath(args.path)) throw new Error(`No instance at "${args.path}"`);
+                const report = server.getDependencies(session, args.path, {
+                    dependencies: direction === 'dependencies',
+                    dependents: direction === 'dependents',
+                    transitive: Boolean(args.transitive)
+                });
+                return { content: [{ type: 'text', text: dependencyText(report, direction) }] };
+            }
+
+            case 'get_roblox_project_stats': {
+                const stats = server.getStats(sessionFor(args.session), parseInt(args.limit) || undefined);
+                const text = args.format === 'json' ? JSON.stringify(stats) : statsText(stats);
+                return { content: [{ type: 'text', text }] };
+            }
+
+            case 'get_studio_selection': {
+                const session = sessionFor(args.session);
+                const { selection, origin, time } = server.getSelection(session);
+                const tree = server.getSessionTree(session);
+
+                if (args.format === 'json') {
+                    const text = JSON.stringify({
+                        origin,
+                        time,
+                        selection: (selection || []).map(item => item.node
+                            ? { path: item.path, name: item.node.name, className: item.node.className, file: server.rojo.resolve(item.path) || undefined }
+                            : { path: item.path, missing: true }),
+                        stale: tree.stale || undefined
+                    }, null, 2);
+                    return { content: [{ type: 'text', text }] };
+                }
+
+                let text;
+                if (!selection) {
+                    text = 'Studio hasn\'t reported a selection. Make sure the Studio plugin is connected and up to date.';
+                } else if (selection.length === 0) {
+                    text = 'Nothing is selected in Studio.';
+                } else {
+                    const by = origin === 'studio' ? 'in Studio' : `from ${origin}`;
+                    text = `${selection.length} instance(s) selected (${by}, ${describeAge(time)} ago):\n\n`;
+                    selection.forEach(item => {
+                        const source = item.node && session.sources.get(item.path);
+                        text += selectionItemText(item, server.rojo.resolve(item.path), source) + '\n';
+                    });
+                }
+                return { content: [{ type: 'text', text: staleNote(tree) + text }] };
+            }
+
+            case 'get_studio_output': {
+                const session = sessionFor(args.session);
+                if (!session || session.output.nextSeq === 1) {
+                    return { content: [{ type: 'text', text: 'No output from Studio yet. The plugin forwards the Output window while it is connected.' }] };
+                }
+                const { entries, total } = session.output.query({
+                    level: args.level,
+                    since: args.since,
+                    search: args.search,
+                    limit: parseInt(args.limit) || 100
+                });
+                if (entries.length === 0) {
+                    return { content: [{ type: 'text', text: 'No Studio output matches.' }] };
+                }
+
+                let text = `${total} message(s)${total > entries.length ? `, showing the newest ${entries.length}` : ''}:\n\n`;
+                entries.forEach(entry => {
+                    text += `[${new Date(entry.time).toISOString()}] [${entry.level}] ${entry.message}\n`;
+                    // Where each script in the error lives on disk
+                    const files = new Set();
+                    parseLocations(entry.message).forEach(location => {
+                        const file = server.rojo.resolve(location.path);
+                        if (file) files.add(`${file}:${location.line}`);
+                    });
+                    files.forEach(file => {
+                        text += `    File: ${file}\n`;
+                    });
+                });
+                return { content: [{ type: 'text', text }] };
+            }
+
+            case 'check_roblox_connection': {
+                const session = sessionFor(args.session);
+                const status = server.getStatus(session);
+                const tree = server.getSessionTree(session);
+
+                let text = '✅ Server running\n' +
+                    `Game: ${tree.name || 'Unknown'}\n` +
+                    `Studio connected: ${status.connected ? 'Yes' : 'No'}\n` +
+                    `Containers: ${tree.containers.length}`;
+                if (tree.stale) text = staleNote(tree) + text;
+
+                if (lastSyncError && Date.now() - lastSyncError.time < SYNC_ERROR_WINDOW) {
+                    text += `\nLast sync error: ${lastSyncError.error} (Studio is resending a full snapshot)`;
+                }
+
+                if (status.sessions.length > 1) {
+                    text += '\n\nStudio sessions (pass one as `session` to target it):\n';
+                    status.sessions.forEach(s => {
+                        const marker = s.id === status.session ? ' (active)' : '';
+                        const state = s.stale && s.stale.source === 'import' ? ' - imported snapshot'
+                            : s.stale ? ` - offline, last synced ${describeAge(s.stale.since)} ago` : '';
+                        text += `- ${s.label} [id: ${s.id}${s.placeId ? `, place: ${s.placeId}` : ''}]${state}${marker}\n`;
+                    });
+                }
+
+                return { content: [{ type: 'text', text }] };
+            }
+
+            default:
+                throw new Error(`Unknown tool: ${name}`);
+        }
+    }
+
+    function readResource(uri) {
+        const target = parseResourceUri(uri);
+        if (!target) throw new Error(`Unknown resource: ${uri}`);
+
+        if (target.kind === 'script') {
+            const entry = readSource(target.path, target.session);
+            return { uri, mimeType: 'text/x-lua', text: entry.source };
+        }
+
+        const tree = server.getSessionTree(sessionFor(target.session));
+        if (target.segments.length === 0) {
+            return { uri, mimeType: 'text/plain', text: staleNote(tree) + exportTree(tree).text };
+        }
+
+        const node = findByNames(tree, target.segments);
+        if (!node) throw new Error(`No instance at ${target.segments.join('.')}`);
+        return { uri, mimeType: 'text/plain', text: staleNote(tree) + exportTree({ containers: [node] }, { header: false }).text };
+    }
+
+    mcp.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: TOOLS }));
+
+    mcp.setRequestHandler(CallToolRequestSchema, async (request) => {
+        try {
+            return await callTool(request.params.name, request.params.arguments);
+        } catch (error) {
+            return {
+                content: [{ type: 'text', text: `Error: ${error.message}` }],
+                isError: true
+            };
+        }
+    });
+
+    mcp.setRequestHandler(ListResourcesRequestSchema, async () => {
+        const resources = [{
+            uri: treeUri(),
+            name: 'Roblox project tree',
+            description: 'Live hierarchy of the connected Roblox Studio place',
+            mimeType: 'text/plain'
+        }];
+
+        const session = server.getSession();
+        if (session) {
+            session.store.getTree().containers.forEach(container => {
+                resources.push({
+                    uri: treeUri([container.name]),
+                    name: container.name,
+                    description: `${container.className} subtree`,
+                    mimeType: 'text/plain'
+                });
+            });
+            session.sources.list().forEach(script => {
+                resources.push({
+                    uri: scriptUri(script.path),
+                    name: script.path,
+                    description: `Script source (${script.lineCount} lines)`,
+                    mimeType: 'text/x-lua'
+                });
+            });
+        }
+
+        return { resources };
+    });
+
+    mcp.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+        resourceTemplates: [
+            {
+                uriTemplate: 'roblox://tree/{+path}',
+                name: 'Roblox subtree',
+                description: 'Subtree under an instance, e.g. roblox://tree/ReplicatedStorage/Shared',
+                mimeType: 'text/plain'
+            },
+            {
+                uriTemplate: 'roblox://script/{path}',
+                name: 'Roblox script source',
+                description: 'Mirrored source of a script by instance path, e.g. roblox://script/ServerScriptService.Main',
+                mimeType: 'text/x-lua'
+            }
+        ]
+    }));
+
+    mcp.setRequestHandler(ReadResourceRequestSchema, async (request) => ({
+        contents: [readResource(request.params.uri)]
+    }));
+
+    // Subscribed URI -> last content sent, so only real changes are notified
+    const subscriptions = new Map();
+
+    // Current text of a resource, or null while it can't be read
+    function resourceText(uri) {
+        try {
+            return readResource(uri).text;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    mcp.setRequestHandler(SubscribeRequestSchema, async (request) => {
+        const { uri } = request.params;
+        if (!parseResourceUri(uri)) throw new Error(`Unknown resource: ${uri}`);
+        subscriptions.set(uri, resourceText(uri));
+        return {};
+    });
+
+    mcp.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+        subscriptions.delete(request.params.uri);
+        return {};
+    });
+
+    function notifyResourceUpdated(uri) {
+        if (!subscriptions.has(uri)) return;
+        subscriptions.set(uri, null);
+        mcp.sendResourceUpdated({ uri }).catch(() => {});
+    }
+
+    // Tree changes arrive in bursts; re-check subscribed tree resources once they settle
+    let resourceTimer = null;
+    let resourceListChanged = false;
+
+    function scheduleResourceUpdates(listChanged) {
+        resourceListChanged = resourceListChanged || listChanged;
+        if (resourceTimer) return;
+        resourceTimer = setTimeout(() => {
+            resourceTimer = null;
+            if (resourceListChanged) {
+                resourceListChanged = false;
+                mcp.sendResourceListChanged().catch(() => {});
+            }
+
+            subscriptions.forEach((previous, uri) => {
+                if (parseResourceUri(uri).kind !== 'tree') return;
+                const content = resourceText(uri);
+                if (content !== previous) {
+                    subscriptions.set(uri, content);
+                    mcp.sendResourceUpdated({ uri }).catch(() => {});
+                }
+            });
+        }, 500);
+    }
+
+    function handleEvent(type, data) {
+        switch (type) {
+            case 'tree-changed':
+            case 'session-connected':
+            case 'session-disconnected':
+            case 'session-removed':
+                scheduleResourceUpdates(type !== 'tree-changed' || data.type === 'snapshot' || hasStructuralOps(data.ops));
+                break;
+            case 'sources-changed':
+                data.paths.forEach(path => notifyResourceUpdated(scriptUri(path)));
+                scheduleResourceUpdates(true);
+                break;
+            case 'sync-error':
+                lastSyncError = { ...data, time: Date.now() };
+                break;
+        }
+    }
+
+    function dispose() {
+        clearTimeout(resourceTimer);
+        subscriptions.clear();
+    }
+
+    return { mcp, handleEvent, dispose };
+}
+
+// ============================================
+// STREAMABLE HTTP ENDPOINT
+// ============================================
+
+class McpEndpoint {
+    /**
+     * @param {object} server the EmbeddedServer whose state the tools read
+     */
+    constructor(server) {
+        this.server = server;
+        this.sessions = new Map();
+        server.events.subscribe((type, data) => {
+            this.sessions.forEach(session => session.handleEvent(type, data));
+        });
+    }
+
+    /**
+     * Serve one /mcp request (POST, GET for the notification stream, DELETE to
+     * end a session). POST bodies are parsed by the caller so they get the
+     * server's size limits and compression support.
+     */
+    async handleRequest(req, res, body) {
+        const sessionId = req.headers['mcp-session-id'];
+        if (sessionId) {
+            const existing = this.sessions.get(sessionId);
+            if (existing) {
+                this.track(existing, req, res);
+                await existing.transport.handleRequest(req, res, body);
+                return;
+            }
+            // Ended, or from before VS Code restarted: clients start a new session on 404
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32001, message: 'Session not found' }, id: null }));
+            return;
+        }
+
+        // New sessions start with an initialize POST; the transport rejects anything else
+        const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => crypto.randomUUID(),
+            onsessioninitialized: (id) => this.sessions.set(id, session)
+        });
+        const session = { ...createMcpServer(this.server), transport, lastSeen: Date.now(), streams: 0 };
+        transport.onclose = () => {
+            if (transport.sessionId) this.sessions.delete(transport.sessionId);
+            session.dispose();
+        };
+        await session.mcp.connect(transport);
+        await transport.handleRequest(req, res, body);
+        if (!transport.sessionId) await session.mcp.close();
+    }
+
+    // A GET holds the notification stream open for as long as the client listens
+    track(session, req, res) {
+        session.lastSeen = Date.now();
+        if (req.method !== 'GET') return;
+        session.streams++;
+        res.on('close', () => {
+            session.streams--;
+            session.lastSeen = Date.now();
+        });
+    }
+
+    expireIdle(now = Date.now()) {
+        this.sessions.forEach((session, id) => {
+            if (session.streams > 0 || now - session.lastSeen < IDLE_SESSION_TIMEOUT) return;
+            this.sessions.delete(id);
+            session.mcp.close().catch(() => {});
+        });
+    }
+
+    // End every session, e.g. when the server stops; clients reconnect with a new one
+    async closeSessions() {
+        const sessions = [...this.sessions.values()];
+        this.sessions.clear();
+        await Promise.all(sessions.map(session => session.mcp.close().catch(() => {})));
+    }
+}
+
+module.exports = { createMcpServer, McpEndpoint };
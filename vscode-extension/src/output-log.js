@@ -0,0 +1,101 @@
+// ============================================
+// STUDIO OUTPUT
+// ============================================
+//
+// The recent messages of Studio's Output window, forwarded by the plugin from
+// LogService: prints, info lines, warnings and errors, including the stack
+// trace lines Studio prints after an error. Kept per session in a ring buffer
+// so a chatty game can't grow it without bound.
+//
+// Script locations are parsed out of the messages so the editor and AI tools
+// can point at the script:
+//
+//   ServerScriptService.Main:12: attempt to index nil with 'Name'
+//   Script 'ServerScriptService.Main', Line 12 - function onJoin
+
+const { TreeHistory } = require('./tree-history');
+
+// Ordered from least to most severe; filters keep a level and everything above it
+const LEVELS = ['output', 'info', 'warning', 'error'];
+
+const DEFAULT_CAPACITY = 2000;
+const MAX_MESSAGE_LENGTH = 8000;
+
+// `Path.To.Script:12:` at the start of an error message
+const ERROR_LOCATION = /^([^\s:'"][^:'"\n]*\.[^:'"\n]+?):(\d+):/;
+// `Script 'Path.To.Script', Line 12` in stack traces
+const STACK_LOCATION = /Script '([^'\n]+)', Line (\d+)/g;
+
+/**
+ * Script locations in a message: `{ path, line, start, end }` where start/end
+ * is the range of the location text, for turning it into a link.
+ */
+function parseLocations(message) {
+    const locations = [];
+    const error = ERROR_LOCATION.exec(message);
+    if (error) {
+        locations.push({ path: error[1], line: parseInt(error[2]), start: 0, end: error[0].length - 1 });
+    }
+    for (const match of message.matchAll(STACK_LOCATION)) {
+        locations.push({ path: match[1], line: parseInt(match[2]), start: match.index, end: match.index + match[0].length });
+    }
+    return locations;
+}
+
+class OutputLog {
+    constructor(capacity = DEFAULT_CAPACITY) {
+        this.capacity = capacity;
+        this.entries = [];
+        // Sequence number of the next message; 1 until the plugin forwards anything
+        this.nextSeq = 1;
+    }
+
+    /**
+     * Add the messages of one plugin batch (`[{ message, level }]`) and
+     * return the stored entries: `{ seq, time, level, message }`.
+     */
+    append(messages) {
+        const time = Date.now();
+        const added = messages
+            .filter(item => item && typeof item.message === 'string')
+            .map(item => ({
+                seq: this.nextSeq++,
+                time,
+                level: LEVELS.includes(item.level) ? item.level : 'output',
+                message: item.message.length > MAX_MESSAGE_LENGTH
+                    ? item.message.slice(0, MAX_MESSAGE_LENGTH) + ' ... (truncated)'
+                    : item.message
+            }));
+
+        this.entries.push(...added);
+        if (this.entries.length > this.capacity) this.entries.splice(0, this.entries.length - this.capacity);
+        return added;
+    }
+
+    /**
+     * The newest `limit` entries at `level` or above, received after `since`
+     * (anything TreeHistory.parseTime accepts: ISO time, epoch ms, `30m`) and
+     * containing `search` (case-insensitive). Returns `{ entries, total }`
+     * where total counts every match before the limit.
+     */
+    query({ level, since, search, limit = 100 } = {}) {
+        if (level && !LEVELS.includes(level)) throw new Error(`Unknown level "${level}" (expected ${LEVELS.join(', ')})`);
+        const minLevel = level ? LEVELS.indexOf(level) : 0;
+        const after = since ? TreeHistory.parseTime(since) : null;
+        if (since && after === null) throw new Error(`Can't read "${since}" as a time (use an ISO time, epoch ms, or 30m / 2h / 1d)`);
+        const needle = search ? search.toLowerCase() : null;
+
+        const matches = this.entries.filter(entry =>
+            LEVELS.indexOf(entry.level) >= minLevel &&
+            (after === null || entry.time >= after) &&
+            (!needle || entry.message.toLowerCase().includes(needle))
+        );
+        return { entries: matches.slice(-Math.max(1, limit)), total: matches.length };
+    }
+
+    clear() {
+        this.entries = [];
+    }
+}
+
+module.exports = { OutputLog, parseLocations, LEVELS };
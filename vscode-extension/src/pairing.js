@@ -0,0 +1,81 @@
+// ============================================
+// PAIRING
+// ============================================
+//
+// Every request to the embedded server must carry the per-install pairing
+// token, either as an `X-Pairing-Token` header, `Authorization: Bearer <token>`
+// or a `?token=` query parameter (for the browser debug page and EventSource).
+//
+// While the server runs, its address and token are written to a discovery
+// file in the user's home directory so local tools (the MCP server) can find
+// it without any configuration.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DISCOVERY_FILE = path.join(os.homedir(), '.roblox-directory-tree', 'server.json');
+
+// Short enough to type into the Studio widget: 4-4-4 characters from an unambiguous alphabet
+const TOKEN_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function generateToken() {
+    const bytes = crypto.randomBytes(12);
+    const chars = [...bytes].map(byte => TOKEN_ALPHABET[byte % TOKEN_ALPHABET.length]);
+    return [chars.slice(0, 4), chars.slice(4, 8), chars.slice(8, 12)].map(group => group.join('')).join('-');
+}
+
+// Token sent with a request, or null
+function requestToken(req, url) {
+    const header = req.headers['x-pairing-token'];
+    if (header) return String(header).trim();
+
+    const auth = req.headers.authorization;
+    if (auth && auth.startsWith('Bearer ')) return auth.slice(7).trim();
+
+    return url.searchParams.get('token');
+}
+
+function tokensMatch(given, expected) {
+    if (!given || !expected) return false;
+    const a = Buffer.from(String(given).toUpperCase());
+    const b = Buffer.from(String(expected).toUpperCase());
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Address local clients should use for a server bound to `address`: a wildcard
+// bind (LAN access) is still reachable on loopback
+function localAddress(address) {
+    if (address === '0.0.0.0') return '127.0.0.1';
+    if (address === '::') return '::1';
+    return address;
+}
+
+// Base URL of the server a discovery file describes
+function discoveryUrl({ host, port }) {
+    return `http://${host.includes(':') ? `[${host}]` : host}:${port}`;
+}
+
+function writeDiscovery({ host, port, token }) {
+    fs.mkdirSync(path.dirname(DISCOVERY_FILE), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(DISCOVERY_FILE, JSON.stringify({ host, port, token, pid: process.pid }, null, 2), { mode: 0o600 });
+}
+
+function readDiscovery() {
+    try {
+        return JSON.parse(fs.readFileSync(DISCOVERY_FILE, 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Only remove the file if it still describes this process's server
+function clearDiscovery() {
+    const current = readDiscovery();
+    if (current && current.pid === process.pid) {
+        fs.rmSync(DISCOVERY_FILE, { force: true });
+    }
+}
+
+module.exports = { generateToken, requestToken, tokensMatch, localAddress, discoveryUrl, writeDiscovery, readDiscovery, clearDiscovery, DISCOVERY_FILE };
@@ -0,0 +1,137 @@
+// ============================================
+// PLACE CACHE
+// ============================================
+//
+// Keeps the last synced tree of every place in workspace storage so the tree
+// view and MCP tools still have something to show after VS Code restarts or
+// Studio closes. Restored trees come back as offline sessions, marked stale.
+//
+// The same file format is used by "Export Tree Snapshot" / "Import Tree
+// Snapshot" to share a tree without Studio running.
+
+const fs = require('fs');
+const path = require('path');
+const { safeFileName } = require('./tree-history');
+
+const SNAPSHOT_FORMAT = 'roblox-directory-tree-snapshot';
+const SNAPSHOT_VERSION = 1;
+
+// Trees change in bursts while Studio syncs; write each place at most this often
+const DEFAULT_SAVE_DELAY = 5000;
+
+/**
+ * Self-contained snapshot of a session's tree. `savedAt` is when the tree
+ * was last synced, not when the file was written.
+ */
+function serializeSession(session) {
+    return {
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        sessionId: session.id,
+        placeKey: session.placeKey,
+        placeId: session.placeId,
+        gameId: session.gameId,
+        user: session.user,
+        context: session.context,
+        label: session.label,
+        seq: session.store.seq,
+        savedAt: session.offline ? session.offline.since : session.lastSeen,
+        tree: session.store.getTree()
+    };
+}
+
+// Parse and check a snapshot file; throws with a readable message
+function parseSnapshot(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Not valid JSON: ${e.message}`);
+    }
+    if (!data || data.format !== SNAPSHOT_FORMAT) {
+        throw new Error('Not a Roblox Directory Tree snapshot (export one with "Roblox: Export Tree Snapshot")');
+    }
+    if (data.version > SNAPSHOT_VERSION) {
+        throw new Error(`Snapshot version ${data.version} is newer than this extension supports`);
+    }
+    if (!data.tree || !Array.isArray(data.tree.containers)) {
+        throw new Error('Snapshot has no tree');
+    }
+    return { ...data, savedAt: typeof data.savedAt === 'number' ? data.savedAt : 0 };
+}
+
+// "45s", "12m", "3h", "2d"
+function describeAge(since, now = Date.now()) {
+    const seconds = Math.max(0, Math.round((now - since) / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+    return `${Math.floor(seconds / 86400)}d`;
+}
+
+class PlaceCache {
+    constructor(options = {}) {
+        this.saveDelay = options.saveDelay || DEFAULT_SAVE_DELAY;
+        this.dir = null;
+        this.pending = new Map();
+    }
+
+    open(dir) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    fileFor(placeKey) {
+        return path.join(this.dir, `${safeFileName(placeKey)}.json`);
+    }
+
+    // Every saved place; unreadable files are skipped
+    load() {
+        if (!this.dir) return [];
+        return fs.readdirSync(this.dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => {
+                try {
+                    return parseSnapshot(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+                } catch (e) {
+                    console.error(`Skipping cached tree ${file}:`, e.message);
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    // Save a session's tree after the burst of changes it is part of settles
+    schedule(session) {
+        if (!this.dir || this.pending.has(session)) return;
+        this.pending.set(session, setTimeout(() => {
+            this.pending.delete(session);
+            this.save(session);
+        }, this.saveDelay));
+    }
+
+    save(session) {
+        if (!this.dir || !session.store.hasData()) return;
+        try {
+            fs.writeFileSync(this.fileFor(session.placeKey), JSON.stringify(serializeSession(session)));
+        } catch (e) {
+            console.error(`Failed to save the tree for ${session.label}:`, e);
+        }
+    }
+
+    // Write everything still waiting; called on deactivation
+    flush() {
+        this.pending.forEach((timer, session) => {
+            clearTimeout(timer);
+            this.save(session);
+        });
+        this.pending.clear();
+    }
+
+    dispose() {
+        this.flush();
+    }
+}
+
+module.exports = { PlaceCache, serializeSession, parseSnapshot, describeAge, SNAPSHOT_FORMAT };
@@ -0,0 +1,171 @@
+// ============================================
+// PROJECT STATS
+// ============================================
+//
+// Size and code-health report over a synced tree, shown in the "Project
+// Stats" panel and returned by the get_roblox_project_stats MCP tool.
+//
+// Besides counts and line totals it flags things that are easy to miss in
+// Studio: ModuleScripts nothing requires, deeply nested instances, siblings
+// with the same name (FindFirstChild returns only one of them) and scripts
+// in containers where Roblox never runs them.
+
+const { isA } = require('./tree-query');
+
+// Nesting below a service at which an instance counts as "deep"
+const DEEP_NESTING = 8;
+
+// Entries per list; counts are always reported in full
+const DEFAULT_LIMIT = 25;
+
+// Where a script with RunContext Legacy actually runs (path prefixes)
+const RUNS_IN = {
+    Script: ['Workspace', 'ServerScriptService', 'StarterPack', 'StarterGui', 'StarterPlayer.StarterCharacterScripts'],
+    LocalScript: ['StarterPlayer.StarterPlayerScripts', 'StarterPlayer.StarterCharacterScripts', 'StarterGui', 'StarterPack', 'ReplicatedFirst'],
+};
+
+// Scripts with RunContext Server/Client run almost anywhere, except these
+const RUN_CONTEXT_NEVER_RUNS_IN = {
+    Server: ['ServerStorage'],
+    Client: ['ServerStorage', 'ServerScriptService'],
+};
+
+function isScript(node) {
+    return isA(node.className, 'LuaSourceContainer');
+}
+
+function under(path, prefixes) {
+    return prefixes.some(prefix => path === prefix || path.startsWith(prefix + '.'));
+}
+
+/**
+ * Why a script never runs where it is, or null if it does. ModuleScripts
+ * only run when required, so they are never flagged.
+ */
+function placementProblem(node) {
+    if (node.className !== 'Script' && node.className !== 'LocalScript') return null;
+    const runContext = node.properties && node.properties.RunContext;
+
+    if (node.className === 'Script' && (runContext === 'Server' || runContext === 'Client')) {
+        const blocked = RUN_CONTEXT_NEVER_RUNS_IN[runContext];
+        return under(node.path, blocked) ? `RunContext ${runContext} scripts don't run in ${node.path.split('.')[0]}` : null;
+    }
+
+    if (under(node.path, RUNS_IN[node.className])) return null;
+    return node.className === 'Script'
+        ? `Scripts only run in ${RUNS_IN.Script.join(', ')} (or set RunContext)`
+        : `LocalScripts only run in ${RUNS_IN.LocalScript.join(', ')} or a player's character`;
+}
+
+function topBy(items, key, limit) {
+    return items.slice().sort((a, b) => b[key] - a[key] || a.path.localeCompare(b.path)).slice(0, limit);
+}
+
+/**
+ * Compute the stats for a tree. Options:
+ *   graph   DependencyGraph for the same tree; without it (or without mirrored
+ *           sources) unreferenced modules can't be determined
+ *   limit   entries per list (default 25)
+ * Returns plain JSON: totals, per-service and per-folder numbers, and one
+ * list per health check.
+ */
+function computeStats(tree, { graph = null, limit = DEFAULT_LIMIT } = {}) {
+    const totals = { instances: 0, scripts: 0, modules: 0, serverScripts: 0, localScripts: 0, lines: 0 };
+    const services = [];
+    const folders = [];
+    const scripts = [];
+    const modules = [];
+    const deep = [];
+    const duplicates = [];
+    const misplaced = [];
+    let maxDepth = 0;
+
+    // Returns { instances, scripts, lines, depth } for the subtree below `node`
+    function walk(node, path, depth) {
+        const sums = { instances: 0, scripts: 0, lines: 0, depth };
+        maxDepth = Math.max(maxDepth, depth);
+
+        const byName = new Map();
+        (node.children || []).forEach(child => {
+            const childPath = child.path || `${path}.${child.name}`;
+            if (!byName.has(child.name)) byName.set(child.name, []);
+            byName.get(child.name).push(child.className);
+
+            totals.instances++;
+            sums.instances++;
+            if (isScript(child)) {
+                const lines = child.lineCount || 0;
+                totals.scripts++;
+                totals.lines += lines;
+                sums.scripts++;
+                sums.lines += lines;
+                scripts.push({ path: childPath, className: child.className, lines });
+                if (child.className === 'ModuleScript') {
+                    totals.modules++;
+                    modules.push(childPath);
+                } else if (child.className === 'LocalScript') {
+                    totals.localScripts++;
+                } else {
+                    totals.serverScripts++;
+                }
+
+                const problem = placementProblem({ ...child, path: childPath });
+                if (problem) misplaced.push({ path: childPath, className: child.className, reason: problem });
+            }
+
+            const inner = walk(child, childPath, depth + 1);
+            sums.instances += inner.instances;
+            sums.scripts += inner.scripts;
+            sums.lines += inner.lines;
+            sums.depth = Math.max(sums.depth, inner.depth);
+
+            // Report where nesting first gets too deep, not every instance below it
+            if (depth + 1 === DEEP_NESTING) {
+                deep.push({ path: childPath, depth: inner.depth });
+            }
+            if (!isScript(child) && inner.scripts > 0) {
+                folders.push({ path: childPath, className: child.className, scripts: inner.scripts, lines: inner.lines });
+            }
+        });
+
+        byName.forEach((classNames, name) => {
+            if (classNames.length > 1) duplicates.push({ parent: path, name, count: classNames.length, classNames });
+        });
+
+        return sums;
+    }
+
+    (tree.containers || []).forEach(container => {
+        const path = container.path || container.name;
+        const sums = walk(container, path, 0);
+        services.push({ name: container.name, instances: sums.instances, scripts: sums.scripts, lines: sums.lines });
+    });
+
+    let unreferencedModules = null;
+    if (graph && graph.analyzed > 0) {
+        unreferencedModules = modules
+            .filter(path => {
+                const module = graph.modules.get(path);
+                return !module || module.dependents.length === 0;
+            })
+            .sort();
+    }
+
+    return {
+        game: tree.name || 'Unknown',
+        totals,
+        maxDepth,
+        services: services.sort((a, b) => b.lines - a.lines || b.instances - a.instances),
+        folders: topBy(folders, 'lines', limit),
+        largestScripts: topBy(scripts, 'lines', limit),
+        unreferencedModules: unreferencedModules && unreferencedModules.slice(0, limit),
+        unreferencedModuleCount: unreferencedModules ? unreferencedModules.length : null,
+        // Scripts whose requires weren't analyzed; unreferenced modules may be required from them
+        missingSources: graph ? graph.missingSources : totals.scripts,
+        deepNesting: { threshold: DEEP_NESTING, count: deep.length, items: topBy(deep, 'depth', limit) },
+        duplicateNames: { count: duplicates.length, items: duplicates.slice(0, limit) },
+        misplacedScripts: { count: misplaced.length, items: misplaced.slice(0, limit) },
+    };
+}
+
+module.exports = { computeStats, placementProblem, DEEP_NESTING };
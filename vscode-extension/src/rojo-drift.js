@@ -0,0 +1,120 @@
+// ============================================
+// STUDIO VS ROJO DRIFT
+// ============================================
+//
+// Compares the live Studio tree against what the workspace Rojo project would
+// build. Only parts of the place Rojo actually manages are compared: services
+// present in both trees, and below them only nodes backed by a `$path` on disk
+// (anything else in Studio is left alone by Rojo during a sync anyway).
+
+const DRIFT_KINDS = {
+    'studio-only': 'Only in Studio (lost on next rojo build)',
+    'missing-in-studio': 'File not in Studio',
+    'class-mismatch': 'Class mismatch',
+    'line-mismatch': 'Line count mismatch',
+};
+
+function isScriptClass(className) {
+    return className === 'Script' || className === 'LocalScript' || className === 'ModuleScript';
+}
+
+function childrenByName(node) {
+    const map = new Map();
+    (node.children || []).forEach(child => {
+        if (!map.has(child.name)) map.set(child.name, child);
+    });
+    return map;
+}
+
+/**
+ * Returns a list of drift entries:
+ * { kind, path, className, expectedClassName, studioLines, fileLines, filePath }
+ */
+function computeDrift(liveTree, resolver) {
+    const drift = [];
+    if (!resolver.hasProject() || !liveTree.containers) return drift;
+
+    const liveServices = new Map(liveTree.containers.map(container => [container.name, container]));
+
+    function compare(live, rojo, managed) {
+        // Rojo manages everything under a node that maps to something on disk
+        const isManaged = managed || Boolean(rojo.filePath);
+
+        if (rojo.className && live.className !== rojo.className) {
+            drift.push({
+                kind: 'class-mismatch',
+                path: live.path,
+                className: live.className,
+                expectedClassName: rojo.className,
+                filePath: rojo.filePath
+            });
+        } else if (isScriptClass(live.className) && rojo.lineCount !== undefined &&
+            live.lineCount !== undefined && live.lineCount !== rojo.lineCount) {
+            drift.push({
+                kind: 'line-mismatch',
+                path: live.path,
+                className: live.className,
+                studioLines: live.lineCount,
+                fileLines: rojo.lineCount,
+                filePath: rojo.filePath
+            });
+        }
+
+        // Shallow nodes (childCount only) weren't walked by the plugin
+        if (live.childCount !== undefined && (!live.children || live.children.length === 0)) return;
+
+        const liveChildren = childrenByName(live);
+        const rojoChildren = childrenByName(rojo);
+
+        for (const [name, rojoChild] of rojoChildren) {
+            const liveChild = liveChildren.get(name);
+            if (liveChild) {
+                compare(liveChild, rojoChild, isManaged);
+            } else if (rojoChild.filePath) {
+                drift.push({
+                    kind: 'missing-in-studio',
+                    path: rojoChild.path,
+                    expectedClassName: rojoChild.className,
+                    filePath: rojoChild.filePath
+                });
+            }
+        }
+
+        if (!isManaged) return;
+        for (const [name, liveChild] of liveChildren) {
+            if (!rojoChildren.has(name)) {
+                drift.push({
+                    kind: 'studio-only',
+                    path: liveChild.path,
+                    className: liveChild.className,
+                    studioLines: liveChild.lineCount,
+                    filePath: rojo.filePath
+                });
+            }
+        }
+    }
+
+    for (const rojoService of resolver.getServices()) {
+        const liveService = liveServices.get(rojoService.name);
+        if (liveService) compare(liveService, rojoService, false);
+    }
+
+    return drift;
+}
+
+function describeDrift(entry) {
+    switch (entry.kind) {
+        case 'studio-only':
+            return `${entry.path} [${entry.className}] exists only in Studio and would be lost on the next rojo build`;
+        case 'missing-in-studio':
+            return `${entry.path} [${entry.expectedClassName || 'unknown'}] is in the Rojo project but not in Studio`;
+        case 'class-mismatch':
+            return `${entry.path} is a ${entry.className} in Studio but a ${entry.expectedClassName} on disk`;
+        case 'line-mismatch':
+            return `${entry.path} has ${entry.studioLines} lines in Studio but ${entry.fileLines} on disk (unsynced Studio edit?)`;
+        default:
+            return entry.path;
+    }
+}
+
+module.exports = { computeDrift, describeDrift, DRIFT_KINDS };
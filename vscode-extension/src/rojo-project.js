@@ -0,0 +1,387 @@
+// ============================================
+// ROJO PROJECT RESOLVER
+// ============================================
+//
+// Parses `*.project.json` files and the directories they point at into the
+// instance tree `rojo build` would produce, so live Studio paths like
+// `ReplicatedStorage.Shared.Utils.Math` can be mapped to files on disk.
+
+const fs = require('fs');
+const path = require('path');
+
+// File name suffix -> class, checked in order (longest suffixes first)
+const SCRIPT_SUFFIXES = [
+    ['.server.luau', 'Script'],
+    ['.server.lua', 'Script'],
+    ['.client.luau', 'LocalScript'],
+    ['.client.lua', 'LocalScript'],
+    ['.plugin.luau', 'Script'],
+    ['.plugin.lua', 'Script'],
+    ['.luau', 'ModuleScript'],
+    ['.lua', 'ModuleScript'],
+];
+
+const DATA_SUFFIXES = [
+    ['.model.json', null],
+    ['.rbxmx', null],
+    ['.rbxm', null],
+    ['.json', 'ModuleScript'],
+    ['.toml', 'ModuleScript'],
+    ['.txt', 'StringValue'],
+    ['.csv', 'LocalizationTable'],
+];
+
+const IGNORED_NAMES = new Set(['.git', 'node_modules', '.DS_Store']);
+
+function countLines(filePath) {
+    try {
+        const text = fs.readFileSync(filePath, 'utf8');
+        return text.split('\n').length;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+function readJson(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Classify a file inside a $path directory. Returns { name, className } or null if Rojo ignores it.
+function classifyFile(fileName, filePath) {
+    if (fileName.endsWith('.meta.json') || fileName.endsWith('.project.json')) return null;
+
+    for (const [suffix, className] of SCRIPT_SUFFIXES) {
+        if (fileName.endsWith(suffix)) {
+            return { name: fileName.slice(0, -suffix.length), className, isScript: true };
+        }
+    }
+
+    for (const [suffix, className] of DATA_SUFFIXES) {
+        if (!fileName.endsWith(suffix)) continue;
+        let resolved = className;
+        if (suffix === '.model.json') {
+            try {
+                const model = readJson(filePath);
+                resolved = model.ClassName || model.className || null;
+            } catch (e) {
+                resolved = null;
+            }
+        }
+        return { name: fileName.slice(0, -suffix.length), className: resolved, isScript: false };
+    }
+
+    return null;
+}
+
+function findInitFile(dirPath, entries) {
+    for (const [suffix, className] of SCRIPT_SUFFIXES) {
+        const fileName = 'init' + suffix;
+        if (entries.includes(fileName)) {
+            return { filePath: path.join(dirPath, fileName), className };
+        }
+    }
+    return null;
+}
+
+function readMetaClassName(metaPath) {
+    try {
+        return readJson(metaPath).className || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+class RojoProject {
+    constructor(projectFile) {
+        this.file = projectFile;
+        this.dir = path.dirname(projectFile);
+        this.json = readJson(projectFile);
+        this.name = this.json.name || path.basename(projectFile, '.project.json');
+        // Parsed nested project files by resolved path, so rebuilds don't re-read them
+        this.nested = new Map();
+    }
+
+    // True when the project builds a place (rather than a model/plugin)
+    isPlace() {
+        return this.json.tree && this.json.tree.$className === 'DataModel';
+    }
+
+    /**
+     * Build the virtual instance tree. Nodes look like the synced Studio nodes
+     * ({ name, className, path, children, lineCount }) plus `filePath`.
+     */
+    build() {
+        this.visited = new Set([path.resolve(this.file)]);
+        const root = this.buildProjectNode(this.json.tree || {}, this.name, null, this.dir);
+        return root;
+    }
+
+    buildProjectNode(projectNode, name, parentPath, baseDir) {
+        const instancePath = parentPath === null ? null : (parentPath ? `${parentPath}.${name}` : name);
+        let node = {
+            name,
+            className: projectNode.$className || null,
+            path: instancePath,
+            children: []
+        };
+
+        const target = typeof projectNode.$path === 'object' && projectNode.$path !== null
+            ? projectNode.$path.optional
+            : projectNode.$path;
+
+        if (target) {
+            const fsPath = path.resolve(baseDir, target);
+            if (fs.existsSync(fsPath)) {
+                const fromDisk = this.buildFsNode(fsPath, name, instancePath);
+                if (fromDisk) {
+                    node = {
+                        ...fromDisk,
+                        className: projectNode.$className || fromDisk.className
+                    };
+                }
+            }
+        }
+
+        for (const [key, child] of Object.entries(projectNode)) {
+            if (key.startsWith('$') || typeof child !== 'object' || child === null) continue;
+            // The DataModel itself isn't part of GetFullName paths
+            const childParentPath = instancePath === null ? '' : instancePath;
+            const childNode = this.buildProjectNode(child, key, childParentPath, baseDir);
+            const existing = node.children.findIndex(c => c.name === key);
+            if (existing !== -1) {
+                node.children[existing] = childNode;
+            } else {
+                node.children.push(childNode);
+            }
+        }
+
+        return node;
+    }
+
+    buildFsNode(fsPath, name, instancePath) {
+        const stat = fs.statSync(fsPath);
+
+        if (stat.isFile()) {
+            if (fsPath.endsWith('.project.json')) return this.buildNestedProject(fsPath, name, instancePath);
+
+            const info = classifyFile(path.basename(fsPath), fsPath);
+            if (!info) return null;
+            return {
+                name,
+                className: info.className,
+                path: instancePath,
+                filePath: fsPath,
+                lineCount: info.isScript ? countLines(fsPath) : undefined,
+                children: []
+            };
+        }
+
+        const entries = fs.readdirSync(fsPath).filter(entry => !IGNORED_NAMES.has(entry));
+
+        if (entries.includes('default.project.json')) {
+            return this.buildNestedProject(path.join(fsPath, 'default.project.json'), name, instancePath);
+        }
+
+        const init = findInitFile(fsPath, entries);
+        const node = {
+            name,
+            className: init ? init.className : (readMetaClassName(path.join(fsPath, 'init.meta.json')) || 'Folder'),
+            path: instancePath,
+            filePath: init ? init.filePath : fsPath,
+            lineCount: init ? countLines(init.filePath) : undefined,
+            isDirectory: !init,
+            children: []
+        };
+
+        for (const entry of entries) {
+            if (/^init(\.server|\.client|\.plugin)?\.luau?$/.test(entry) || entry === 'init.meta.json') continue;
+
+            const entryPath = path.join(fsPath, entry);
+            let entryStat;
+            try {
+                entryStat = fs.statSync(entryPath);
+            } catch (e) {
+                continue;
+            }
+
+            let childName = entry;
+            if (entryStat.isFile()) {
+                if (entry.endsWith('.project.json')) {
+                    childName = entry.slice(0, -'.project.json'.length);
+                } else {
+                    const info = classifyFile(entry, entryPath);
+                    if (!info) continue;
+                    childName = info.name;
+                }
+            }
+
+            const childPath = instancePath ? `${instancePath}.${childName}` : childName;
+            const child = this.buildFsNode(entryPath, childName, childPath);
+            if (child) node.children.push(child);
+        }
+
+        return node;
+    }
+
+    buildNestedProject(projectFile, name, instancePath) {
+        const resolved = path.resolve(projectFile);
+        if (this.visited.has(resolved)) return null;
+        this.visited.add(resolved);
+
+        try {
+            if (!this.nested.has(resolved)) this.nested.set(resolved, readJson(projectFile));
+            const json = this.nested.get(resolved);
+            const node = this.buildProjectNode(json.tree || {}, name, instancePath ? instancePath.split('.').slice(0, -1).join('.') : '', path.dirname(projectFile));
+            return node;
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+// Directories never searched for project files (package managers' vendored code)
+const SKIPPED_PROJECT_DIRS = new Set([...IGNORED_NAMES, 'Packages', '_Index']);
+
+/**
+ * `*.project.json` files under `root`, breadth first, at most `limit` of them.
+ * Used where there is no editor to search the workspace (the headless CLI).
+ */
+function findProjectFiles(root, limit = 50) {
+    const found = [];
+    const queue = [root];
+    while (queue.length > 0 && found.length < limit) {
+        const dir = queue.shift();
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (e) {
+            continue;
+        }
+        for (const entry of entries) {
+            if (SKIPPED_PROJECT_DIRS.has(entry.name)) continue;
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                queue.push(fullPath);
+            } else if (entry.name.endsWith('.project.json') && found.length < limit) {
+                found.push(fullPath);
+            }
+        }
+    }
+    return found;
+}
+
+/**
+ * Maps instance paths to files for every place project in the workspace.
+ */
+class RojoResolver {
+    constructor() {
+        this.projects = [];
+        this.byPath = new Map();
+        this.byFile = new Map();
+        this.roots = [];
+        this.errors = [];
+        this.parsed = [];
+        this.parseErrors = [];
+    }
+
+    /**
+     * Parse the project files and build their instance trees. Only needed
+     * when a `*.project.json` changes; see rebuild() and updateFile().
+     */
+    load(projectFiles) {
+        this.parsed = [];
+        this.parseErrors = [];
+
+        // default.project.json wins over other project files
+        const ordered = [...projectFiles].sort((a, b) =>
+            (path.basename(a) === 'default.project.json' ? 0 : 1) - (path.basename(b) === 'default.project.json' ? 0 : 1)
+        );
+
+        for (const file of ordered) {
+            try {
+                const project = new RojoProject(file);
+                if (project.isPlace()) this.parsed.push(project);
+            } catch (e) {
+                this.parseErrors.push({ file, error: e.message });
+            }
+        }
+
+        this.rebuild();
+    }
+
+    /**
+     * Rebuild the instance trees from the already parsed project files, after
+     * files were added or removed under their $path directories.
+     */
+    rebuild() {
+        this.projects = [];
+        this.byPath = new Map();
+        this.byFile = new Map();
+        this.roots = [];
+        this.errors = [...this.parseErrors];
+
+        for (const project of this.parsed) {
+            let root;
+            try {
+                root = project.build();
+            } catch (e) {
+                this.errors.push({ file: project.file, error: e.message });
+                continue;
+            }
+
+            this.projects.push(project);
+            this.roots.push(root);
+            this.index(root);
+        }
+    }
+
+    /**
+     * Re-count the lines of a mapped script after it was saved. Returns false
+     * when the file isn't part of any project.
+     */
+    updateFile(filePath) {
+        const node = this.byFile.get(path.resolve(filePath));
+        if (!node) return false;
+        if (node.lineCount !== undefined) node.lineCount = countLines(node.filePath);
+        return true;
+    }
+
+    index(node) {
+        if (node.path && !this.byPath.has(node.path)) {
+            this.byPath.set(node.path, node);
+            if (node.filePath && !node.isDirectory) this.byFile.set(path.resolve(node.filePath), node);
+        }
+        node.children.forEach(child => this.index(child));
+    }
+
+    hasProject() {
+        return this.projects.length > 0;
+    }
+
+    // File (or directory) backing an instance path, or null
+    resolve(instancePath) {
+        const node = this.byPath.get(instancePath);
+        return node && node.filePath ? node.filePath : null;
+    }
+
+    getNode(instancePath) {
+        return this.byPath.get(instancePath) || null;
+    }
+
+    // Instance path for a file on disk, or null
+    instancePathFor(filePath) {
+        const node = this.byFile.get(path.resolve(filePath));
+        return node ? node.path : null;
+    }
+
+    // Services (children of the DataModel) across all place projects
+    getServices() {
+        const services = new Map();
+        this.roots.forEach(root => root.children.forEach(child => {
+            if (!services.has(child.name)) services.set(child.name, child);
+        }));
+        return [...services.values()];
+    }
+}
+
+module.exports = { RojoProject, RojoResolver, classifyFile, findProjectFiles };
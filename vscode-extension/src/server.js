@@ -0,0 +1,954 @@
+// ============================================
+// DIRECTORY TREE SERVER
+// ============================================
+//
+// The HTTP server the Studio plugin syncs to, and everything it serves from
+// memory: per-session trees and mirrored sources, write-back commands,
+// history, Rojo drift, the explorer page, /events and MCP at /mcp.
+//
+// It doesn't depend on VS Code: the extension embeds it and passes in its
+// settings, and cli.js runs it headless for other editors and AI agents.
+
+const http = require('http');
+const zlib = require('zlib');
+const { TreeStore, SequenceGapError } = require('./tree-store');
+const { SessionManager, DEFAULT_SESSION_ID } = require('./session-manager');
+const { CommandQueue } = require('./command-queue');
+const { RojoResolver } = require('./rojo-project');
+const { computeDrift, describeDrift } = require('./rojo-drift');
+const { TreeHistory, diffToText } = require('./tree-history');
+const { EventHub } = require('./event-stream');
+const { generateToken, requestToken, tokensMatch, localAddress, writeDiscovery, clearDiscovery } = require('./pairing');
+const { queryTree, QueryError } = require('./tree-query');
+const { DependencyGraph, indexTree } = require('./dependency-graph');
+const { computeStats } = require('./project-stats');
+const { PlaceCache, serializeSession, parseSnapshot } = require('./place-cache');
+const { parseSyncPayload, parseSessionInfo, PayloadError } = require('./sync-schema');
+const { explorerHtml } = require('./explorer-page');
+const { McpEndpoint } = require('./mcp-tools');
+const { normalizeSyncConfig, configVersion, filterTree, filterOps } = require('./sync-config');
+
+// Longest the plugin's GET /commands long-poll is held open
+const MAX_COMMAND_POLL_MS = 25000;
+
+// Selected instances kept per session; Studio allows selecting thousands
+const MAX_SELECTION = 100;
+
+// Returned by getTree() before any Studio session has synced
+const EMPTY_TREE = new TreeStore().getTree();
+
+// ============================================
+// EMBEDDED SERVER
+// ============================================
+
+class EmbeddedServer {
+    constructor() {
+        this.server = null;
+        this.port = 21326;
+        this.host = '127.0.0.1';
+        this.token = null;
+        this.maxBodyBytes = 16 * 1024 * 1024;
+        this.maxSyncNodes = 250000;
+        this.sessions = new SessionManager();
+        this.activeSessionId = null;
+        this.sessionTimeout = 120000;
+        this.sweepTimer = null;
+        this.commands = new CommandQueue();
+        this.rojo = new RojoResolver();
+        this.history = new TreeHistory();
+        this.placeCache = new PlaceCache();
+        this.events = new EventHub();
+        this.mcp = new McpEndpoint(this);
+        this.dependencyGraphs = new WeakMap();
+        this.treeIndexes = new WeakMap();
+        // What the plugin should sync, from the workspace settings (see sync-config.js)
+        this.syncConfig = {};
+        this.syncConfigVersion = configVersion(this.syncConfig);
+        this.lastUpdateTime = 0;
+    }
+
+    /**
+     * Apply settings; anything left out keeps its current value. Port and host
+     * take effect on the next start(). Sizes are in bytes, sessionTimeout in ms:
+     *   { port, host, sessionTimeout, maxScriptBytes, maxSourceStoreBytes, maxBodyBytes, maxSyncNodes, syncConfig }
+     */
+    configure(settings = {}) {
+        if (settings.port) this.port = settings.port;
+        if (settings.host) this.host = settings.host;
+        if (settings.sessionTimeout) this.sessionTimeout = settings.sessionTimeout;
+        if (settings.maxBodyBytes) this.maxBodyBytes = settings.maxBodyBytes;
+        if (settings.maxSyncNodes) this.maxSyncNodes = settings.maxSyncNodes;
+        if (settings.maxScriptBytes || settings.maxSourceStoreBytes) {
+            this.sessions.setSourceLimits({ maxFileBytes: settings.maxScriptBytes, maxTotalBytes: settings.maxSourceStoreBytes });
+        }
+        if (settings.syncConfig) this.setSyncConfig(settings.syncConfig);
+    }
+
+    /**
+     * Set what the plugin syncs: `{ services, skipClasses, shallowClasses,
+     * syncInterval, useFilters }`, unset values left to the plugin. Connected
+     * plugins refetch /config when their next /sync reply carries the new
+     * version. Returns true if it changed.
+     */
+    setSyncConfig(settings) {
+        const config = normalizeSyncConfig(settings);
+        const version = configVersion(config);
+        if (version === this.syncConfigVersion) return false;
+        this.syncConfig = config;
+        this.syncConfigVersion = version;
+        this.events.broadcast('config-changed', { version, config });
+        return true;
+    }
+
+    start(port) {
+        return new Promise((resolve, reject) => {
+            if (this.server) {
+                resolve(true);
+                return;
+            }
+
+            if (port) this.port = port;
+            if (!this.token) this.token = generateToken();
+
+            this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+            this.server.on('error', (err) => {
+                if (err.code === 'EADDRINUSE') {
+                    reject(new Error(`Port ${this.port} is already in use`));
+                } else {
+                    reject(err);
+                }
+            });
+
+            this.server.listen(this.port, this.host, () => {
+                this.sweepTimer = setInterval(() => this.sweepSessions(), 1000);
+                this.publishDiscovery();
+                resolve(true);
+            });
+        });
+    }
+
+    stop() {
+        return new Promise((resolve) => {
+            this.commands.cancelPolls();
+            this.mcp.closeSessions();
+            this.events.close();
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+            try {
+                clearDiscovery();
+            } catch (e) {
+                console.error('Failed to remove discovery file:', e);
+            }
+            if (this.server) {
+                this.server.close(() => {
+                    this.server = null;
+                    resolve(true);
+                });
+            } else {
+                resolve(true);
+            }
+        });
+    }
+
+    isRunning() {
+        return this.server !== null;
+    }
+
+    // Let local tools (the MCP server) find the port and token
+    publishDiscovery() {
+        try {
+            const { address, port } = this.server.address();
+            writeDiscovery({ host: localAddress(address), port, token: this.token });
+        } catch (e) {
+            console.error('Failed to write discovery file:', e);
+        }
+    }
+
+    setToken(token) {
+        this.token = token;
+        if (this.isRunning()) this.publishDiscovery();
+    }
+
+    handleRequest(req, res) {
+        const url = new URL(req.url, `http://localhost:${this.port}`);
+        const pathname = url.pathname;
+
+        // No CORS headers: browsers must not be able to read or post to this server
+        // from other origins. Every route, including /ping, requires the pairing token.
+        if (!tokensMatch(requestToken(req, url), this.token)) {
+            res.writeHead(401, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Missing or invalid pairing token. Run "Roblox: Show Pairing Token" in VS Code.' }));
+            return;
+        }
+
+        // Routes
+        if (pathname === '/ping' && req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ status: 'ok', server: 'LiveDirectoryTree-VSCode', version: '1.0.0' }));
+            return;
+        }
+
+        if (pathname === '/sync' && req.method === 'POST') {
+            this.readJsonBody(req, res, (body, bytes) => {
+                let payload;
+                try {
+                    payload = parseSyncPayload(body, { maxNodes: this.maxSyncNodes });
+                } catch (e) {
+                    if (!(e instanceof PayloadError)) throw e;
+                    res.writeHead(e.status, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ status: 'invalid', error: e.message, issues: e.issues }));
+                    return;
+                }
+                const { session } = this.sessions.getOrCreate(payload.session);
+                try {
+                    const changed = this.applySync(session, payload);
+                    this.lastUpdateTime = Date.now();
+                    if (changed) {
+                        session.lastSync = {
+                            time: this.lastUpdateTime,
+                            type: payload.type === 'patch' ? 'patch' : 'snapshot',
+                            bytes,
+                            ops: payload.type === 'patch' ? payload.ops.length : undefined
+                        };
+                    }
+                    this.announceConnected(session);
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({
+                        status: 'ok',
+                        received: true,
+                        seq: session.store.seq,
+                        session: session.id,
+                        configVersion: this.syncConfigVersion
+                    }));
+
+                    // Notify that we got new data; patches carry their ops as the delta
+                    if (changed) {
+                        this.history.record(session);
+                        this.placeCache.schedule(session);
+                        this.replaceOfflineCopies(session);
+                        this.events.broadcast('tree-changed', {
+                            session: session.id,
+                            seq: session.store.seq,
+                            type: payload.type === 'patch' ? 'patch' : 'snapshot',
+                            ops: payload.type === 'patch' ? payload.ops : undefined
+                        });
+                    }
+                } catch (e) {
+                    // Out-of-sequence or unappliable patch: ask the plugin for a full snapshot
+                    const expected = e instanceof SequenceGapError ? e.expected : session.store.seq;
+                    this.announceConnected(session);
+                    res.writeHead(409, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ status: 'resync', error: e.message, seq: expected }));
+                    this.events.broadcast('sync-error', { session: session.id, error: e.message, seq: expected });
+                }
+            });
+            return;
+        }
+
+        if (pathname === '/sources' && req.method === 'POST') {
+            this.readJsonBody(req, res, (payload) => {
+                const info = parseSessionInfo(payload.session) || { sessionId: url.searchParams.get('session') };
+                const { session } = this.sessions.getOrCreate(info);
+                let result;
+                try {
+                    result = session.sources.applyUpdate(payload);
+                } catch (e) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: e.message }));
+                    return;
+                }
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    status: 'ok',
+                    stored: result.stored.length,
+                    unchanged: result.unchanged.length,
+                    removed: result.removed.length,
+                    rejected: result.rejected
+                }));
+
+                const changed = [...result.stored, ...result.removed];
+                if (changed.length > 0) {
+                    this.events.broadcast('sources-changed', { session: session.id, paths: changed });
+                }
+            });
+            return;
+        }
+
+        // Studio's Explorer selection, posted by the plugin whenever it changes
+        if (pathname === '/selection' && req.method === 'POST') {
+            this.readJsonBody(req, res, (payload) => {
+                if (!Array.isArray(payload.selection)) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: 'Expected "selection" to be an array of { id, path }' }));
+                    return;
+                }
+                const { session } = this.sessions.getOrCreate(parseSessionInfo(payload.session));
+                const items = payload.selection
+                    .filter(item => item && typeof item.path === 'string')
+                    .map(item => ({ path: item.path, id: typeof item.id === 'string' ? item.id : undefined }));
+                this.setSelection(session, items, 'studio');
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ status: 'ok' }));
+            });
+            return;
+        }
+
+        // Sync settings from the workspace, fetched by the plugin on connect and when configVersion changes
+        if (pathname === '/config' && req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ version: this.syncConfigVersion, ...this.syncConfig }));
+            return;
+        }
+
+        // Studio's Output window, forwarded by the plugin in batches: { session, messages: [{ message, level }] }
+        if (pathname === '/log' && req.method === 'POST') {
+            this.readJsonBody(req, res, (payload) => {
+                if (!Array.isArray(payload.messages)) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: 'Expected "messages" to be an array of { message, level }' }));
+                    return;
+                }
+                const { session } = this.sessions.getOrCreate(parseSessionInfo(payload.session));
+                const entries = session.output.append(payload.messages);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ status: 'ok', stored: entries.length }));
+
+                if (entries.length > 0) this.events.broadcast('output', { session: session.id, entries });
+            });
+            return;
+        }
+
+        // Sent by the plugin when it disconnects or unloads, so we don't wait for the timeout
+        if (pathname === '/disconnect' && req.method === 'POST') {
+            this.readJsonBody(req, res, (payload) => {
+                const info = parseSessionInfo(payload.session);
+                const sessionId = (info && info.sessionId) || DEFAULT_SESSION_ID;
+                const session = this.sessions.sessions.get(sessionId);
+                if (session) {
+                    session.disconnected = true;
+                    this.sweepSessions();
+                }
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ status: 'ok' }));
+            });
+            return;
+        }
+
+        // MCP over Streamable HTTP (see mcp-tools.js). MCP sessions belong to the
+        // AI client; tools pick the Studio session with their `session` argument.
+        if (pathname === '/mcp') {
+            const serve = (body) => this.mcp.handleRequest(req, res, body).catch((e) => {
+                console.error('MCP request failed:', e);
+                if (res.headersSent) return;
+                res.writeHead(500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32603, message: e.message }, id: null }));
+            });
+            if (req.method === 'POST') {
+                // JSON-RPC batches are arrays
+                this.readJsonBody(req, res, serve, { anyJson: true });
+            } else {
+                serve(undefined);
+            }
+            return;
+        }
+
+        // Everything below reads one session: ?session=<id or name>, default the active one
+        const session = this.getSession(url.searchParams.get('session'));
+
+        if (pathname === '/sources' && req.method === 'GET') {
+            const sources = session ? session.sources : null;
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                count: sources ? sources.entries.size : 0,
+                totalBytes: sources ? sources.totalBytes : 0,
+                scripts: sources ? sources.list() : []
+            }));
+            return;
+        }
+
+        if (pathname === '/source' && req.method === 'GET') {
+            const entry = session ? session.sources.get(url.searchParams.get('path') || '') : null;
+            if (!entry) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'Source not mirrored. Enable "Mirror script sources" in the Studio plugin.' }));
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(entry));
+            return;
+        }
+
+        if (pathname === '/sources/grep' && req.method === 'GET') {
+            if (!session) {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ results: [], truncated: false }));
+                return;
+            }
+            try {
+                const result = session.sources.grep(url.searchParams.get('pattern') || '', {
+                    regex: url.searchParams.get('regex') === 'true',
+                    caseSensitive: url.searchParams.get('caseSensitive') === 'true',
+                    under: url.searchParams.get('under') || undefined,
+                    maxResults: parseInt(url.searchParams.get('max')) || undefined
+                });
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(result));
+            } catch (e) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: e.message }));
+            }
+            return;
+        }
+
+        if (pathname === '/tree' && req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(this.getSessionTree(session)));
+            return;
+        }
+
+        if (pathname === '/search' && req.method === 'GET') {
+            try {
+                const result = this.search(session, url.searchParams.get('q') || '', parseInt(url.searchParams.get('limit')) || undefined);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(result));
+            } catch (e) {
+                res.writeHead(e instanceof QueryError ? 400 : 500, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: e.message }));
+            }
+            return;
+        }
+
+        if (pathname === '/status' && req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(this.getStatus(session)));
+            return;
+        }
+
+        if (pathname === '/events' && req.method === 'GET') {
+            this.events.attach(req, res, this.getStatus(session));
+            return;
+        }
+
+        // ?level=warning&since=10m&search=<text>&limit=<n>
+        if (pathname === '/log' && req.method === 'GET') {
+            try {
+                const result = session ? session.output.query({
+                    level: url.searchParams.get('level') || undefined,
+                    since: url.searchParams.get('since') || undefined,
+                    search: url.searchParams.get('search') || undefined,
+                    limit: parseInt(url.searchParams.get('limit')) || undefined
+                }) : { entries: [], total: 0 };
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ session: session ? session.id : null, ...result }));
+            } catch (e) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: e.message }));
+            }
+            return;
+        }
+
+        if (pathname === '/selection' && req.method === 'GET') {
+            const { selection, origin, time } = this.getSelection(session);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                session: session ? session.id : null,
+                origin,
+                time,
+                // Instances outside the synced services only have a path
+                selection: selection && selection.map(({ path, node }) => node ? { path, id: node.id, name: node.name, className: node.className } : { path })
+            }));
+            return;
+        }
+
+        // Select instances in Studio's Explorer: { paths, session }
+        if (pathname === '/selection' && req.method === 'PUT') {
+            this.readJsonBody(req, res, (payload) => {
+                const target = this.getSession(payload.session);
+                if (!target || !Array.isArray(payload.paths)) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: target ? 'Expected "paths" to be an array of instance paths' : 'No Studio session has synced yet' }));
+                    return;
+                }
+                // Like POST /commands, the origin is the route, whatever the body claims
+                const command = this.selectInStudio(target, payload.paths.filter(path => typeof path === 'string'), 'http');
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ status: command ? 'queued' : 'unchanged', command: command ? command.id : null }));
+            });
+            return;
+        }
+
+        if (pathname === '/sessions' && req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                active: session ? session.id : null,
+                sessions: this.sessions.list().map(s => s.toJSON())
+            }));
+            return;
+        }
+
+        if (pathname === '/commands' && req.method === 'GET') {
+            // The plugin polls with its own session id (not a lookup query)
+            const pollSession = url.searchParams.get('session');
+            if (pollSession && this.sessions.sessions.has(pollSession)) this.sessions.sessions.get(pollSession).touch();
+            const wait = Math.min(parseInt(url.searchParams.get('wait')) || 0, MAX_COMMAND_POLL_MS);
+            this.commands.poll(wait, pollSession).then((commands) => {
+                if (res.destroyed) {
+                    this.commands.requeue(commands.map(command => command.id));
+                    return;
+                }
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ commands }));
+            });
+            return;
+        }
+
+        if (pathname === '/commands' && req.method === 'POST') {
+            this.readJsonBody(req, res, (payload) => {
+                try {
+                    const target = this.getSession(payload.session);
+                    if (payload.session && !target) throw new Error(`Unknown session "${payload.session}"`);
+                    // Whatever the body claims, the approval prompt names the route the command came in on
+                    const command = this.commands.enqueue(payload.type, payload.params, 'http', target ? target.id : null);
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify(this.commands.toJSON(command)));
+                } catch (e) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: e.message }));
+                }
+            });
+            return;
+        }
+
+        if (pathname === '/commands/history' && req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ commands: this.commands.list() }));
+            return;
+        }
+
+        if (pathname === '/rojo' && req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                projects: this.rojo.projects.map(project => ({ name: project.name, file: project.file })),
+                errors: this.rojo.errors
+            }));
+            return;
+        }
+
+        if (pathname === '/rojo/drift' && req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                hasProject: this.rojo.hasProject(),
+                studioConnected: Boolean(session && session.store.hasData()),
+                session: session ? session.id : null,
+                drift: this.getDrift(session).map(entry => ({ ...entry, description: describeDrift(entry) }))
+            }));
+            return;
+        }
+
+        if (pathname === '/history' && req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                snapshots: this.history.listSnapshots(),
+                history: this.history.listHistory()
+            }));
+            return;
+        }
+
+        if (pathname === '/snapshots' && req.method === 'POST') {
+            this.readJsonBody(req, res, (payload) => {
+                const target = this.getSession(payload.session);
+                if (typeof payload.name !== 'string' || !payload.name || !target || !target.store.hasData()) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: payload.name ? 'No Studio session has synced yet' : 'Missing snapshot name' }));
+                    return;
+                }
+                const snapshot = this.history.saveSnapshot(payload.name, target);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(TreeHistory.describe(snapshot)));
+            });
+            return;
+        }
+
+        // ?since=<snapshot name | ISO time | epoch ms | 30m / 2h / 1d>
+        if (pathname === '/changes' && req.method === 'GET') {
+            const since = url.searchParams.get('since');
+            const changes = session && since ? this.history.changesSince(since, session) : null;
+            if (!changes) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    error: !session ? 'No Studio session has synced yet' : `No snapshot or history entry matches "${since || ''}"`
+                }));
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ...changes, session: session.id, text: diffToText(changes.diff) }));
+            return;
+        }
+
+        if (pathname === '/dependencies' && req.method === 'GET') {
+            const modulePath = url.searchParams.get('path') || '';
+            const node = session ? session.store.findByPath(modulePath) : null;
+            if (!node) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: `No instance at "${modulePath}"` }));
+                return;
+            }
+            const direction = url.searchParams.get('direction') || 'both';
+            const report = this.getDependencies(session, modulePath, {
+                dependencies: direction !== 'dependents',
+                dependents: direction !== 'dependencies',
+                transitive: url.searchParams.get('transitive') === 'true',
+                maxDepth: parseInt(url.searchParams.get('depth')) || undefined
+            });
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ...report, className: node.className, session: session.id }));
+            return;
+        }
+
+        if (pathname === '/stats' && req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(this.getStats(session, parseInt(url.searchParams.get('limit')) || undefined)));
+            return;
+        }
+
+        if (pathname === '/rojo/resolve' && req.method === 'POST') {
+            this.readJsonBody(req, res, (payload) => {
+                if (!Array.isArray(payload.paths)) {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: 'Expected "paths" to be an array of instance paths' }));
+                    return;
+                }
+                const files = {};
+                payload.paths.forEach(instancePath => {
+                    const file = this.rojo.resolve(instancePath);
+                    if (file) files[instancePath] = file;
+                });
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ files }));
+            });
+            return;
+        }
+
+        const commandMatch = pathname.match(/^\/commands\/([^/]+)(\/result)?$/);
+        if (commandMatch && commandMatch[2] && req.method === 'POST') {
+            this.readJsonBody(req, res, (payload) => {
+                const found = this.commands.complete(commandMatch[1], payload);
+                res.writeHead(found ? 200 : 404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(found ? { status: 'ok' } : { error: 'Unknown command' }));
+            });
+            return;
+        }
+
+        if (commandMatch && !commandMatch[2] && req.method === 'GET') {
+            const wait = Math.min(parseInt(url.searchParams.get('wait')) || 0, MAX_COMMAND_POLL_MS);
+            this.commands.waitFor(commandMatch[1], wait).then((command) => {
+                if (res.destroyed) return;
+                res.writeHead(command ? 200 : 404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(command || { error: 'Unknown command' }));
+            });
+            return;
+        }
+
+        // Browser explorer (the same page the "Roblox Explorer" webview shows)
+        if (pathname === '/' && req.method === 'GET') {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(explorerHtml({ transport: 'http', token: this.token }));
+            return;
+        }
+
+        res.writeHead(404);
+        res.end('Not found');
+    }
+
+    /**
+     * Read and parse a JSON body, gzip/deflate-compressed or not. Both the
+     * bytes on the wire and the decompressed size are capped at maxBodyBytes.
+     * The handler gets the payload and the wire size, and only JSON objects
+     * unless `anyJson` is set. A PayloadError it throws is answered with its
+     * status, anything else with 500, so a bad request can't take the server down.
+     */
+    readJsonBody(req, res, handler, { anyJson = false } = {}) {
+        let done = false;
+        const fail = (status, error, headers = {}) => {
+            if (done) return;
+            done = true;
+            res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            res.end(JSON.stringify({ error }));
+            req.resume();
+        };
+        const tooLarge = (what) => fail(413, `Request body exceeds ${Math.round(this.maxBodyBytes / 1024 / 1024)} MB${what}`, { 'Connection': 'close' });
+
+        const encoding = (req.headers['content-encoding'] || 'identity').trim().toLowerCase();
+        const decoders = { identity: null, gzip: zlib.createGunzip, deflate: zlib.createInflate };
+        if (!Object.prototype.hasOwnProperty.call(decoders, encoding)) {
+            fail(415, `Unsupported Content-Encoding "${encoding}" (use gzip, deflate or none)`);
+            return;
+        }
+        if (parseInt(req.headers['content-length']) > this.maxBodyBytes) {
+            tooLarge('');
+            return;
+        }
+
+        let bytes = 0;
+        req.on('data', chunk => {
+            bytes += chunk.length;
+            if (bytes > this.maxBodyBytes) tooLarge('');
+        });
+
+        const stream = decoders[encoding] ? req.pipe(decoders[encoding]()) : req;
+        const chunks = [];
+        let decoded = 0;
+        stream.on('data', chunk => {
+            if (done) return;
+            decoded += chunk.length;
+            if (decoded > this.maxBodyBytes) {
+                chunks.length = 0;
+                tooLarge(' after decompression');
+                if (stream !== req) stream.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('error', (e) => fail(400, `Could not decompress the request body (${encoding}): ${e.message}`));
+        stream.on('end', () => {
+            if (done) return;
+            let payload;
+            try {
+                payload = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch (e) {
+                fail(400, `Invalid JSON: ${e.message}`);
+                return;
+            }
+            if (!anyJson && (!payload || typeof payload !== 'object' || Array.isArray(payload))) {
+                fail(400, 'Expected a JSON object');
+                return;
+            }
+            done = true;
+            try {
+                handler(payload, bytes);
+            } catch (e) {
+                if (!(e instanceof PayloadError)) console.error(`${req.method} ${req.url} failed:`, e);
+                if (res.headersSent) {
+                    res.end();
+                } else if (e instanceof PayloadError) {
+                    res.writeHead(e.status, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ status: 'invalid', error: e.message, issues: e.issues }));
+                } else {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: `Internal error: ${e.message}` }));
+                }
+            }
+        });
+    }
+
+    /**
+     * Apply a /sync payload. Supports full snapshots (`type: 'snapshot'`),
+     * delta patches (`type: 'patch'`) and the legacy bare-tree payload.
+     * Returns true if the tree changed.
+     */
+    applySync(session, payload) {
+        // The workspace's sync rules again, in case the plugin hasn't applied them yet
+        if (payload.type === 'patch') {
+            payload.ops = filterOps(payload.ops || [], this.syncConfig, session.store);
+            return session.store.applyPatch(payload);
+        }
+
+        if (payload.type === 'snapshot') {
+            session.store.applySnapshot(filterTree(payload.tree, this.syncConfig), payload.seq || 0);
+        } else {
+            session.store.applySnapshot(filterTree(payload, this.syncConfig), 0);
+        }
+        return true;
+    }
+
+    /**
+     * Session by id/name, or the active one (picked in VS Code), or the most
+     * recently seen one. Returns null before anything has synced.
+     */
+    getSession(query) {
+        if (query) return this.sessions.get(query);
+        if (this.activeSessionId && this.sessions.sessions.has(this.activeSessionId)) {
+            return this.sessions.sessions.get(this.activeSessionId);
+        }
+        return this.sessions.mostRecent();
+    }
+
+    getTree(query) {
+        const session = this.getSession(query);
+        return session ? session.store.getTree() : EMPTY_TREE;
+    }
+
+    // Tree as served by /tree and MCP: trees kept after Studio went away say so, with when they were last synced
+    getSessionTree(session) {
+        const tree = session ? session.store.getTree() : EMPTY_TREE;
+        const stale = session ? session.staleness() : null;
+        return stale ? { ...tree, stale } : tree;
+    }
+
+    getDrift(session = this.getSession()) {
+        return session ? computeDrift(session.store.getTree(), this.rojo) : [];
+    }
+
+    // Tree query (see tree-query.js) over one session; throws QueryError for bad queries
+    search(session, query, limit) {
+        return queryTree(session ? session.store.getTree() : EMPTY_TREE, query, { limit });
+    }
+
+    // Rebuilt only when the tree or the mirrored sources changed since the last call
+    getDependencyGraph(session) {
+        const cached = this.dependencyGraphs.get(session);
+        if (cached && cached.seq === session.store.seq && cached.version === session.sources.version) {
+            return cached.graph;
+        }
+        const graph = DependencyGraph.build(session.store.getTree(), session.sources);
+        this.dependencyGraphs.set(session, { seq: session.store.seq, version: session.sources.version, graph });
+        return graph;
+    }
+
+    /**
+     * Record what is selected in a session: `items` are `{ path, id }` as the
+     * plugin reports them. Announces `selection-changed` and returns true when
+     * it differs from what was selected before.
+     */
+    setSelection(session, items, origin) {
+        const selected = items.slice(0, MAX_SELECTION);
+        const previous = session.selection ? session.selection.items.map(item => item.path).join('\n') : null;
+        if (previous === selected.map(item => item.path).join('\n')) return false;
+
+        session.selection = { items: selected, origin, time: Date.now() };
+        this.events.broadcast('selection-changed', { session: session.id, paths: selected.map(item => item.path), origin });
+        return true;
+    }
+
+    /**
+     * Ask the plugin to select `paths` in Studio's Explorer. Returns the queued
+     * command, or null when that is already the selection or Studio isn't
+     * connected to apply it.
+     */
+    selectInStudio(session, paths, origin) {
+        if (!session.isConnected()) return null;
+        const index = this.getTreeIndex(session);
+        const items = paths.slice(0, MAX_SELECTION).map(path => {
+            const node = index.byPath.get(path);
+            return { path, id: node ? node.id : undefined };
+        });
+        if (!this.setSelection(session, items, origin)) return null;
+        return this.commands.enqueue('select', { paths: items.map(item => item.path), ids: items.map(item => item.id || null) }, origin, session.id);
+    }
+
+    // The session's selection with each item resolved against the current tree (ids survive renames)
+    getSelection(session) {
+        if (!session || !session.selection) return { selection: null };
+        const index = this.getTreeIndex(session);
+        const items = session.selection.items.map(item => {
+            const node = (item.id && session.store.get(item.id)) || index.byPath.get(item.path) || null;
+            return { path: node ? node.path : item.path, node };
+        });
+        return { selection: items, origin: session.selection.origin, time: session.selection.time };
+    }
+
+    // `game`, parents and nodes by path for resolving instance paths in the editor; rebuilt when the tree changes
+    getTreeIndex(session) {
+        const tree = session.store.getTree();
+        const cached = this.treeIndexes.get(session);
+        if (cached && cached.tree === tree && cached.seq === session.store.seq) return cached.index;
+        const index = indexTree(tree);
+        this.treeIndexes.set(session, { tree, seq: session.store.seq, index });
+        return index;
+    }
+
+    /**
+     * What a module requires and what requires it, with the cycles it is part
+     * of and the requires in it that couldn't be resolved.
+     */
+    getDependencies(session, modulePath, { dependencies = true, dependents = true, transitive = false, maxDepth } = {}) {
+        const graph = this.getDependencyGraph(session);
+        const options = { transitive, maxDepth };
+        return {
+            path: modulePath,
+            dependencies: dependencies ? graph.walk(modulePath, 'dependencies', options) : undefined,
+            dependents: dependents ? graph.walk(modulePath, 'dependents', options) : undefined,
+            cycles: graph.cyclesThrough(modulePath),
+            unresolved: graph.unresolved.filter(item => item.from === modulePath),
+            analyzed: graph.analyzed,
+            missingSources: graph.missingSources
+        };
+    }
+
+    // Size and code-health report (see project-stats.js); limit caps each list
+    getStats(session, limit) {
+        if (!session) return computeStats(EMPTY_TREE, { limit });
+        return { ...computeStats(session.store.getTree(), { graph: this.getDependencyGraph(session), limit }), session: session.id };
+    }
+
+    getStatus(session = this.getSession()) {
+        return {
+            connected: session ? session.isConnected() : false,
+            lastUpdate: session ? session.lastSeen : this.lastUpdateTime,
+            gameName: session ? session.gameName : EMPTY_TREE.name,
+            seq: session ? session.store.seq : 0,
+            session: session ? session.id : null,
+            stale: session ? session.staleness() : null,
+            sessions: this.sessions.list().map(s => s.toJSON())
+        };
+    }
+
+    /**
+     * Bring back the trees saved by earlier VS Code sessions as offline
+     * sessions, and keep saving new ones under `dir`.
+     */
+    restorePlaces(dir) {
+        this.placeCache.open(dir);
+        this.placeCache.load().forEach(saved => this.sessions.addOffline(saved, 'cache'));
+    }
+
+    // Load an exported snapshot as an offline session; throws for invalid files
+    importSnapshot(text) {
+        const saved = parseSnapshot(text);
+        const session = this.sessions.addOffline({ ...saved, sessionId: `import-${saved.placeKey || saved.tree.name}` }, 'import');
+        this.activeSessionId = session.id;
+        this.events.broadcast('tree-changed', { session: session.id, seq: session.store.seq, type: 'snapshot' });
+        return session;
+    }
+
+    exportSnapshot(session) {
+        return JSON.stringify(serializeSession(session), null, 2);
+    }
+
+    // A place that syncs again replaces the copy restored from storage
+    replaceOfflineCopies(session) {
+        this.sessions.replaceOffline(session).forEach(old => {
+            if (this.activeSessionId === old.id) this.activeSessionId = session.id;
+            this.events.broadcast('session-removed', { session: old.id });
+        });
+    }
+
+    announceConnected(session) {
+        if (session.reportedConnected) return;
+        session.reportedConnected = true;
+        this.events.broadcast('session-connected', { session: session.toJSON() });
+    }
+
+    // Announce connection changes (missed heartbeats, plugin goodbyes) and drop stale sessions (Studio and MCP).
+    // Commands a disconnected session was going to run fail right away.
+    sweepSessions() {
+        const { connected, disconnected } = this.sessions.connectivityChanges();
+        connected.forEach(session => this.events.broadcast('session-connected', { session: session.toJSON() }));
+        disconnected.forEach(session => {
+            this.commands.failSession(session.id, session.disconnected ? 'Studio disconnected' : 'Studio stopped syncing');
+            this.events.broadcast('session-disconnected', {
+                session: session.toJSON(),
+                reason: session.disconnected ? 'plugin' : 'timeout'
+            });
+        });
+
+        this.sessions.expire(this.sessionTimeout).forEach(session => {
+            if (this.activeSessionId === session.id) this.activeSessionId = null;
+            this.events.broadcast('session-removed', { session: session.id });
+        });
+        this.mcp.expireIdle();
+    }
+}
+
+module.exports = { EmbeddedServer };
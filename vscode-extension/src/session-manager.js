@@ -0,0 +1,265 @@
+// ============================================
+// STUDIO SESSIONS
+// ============================================
+//
+// Every Studio instance that syncs to the server (another teammate, another
+// place in the universe, or the server/client sides of a Team Test) gets its
+// own session with its own tree and source mirror, keyed by the plugin's
+// session GUID. Payloads without a session identity share DEFAULT_SESSION_ID.
+
+const { TreeStore } = require('./tree-store');
+const { SourceStore } = require('./source-store');
+const { OutputLog } = require('./output-log');
+
+const DEFAULT_SESSION_ID = 'default';
+
+// A session counts as connected if it synced within this window. Plugins that
+// report their sync interval get a tighter window (a few missed heartbeats).
+const CONNECTED_WINDOW = 30000;
+const MISSED_HEARTBEATS = 3;
+const MIN_CONNECTED_WINDOW = 5000;
+
+// Offline copies of closed or restored places kept at once; older ones are
+// dropped (they stay in the place cache on disk). Imported snapshots don't count.
+const MAX_OFFLINE_SESSIONS = 20;
+
+class StudioSession {
+    constructor(id, info, sourceLimits) {
+        this.id = id;
+        this.store = new TreeStore();
+        this.sources = new SourceStore(sourceLimits);
+        this.output = new OutputLog();
+        this.placeId = null;
+        this.gameId = null;
+        this.user = null;
+        this.context = null;
+        this.syncInterval = null;
+        this.firstSeen = Date.now();
+        this.lastSeen = Date.now();
+        // Set when the plugin says goodbye; cleared by the next sync
+        this.disconnected = false;
+        // Connection state last announced to listeners
+        this.reportedConnected = false;
+        // Last snapshot or non-empty patch: { time, type, bytes, ops }
+        this.lastSync = null;
+        // Set while the tree is kept after Studio went away: { since, source }, where
+        // source is 'studio' (timed out), 'cache' (restored on startup) or 'import'
+        this.offline = null;
+        // Explorer selection in Studio: { items: [{ path, id }], origin, time }, null until the plugin reports one
+        this.selection = null;
+        this.update(info);
+    }
+
+    update(info = {}) {
+        if (info.placeId !== undefined) this.placeId = info.placeId;
+        if (info.gameId !== undefined) this.gameId = info.gameId;
+        if (info.user) this.user = info.user;
+        if (info.context) this.context = info.context;
+        if (info.syncInterval > 0) this.syncInterval = info.syncInterval;
+    }
+
+    touch() {
+        this.lastSeen = Date.now();
+        this.disconnected = false;
+        this.offline = null;
+    }
+
+    get connectedWindow() {
+        if (!this.syncInterval) return CONNECTED_WINDOW;
+        return Math.max(this.syncInterval * 1000 * MISSED_HEARTBEATS, MIN_CONNECTED_WINDOW);
+    }
+
+    isConnected(now = Date.now()) {
+        return !this.offline && !this.disconnected && now - this.lastSeen < this.connectedWindow;
+    }
+
+    /**
+     * How old the tree is when it isn't live: { since, source }, or null
+     * while Studio is syncing. Disconnected sessions report source 'studio'.
+     */
+    staleness(now = Date.now()) {
+        if (this.offline) return this.offline;
+        return this.isConnected(now) ? null : { since: this.lastSeen, source: 'studio' };
+    }
+
+    // One saved tree per place (and Team Test side); unpublished places go by name
+    get placeKey() {
+        const place = this.placeId ? `place-${this.placeId}` : this.gameName;
+        return this.context && this.context !== 'edit' ? `${place}-${this.context}` : place;
+    }
+
+    get gameName() {
+        return this.store.getTree().name;
+    }
+
+    // e.g. "MyGame (alice, server)"
+    get label() {
+        const details = [this.user, this.context && this.context !== 'edit' ? this.context : null].filter(Boolean);
+        return details.length > 0 ? `${this.gameName} (${details.join(', ')})` : this.gameName;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            label: this.label,
+            gameName: this.gameName,
+            placeId: this.placeId,
+            gameId: this.gameId,
+            user: this.user,
+            context: this.context,
+            connected: this.isConnected(),
+            firstSeen: this.firstSeen,
+            lastSeen: this.lastSeen,
+            seq: this.store.seq,
+            nodes: this.store.nodes.size,
+            lastSync: this.lastSync,
+            stale: this.staleness(),
+            scripts: this.sources.entries.size
+        };
+    }
+}
+
+class SessionManager {
+    constructor() {
+        this.sessions = new Map();
+        this.sourceLimits = {};
+    }
+
+    get size() {
+        return this.sessions.size;
+    }
+
+    setSourceLimits(limits) {
+        this.sourceLimits = limits;
+        this.sessions.forEach(session => session.sources.setLimits(limits));
+    }
+
+    /**
+     * Find or create the session for a payload's identity
+     * (`{ sessionId, placeId, gameId, user, context }`). Returns { session, created }.
+     */
+    getOrCreate(info = {}) {
+        const id = info.sessionId || DEFAULT_SESSION_ID;
+        let session = this.sessions.get(id);
+        const created = !session;
+
+        if (session) {
+            session.update(info);
+        } else {
+            session = new StudioSession(id, info, this.sourceLimits);
+            this.sessions.set(id, session);
+        }
+        session.touch();
+        return { session, created };
+    }
+
+    /**
+     * Look a session up by id, or loosely by label, user, place id or game name.
+     * Without a query, returns the most recently seen session.
+     */
+    get(query) {
+        if (!query) return this.mostRecent();
+        if (this.sessions.has(query)) return this.sessions.get(query);
+
+        const q = String(query).toLowerCase();
+        for (const session of this.sessions.values()) {
+            const candidates = [session.label, session.user, session.gameName, session.placeId && String(session.placeId)];
+            if (candidates.some(value => value && String(value).toLowerCase() === q)) return session;
+        }
+        for (const session of this.sessions.values()) {
+            if (session.label.toLowerCase().includes(q)) return session;
+        }
+        return null;
+    }
+
+    mostRecent() {
+        let latest = null;
+        for (const session of this.sessions.values()) {
+            if (!latest || session.lastSeen > latest.lastSeen) latest = session;
+        }
+        return latest;
+    }
+
+    list() {
+        return [...this.sessions.values()].sort((a, b) => a.firstSeen - b.firstSeen);
+    }
+
+    remove(id) {
+        return this.sessions.delete(id);
+    }
+
+    /**
+     * Sessions whose connection state changed since it was last reported.
+     * Returns { connected, disconnected } and marks the new state as reported.
+     */
+    connectivityChanges() {
+        const changes = { connected: [], disconnected: [] };
+        for (const session of this.sessions.values()) {
+            const connected = session.isConnected();
+            if (connected === session.reportedConnected) continue;
+            session.reportedConnected = connected;
+            (connected ? changes.connected : changes.disconnected).push(session);
+        }
+        return changes;
+    }
+
+    /**
+     * Sessions that haven't synced for `maxAgeMs` keep their tree as an
+     * offline copy; those that never sent one are dropped, as are the oldest
+     * offline copies beyond MAX_OFFLINE_SESSIONS. Returns the removed sessions.
+     */
+    expire(maxAgeMs) {
+        const now = Date.now();
+        const removed = [];
+        for (const [id, session] of this.sessions) {
+            if (session.offline || now - session.lastSeen <= maxAgeMs) continue;
+            if (session.store.hasData()) {
+                session.offline = { since: session.lastSeen, source: 'studio' };
+            } else {
+                this.sessions.delete(id);
+                removed.push(session);
+            }
+        }
+
+        const copies = [...this.sessions.values()]
+            .filter(session => session.offline && session.offline.source !== 'import')
+            .sort((a, b) => b.offline.since - a.offline.since);
+        copies.slice(MAX_OFFLINE_SESSIONS).forEach(session => {
+            this.sessions.delete(session.id);
+            removed.push(session);
+        });
+        return removed;
+    }
+
+    /**
+     * Add a saved tree (see place-cache.js) as an offline session. A live
+     * session with the same id wins; returns the session, or null if skipped.
+     */
+    addOffline(saved, source) {
+        const id = saved.sessionId || DEFAULT_SESSION_ID;
+        const existing = this.sessions.get(id);
+        if (existing && !existing.offline) return null;
+
+        const session = new StudioSession(id, saved, this.sourceLimits);
+        session.store.applySnapshot(saved.tree, saved.seq || 0);
+        session.firstSeen = saved.savedAt;
+        session.lastSeen = saved.savedAt;
+        session.offline = { since: saved.savedAt, source };
+        this.sessions.set(id, session);
+        return session;
+    }
+
+    // Drop offline copies of the place a live session now syncs; returns them
+    replaceOffline(live) {
+        const removed = [];
+        for (const [id, session] of this.sessions) {
+            if (session !== live && session.offline && session.offline.source !== 'import' && session.placeKey === live.placeKey) {
+                this.sessions.delete(id);
+                removed.push(session);
+            }
+        }
+        return removed;
+    }
+}
+
+module.exports = { SessionManager, StudioSession, DEFAULT_SESSION_ID, CONNECTED_WINDOW, MAX_OFFLINE_SESSIONS };
@@ -0,0 +1,195 @@
+// ============================================
+// SOURCE STORE
+// ============================================
+//
+// In-memory mirror of script sources sent by the plugin, keyed by instance
+// path. Sources are only re-sent when their hash changes, and the store
+// evicts the least recently updated scripts once it grows past its limit.
+
+const DEFAULT_MAX_FILE_BYTES = 512 * 1024;
+const DEFAULT_MAX_TOTAL_BYTES = 32 * 1024 * 1024;
+
+class SourceStore {
+    constructor(options = {}) {
+        this.maxFileBytes = options.maxFileBytes || DEFAULT_MAX_FILE_BYTES;
+        this.maxTotalBytes = options.maxTotalBytes || DEFAULT_MAX_TOTAL_BYTES;
+        this.entries = new Map();
+        this.totalBytes = 0;
+        // Bumped on every change, so derived data (the dependency graph) knows when to rebuild
+        this.version = 0;
+    }
+
+    setLimits({ maxFileBytes, maxTotalBytes }) {
+        if (maxFileBytes) this.maxFileBytes = maxFileBytes;
+        if (maxTotalBytes) this.maxTotalBytes = maxTotalBytes;
+        this.evict();
+    }
+
+    clear() {
+        this.entries.clear();
+        this.totalBytes = 0;
+        this.version++;
+    }
+
+    get(path) {
+        return this.entries.get(path) || null;
+    }
+
+    has(path) {
+        return this.entries.has(path);
+    }
+
+    list() {
+        return [...this.entries.values()].map(({ path, hash, lineCount, bytes, updatedAt }) => ({
+            path, hash, lineCount, bytes, updatedAt
+        }));
+    }
+
+    /**
+     * Store a script's source. Returns 'stored', 'unchanged' or 'too-large'.
+     */
+    set(path, source, hash) {
+        const bytes = Buffer.byteLength(source, 'utf8');
+        const existing = this.entries.get(path);
+
+        if (existing && existing.hash === hash) return 'unchanged';
+        if (bytes > this.maxFileBytes) {
+            this.delete(path);
+            return 'too-large';
+        }
+
+        if (existing) this.totalBytes -= existing.bytes;
+        // Re-insert so Map order tracks recency for eviction
+        this.entries.delete(path);
+        this.entries.set(path, {
+            path,
+            source,
+            hash,
+            bytes,
+            lineCount: source.split('\n').length,
+            updatedAt: Date.now()
+        });
+        this.totalBytes += bytes;
+        this.version++;
+        this.evict();
+        return 'stored';
+    }
+
+    delete(path) {
+        const existing = this.entries.get(path);
+        if (!existing) return false;
+        this.totalBytes -= existing.bytes;
+        this.entries.delete(path);
+        this.version++;
+        return true;
+    }
+
+    evict() {
+        for (const [path, entry] of this.entries) {
+            if (this.totalBytes <= this.maxTotalBytes) break;
+            this.totalBytes -= entry.bytes;
+            this.entries.delete(path);
+            this.version++;
+        }
+    }
+
+    /**
+     * Apply a /sources payload: `{ sources: [{ path, source, hash }], removed: [path] }`.
+     * Returns { stored, unchanged, rejected, removed } path lists. Throws
+     * TypeError when `sources` or `removed` is present but not an array;
+     * malformed entries inside them are skipped.
+     */
+    applyUpdate(payload) {
+        const result = { stored: [], unchanged: [], rejected: [], removed: [] };
+        const removed = payload.removed === undefined ? [] : payload.removed;
+        const sources = payload.sources === undefined ? [] : payload.sources;
+        if (!Array.isArray(removed)) throw new TypeError('Expected "removed" to be an array of paths');
+        if (!Array.isArray(sources)) throw new TypeError('Expected "sources" to be an array of { path, source, hash }');
+
+        removed.forEach(path => {
+            if (typeof path === 'string' && this.delete(path)) result.removed.push(path);
+        });
+
+        sources.forEach(item => {
+            const { path, source, hash } = item || {};
+            if (typeof path !== 'string' || typeof source !== 'string') return;
+            const status = this.set(path, source, hash || String(source.length));
+            if (status === 'stored') result.stored.push(path);
+            else if (status === 'unchanged') result.unchanged.push(path);
+            else result.rejected.push(path);
+        });
+
+        return result;
+    }
+
+    /**
+     * Search all mirrored sources line by line.
+     * Options: regex (treat pattern as a regular expression), caseSensitive,
+     * under (path prefix), maxResults. Throws PatternError for a regex that
+     * doesn't compile or is refused.
+     */
+    grep(pattern, options = {}) {
+        const matcher = compilePattern(pattern, options);
+        const maxResults = options.maxResults || 200;
+        const results = [];
+
+        for (const entry of this.entries.values()) {
+            if (options.under && entry.path !== options.under && !entry.path.startsWith(options.under + '.')) continue;
+
+            const lines = entry.source.split('\n');
+            for (let i = 0; i < lines.length; i++) {
+                if (matcher.test(lines[i])) {
+                    results.push({ path: entry.path, line: i + 1, text: lines[i] });
+                    if (results.length >= maxResults) return { results, truncated: true };
+                }
+            }
+        }
+
+        return { results, truncated: false };
+    }
+}
+
+class PatternError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PatternError';
+    }
+}
+
+// Regexes come from MCP clients too. Long ones, and nested quantifiers like
+// `(a+)+` that can backtrack for ever on a long line, are rejected.
+const MAX_PATTERN_LENGTH = 200;
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*(?:[*+]|\{\d+,?\d*\})(?:[^()\\]|\\.)*\)(?:[*+]|\{\d+,?\d*\})/;
+
+function compilePattern(pattern, options) {
+    const flags = options.caseSensitive ? '' : 'i';
+    if (!options.regex) return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
+
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+        throw new PatternError(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+    }
+    if (NESTED_QUANTIFIER.test(pattern)) {
+        throw new PatternError('Nested quantifiers like (a+)+ are not supported');
+    }
+    try {
+        return new RegExp(pattern, flags);
+    } catch (e) {
+        throw new PatternError(e.message);
+    }
+}
+
+// Render source with right-aligned line numbers, optionally limited to a range
+function withLineNumbers(source, startLine = 1, endLine = Infinity) {
+    const lines = source.split('\n');
+    const first = Math.max(1, startLine);
+    const last = Math.min(lines.length, endLine);
+    const width = String(last).length;
+
+    const result = [];
+    for (let i = first; i <= last; i++) {
+        result.push(`${String(i).padStart(width)}  ${lines[i - 1]}`);
+    }
+    return result.join('\n');
+}
+
+module.exports = { SourceStore, PatternError, withLineNumbers };
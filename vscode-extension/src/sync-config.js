@@ -0,0 +1,160 @@
+// ============================================
+// SYNC CONFIGURATION
+// ============================================
+//
+// What the plugin syncs (services, skipped and shallow classes, interval and
+// the "Filter non-code items" toggle) can come from the workspace settings
+// instead of the plugin widget, so a team shares one setup committed with the
+// repo. The server serves it at /config; the plugin fetches it on connect and
+// again whenever the `configVersion` in its /sync responses changes.
+//
+// Only settings the workspace actually sets are sent; the plugin keeps its
+// own choice for the rest. The server also applies the rules to what it
+// receives, for plugins that haven't picked up the configuration yet.
+
+const crypto = require('crypto');
+const { isA } = require('./tree-query');
+
+const MIN_SYNC_INTERVAL = 1;
+
+// Classes the plugin always recurses into, even when a shallow class matches
+const ALWAYS_RECURSE = ['Folder', 'LuaSourceContainer'];
+
+function stringList(value) {
+    return Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.length > 0) : undefined;
+}
+
+/**
+ * The configuration served to the plugin, from `{ services, skipClasses,
+ * shallowClasses, syncInterval, useFilters }` settings. Unset (null or
+ * missing) and invalid values are left out.
+ */
+function normalizeSyncConfig(settings = {}) {
+    const config = {};
+    const services = stringList(settings.services);
+    const skipClasses = stringList(settings.skipClasses);
+    const shallowClasses = stringList(settings.shallowClasses);
+    if (services) config.services = services;
+    if (skipClasses) config.skipClasses = skipClasses;
+    if (shallowClasses) config.shallowClasses = shallowClasses;
+    if (typeof settings.syncInterval === 'number' && settings.syncInterval > 0) {
+        config.syncInterval = Math.max(MIN_SYNC_INTERVAL, settings.syncInterval);
+    }
+    if (typeof settings.useFilters === 'boolean') config.useFilters = settings.useFilters;
+    return config;
+}
+
+// Changes whenever the configuration does, and stays the same across server restarts
+function configVersion(config) {
+    return crypto.createHash('sha1').update(JSON.stringify(config)).digest('hex').slice(0, 12);
+}
+
+// ============================================
+// APPLYING THE RULES
+// ============================================
+//
+// The same rules as the plugin's shouldSkipClass/shouldRecurse (IsA as far
+// as tree-query's class table goes): skipped classes are left out with their
+// subtree, shallow classes are kept without their children (with `childCount`
+// instead), and services not listed are left out. Services themselves are
+// never skipped or shallow (Workspace IsA Model), as in the plugin, which only
+// applies the class rules to what is under them. Class rules only apply
+// when `useFilters` is true: left unset, the plugin's own checkbox decides and
+// the server can't tell what it is.
+
+function skips(config, node) {
+    if (config.useFilters !== true || !config.skipClasses) return false;
+    return config.skipClasses.some(className => isA(node.className, className));
+}
+
+function isShallow(config, node) {
+    if (config.useFilters !== true || !config.shallowClasses) return false;
+    if (ALWAYS_RECURSE.some(className => isA(node.className, className))) return false;
+    return config.shallowClasses.some(className => isA(node.className, className));
+}
+
+// Filter a node's subtree in place; returns false when the node itself is skipped
+function filterNode(node, config) {
+    if (skips(config, node)) return false;
+    if (!Array.isArray(node.children)) return true;
+    if (isShallow(config, node)) {
+        if (node.childCount === undefined) node.childCount = node.children.length;
+        node.children = [];
+        return true;
+    }
+    filterChildren(node, config);
+    return true;
+}
+
+function filterChildren(node, config) {
+    if (Array.isArray(node.children)) node.children = node.children.filter(child => filterNode(child, config));
+}
+
+function includesService(config, container) {
+    return !config.services || config.services.includes(container.name);
+}
+
+/**
+ * Apply the rules to a snapshot tree in place and return it.
+ */
+function filterTree(tree, config) {
+    if (!tree || !Array.isArray(tree.containers)) return tree;
+    tree.containers = tree.containers.filter(container => includesService(config, container));
+    tree.containers.forEach(container => filterChildren(container, config));
+    return tree;
+}
+
+/**
+ * Apply the rules to patch ops against `store` (the tree they will be
+ * applied to). Ops about nodes that were left out are dropped, so a patch
+ * never refers to a node the store doesn't have, and moves into a left-out
+ * or shallow parent become removals.
+ */
+function filterOps(ops, config, store) {
+    // Nodes added earlier in this patch, by id
+    const added = new Map();
+    const nodeFor = id => added.get(id) || store.get(id);
+    const containers = new Set(store.getTree().containers.map(container => container.id));
+    const acceptsChildren = id => {
+        if (containers.has(id)) return true;
+        const parent = nodeFor(id);
+        return Boolean(parent) && !isShallow(config, parent);
+    };
+
+    const result = [];
+    for (const op of ops) {
+        switch (op.op) {
+            case 'add': {
+                const node = op.node;
+                if (!node) break;
+                if (op.parent) {
+                    if (!acceptsChildren(op.parent) || !filterNode(node, config)) break;
+                } else {
+                    if (!includesService(config, node)) break;
+                    filterChildren(node, config);
+                    containers.add(node.id);
+                }
+                const index = (entry) => {
+                    added.set(entry.id, entry);
+                    (entry.children || []).forEach(index);
+                };
+                index(node);
+                result.push(op);
+                break;
+            }
+            case 'reparent':
+                if (!nodeFor(op.id)) break;
+                result.push(acceptsChildren(op.parent) ? op : { op: 'remove', id: op.id });
+                break;
+            case 'remove':
+                added.delete(op.id);
+                result.push(op);
+                break;
+            default:
+                if (nodeFor(op.id)) result.push(op);
+        }
+    }
+    return result;
+}
+
+module.exports = { normalizeSyncConfig, configVersion, filterTree, filterOps };
@@ -0,0 +1,191 @@
+// ============================================
+// SYNC PAYLOAD SCHEMA
+// ============================================
+//
+// Validates what the Studio plugin posts to /sync before it touches the tree
+// store, so a malformed payload is rejected with field-level errors the plugin
+// can log instead of replacing the tree with something the views can't render.
+//
+// Payloads may carry `protocol` (currently 1). Plugins that predate it omit it
+// and are treated as protocol 1; the bare-tree payload of the first plugin
+// versions is still accepted.
+
+const { z } = require('zod');
+
+const SYNC_PROTOCOL_VERSION = 1;
+
+// The plugin stops at 50 levels; anything far deeper is junk (and would
+// overflow the recursive validator)
+const MAX_TREE_DEPTH = 256;
+
+// Issues returned to the plugin; the rest are only counted
+const MAX_REPORTED_ISSUES = 20;
+
+class PayloadError extends Error {
+    /**
+     * @param {string} message summary shown to the user
+     * @param {{ path: string, message: string }[]} issues field-level problems
+     * @param {number} status HTTP status to answer with
+     */
+    constructor(message, issues = [], status = 400) {
+        super(message);
+        this.name = 'PayloadError';
+        this.issues = issues;
+        this.status = status;
+    }
+}
+
+// The lazy part is only the recursion; wrapping the whole object in z.lazy
+// would rebuild the schema for every node
+const NodeSchema = z.object({
+    id: z.string().min(1).optional(),
+    name: z.string(),
+    className: z.string().min(1),
+    path: z.string().optional(),
+    icon: z.string().optional(),
+    lineCount: z.number().int().nonnegative().optional(),
+    childCount: z.number().int().nonnegative().optional(),
+    attributes: z.record(z.unknown()).optional(),
+    tags: z.array(z.string()).optional(),
+    properties: z.record(z.unknown()).optional(),
+    children: z.array(z.lazy(() => NodeSchema)).optional(),
+}).passthrough();
+
+const TreeSchema = z.object({
+    name: z.string(),
+    timestamp: z.number().optional(),
+    containers: z.array(NodeSchema),
+}).passthrough();
+
+const SessionInfoSchema = z.object({
+    sessionId: z.string().min(1).optional(),
+    placeId: z.number().nullable().optional(),
+    gameId: z.number().nullable().optional(),
+    user: z.string().nullable().optional(),
+    context: z.string().nullable().optional(),
+    syncInterval: z.number().positive().optional(),
+}).passthrough();
+
+const Seq = z.number().int().nonnegative();
+const Id = z.string().min(1);
+
+const OpSchema = z.discriminatedUnion('op', [
+    z.object({ op: z.literal('add'), parent: Id.nullable().optional(), node: NodeSchema }),
+    z.object({ op: z.literal('remove'), id: Id }),
+    z.object({ op: z.literal('rename'), id: Id, name: z.string() }),
+    z.object({ op: z.literal('reparent'), id: Id, parent: Id }),
+    z.object({ op: z.literal('update'), id: Id, props: z.record(z.unknown()).optional(), clear: z.array(z.string()).optional() }),
+]);
+
+const Envelope = {
+    protocol: z.number().int().positive().optional(),
+    session: SessionInfoSchema.optional(),
+};
+
+const SCHEMAS = {
+    snapshot: z.object({
+        ...Envelope,
+        type: z.literal('snapshot'),
+        seq: Seq.optional(),
+        tree: TreeSchema,
+    }).passthrough(),
+    patch: z.object({
+        ...Envelope,
+        type: z.literal('patch'),
+        baseSeq: Seq,
+        seq: Seq.optional(),
+        name: z.string().optional(),
+        timestamp: z.number().optional(),
+        ops: z.array(OpSchema),
+    }).passthrough(),
+    legacy: TreeSchema,
+};
+
+// `tree.containers[0].children[3].name`
+function formatPath(path) {
+    return path.reduce((text, key) => typeof key === 'number' ? `${text}[${key}]` : text ? `${text}.${key}` : key, '') || '(payload)';
+}
+
+// Nodes a payload carries and how deep they nest, without recursion
+function measure(payload) {
+    const roots = [];
+    if (payload.type === 'snapshot') {
+        if (payload.tree && Array.isArray(payload.tree.containers)) roots.push(...payload.tree.containers);
+    } else if (payload.type === 'patch') {
+        (Array.isArray(payload.ops) ? payload.ops : []).forEach(op => {
+            if (op && op.node) roots.push(op.node);
+        });
+    } else if (Array.isArray(payload.containers)) {
+        roots.push(...payload.containers);
+    }
+
+    let nodes = 0;
+    let depth = 0;
+    const stack = roots.map(node => [node, 1]);
+    while (stack.length > 0) {
+        const [node, level] = stack.pop();
+        nodes++;
+        depth = Math.max(depth, level);
+        if (level >= MAX_TREE_DEPTH) break;
+        if (node && Array.isArray(node.children)) {
+            node.children.forEach(child => stack.push([child, level + 1]));
+        }
+    }
+    return { nodes, depth };
+}
+
+/**
+ * Validate a parsed /sync body. Returns the payload with every field checked;
+ * throws PayloadError listing what is wrong. `maxNodes` caps the instances a
+ * single snapshot or patch may carry.
+ */
+function parseSyncPayload(payload, { maxNodes = Infinity } = {}) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new PayloadError('Sync payload must be a JSON object', [{ path: '(payload)', message: 'Expected object' }]);
+    }
+    if (typeof payload.protocol === 'number' && payload.protocol > SYNC_PROTOCOL_VERSION) {
+        throw new PayloadError(
+            `Sync protocol ${payload.protocol} is newer than this server supports (${SYNC_PROTOCOL_VERSION}). Update the VS Code extension.`,
+            [{ path: 'protocol', message: `Expected at most ${SYNC_PROTOCOL_VERSION}` }]
+        );
+    }
+
+    if (payload.type !== undefined && payload.type !== 'snapshot' && payload.type !== 'patch') {
+        throw new PayloadError(`Unknown sync payload type "${payload.type}"`, [{ path: 'type', message: 'Expected "snapshot" or "patch"' }]);
+    }
+
+    const { nodes, depth } = measure(payload);
+    if (depth >= MAX_TREE_DEPTH) {
+        throw new PayloadError(`Tree is nested more than ${MAX_TREE_DEPTH} levels deep`, [], 413);
+    }
+    if (nodes > maxNodes) {
+        throw new PayloadError(`Payload has ${nodes} instances; the server accepts at most ${maxNodes} (robloxDirectoryTree.maxSyncNodes). Sync fewer services.`, [], 413);
+    }
+
+    const result = SCHEMAS[payload.type === undefined ? 'legacy' : payload.type].safeParse(payload);
+    if (!result.success) throw issuesError('Invalid sync payload', result.error);
+    return result.data;
+}
+
+/**
+ * Validate the `session` object the plugin's other requests (/sources,
+ * /selection, /log, /disconnect) carry. Returns it, or undefined when the
+ * request has none; throws PayloadError.
+ */
+function parseSessionInfo(session) {
+    if (session === undefined) return undefined;
+    const result = SessionInfoSchema.safeParse(session);
+    if (!result.success) throw issuesError('Invalid session', result.error, ['session']);
+    return result.data;
+}
+
+function issuesError(summary, error, basePath = []) {
+    const issues = error.issues.map(issue => ({ path: formatPath([...basePath, ...issue.path]), message: issue.message }));
+    const first = issues[0];
+    return new PayloadError(
+        `${summary}: ${first.path}: ${first.message}${issues.length > 1 ? ` (and ${issues.length - 1} more)` : ''}`,
+        issues.slice(0, MAX_REPORTED_ISSUES)
+    );
+}
+
+module.exports = { parseSyncPayload, parseSessionInfo, PayloadError, SYNC_PROTOCOL_VERSION };
@@ -0,0 +1,287 @@
+// ============================================
+// TREE EXPORT
+// ============================================
+//
+// Renders a synced tree for pasting into an AI chat. Used by "Copy Entire
+// Tree" and the get_roblox_project_structure MCP tool.
+//
+// Formats: tree (ASCII), markdown, json (compact), yaml, paths (one per line).
+//
+// With a `maxTokens` / `maxChars` budget, folders are expanded breadth-first
+// while they fit; the rest are collapsed into a summary line such as
+// "Folder (37 items, 12 scripts)", so the top of the hierarchy always survives.
+
+const { isA } = require('./tree-query');
+
+const FORMATS = ['tree', 'markdown', 'json', 'yaml', 'paths'];
+
+// Rough size of a token in English/code text; good enough for budgeting
+const CHARS_PER_TOKEN = 4;
+
+function estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+function isScript(node) {
+    return isA(node.className, 'LuaSourceContainer');
+}
+
+/**
+ * Copy of the tree restricted to the requested services and, with
+ * `scriptsOnly`, to scripts and the folders leading to them.
+ */
+function filterTree(tree, { services = null, scriptsOnly = false } = {}) {
+    const wanted = services && services.length > 0 ? new Set(services) : null;
+
+    function prune(node) {
+        const children = (node.children || []).map(prune).filter(Boolean);
+        if (scriptsOnly && !isScript(node) && children.length === 0) return null;
+        return { ...node, children };
+    }
+
+    const containers = (tree.containers || [])
+        .filter(container => !wanted || wanted.has(container.name))
+        .map(container => prune(container) || { ...container, children: [] });
+
+    return { ...tree, containers };
+}
+
+// Descendant totals shown on collapsed nodes
+function summarize(node) {
+    let items = 0;
+    let scripts = 0;
+    (node.children || []).forEach(child => {
+        const inner = summarize(child);
+        items += 1 + inner.items;
+        scripts += (isScript(child) ? 1 : 0) + inner.scripts;
+    });
+    // Nodes the plugin sent without children still report how many they have
+    if (items === 0 && node.childCount) items = node.childCount;
+    return { items, scripts };
+}
+
+function summaryText({ items, scripts }) {
+    let text = `${items} item${items === 1 ? '' : 's'}`;
+    if (scripts > 0) text += `, ${scripts} script${scripts === 1 ? '' : 's'}`;
+    return text;
+}
+
+function details(node) {
+    const parts = [];
+    if (node.lineCount) parts.push(`${node.lineCount} lines`);
+    if (node.collapsed) parts.push(summaryText(node.collapsed));
+    else if (node.childCount && (!node.children || node.children.length === 0)) parts.push(`${node.childCount} children`);
+    return parts;
+}
+
+// ============================================
+// FORMATS
+// ============================================
+
+function renderTree(tree, { header }) {
+    let result = '';
+    if (header) {
+        result += `=====================================\n`;
+        result += `  PROJECT DIRECTORY TREE\n`;
+        result += `  Game: ${tree.name || 'Unknown'}\n`;
+        result += `  For AI Assistant Context\n`;
+        result += `=====================================\n\n`;
+    }
+
+    function walk(node, prefix, isLast, isRoot) {
+        const connector = isRoot ? '' : (isLast ? '└── ' : '├── ');
+        const childPrefix = isRoot ? '' : prefix + (isLast ? '    ' : '│   ');
+        const extra = details(node).map(part => ` (${part})`).join('');
+        result += `${prefix}${connector}${node.name} [${node.className}]${extra}\n`;
+        node.children.forEach((child, i) => walk(child, childPrefix, i === node.children.length - 1, false));
+    }
+
+    tree.containers.forEach(container => {
+        walk(container, '', true, true);
+        result += '\n';
+    });
+    return result;
+}
+
+function renderMarkdown(tree, { header }) {
+    let result = header ? `# ${tree.name || 'Unknown'}\n\n` : '';
+
+    function walk(node, depth) {
+        const extra = details(node);
+        result += `${'  '.repeat(depth)}- **${node.name}** \`${node.className}\`${extra.length ? ` — ${extra.join(', ')}` : ''}\n`;
+        node.children.forEach(child => walk(child, depth + 1));
+    }
+
+    tree.containers.forEach(container => walk(container, 0));
+    return result;
+}
+
+function renderJson(tree, { header }) {
+    function convert(node) {
+        const out = { name: node.name, className: node.className };
+        if (node.lineCount) out.lines = node.lineCount;
+        if (node.collapsed) {
+            out.items = node.collapsed.items;
+            if (node.collapsed.scripts) out.scripts = node.collapsed.scripts;
+        } else if (node.children.length > 0) {
+            out.children = node.children.map(convert);
+        } else if (node.childCount) {
+            out.items = node.childCount;
+        }
+        return out;
+    }
+
+    const containers = tree.containers.map(convert);
+    return JSON.stringify(header ? { game: tree.name || 'Unknown', containers } : containers);
+}
+
+// Plain scalars where YAML allows them, JSON-quoted strings otherwise
+function yamlString(value) {
+    return /^[A-Za-z_][\w .-]*$/.test(value) && !/^(true|false|yes|no|null|on|off)$/i.test(value) && !/ $/.test(value)
+        ? value
+        : JSON.stringify(value);
+}
+
+function renderYaml(tree, { header }) {
+    let result = header ? `game: ${yamlString(tree.name || 'Unknown')}\ncontainers:\n` : '';
+    const base = header ? 1 : 0;
+
+    function walk(node, depth) {
+        const indent = '  '.repeat(depth);
+        result += `${indent}- name: ${yamlString(node.name)}\n`;
+        result += `${indent}  class: ${node.className}\n`;
+        if (node.lineCount) result += `${indent}  lines: ${node.lineCount}\n`;
+        if (node.collapsed) {
+            result += `${indent}  items: ${node.collapsed.items}\n`;
+            if (node.collapsed.scripts) result += `${indent}  scripts: ${node.collapsed.scripts}\n`;
+        } else if (node.children.length > 0) {
+            result += `${indent}  children:\n`;
+            node.children.forEach(child => walk(child, depth + 1));
+        } else if (node.childCount) {
+            result += `${indent}  items: ${node.childCount}\n`;
+        }
+    }
+
+    tree.containers.forEach(container => walk(container, base));
+    return result;
+}
+
+function renderPaths(tree, { header }) {
+    let result = header ? `# ${tree.name || 'Unknown'}\n` : '';
+
+    function walk(node, parentPath) {
+        const path = node.path || (parentPath ? `${parentPath}.${node.name}` : node.name);
+        const extra = details(node);
+        result += `${path} [${node.className}]${extra.length ? ` (${extra.join(', ')})` : ''}\n`;
+        node.children.forEach(child => walk(child, path));
+    }
+
+    tree.containers.forEach(container => walk(container, ''));
+    return result;
+}
+
+const RENDERERS = {
+    tree: renderTree,
+    markdown: renderMarkdown,
+    json: renderJson,
+    yaml: renderYaml,
+    paths: renderPaths,
+};
+
+// ============================================
+// DEPTH AND BUDGET
+// ============================================
+
+// Rough rendered size of one node line, used to plan expansion
+function lineCost(node, depth) {
+    return depth * 4 + node.name.length + node.className.length + 24;
+}
+
+/**
+ * Decide which nodes to expand. Nodes deeper than `maxDepth` are never
+ * expanded; within `budget` characters, expansion goes breadth-first and
+ * skips folders whose children don't fit, so smaller siblings still open.
+ */
+function planExpansion(containers, maxDepth, budget) {
+    const expanded = new Set();
+    let used = containers.reduce((sum, node) => sum + lineCost(node, 0), 0);
+    const queue = containers.map(node => ({ node, depth: 0 }));
+
+    while (queue.length > 0) {
+        const { node, depth } = queue.shift();
+        if (!node.children || node.children.length === 0) continue;
+        if (maxDepth !== undefined && maxDepth !== null && depth >= maxDepth) continue;
+
+        const cost = node.children.reduce((sum, child) => sum + lineCost(child, depth + 1), 0);
+        if (budget && used + cost > budget) continue;
+
+        used += cost;
+        expanded.add(node);
+        node.children.forEach(child => queue.push({ node: child, depth: depth + 1 }));
+    }
+
+    return expanded;
+}
+
+// Tree with unexpanded folders replaced by their summaries
+function applyExpansion(tree, expanded) {
+    let collapsedCount = 0;
+
+    function convert(node) {
+        if (expanded.has(node)) return { ...node, children: node.children.map(convert) };
+        if (node.children && node.children.length > 0) {
+            collapsedCount++;
+            return { ...node, children: [], collapsed: summarize(node) };
+        }
+        return { ...node, children: [] };
+    }
+
+    return { tree: { ...tree, containers: tree.containers.map(convert) }, collapsedCount };
+}
+
+/**
+ * Render a tree. Options:
+ *   format       tree | markdown | json | yaml | paths (default tree; "text" is an alias for tree)
+ *   maxTokens    approximate token budget (or maxChars for characters)
+ *   depth        levels shown below each service (0 = services only)
+ *   services     only these top-level services
+ *   scriptsOnly  drop instances that aren't scripts or on the way to one
+ *   header       include the game name header (default true)
+ * Returns { text, format, collapsed, estimatedTokens }.
+ */
+function exportTree(tree, options = {}) {
+    const format = options.format === 'text' ? 'tree' : (options.format || 'tree');
+    const render = RENDERERS[format];
+    if (!render) throw new Error(`Unknown export format "${format}". Expected one of: ${FORMATS.join(', ')}`);
+
+    const header = options.header !== false;
+    const filtered = filterTree(tree, options);
+    if (filtered.containers.length === 0) {
+        const text = '(No data - connect Roblox Studio first)\n';
+        return { text, format, collapsed: 0, estimatedTokens: estimateTokens(text) };
+    }
+
+    const limit = options.maxChars || (options.maxTokens ? options.maxTokens * CHARS_PER_TOKEN : null);
+
+    // The plan only estimates line sizes, so tighten it until the real output fits
+    let budget = limit;
+    let result;
+    for (let attempt = 0; attempt < 6; attempt++) {
+        const expanded = planExpansion(filtered.containers, options.depth, budget);
+        const { tree: shaped, collapsedCount } = applyExpansion(filtered, expanded);
+        let text = render(shaped, { header });
+        if (collapsedCount > 0 && format !== 'json') {
+            const note = limit ? `fit ~${Math.round(limit / CHARS_PER_TOKEN)} tokens` : `depth ${options.depth}`;
+            const message = `(${collapsedCount} folder${collapsedCount === 1 ? '' : 's'} collapsed to ${note})`;
+            if (format === 'tree') text += `${message}\n`;
+            else if (format === 'markdown') text += `\n_${message}_\n`;
+            else text += `\n# ${message}\n`;
+        }
+        result = { text, format, collapsed: collapsedCount, estimatedTokens: estimateTokens(text) };
+        if (!limit || text.length <= limit || expanded.size === 0) break;
+        budget = Math.floor(budget * (limit / text.length) * 0.95);
+    }
+    return result;
+}
+
+module.exports = { exportTree, estimateTokens, FORMATS };
@@ -0,0 +1,368 @@
+// ============================================
+// TREE HISTORY
+// ============================================
+//
+// Rolling history of the trees received from Studio plus named snapshots,
+// persisted as JSON under the extension's workspace storage. Any two trees can
+// be compared with diffTrees() to answer "what changed since ...".
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_ENTRIES = 100;
+// At most one history entry per session per interval; bursts of edits collapse into one
+const DEFAULT_RECORD_INTERVAL = 60 * 1000;
+
+const RELATIVE_TIME = /^(\d+(?:\.\d+)?)\s*(s|m|h|d)$/i;
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function flatten(tree) {
+    const nodes = new Map();
+    function walk(node) {
+        if (node.path) nodes.set(node.path, node);
+        (node.children || []).forEach(walk);
+    }
+    (tree.containers || []).forEach(walk);
+    return nodes;
+}
+
+function parentPath(instancePath) {
+    const index = instancePath.lastIndexOf('.');
+    return index === -1 ? '' : instancePath.slice(0, index);
+}
+
+/**
+ * Structured diff between two trees:
+ * { added, removed, moved, classChanged, lineDelta } where moved entries are
+ * `{ from, to, className, renamed }` (renamed when the parent didn't change).
+ *
+ * Nodes are matched by id when both trees come from the same Studio session
+ * (ids are only stable within one), otherwise by path. Unmatched nodes that
+ * share a unique name + class on both sides are paired up as moves.
+ */
+function diffTrees(before, after, options = {}) {
+    const oldNodes = flatten(before);
+    const newNodes = flatten(after);
+    const pairs = [];
+    const unmatchedOld = new Map(oldNodes);
+    const unmatchedNew = new Map(newNodes);
+
+    const pair = (oldNode, newNode) => {
+        pairs.push([oldNode, newNode]);
+        unmatchedOld.delete(oldNode.path);
+        unmatchedNew.delete(newNode.path);
+    };
+
+    if (options.matchIds) {
+        const newById = new Map();
+        newNodes.forEach(node => { if (node.id) newById.set(node.id, node); });
+        oldNodes.forEach(node => {
+            const match = node.id ? newById.get(node.id) : null;
+            if (match) pair(node, match);
+        });
+    }
+
+    [...unmatchedOld.values()].forEach(node => {
+        const match = unmatchedNew.get(node.path);
+        if (match) pair(node, match);
+    });
+
+    // Pair leftovers that are unambiguous by name + class
+    const keyOf = node => `${node.name}\u0000${node.className}`;
+    const groupByKey = nodes => {
+        const groups = new Map();
+        nodes.forEach(node => groups.set(keyOf(node), [...(groups.get(keyOf(node)) || []), node]));
+        return groups;
+    };
+    const oldGroups = groupByKey(unmatchedOld);
+    const newGroups = groupByKey(unmatchedNew);
+    oldGroups.forEach((oldGroup, key) => {
+        const newGroup = newGroups.get(key);
+        if (oldGroup.length === 1 && newGroup && newGroup.length === 1) pair(oldGroup[0], newGroup[0]);
+    });
+
+    const diff = { added: [], removed: [], moved: [], classChanged: [], lineDelta: [] };
+
+    // Only report the topmost added/removed node; its descendants come along with it
+    const addedPaths = new Set(unmatchedNew.keys());
+    const removedPaths = new Set(unmatchedOld.keys());
+    unmatchedNew.forEach(node => {
+        if (!addedPaths.has(parentPath(node.path))) {
+            diff.added.push({ path: node.path, className: node.className, lineCount: node.lineCount });
+        }
+    });
+    unmatchedOld.forEach(node => {
+        if (!removedPaths.has(parentPath(node.path))) {
+            diff.removed.push({ path: node.path, className: node.className, lineCount: node.lineCount });
+        }
+    });
+
+    // Likewise, a moved folder moves everything inside it
+    const movedFrom = new Map();
+    pairs.forEach(([oldNode, newNode]) => {
+        if (oldNode.path !== newNode.path) movedFrom.set(oldNode.path, newNode.path);
+    });
+
+    pairs.forEach(([oldNode, newNode]) => {
+        if (oldNode.path !== newNode.path) {
+            const oldParent = parentPath(oldNode.path);
+            const inheritedMove = movedFrom.has(oldParent) &&
+                `${movedFrom.get(oldParent)}.${oldNode.name}` === newNode.path;
+            if (!inheritedMove) {
+                diff.moved.push({
+                    from: oldNode.path,
+                    to: newNode.path,
+                    className: newNode.className,
+                    renamed: oldParent === parentPath(newNode.path)
+                });
+            }
+        }
+        if (oldNode.className !== newNode.className) {
+            diff.classChanged.push({ path: newNode.path, from: oldNode.className, to: newNode.className });
+        }
+        if (oldNode.lineCount !== undefined && newNode.lineCount !== undefined && oldNode.lineCount !== newNode.lineCount) {
+            diff.lineDelta.push({
+                path: newNode.path,
+                before: oldNode.lineCount,
+                after: newNode.lineCount,
+                delta: newNode.lineCount - oldNode.lineCount
+            });
+        }
+    });
+
+    Object.values(diff).forEach(list => list.sort((a, b) => (a.path || a.to).localeCompare(b.path || b.to)));
+    return diff;
+}
+
+function isEmptyDiff(diff) {
+    return Object.values(diff).every(list => list.length === 0);
+}
+
+function diffToText(diff) {
+    if (isEmptyDiff(diff)) return 'No changes.\n';
+
+    let text = '';
+    const section = (title, list, format) => {
+        if (list.length === 0) return;
+        text += `${title} (${list.length}):\n`;
+        list.forEach(entry => { text += `  ${format(entry)}\n`; });
+        text += '\n';
+    };
+
+    section('Added', diff.added, e => `+ ${e.path} [${e.className}]${e.lineCount ? ` (${e.lineCount} lines)` : ''}`);
+    section('Removed', diff.removed, e => `- ${e.path} [${e.className}]`);
+    section('Moved / renamed', diff.moved, e => `${e.from} -> ${e.to}${e.renamed ? ' (renamed)' : ''}`);
+    section('Class changed', diff.classChanged, e => `${e.path}: ${e.from} -> ${e.to}`);
+    section('Line count changed', diff.lineDelta, e => `${e.path}: ${e.before} -> ${e.after} (${e.delta > 0 ? '+' : ''}${e.delta})`);
+    return text;
+}
+
+// Flat, path-sorted listing of a tree; diffs cleanly in a text diff editor
+function treeToListing(tree) {
+    const lines = [...flatten(tree).values()]
+        .map(node => `${node.path} [${node.className}]${node.lineCount !== undefined ? ` (${node.lineCount} lines)` : ''}`)
+        .sort();
+    return lines.join('\n') + '\n';
+}
+
+function safeFileName(name) {
+    return name.replace(/[^a-zA-Z0-9_.-]+/g, '_');
+}
+
+class TreeHistory {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.recordInterval = options.recordInterval || DEFAULT_RECORD_INTERVAL;
+        this.dir = null;
+        this.entries = [];
+        this.snapshots = new Map();
+        this.lastRecorded = new Map();
+        this.pending = new Map();
+    }
+
+    /**
+     * Persist under `dir` and load whatever an earlier VS Code session left there.
+     */
+    open(dir) {
+        this.dir = dir;
+        fs.mkdirSync(path.join(dir, 'history'), { recursive: true });
+        fs.mkdirSync(path.join(dir, 'snapshots'), { recursive: true });
+
+        this.entries = fs.readdirSync(path.join(dir, 'history'))
+            .filter(file => file.endsWith('.json'))
+            .map(file => this.readMeta(path.join(dir, 'history', file)))
+            .filter(Boolean)
+            .sort((a, b) => a.time - b.time);
+        this.trim();
+
+        this.snapshots = new Map();
+        fs.readdirSync(path.join(dir, 'snapshots'))
+            .filter(file => file.endsWith('.json'))
+            .map(file => this.readMeta(path.join(dir, 'snapshots', file)))
+            .filter(Boolean)
+            .forEach(meta => this.snapshots.set(meta.name, meta));
+    }
+
+    readMeta(file) {
+        try {
+            const { tree, ...meta } = JSON.parse(fs.readFileSync(file, 'utf8'));
+            return { ...meta, file };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    write(entry, subdir, fileName) {
+        const { tree, ...meta } = entry;
+        if (!this.dir) return entry;
+        const file = path.join(this.dir, subdir, fileName);
+        fs.writeFileSync(file, JSON.stringify(entry));
+        return { ...meta, file };
+    }
+
+    loadTree(entry) {
+        if (entry.tree) return entry.tree;
+        return JSON.parse(fs.readFileSync(entry.file, 'utf8')).tree;
+    }
+
+    /**
+     * Note a tree received from a session. The first change is recorded right
+     * away, later ones at most once per record interval (the latest tree wins).
+     */
+    record(session) {
+        if (this.pending.has(session.id)) return;
+
+        const last = this.lastRecorded.get(session.id) || 0;
+        const wait = last + this.recordInterval - Date.now();
+        if (wait <= 0) {
+            this.recordNow(session);
+            return;
+        }
+        this.pending.set(session.id, setTimeout(() => {
+            this.pending.delete(session.id);
+            this.recordNow(session);
+        }, wait));
+    }
+
+    recordNow(session) {
+        if (!session.store.hasData()) return null;
+        const tree = session.store.getTree();
+        const latest = this.latestFor(session.id);
+        if (latest && latest.seq === session.store.seq) return null;
+
+        const time = Date.now();
+        this.lastRecorded.set(session.id, time);
+        const entry = this.write({
+            time,
+            sessionId: session.id,
+            label: session.label,
+            seq: session.store.seq,
+            tree: JSON.parse(JSON.stringify(tree))
+        }, 'history', `${time}-${safeFileName(session.id)}.json`);
+        this.entries.push(entry);
+        this.trim();
+        return entry;
+    }
+
+    latestFor(sessionId) {
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            if (this.entries[i].sessionId === sessionId) return this.entries[i];
+        }
+        return null;
+    }
+
+    trim() {
+        while (this.entries.length > this.maxEntries) {
+            const entry = this.entries.shift();
+            if (entry.file) fs.rmSync(entry.file, { force: true });
+        }
+    }
+
+    saveSnapshot(name, session) {
+        const existing = this.snapshots.get(name);
+        if (existing && existing.file) fs.rmSync(existing.file, { force: true });
+
+        const time = Date.now();
+        const entry = this.write({
+            name,
+            time,
+            sessionId: session.id,
+            label: session.label,
+            seq: session.store.seq,
+            tree: JSON.parse(JSON.stringify(session.store.getTree()))
+        }, 'snapshots', `${safeFileName(name)}-${time}.json`);
+        this.snapshots.set(name, entry);
+        return entry;
+    }
+
+    deleteSnapshot(name) {
+        const entry = this.snapshots.get(name);
+        if (!entry) return false;
+        if (entry.file) fs.rmSync(entry.file, { force: true });
+        this.snapshots.delete(name);
+        return true;
+    }
+
+    listSnapshots() {
+        return [...this.snapshots.values()].sort((a, b) => b.time - a.time).map(TreeHistory.describe);
+    }
+
+    listHistory() {
+        return [...this.entries].reverse().map(TreeHistory.describe);
+    }
+
+    static describe({ name, time, sessionId, label, seq }) {
+        return { name, time, sessionId, label, seq };
+    }
+
+    /**
+     * Find a baseline: a snapshot name, or a time (ISO string, epoch ms, or
+     * relative like "30m" / "2h" / "1d" ago) resolved to the newest history
+     * entry at or before it. Prefers entries from `sessionId`.
+     */
+    find(ref, sessionId = null) {
+        if (this.snapshots.has(ref)) return this.snapshots.get(ref);
+
+        const time = TreeHistory.parseTime(ref);
+        if (time === null) return null;
+
+        const candidates = this.entries.filter(entry => entry.time <= time);
+        const fromSession = candidates.filter(entry => entry.sessionId === sessionId);
+        const pool = fromSession.length > 0 ? fromSession : candidates;
+        if (pool.length > 0) return pool[pool.length - 1];
+
+        // Before the oldest entry: the oldest we have is the best baseline
+        const oldest = this.entries.find(entry => entry.sessionId === sessionId) || this.entries[0];
+        return oldest || null;
+    }
+
+    static parseTime(ref) {
+        if (ref === undefined || ref === null || ref === '') return null;
+        const text = String(ref).trim();
+        const relative = text.match(RELATIVE_TIME);
+        if (relative) return Date.now() - parseFloat(relative[1]) * UNIT_MS[relative[2].toLowerCase()];
+        if (/^\d+$/.test(text)) return parseInt(text);
+        const parsed = Date.parse(text);
+        return isNaN(parsed) ? null : parsed;
+    }
+
+    /**
+     * Diff a baseline (snapshot/time ref) against a session's current tree.
+     * Returns { baseline, diff } or null when nothing matches the ref.
+     */
+    changesSince(ref, session) {
+        const baseline = this.find(ref, session.id);
+        if (!baseline) return null;
+        const diff = diffTrees(this.loadTree(baseline), session.store.getTree(), {
+            matchIds: baseline.sessionId === session.id
+        });
+        return { baseline: TreeHistory.describe(baseline), diff };
+    }
+
+    dispose() {
+        this.pending.forEach(timer => clearTimeout(timer));
+        this.pending.clear();
+    }
+}
+
+module.exports = { TreeHistory, diffTrees, diffToText, isEmptyDiff, treeToListing, safeFileName };
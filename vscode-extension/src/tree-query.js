@@ -0,0 +1,386 @@
+// ============================================
+// TREE QUERY LANGUAGE
+// ============================================
+//
+// Shared by the "Find in Roblox Tree" command and the MCP search tool.
+//
+//   class:ModuleScript under:ReplicatedStorage.Shared name:*Service lines:>200 tag:Interactable
+//
+// Terms are ANDed. A leading `-` negates a term; values with spaces can be quoted.
+//
+//   name:<glob>        instance name, case-insensitive (`*`, `?`)
+//   path:<glob>        full dotted path; `*` stays within one segment, `**` spans segments
+//   under:<path>       descendants of a path (glob allowed)
+//   class:<Class>      IsA-style: class:LuaSourceContainer matches every script
+//   classname:<Class>  exact ClassName
+//   lines:<cmp>        line count: >200, <=50, =10, 10..200
+//   tag:<Tag>          CollectionService tag
+//   attr:<Name>        has the attribute; attr:Name=<glob> or attr:Name>5 compares its value
+//   prop:<Name>        same for synced properties: prop:RunContext=Client
+//   <word>             name or path contains the word (the old substring search)
+
+class QueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QueryError';
+    }
+}
+
+// Superclass of common Roblox classes, enough for IsA-style matching
+const CLASS_PARENTS = {
+    LuaSourceContainer: 'Instance',
+    BaseScript: 'LuaSourceContainer',
+    Script: 'BaseScript',
+    LocalScript: 'Script',
+    ModuleScript: 'LuaSourceContainer',
+
+    PVInstance: 'Instance',
+    Model: 'PVInstance',
+    WorldRoot: 'Model',
+    Workspace: 'WorldRoot',
+    Actor: 'Model',
+    Tool: 'BackpackItem',
+    BackpackItem: 'Model',
+    Accessory: 'Accoutrement',
+    Accoutrement: 'Instance',
+    BasePart: 'PVInstance',
+    FormFactorPart: 'BasePart',
+    Part: 'FormFactorPart',
+    WedgePart: 'FormFactorPart',
+    TrussPart: 'BasePart',
+    SpawnLocation: 'Part',
+    Seat: 'Part',
+    VehicleSeat: 'BasePart',
+    CornerWedgePart: 'BasePart',
+    MeshPart: 'TriangleMeshPart',
+    TriangleMeshPart: 'BasePart',
+    PartOperation: 'TriangleMeshPart',
+    UnionOperation: 'PartOperation',
+    NegateOperation: 'PartOperation',
+    Terrain: 'BasePart',
+
+    ValueBase: 'Instance',
+    StringValue: 'ValueBase',
+    NumberValue: 'ValueBase',
+    IntValue: 'ValueBase',
+    BoolValue: 'ValueBase',
+    ObjectValue: 'ValueBase',
+    Vector3Value: 'ValueBase',
+    CFrameValue: 'ValueBase',
+    Color3Value: 'ValueBase',
+    BrickColorValue: 'ValueBase',
+    RayValue: 'ValueBase',
+
+    RemoteEvent: 'BaseRemoteEvent',
+    UnreliableRemoteEvent: 'BaseRemoteEvent',
+    BaseRemoteEvent: 'Instance',
+    RemoteFunction: 'Instance',
+    BindableEvent: 'Instance',
+    BindableFunction: 'Instance',
+
+    GuiBase: 'Instance',
+    GuiBase2d: 'GuiBase',
+    LayerCollector: 'GuiBase2d',
+    ScreenGui: 'LayerCollector',
+    BillboardGui: 'LayerCollector',
+    SurfaceGuiBase: 'LayerCollector',
+    SurfaceGui: 'SurfaceGuiBase',
+    GuiObject: 'GuiBase2d',
+    Frame: 'GuiObject',
+    ScrollingFrame: 'GuiObject',
+    CanvasGroup: 'GuiObject',
+    TextLabel: 'GuiObject',
+    TextButton: 'GuiButton',
+    TextBox: 'GuiObject',
+    ImageLabel: 'GuiObject',
+    ImageButton: 'GuiButton',
+    GuiButton: 'GuiObject',
+    ViewportFrame: 'GuiObject',
+    VideoFrame: 'GuiObject',
+    UIComponent: 'Instance',
+    UIConstraint: 'UIComponent',
+    UILayout: 'UIComponent',
+    UIGridStyleLayout: 'UILayout',
+    UIListLayout: 'UIGridStyleLayout',
+    UIGridLayout: 'UIGridStyleLayout',
+    UICorner: 'UIComponent',
+    UIPadding: 'UIComponent',
+    UIStroke: 'UIComponent',
+    UIGradient: 'UIComponent',
+
+    Folder: 'Instance',
+    Configuration: 'Instance',
+    Camera: 'PVInstance',
+    Sound: 'Instance',
+    SoundGroup: 'Instance',
+    Animation: 'Instance',
+    Humanoid: 'Instance',
+    Decal: 'FaceInstance',
+    Texture: 'Decal',
+    FaceInstance: 'Instance',
+    Attachment: 'Instance',
+    Bone: 'Attachment',
+    Constraint: 'Instance',
+    JointInstance: 'Instance',
+    Weld: 'JointInstance',
+    Motor6D: 'Motor',
+    Motor: 'JointInstance',
+    WeldConstraint: 'Instance',
+    Light: 'Instance',
+    PointLight: 'Light',
+    SpotLight: 'Light',
+    SurfaceLight: 'Light',
+    ParticleEmitter: 'Instance',
+    Beam: 'Instance',
+    Trail: 'Instance',
+    DataModelMesh: 'Instance',
+    FileMesh: 'DataModelMesh',
+    SpecialMesh: 'FileMesh',
+    LocalizationTable: 'Instance',
+    ProximityPrompt: 'Instance',
+    ClickDetector: 'Instance',
+};
+
+function isA(className, target) {
+    if (!className) return false;
+    if (target === 'Instance') return true;
+    let current = className;
+    const seen = new Set();
+    while (current && !seen.has(current)) {
+        if (current === target) return true;
+        seen.add(current);
+        current = CLASS_PARENTS[current];
+    }
+    return false;
+}
+
+// Globs come from MCP clients too; longer ones are rejected
+const MAX_GLOB_LENGTH = 200;
+
+/**
+ * Case-insensitive glob matcher: `text => boolean`. With `segments`, `*` and
+ * `?` stay inside one dotted path segment and `**` crosses segments;
+ * otherwise any run of `*` matches anything. Runs of `*` collapse into one
+ * wildcard, and matching steps through all pattern positions at once instead
+ * of backtracking, so it is linear in the text whatever the pattern.
+ */
+function globMatcher(pattern, { segments = false } = {}) {
+    if (pattern.length > MAX_GLOB_LENGTH) {
+        throw new QueryError(`Pattern is longer than ${MAX_GLOB_LENGTH} characters`);
+    }
+
+    // { star, crosses } for wildcards, { any } for `?`, { char } otherwise
+    const tokens = [];
+    for (let i = 0; i < pattern.length; i++) {
+        if (pattern[i] !== '*') {
+            tokens.push(pattern[i] === '?' ? { any: true } : { char: pattern[i].toLowerCase() });
+            continue;
+        }
+        let run = 1;
+        while (pattern[i + 1] === '*') {
+            run++;
+            i++;
+        }
+        tokens.push({ star: true, crosses: !segments || run > 1 });
+    }
+
+    const count = tokens.length;
+    // Mark position `j` and the positions reachable from it by matching wildcards with nothing
+    const enter = (states, j) => {
+        while (j <= count && !states[j]) {
+            states[j] = 1;
+            if (j === count || !tokens[j].star) break;
+            j++;
+        }
+    };
+
+    return (text) => {
+        let states = new Uint8Array(count + 1);
+        enter(states, 0);
+        for (const ch of String(text).toLowerCase()) {
+            const next = new Uint8Array(count + 1);
+            let alive = false;
+            for (let j = 0; j < count; j++) {
+                if (!states[j]) continue;
+                const token = tokens[j];
+                const inSegment = !segments || ch !== '.';
+                if (token.star) {
+                    if (token.crosses || inSegment) {
+                        enter(next, j);
+                        alive = true;
+                    }
+                } else if (token.any ? inSegment : token.char === ch) {
+                    enter(next, j + 1);
+                    alive = true;
+                }
+            }
+            if (!alive) return false;
+            states = next;
+        }
+        return states[count] === 1;
+    };
+}
+
+// Glob for a single name: `*` and `?` match anything
+function nameGlob(pattern) {
+    return globMatcher(pattern);
+}
+
+// Glob for dotted paths: `*` stays inside a segment, `**` crosses segments
+function pathGlob(pattern) {
+    return globMatcher(pattern, { segments: true });
+}
+
+function parseComparison(value) {
+    const range = value.match(/^(\d+)\.\.(\d+)$/);
+    if (range) {
+        const [min, max] = [parseInt(range[1]), parseInt(range[2])];
+        return n => n >= min && n <= max;
+    }
+    const match = value.match(/^(>=|<=|>|<|=)?(\d+)$/);
+    if (!match) throw new QueryError(`Invalid number comparison "${value}" (use >200, <=50, =10 or 10..200)`);
+    const n = parseInt(match[2]);
+    switch (match[1]) {
+        case '>': return x => x > n;
+        case '<': return x => x < n;
+        case '>=': return x => x >= n;
+        case '<=': return x => x <= n;
+        default: return x => x === n;
+    }
+}
+
+// Split on whitespace, keeping "quoted values" together
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /(-?)(?:([a-zA-Z]+):)?(?:"([^"]*)"|(\S+))/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        tokens.push({
+            negate: match[1] === '-',
+            key: match[2] ? match[2].toLowerCase() : null,
+            value: match[3] !== undefined ? match[3] : match[4]
+        });
+    }
+    return tokens;
+}
+
+// `Name`, `Name=value` (glob, or numeric equality) or `Name>5`-style comparisons
+function valueFilter(field, value) {
+    const match = value.match(/^([^=<>]+)(>=|<=|=|>|<)?(.*)$/);
+    if (!match) throw new QueryError(`Invalid ${field === 'attributes' ? 'attr' : 'prop'} filter "${value}"`);
+    const [, name, op, expected] = match;
+    const read = node => (node[field] && Object.prototype.hasOwnProperty.call(node[field], name) ? node[field][name] : undefined);
+
+    if (!op) return node => read(node) !== undefined;
+
+    if (op === '=') {
+        const matches = nameGlob(expected);
+        const number = expected !== '' && !isNaN(Number(expected)) ? Number(expected) : null;
+        return node => {
+            const actual = read(node);
+            if (actual === undefined) return false;
+            if (number !== null && typeof actual === 'number') return actual === number;
+            return matches(String(actual));
+        };
+    }
+
+    const compare = parseComparison(op + expected);
+    return node => typeof read(node) === 'number' && compare(read(node));
+}
+
+const FILTERS = {
+    name(value) {
+        const matches = nameGlob(value);
+        return node => matches(node.name);
+    },
+    path(value) {
+        const matches = pathGlob(value);
+        return node => matches(node.path || '');
+    },
+    under(value) {
+        // The path itself isn't "under" itself; descendants only
+        const matches = pathGlob(value + '.**');
+        return node => matches(node.path || '');
+    },
+    class(value) {
+        return node => isA(node.className, value);
+    },
+    classname(value) {
+        return node => node.className === value;
+    },
+    lines(value) {
+        const compare = parseComparison(value);
+        return node => node.lineCount !== undefined && compare(node.lineCount);
+    },
+    tag(value) {
+        return node => Array.isArray(node.tags) && node.tags.includes(value);
+    },
+    attr(value) {
+        return valueFilter('attributes', value);
+    },
+    prop(value) {
+        return valueFilter('properties', value);
+    },
+};
+
+/**
+ * Compile a query into a predicate over synced tree nodes.
+ * Throws QueryError for unknown keys or malformed values.
+ */
+function compileQuery(text) {
+    const tokens = tokenize(text || '');
+    if (tokens.length === 0) throw new QueryError('Empty query');
+
+    const predicates = tokens.map(({ negate, key, value }) => {
+        let predicate;
+        if (key === null) {
+            const word = value.toLowerCase();
+            predicate = node => node.name.toLowerCase().includes(word) || (node.path || '').toLowerCase().includes(word);
+        } else if (FILTERS[key]) {
+            if (value === '') throw new QueryError(`Missing value for "${key}:"`);
+            predicate = FILTERS[key](value);
+        } else {
+            throw new QueryError(`Unknown filter "${key}:". Use one of: ${Object.keys(FILTERS).join(', ')}`);
+        }
+        return negate ? node => !predicate(node) : predicate;
+    });
+
+    return node => predicates.every(predicate => predicate(node));
+}
+
+/**
+ * Run a query over a synced tree. Returns { results, total, truncated }
+ * where results are flat `{ name, className, path, lineCount, childCount, tags, attributes, properties }`.
+ */
+function queryTree(tree, text, options = {}) {
+    const matches = compileQuery(text);
+    const limit = options.limit || 200;
+    const results = [];
+    let total = 0;
+
+    function walk(node, parentPath) {
+        const path = node.path || (parentPath ? `${parentPath}.${node.name}` : node.name);
+        const candidate = node.path ? node : { ...node, path };
+        if (matches(candidate)) {
+            total++;
+            if (results.length < limit) {
+                results.push({
+                    name: node.name,
+                    className: node.className,
+                    path,
+                    lineCount: node.lineCount,
+                    childCount: node.children && node.children.length > 0 ? node.children.length : node.childCount,
+                    tags: node.tags,
+                    attributes: node.attributes,
+                    properties: node.properties
+                });
+            }
+        }
+        (node.children || []).forEach(child => walk(child, path));
+    }
+
+    (tree.containers || []).forEach(container => walk(container, ''));
+    return { results, total, truncated: total > results.length };
+}
+
+module.exports = { compileQuery, queryTree, isA, QueryError, CLASS_PARENTS };
@@ -0,0 +1,335 @@
+// ============================================
+// TREE STORE
+// ============================================
+//
+// Holds the synced Studio tree as the nested `{ name, timestamp, containers }`
+// shape the tree view and MCP tools already consume, plus an index from node
+// id to node/parent so delta patches from the plugin can be applied in place,
+// and one from instance path to node, kept up to date through renames and
+// moves. Sibling instances may share a name, so a path can map to several
+// nodes; findByPath returns the first one indexed.
+
+const WAITING_NAME = 'Waiting for Roblox Studio...';
+
+// Fields owned by the store itself; `update` ops may not touch them
+const PROTECTED_FIELDS = new Set(['id', 'name', 'path', 'children']);
+
+const SCRIPT_CLASSES = new Set(['Script', 'LocalScript', 'ModuleScript', 'CoreScript']);
+
+class SequenceGapError extends Error {
+    constructor(expected, received) {
+        super(`Expected patch based on seq ${expected}, got ${received}`);
+        this.name = 'SequenceGapError';
+        this.expected = expected;
+        this.received = received;
+    }
+}
+
+// Same ordering the plugin uses in buildTreeNode: folders, then scripts, then by name
+function compareNodes(a, b) {
+    const aIsFolder = a.className === 'Folder';
+    const bIsFolder = b.className === 'Folder';
+    if (aIsFolder !== bIsFolder) return aIsFolder ? -1 : 1;
+
+    const aIsScript = SCRIPT_CLASSES.has(a.className);
+    const bIsScript = SCRIPT_CLASSES.has(b.className);
+    if (aIsScript !== bIsScript) return aIsScript ? -1 : 1;
+
+    if (a.name === b.name) return 0;
+    return a.name < b.name ? -1 : 1;
+}
+
+class TreeStore {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.seq = 0;
+        this.tree = {
+            name: WAITING_NAME,
+            timestamp: 0,
+            containers: []
+        };
+        this.nodes = new Map();
+        this.parents = new Map();
+        this.paths = new Map();
+    }
+
+    hasData() {
+        return this.tree.containers && this.tree.containers.length > 0;
+    }
+
+    getTree() {
+        return this.tree;
+    }
+
+    get(id) {
+        return this.nodes.get(id) || null;
+    }
+
+    getParent(id) {
+        const parentId = this.parents.get(id);
+        return parentId ? this.nodes.get(parentId) : null;
+    }
+
+    findByPath(path) {
+        const nodes = this.paths.get(path);
+        return nodes ? nodes[0] : null;
+    }
+
+    /**
+     * Replace the whole tree. Accepts the legacy payload (a bare tree) as well,
+     * in which case ids are derived from instance paths.
+     */
+    applySnapshot(tree, seq = 0) {
+        this.nodes = new Map();
+        this.parents = new Map();
+        this.paths = new Map();
+        this.seq = seq;
+        this.tree = {
+            name: tree.name,
+            timestamp: tree.timestamp || 0,
+            containers: Array.isArray(tree.containers) ? tree.containers : []
+        };
+
+        this.tree.containers.forEach(container => this.indexNode(container, null));
+        return this.tree;
+    }
+
+    /**
+     * Apply `{ baseSeq, seq, ops }` on top of the current tree. Throws
+     * SequenceGapError when the patch wasn't built against our current seq,
+     * which tells the plugin to resend a full snapshot. A patch with an op
+     * that can't be applied is refused as a whole, leaving the tree as it was.
+     * Returns true if anything changed.
+     */
+    applyPatch(patch) {
+        if (patch.baseSeq !== this.seq) {
+            throw new SequenceGapError(this.seq, patch.baseSeq);
+        }
+
+        const ops = patch.ops || [];
+        this.validateOps(ops);
+        ops.forEach(op => this.applyOp(op));
+
+        if (patch.name) this.tree.name = patch.name;
+        if (patch.timestamp) this.tree.timestamp = patch.timestamp;
+        this.seq = typeof patch.seq === 'number' ? patch.seq : this.seq;
+
+        return ops.length > 0;
+    }
+
+    /**
+     * Check every op against the tree as it will be when that op runs: ids and
+     * parents must exist and nothing may move into its own subtree. Only the
+     * parent links are simulated, so nothing is touched until all ops pass.
+     */
+    validateOps(ops) {
+        // Parent id (null for containers) or REMOVED, for nodes the ops touched so far
+        const REMOVED = Symbol('removed');
+        const links = new Map();
+        const parentOf = id => (links.has(id) ? links.get(id) : this.parents.get(id) || null);
+        const exists = (id) => {
+            for (let current = id; current; current = parentOf(current)) {
+                if (links.get(current) === REMOVED) return false;
+                if (!links.has(current) && !this.nodes.has(current)) return false;
+            }
+            return true;
+        };
+        const mustExist = (id, what = 'node') => {
+            if (!exists(id)) throw new Error(`Unknown ${what} ${id}`);
+        };
+        const moveInto = (id, parentId) => {
+            for (let current = parentId; current; current = parentOf(current)) {
+                if (current === id) throw new Error(`Can't move ${id} into its own subtree`);
+            }
+            links.set(id, parentId);
+        };
+        const link = (node, parentId) => {
+            if (!node || typeof node !== 'object') throw new Error('Patch adds a node that is not an object');
+            if (!node.id) return;
+            if (exists(node.id)) {
+                moveInto(node.id, parentId);
+                // The old copy's children go with it, unless an earlier op moved them out
+                const old = this.nodes.get(node.id);
+                (old ? old.children : []).forEach(child => {
+                    if (!links.has(child.id)) links.set(child.id, REMOVED);
+                });
+            } else {
+                links.set(node.id, parentId);
+            }
+            (node.children || []).forEach(child => link(child, node.id));
+        };
+
+        for (const op of ops) {
+            switch (op.op) {
+                case 'add':
+                    if (op.parent) mustExist(op.parent, 'parent');
+                    link(op.node, op.parent || null);
+                    break;
+                case 'remove':
+                    if (exists(op.id)) links.set(op.id, REMOVED);
+                    break;
+                case 'rename':
+                case 'update':
+                    mustExist(op.id);
+                    break;
+                case 'reparent':
+                    mustExist(op.id);
+                    mustExist(op.parent);
+                    moveInto(op.id, op.parent);
+                    break;
+                default:
+                    throw new Error(`Unknown patch op: ${op.op}`);
+            }
+        }
+    }
+
+    applyOp(op) {
+        switch (op.op) {
+            case 'add': {
+                const parent = op.parent ? this.nodes.get(op.parent) : null;
+                if (op.parent && !parent) throw new Error(`Unknown parent ${op.parent}`);
+                this.indexNode(op.node, op.parent || null);
+                this.insertChild(parent, op.node);
+                break;
+            }
+            case 'remove': {
+                const node = this.nodes.get(op.id);
+                if (!node) return;
+                this.detach(op.id);
+                this.unindexNode(node);
+                break;
+            }
+            case 'rename': {
+                const node = this.requireNode(op.id);
+                node.name = op.name;
+                const parentId = this.parents.get(op.id);
+                const parent = parentId ? this.nodes.get(parentId) : null;
+                this.sortChildren(parent);
+                this.updatePaths(node, parent ? parent.path : null);
+                break;
+            }
+            case 'reparent': {
+                const node = this.requireNode(op.id);
+                const parent = this.requireNode(op.parent);
+                this.detach(op.id);
+                this.parents.set(op.id, op.parent);
+                this.insertChild(parent, node);
+                this.updatePaths(node, parent.path);
+                break;
+            }
+            case 'update': {
+                const node = this.requireNode(op.id);
+                for (const [key, value] of Object.entries(op.props || {})) {
+                    if (PROTECTED_FIELDS.has(key)) continue;
+                    node[key] = value;
+                }
+                for (const key of op.clear || []) {
+                    if (!PROTECTED_FIELDS.has(key)) delete node[key];
+                }
+                break;
+            }
+            default:
+                throw new Error(`Unknown patch op: ${op.op}`);
+        }
+    }
+
+    requireNode(id) {
+        const node = this.nodes.get(id);
+        if (!node) throw new Error(`Unknown node ${id}`);
+        return node;
+    }
+
+    indexNode(node, parentId) {
+        if (!node.children) node.children = [];
+        if (!node.id) node.id = this.uniqueId(node.path || node.name);
+
+        // A node that already exists elsewhere was moved into this subtree;
+        // its old copy goes, along with everything indexed under it
+        const existing = this.nodes.get(node.id);
+        if (existing) {
+            this.detach(node.id);
+            this.unindexNode(existing);
+        }
+
+        this.nodes.set(node.id, node);
+        this.indexPath(node);
+        if (parentId) {
+            this.parents.set(node.id, parentId);
+        } else {
+            this.parents.delete(node.id);
+        }
+
+        node.children.forEach(child => this.indexNode(child, node.id));
+    }
+
+    unindexNode(node) {
+        this.unindexPath(node);
+        this.nodes.delete(node.id);
+        this.parents.delete(node.id);
+        (node.children || []).forEach(child => this.unindexNode(child));
+    }
+
+    indexPath(node) {
+        if (typeof node.path !== 'string') return;
+        const nodes = this.paths.get(node.path);
+        if (!nodes) {
+            this.paths.set(node.path, [node]);
+        } else if (!nodes.includes(node)) {
+            nodes.push(node);
+        }
+    }
+
+    unindexPath(node) {
+        const nodes = this.paths.get(node.path);
+        if (!nodes) return;
+        const index = nodes.indexOf(node);
+        if (index !== -1) nodes.splice(index, 1);
+        if (nodes.length === 0) this.paths.delete(node.path);
+    }
+
+    uniqueId(base) {
+        let id = base;
+        let n = 1;
+        while (this.nodes.has(id)) {
+            id = `${base}#${n++}`;
+        }
+        return id;
+    }
+
+    detach(id) {
+        const node = this.nodes.get(id);
+        const parentId = this.parents.get(id);
+        const parent = parentId ? this.nodes.get(parentId) : null;
+        if (parentId && !parent) return;
+        const siblings = parent ? parent.children : this.tree.containers;
+        const index = siblings.indexOf(node);
+        if (index !== -1) siblings.splice(index, 1);
+    }
+
+    insertChild(parent, node) {
+        const siblings = parent ? parent.children : this.tree.containers;
+        if (!parent) {
+            siblings.push(node);
+            return;
+        }
+        let index = siblings.findIndex(sibling => compareNodes(node, sibling) < 0);
+        if (index === -1) index = siblings.length;
+        siblings.splice(index, 0, node);
+    }
+
+    sortChildren(parent) {
+        if (parent) parent.children.sort(compareNodes);
+    }
+
+    updatePaths(node, parentPath) {
+        this.unindexPath(node);
+        node.path = parentPath ? `${parentPath}.${node.name}` : node.name;
+        this.indexPath(node);
+        node.children.forEach(child => this.updatePaths(child, node.path));
+    }
+}
+
+module.exports = { TreeStore, SequenceGapError, compareNodes };
@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CommandQueue, describeCommand } = require('../src/command-queue');
+
+function queueWithLog() {
+    const queue = new CommandQueue();
+    const events = [];
+    queue.onAudit = entry => events.push(`${entry.id}:${entry.event}`);
+    return { queue, events };
+}
+
+test('commands are validated and described', () => {
+    const queue = new CommandQueue();
+    assert.throws(() => queue.enqueue('explode', {}), /Unknown command type/);
+    assert.throws(() => queue.enqueue('rename', { path: 'Workspace.Part' }), /missing: name/);
+    assert.equal(
+        describeCommand({ type: 'setSource', params: { path: 'ServerScriptService.Main', source: 'a\nb\nc' } }),
+        'Replace source of ServerScriptService.Main (3 lines)'
+    );
+    queue.dispose();
+});
+
+test('approved commands are dispatched once and complete with the plugin result', async () => {
+    const { queue, events } = queueWithLog();
+    let prompted = null;
+    queue.onCommandQueued = command => { prompted = command.id; };
+
+    const command = queue.enqueue('destroy', { path: 'Workspace.Part' }, 'test');
+    assert.equal(prompted, command.id);
+    assert.deepEqual(queue.takeApproved(), []);
+
+    assert.equal(queue.approve(command.id), true);
+    assert.equal(queue.approve(command.id), false);
+    const [dispatched] = queue.takeApproved();
+    assert.equal(dispatched.id, command.id);
+    assert.equal(dispatched.status, 'dispatched');
+    assert.deepEqual(queue.takeApproved(), []);
+
+    const waiting = queue.waitFor(command.id, 1000);
+    assert.equal(queue.complete(command.id, { success: true, result: 'done' }), true);
+    const finished = await waiting;
+    assert.equal(finished.status, 'succeeded');
+    assert.equal(finished.result, 'done');
+    assert.deepEqual(events, ['1:queued', '1:approved', '1:dispatched', '1:succeeded']);
+    queue.dispose();
+});
+
+test('rejected commands never reach the plugin', () => {
+    const { queue, events } = queueWithLog();
+    const command = queue.enqueue('rename', { path: 'Workspace.Part', name: 'Floor' });
+    assert.equal(queue.reject(command.id, 'No thanks'), true);
+    assert.equal(queue.get(command.id).status, 'rejected');
+    assert.equal(queue.get(command.id).error, 'No thanks');
+    assert.equal(queue.approve(command.id), false);
+    assert.deepEqual(queue.takeApproved(), []);
+    assert.deepEqual(events, ['1:queued', '1:rejected']);
+    queue.dispose();
+});
+
+test('a waiting poll is answered as soon as a command is approved', async () => {
+    const queue = new CommandQueue();
+    const command = queue.enqueue('destroy', { path: 'Workspace.Part' });
+    const poll = queue.poll(5000);
+    queue.approve(command.id);
+    assert.deepEqual((await poll).map(entry => entry.id), [command.id]);
+    queue.dispose();
+});
+
+test('commands time out waiting for approval or for a result', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const queue = new CommandQueue();
+    const unanswered = queue.enqueue('destroy', { path: 'Workspace.A' });
+    const lost = queue.enqueue('destroy', { path: 'Workspace.B' });
+    const requeued = queue.enqueue('destroy', { path: 'Workspace.C' });
+    queue.approve(lost.id);
+    queue.approve(requeued.id);
+    queue.takeApproved();
+    queue.requeue([requeued.id]);
+
+    t.mock.timers.tick(60 * 1000);
+    assert.equal(queue.get(lost.id).status, 'failed');
+    assert.match(queue.get(lost.id).error, /did not report/);
+    assert.equal(queue.get(requeued.id).status, 'approved');
+
+    t.mock.timers.tick(4 * 60 * 1000);
+    assert.equal(queue.get(unanswered.id).status, 'expired');
+    queue.dispose();
+});
+
+test('commands fail when their session goes away', () => {
+    const queue = new CommandQueue();
+    const targeted = queue.enqueue('destroy', { path: 'Workspace.A' }, 'test', 'studio-1');
+    const taken = queue.enqueue('destroy', { path: 'Workspace.B' });
+    const other = queue.enqueue('destroy', { path: 'Workspace.C' }, 'test', 'studio-2');
+    queue.approve(taken.id);
+    assert.deepEqual(queue.takeApproved('studio-1').map(command => command.id), [taken.id]);
+
+    queue.failSession('studio-1', 'Studio closed');
+    assert.equal(queue.get(targeted.id).status, 'failed');
+    assert.equal(queue.get(taken.id).status, 'failed');
+    assert.equal(queue.get(taken.id).error, 'Studio closed');
+    assert.equal(queue.get(other.id).status, 'pending');
+    queue.dispose();
+});
+
+test('commands for one session are not dispatched to another', () => {
+    const queue = new CommandQueue();
+    const command = queue.enqueue('destroy', { path: 'Workspace.A' }, 'test', 'studio-1');
+    queue.approve(command.id);
+    assert.deepEqual(queue.takeApproved('studio-2'), []);
+    assert.equal(queue.takeApproved('studio-1').length, 1);
+    queue.dispose();
+});
+
+test('select commands skip approval and the audit log, and replace each other', () => {
+    const { queue, events } = queueWithLog();
+    let prompted = false;
+    queue.onCommandQueued = () => { prompted = true; };
+
+    queue.enqueue('select', { paths: ['Workspace.A'] }, 'VS Code', 's1');
+    const latest = queue.enqueue('select', { paths: ['Workspace.B'] }, 'VS Code', 's1');
+    assert.equal(prompted, false);
+    assert.deepEqual(queue.takeApproved('s1').map(command => command.params.paths), [['Workspace.B']]);
+
+    queue.complete(latest.id, { success: true });
+    assert.equal(queue.get(latest.id), null);
+    assert.deepEqual(events, []);
+    queue.dispose();
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DependencyGraph, tokenize } = require('../src/dependency-graph');
+
+const node = (name, className, path, children = []) => ({ name, className, path, children });
+
+const tree = {
+    containers: [
+        node('ReplicatedStorage', 'ReplicatedStorage', 'ReplicatedStorage', [
+            node('Shared', 'Folder', 'ReplicatedStorage.Shared', [
+                node('Signal', 'ModuleScript', 'ReplicatedStorage.Shared.Signal'),
+                node('Util', 'ModuleScript', 'ReplicatedStorage.Shared.Util'),
+                node('Types', 'ModuleScript', 'ReplicatedStorage.Shared.Types'),
+            ]),
+        ]),
+        node('ServerScriptService', 'ServerScriptService', 'ServerScriptService', [
+            node('Main', 'Script', 'ServerScriptService.Main'),
+            node('Unsynced', 'Script', 'ServerScriptService.Unsynced'),
+        ]),
+    ],
+};
+
+// Stands in for a SourceStore
+function sources(map) {
+    return { get: path => (path in map ? { source: map[path] } : null) };
+}
+
+function build(extra = {}) {
+    return DependencyGraph.build(tree, sources({
+        'ServerScriptService.Main': [
+            'local ReplicatedStorage = game:GetService("ReplicatedStorage")',
+            'local Shared = ReplicatedStorage:WaitForChild("Shared")',
+            'local Signal = require(Shared.Signal)',
+            '-- require(Shared.Commented)',
+            'local Util = require(game.ReplicatedStorage.Shared["Util"])',
+            'local Plugin = require(script.Parent:FindFirstChild(name))',
+            'local Asset = require(12345)',
+        ].join('\n'),
+        'ReplicatedStorage.Shared.Signal': 'local Util = require(script.Parent.Util)\nlocal Types = require("./Types")',
+        'ReplicatedStorage.Shared.Util': 'local Signal = require(script.Parent.Signal)',
+        'ReplicatedStorage.Shared.Types': 'return {}',
+        ...extra,
+    }));
+}
+
+test('requires through services, aliases, indexing and strings are resolved', () => {
+    const graph = build();
+    assert.equal(graph.analyzed, 4);
+    assert.equal(graph.missingSources, 1);
+
+    const main = graph.modules.get('ServerScriptService.Main');
+    assert.deepEqual(main.dependencies.map(edge => `${edge.line}:${edge.to}`), [
+        '3:ReplicatedStorage.Shared.Signal',
+        '5:ReplicatedStorage.Shared.Util',
+    ]);
+    assert.deepEqual(graph.walk('ReplicatedStorage.Shared.Signal', 'dependencies').map(entry => entry.path), [
+        'ReplicatedStorage.Shared.Util',
+        'ReplicatedStorage.Shared.Types',
+    ]);
+});
+
+test('dynamic requires are reported, not guessed', () => {
+    const unresolved = build().unresolved.map(entry => `${entry.line}:${entry.expression}`);
+    assert.deepEqual(unresolved, ['6:script.Parent:FindFirstChild(name)', '7:12345']);
+});
+
+test('transitive walks report depth and cycles are found', () => {
+    const graph = build();
+    const dependents = graph.walk('ReplicatedStorage.Shared.Types', 'dependents', { transitive: true });
+    assert.deepEqual(dependents.map(entry => `${entry.depth}:${entry.path}`), [
+        '1:ReplicatedStorage.Shared.Signal',
+        '2:ReplicatedStorage.Shared.Util',
+        '2:ServerScriptService.Main',
+    ]);
+    assert.deepEqual(graph.findCycles(), [['ReplicatedStorage.Shared.Signal', 'ReplicatedStorage.Shared.Util']]);
+    assert.deepEqual(graph.cyclesThrough('ServerScriptService.Main'), []);
+});
+
+test('the lexer skips comments and long strings', () => {
+    const values = tokenize('--[==[ require(x) ]==]\nlocal s = [[require(y)]] -- require(z)\nrequire(w)')
+        .filter(token => token.type === 'name')
+        .map(token => token.value);
+    assert.deepEqual(values, ['local', 's', 'require', 'w']);
+});
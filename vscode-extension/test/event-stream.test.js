@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { EventHub } = require('../src/event-stream');
+
+function listen(hub) {
+    const server = http.createServer((req, res) => hub.attach(req, res, { status: 'ready' }));
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+test('stream clients get the hello event and then every broadcast', async (t) => {
+    const hub = new EventHub();
+    const seen = [];
+    hub.onEvent = type => seen.push(`local:${type}`);
+    const unsubscribe = hub.subscribe(type => seen.push(`listener:${type}`));
+    const server = await listen(hub);
+    t.after(() => {
+        hub.close();
+        server.closeAllConnections();
+        server.close();
+    });
+
+    const text = await new Promise((resolve, reject) => {
+        http.get(`http://127.0.0.1:${server.address().port}/events`, (res) => {
+            let body = '';
+            let broadcast = false;
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                body += chunk;
+                if (!broadcast && body.includes('event: hello')) {
+                    broadcast = true;
+                    hub.broadcast('tree-changed', { seq: 2 });
+                }
+                if (body.includes('event: tree-changed')) {
+                    res.destroy();
+                    resolve(body);
+                }
+            });
+        }).on('error', reject);
+    });
+
+    assert.deepEqual(text.match(/^event: .*$/gm), ['event: hello', 'event: tree-changed']);
+    assert.match(text, /^data: \{"seq":2\}$/m);
+    assert.deepEqual(seen, ['local:tree-changed', 'listener:tree-changed']);
+
+    unsubscribe();
+    hub.broadcast('tree-changed', { seq: 3 });
+    assert.deepEqual(seen, ['local:tree-changed', 'listener:tree-changed', 'local:tree-changed']);
+});
+
+test('reconnecting clients get the events they missed replayed', () => {
+    const hub = new EventHub();
+    hub.broadcast('a', { n: 1 });
+    hub.broadcast('b', { n: 2 });
+    hub.broadcast('c', { n: 3 });
+
+    const written = [];
+    const res = { writeHead() {}, write: chunk => written.push(chunk) };
+    const req = { headers: { 'last-event-id': '1' }, on() {} };
+    hub.attach(req, res, {});
+
+    const events = written.join('').match(/^event: .*$/gm);
+    assert.deepEqual(events, ['event: b', 'event: c', 'event: hello']);
+    hub.clients.clear();
+    hub.close();
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { explorerHtml } = require('../src/explorer-page');
+const { iconFor, DEFAULT_ICON } = require('../src/class-icons');
+
+function inlineScript(html) {
+    return html.match(/<script[^>]*>([\s\S]*?)<\/script>/)[1];
+}
+
+test('the browser page embeds the token without breaking out of the script', () => {
+    const html = explorerHtml({ transport: 'http', token: '</script><img src=x>' });
+    assert.doesNotMatch(inlineScript(html), /<\/script>|<img/);
+    assert.doesNotMatch(html, /Content-Security-Policy/);
+    // The client bundle still parses after being serialized into the page
+    assert.doesNotThrow(() => new vm.Script(inlineScript(html)));
+});
+
+test('the webview page is locked down by a nonce CSP', () => {
+    const html = explorerHtml({ transport: 'webview', nonce: 'abc123', cspSource: 'vscode-resource:' });
+    assert.match(html, /script-src 'nonce-abc123'/);
+    assert.match(html, /<script nonce="abc123">/);
+});
+
+test('classes without an icon get the default one', () => {
+    assert.equal(iconFor('module').codicon, 'symbol-module');
+    assert.equal(iconFor('humanoid'), DEFAULT_ICON);
+    assert.equal(iconFor(undefined), DEFAULT_ICON);
+});
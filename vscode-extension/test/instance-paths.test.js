@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { completionAt, instanceAt, findMissingChildren, closestNames } = require('../src/instance-paths');
+const { indexTree } = require('../src/dependency-graph');
+
+const node = (path, className, children = []) => ({ name: path.split('.').pop(), className, path, children });
+
+const tree = {
+    name: 'Obby',
+    containers: [
+        node('ReplicatedStorage', 'ReplicatedStorage', [
+            node('ReplicatedStorage.Shared', 'Folder', [
+                node('ReplicatedStorage.Shared.Util', 'ModuleScript'),
+                node('ReplicatedStorage.Shared.My Thing', 'ModuleScript'),
+            ]),
+            node('ReplicatedStorage.Remotes', 'Folder', [
+                node('ReplicatedStorage.Remotes.PlayerJoined', 'RemoteEvent'),
+                node('ReplicatedStorage.Remotes.PlayerLeft', 'RemoteEvent'),
+            ]),
+            { ...node('ReplicatedStorage.Car', 'Model'), childCount: 12 },
+        ]),
+        node('ServerScriptService', 'ServerScriptService', [
+            node('ServerScriptService.Main', 'Script'),
+        ]),
+    ],
+};
+
+const base = indexTree(tree);
+const index = { ...base, script: base.byPath.get('ServerScriptService.Main') };
+
+// Offset of `|` in `text`, and the text without it
+function cursor(text) {
+    const offset = text.indexOf('|');
+    return [text.slice(0, offset) + text.slice(offset + 1), offset];
+}
+
+function complete(text) {
+    const [source, offset] = cursor(text);
+    const found = completionAt(source, offset, index);
+    return found && { path: found.parent.path, quote: found.quote, typed: source.slice(found.start, offset) };
+}
+
+function hover(text) {
+    const [source, offset] = cursor(text);
+    const found = instanceAt(source, offset, index);
+    return found && found.node.path;
+}
+
+test('members and child-name strings complete with the children of the path before them', () => {
+    assert.deepEqual(complete('local x = game:GetService("ReplicatedStorage").|'), { path: 'ReplicatedStorage', quote: null, typed: '' });
+    assert.deepEqual(complete('local x = game.ReplicatedStorage.Shared.Ut|'), { path: 'ReplicatedStorage.Shared', quote: null, typed: 'Ut' });
+    assert.deepEqual(complete('local x = game.ReplicatedStorage:WaitForChild("Sh|'), { path: 'ReplicatedStorage', quote: '"', typed: 'Sh' });
+    assert.deepEqual(complete('local x = game.ReplicatedStorage.Shared["My|'), { path: 'ReplicatedStorage.Shared', quote: '"', typed: 'My' });
+});
+
+test('script and local aliases are followed', () => {
+    assert.equal(complete('local x = script.Parent.|').path, 'ServerScriptService');
+    const source = [
+        'local ReplicatedStorage = game:GetService("ReplicatedStorage")',
+        'local Shared = ReplicatedStorage.Shared',
+        'local Util = require(Shared.|)',
+    ].join('\n');
+    assert.equal(complete(source).path, 'ReplicatedStorage.Shared');
+});
+
+test('nothing is offered outside instance paths', () => {
+    assert.equal(complete('local s = "a" .. b.|'), null);
+    assert.equal(complete('local s = "game.ReplicatedStorage.|'), null);
+    assert.equal(complete('local x = game.Nowhere.|'), null);
+    assert.equal(complete('local x = 1|'), null);
+});
+
+test('hovering a name or string resolves the instance up to that step', () => {
+    assert.equal(hover('local x = game.ReplicatedStorage.Sha|red.Util'), 'ReplicatedStorage.Shared');
+    assert.equal(hover('local x = game.ReplicatedStorage.Shared.Ut|il'), 'ReplicatedStorage.Shared.Util');
+    assert.equal(hover('local x = game:GetService("Replicated|Storage")'), 'ReplicatedStorage');
+    assert.equal(hover('local Shared = game.ReplicatedStorage.Shared\nprint(Sha|red)'), 'ReplicatedStorage.Shared');
+    assert.equal(hover('local x = ga|me'), null);
+    assert.equal(hover('local x = game.ReplicatedStorage.Mis|sing'), null);
+});
+
+function missing(source) {
+    return findMissingChildren(source, index).map(({ start, end, name, parent, method, suggestions }) =>
+        ({ text: source.slice(start, end), name, parent: parent.path, method, suggestions }));
+}
+
+test('references to children the live tree lacks are reported with suggestions', () => {
+    const source = [
+        'local ReplicatedStorage = game:GetService("ReplicatedStorage")',
+        'local Remotes = ReplicatedStorage:WaitForChild("Remtoes")',
+        'ReplicatedStorage.Remotes.PlayerJoinned:FireServer()',
+    ].join('\n');
+    assert.deepEqual(missing(source), [
+        { text: '"Remtoes"', name: 'Remtoes', parent: 'ReplicatedStorage', method: 'WaitForChild', suggestions: ['Remotes'] },
+        { text: 'PlayerJoinned', name: 'PlayerJoinned', parent: 'ReplicatedStorage.Remotes', method: null, suggestions: ['PlayerJoined'] },
+    ]);
+});
+
+test('properties, unsynced contents and recursive searches are not reported', () => {
+    const source = [
+        'local Remotes = game.ReplicatedStorage.Remotes',
+        'print(Remotes.Name, Remotes.ChildAdded)',
+        'local wheel = game.ReplicatedStorage.Car:WaitForChild("Wheel")',
+        'local deep = game.ReplicatedStorage:FindFirstChild("Anything", true)',
+        'local found = game.ReplicatedStorage.Remotes.PlayerLeft',
+    ].join('\n');
+    assert.deepEqual(missing(source), []);
+});
+
+test('suggestions are close names, case differences first', () => {
+    assert.deepEqual(closestNames('remotes', ['Remotes', 'Rebotes', 'Shared']), ['Remotes', 'Rebotes']);
+    assert.deepEqual(closestNames('Util', ['Util']), []);
+    assert.deepEqual(closestNames('Zzz', ['Shared']), []);
+});
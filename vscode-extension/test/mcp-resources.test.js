@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { createMcpServer } = require('../src/mcp-tools');
+const { SessionManager } = require('../src/session-manager');
+const { CommandQueue } = require('../src/command-queue');
+
+const tree = {
+    name: 'Obby',
+    containers: [
+        { id: 'rs', name: 'ReplicatedStorage', className: 'ReplicatedStorage', children: [
+            { id: 'shared', name: 'Shared', className: 'Folder', children: [
+                { id: 'util', name: 'Util', className: 'ModuleScript', children: [] },
+            ] },
+        ] },
+    ],
+};
+
+// Stands in for the extension's server: just what the MCP handlers use
+const sessions = new SessionManager();
+const server = {
+    commands: new CommandQueue(),
+    rojo: { resolve: () => null, hasProject: () => false },
+    getSession: query => sessions.get(query),
+    getSessionTree: session => session ? session.store.getTree() : { name: 'No Studio', containers: [] },
+};
+
+let client;
+let mcpServer;
+
+before(async () => {
+    const { session } = sessions.getOrCreate({ sessionId: 'studio-1' });
+    session.store.applySnapshot(tree, 1);
+    session.sources.set('ReplicatedStorage.Shared.Util', 'return {}');
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    mcpServer = createMcpServer(server);
+    await mcpServer.mcp.connect(serverTransport);
+    client = new Client({ name: 'test', version: '1.0.0' });
+    await client.connect(clientTransport);
+});
+
+after(async () => {
+    await client.close();
+    mcpServer.dispose();
+    server.commands.dispose();
+});
+
+test('the tree, each service and mirrored scripts are listed as resources', async () => {
+    const { resources } = await client.listResources();
+    assert.deepEqual(resources.map(resource => resource.uri), [
+        'roblox://tree',
+        'roblox://tree/ReplicatedStorage',
+        'roblox://script/ReplicatedStorage.Shared.Util',
+    ]);
+});
+
+test('subtrees and scripts are read by URI', async () => {
+    const subtree = await client.readResource({ uri: 'roblox://tree/ReplicatedStorage/Shared' });
+    assert.match(subtree.contents[0].text, /Util/);
+
+    const script = await client.readResource({ uri: 'roblox://script/ReplicatedStorage.Shared.Util' });
+    assert.equal(script.contents[0].text, 'return {}');
+    assert.equal(script.contents[0].mimeType, 'text/x-lua');
+
+    await assert.rejects(client.readResource({ uri: 'roblox://tree/Nowhere' }), /No instance at Nowhere/);
+});
+
+test('write tools queue a command for the session and report its outcome', async () => {
+    const call = client.callTool({ name: 'rename_roblox_instance', arguments: { path: 'ReplicatedStorage.Shared', name: 'Common' } });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const [command] = server.commands.list();
+    assert.equal(command.type, 'rename');
+    assert.equal(command.origin, 'MCP');
+    assert.equal(command.session, 'studio-1');
+
+    server.commands.approve(command.id);
+    server.commands.takeApproved('studio-1');
+    server.commands.complete(command.id, { success: true });
+    const result = await call;
+    assert.match(result.content[0].text, /^✅ Rename ReplicatedStorage\.Shared to "Common"/);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { OutputLog, parseLocations } = require('../src/output-log');
+
+test('append numbers messages and keeps only the newest', () => {
+    const log = new OutputLog(3);
+    const added = log.append([
+        { message: 'one' },
+        { message: 'two', level: 'warning' },
+        null,
+        { message: 5 },
+        { message: 'three', level: 'bogus' },
+        { message: 'four', level: 'error' },
+    ]);
+    assert.deepEqual(added.map(entry => entry.seq), [1, 2, 3, 4]);
+    assert.equal(added[2].level, 'output');
+    assert.deepEqual(log.entries.map(entry => entry.message), ['two', 'three', 'four']);
+});
+
+test('query filters by level, search and limit', () => {
+    const log = new OutputLog();
+    log.append([
+        { message: 'Loaded', level: 'info' },
+        { message: 'Slow frame', level: 'warning' },
+        { message: 'Main:3: attempt to index nil', level: 'error' },
+    ]);
+    assert.deepEqual(log.query({ level: 'warning' }).entries.map(entry => entry.message), ['Slow frame', 'Main:3: attempt to index nil']);
+    assert.equal(log.query({ search: 'FRAME' }).total, 1);
+    const limited = log.query({ limit: 1 });
+    assert.equal(limited.total, 3);
+    assert.equal(limited.entries[0].level, 'error');
+    assert.throws(() => log.query({ level: 'fatal' }), /Unknown level/);
+    assert.throws(() => log.query({ since: 'yesterday-ish' }), /Can't read/);
+});
+
+test('parseLocations finds error and stack trace locations', () => {
+    const error = 'ServerScriptService.Main:12: attempt to index nil with \'Name\'';
+    assert.deepEqual(parseLocations(error), [{ path: 'ServerScriptService.Main', line: 12, start: 0, end: 27 }]);
+
+    const stack = 'Script \'ServerScriptService.Main\', Line 12 - function onJoin';
+    const [location] = parseLocations(stack);
+    assert.equal(location.path, 'ServerScriptService.Main');
+    assert.equal(location.line, 12);
+    assert.equal(stack.slice(location.start, location.end), 'Script \'ServerScriptService.Main\', Line 12');
+    assert.deepEqual(parseLocations('Hello world: 12'), []);
+});
@@ -0,0 +1,59 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the discovery file out of the real home directory
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'pairing-'));
+process.env.HOME = home;
+const pairing = require('../src/pairing');
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+function request(headers, query = '') {
+    return [{ headers }, new URL(`http://localhost/ping${query}`)];
+}
+
+test('tokens are three groups of unambiguous characters', () => {
+    const token = pairing.generateToken();
+    assert.match(token, /^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+    assert.notEqual(pairing.generateToken(), token);
+});
+
+test('the token is read from the header, bearer auth or query string', () => {
+    assert.equal(pairing.requestToken(...request({ 'x-pairing-token': ' ABCD ' })), 'ABCD');
+    assert.equal(pairing.requestToken(...request({ authorization: 'Bearer EFGH' })), 'EFGH');
+    assert.equal(pairing.requestToken(...request({}, '?token=IJKL')), 'IJKL');
+    assert.equal(pairing.requestToken(...request({ authorization: 'Basic xyz' })), null);
+});
+
+test('tokens match case-insensitively and never when missing', () => {
+    assert.equal(pairing.tokensMatch('abcd-efgh-jkmn', 'ABCD-EFGH-JKMN'), true);
+    assert.equal(pairing.tokensMatch('ABCD-EFGH', 'ABCD-EFGH-JKMN'), false);
+    assert.equal(pairing.tokensMatch(null, 'ABCD'), false);
+    assert.equal(pairing.tokensMatch('', ''), false);
+});
+
+test('discovery names an address local clients can reach', () => {
+    assert.equal(pairing.localAddress('0.0.0.0'), '127.0.0.1');
+    assert.equal(pairing.localAddress('::'), '::1');
+    assert.equal(pairing.localAddress('127.0.0.1'), '127.0.0.1');
+    assert.equal(pairing.discoveryUrl({ host: '127.0.0.1', port: 21326 }), 'http://127.0.0.1:21326');
+    assert.equal(pairing.discoveryUrl({ host: '::1', port: 21326 }), 'http://[::1]:21326');
+});
+
+test('the discovery file is private and only removed by the process that wrote it', () => {
+    assert.ok(pairing.DISCOVERY_FILE.startsWith(home));
+    pairing.writeDiscovery({ host: '127.0.0.1', port: 21326, token: 'ABCD' });
+    assert.equal(fs.statSync(pairing.DISCOVERY_FILE).mode & 0o777, 0o600);
+    assert.deepEqual(pairing.readDiscovery(), { host: '127.0.0.1', port: 21326, token: 'ABCD', pid: process.pid });
+
+    fs.writeFileSync(pairing.DISCOVERY_FILE, JSON.stringify({ port: 1, pid: process.pid + 1 }));
+    pairing.clearDiscovery();
+    assert.equal(pairing.readDiscovery().port, 1);
+
+    pairing.writeDiscovery({ host: '127.0.0.1', port: 21326, token: 'ABCD' });
+    pairing.clearDiscovery();
+    assert.equal(pairing.readDiscovery(), null);
+});
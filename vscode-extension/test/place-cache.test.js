@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PlaceCache, serializeSession, parseSnapshot, describeAge } = require('../src/place-cache');
+const { SessionManager } = require('../src/session-manager');
+
+function syncedSession(manager, info, name) {
+    const { session } = manager.getOrCreate(info);
+    session.store.applySnapshot({ name, containers: [{ name: 'Workspace', className: 'Workspace', children: [] }] }, 3);
+    return session;
+}
+
+test('snapshots round-trip through the file format', () => {
+    const manager = new SessionManager();
+    const session = syncedSession(manager, { sessionId: 'a', placeId: 42, user: 'alice' }, 'Obby');
+    const saved = parseSnapshot(JSON.stringify(serializeSession(session)));
+    assert.equal(saved.placeKey, 'place-42');
+    assert.equal(saved.seq, 3);
+    assert.equal(saved.savedAt, session.lastSeen);
+    assert.equal(saved.tree.name, 'Obby');
+});
+
+test('files that are not snapshots are refused with a readable reason', () => {
+    assert.throws(() => parseSnapshot('{'), /Not valid JSON/);
+    assert.throws(() => parseSnapshot('{"format":"other"}'), /Not a Roblox Directory Tree snapshot/);
+    assert.throws(() => parseSnapshot('{"format":"roblox-directory-tree-snapshot","version":99}'), /newer than this extension/);
+    assert.throws(() => parseSnapshot('{"format":"roblox-directory-tree-snapshot","version":1}'), /no tree/);
+});
+
+test('saves are debounced per place and restored newest first', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'place-cache-'));
+    try {
+        const manager = new SessionManager();
+        const cache = new PlaceCache({ saveDelay: 1000 });
+        cache.open(dir);
+
+        const older = syncedSession(manager, { sessionId: 'a', placeId: 1 }, 'Older');
+        const newer = syncedSession(manager, { sessionId: 'b', placeId: 2 }, 'Newer');
+        older.lastSeen -= 5000;
+        cache.schedule(older);
+        cache.schedule(older);
+        assert.deepEqual(cache.load(), []);
+
+        t.mock.timers.tick(1000);
+        cache.schedule(newer);
+        cache.flush();
+        fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+
+        assert.deepEqual(cache.load().map(saved => saved.tree.name), ['Newer', 'Older']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('ages are short and human-readable', () => {
+    const now = 1000000000;
+    assert.equal(describeAge(now - 45 * 1000, now), '45s');
+    assert.equal(describeAge(now - 12 * 60 * 1000, now), '12m');
+    assert.equal(describeAge(now - 3 * 3600 * 1000, now), '3h');
+    assert.equal(describeAge(now - 2 * 86400 * 1000, now), '2d');
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeStats, placementProblem, DEEP_NESTING } = require('../src/project-stats');
+
+const node = (name, className, children = [], extra = {}) => ({ name, className, children, ...extra });
+
+// Folder chain `depth` levels deep ending in a part
+function nested(depth) {
+    let inner = node('Leaf', 'Part');
+    for (let i = depth - 1; i > 0; i--) inner = node(`Level${i}`, 'Folder', [inner]);
+    return inner;
+}
+
+const tree = {
+    name: 'Obby',
+    containers: [
+        node('ServerScriptService', 'ServerScriptService', [
+            node('Main', 'Script', [], { lineCount: 120 }),
+            node('Lib', 'Folder', [
+                node('Util', 'ModuleScript', [], { lineCount: 30 }),
+                node('Unused', 'ModuleScript', [], { lineCount: 5 }),
+            ]),
+        ]),
+        node('ReplicatedStorage', 'ReplicatedStorage', [
+            node('Stray', 'Script', [], { lineCount: 10 }),
+            node('Remote', 'RemoteEvent'),
+            node('Remote', 'RemoteFunction'),
+        ]),
+        node('Workspace', 'Workspace', [nested(DEEP_NESTING + 2)]),
+    ],
+};
+
+// Just enough of a DependencyGraph: Main requires Util
+const graph = {
+    analyzed: 3,
+    missingSources: 1,
+    modules: new Map([
+        ['ServerScriptService.Lib.Util', { dependents: [{ from: 'ServerScriptService.Main' }] }],
+    ]),
+};
+
+test('totals and per-service numbers add up', () => {
+    const stats = computeStats(tree);
+    assert.equal(stats.game, 'Obby');
+    assert.deepEqual(stats.totals, { instances: 17, scripts: 4, modules: 2, serverScripts: 2, localScripts: 0, lines: 165 });
+    assert.deepEqual(stats.services.map(service => `${service.name}:${service.lines}`), [
+        'ServerScriptService:155', 'ReplicatedStorage:10', 'Workspace:0',
+    ]);
+    assert.equal(stats.largestScripts[0].path, 'ServerScriptService.Main');
+    assert.deepEqual(stats.folders.map(folder => folder.path), ['ServerScriptService.Lib']);
+    assert.equal(computeStats(tree, { limit: 1 }).largestScripts.length, 1);
+});
+
+test('health checks flag duplicates, deep nesting and misplaced scripts', () => {
+    const stats = computeStats(tree);
+    assert.deepEqual(stats.duplicateNames.items, [
+        { parent: 'ReplicatedStorage', name: 'Remote', count: 2, classNames: ['RemoteEvent', 'RemoteFunction'] },
+    ]);
+    assert.equal(stats.deepNesting.count, 1);
+    assert.equal(stats.maxDepth, DEEP_NESTING + 2);
+    assert.deepEqual(stats.misplacedScripts.items.map(item => item.path), ['ReplicatedStorage.Stray']);
+});
+
+test('unreferenced modules need a dependency graph', () => {
+    assert.equal(computeStats(tree).unreferencedModules, null);
+    const stats = computeStats(tree, { graph });
+    assert.deepEqual(stats.unreferencedModules, ['ServerScriptService.Lib.Unused']);
+    assert.equal(stats.missingSources, 1);
+});
+
+test('RunContext decides where a Script runs', () => {
+    assert.equal(placementProblem({ className: 'ModuleScript', path: 'ServerStorage.M' }), null);
+    assert.equal(placementProblem({ className: 'Script', path: 'ReplicatedStorage.S', properties: { RunContext: 'Client' } }), null);
+    assert.match(placementProblem({ className: 'Script', path: 'ServerStorage.S', properties: { RunContext: 'Server' } }), /don't run in ServerStorage/);
+    assert.equal(placementProblem({ className: 'LocalScript', path: 'StarterPlayer.StarterPlayerScripts.L' }), null);
+    assert.match(placementProblem({ className: 'LocalScript', path: 'Workspace.L' }), /LocalScripts only run in/);
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeDrift, describeDrift } = require('../src/rojo-drift');
+
+const live = (name, className, path, children = [], extra = {}) => ({ name, className, path, children, ...extra });
+
+// What RojoResolver builds: services, with filePath below the $path mappings
+function resolver(services) {
+    return { hasProject: () => true, getServices: () => services };
+}
+
+const rojoTree = resolver([
+    live('ReplicatedStorage', 'ReplicatedStorage', 'ReplicatedStorage', [
+        live('Shared', 'Folder', 'ReplicatedStorage.Shared', [
+            live('Util', 'ModuleScript', 'ReplicatedStorage.Shared.Util', [], { filePath: '/src/shared/Util.lua', lineCount: 10 }),
+            live('Net', 'ModuleScript', 'ReplicatedStorage.Shared.Net', [], { filePath: '/src/shared/Net.lua', lineCount: 4 }),
+            live('Config', 'ModuleScript', 'ReplicatedStorage.Shared.Config', [], { filePath: '/src/shared/Config.lua', lineCount: 2 }),
+        ], { filePath: '/src/shared' }),
+    ]),
+]);
+
+test('drift is reported only for the parts of the place Rojo manages', () => {
+    const tree = {
+        containers: [
+            live('ReplicatedStorage', 'ReplicatedStorage', 'ReplicatedStorage', [
+                live('Shared', 'Folder', 'ReplicatedStorage.Shared', [
+                    live('Util', 'ModuleScript', 'ReplicatedStorage.Shared.Util', [], { lineCount: 12 }),
+                    live('Net', 'Script', 'ReplicatedStorage.Shared.Net'),
+                    live('Extra', 'ModuleScript', 'ReplicatedStorage.Shared.Extra', [], { lineCount: 3 }),
+                ]),
+                live('Assets', 'Folder', 'ReplicatedStorage.Assets'),
+            ]),
+            live('Workspace', 'Workspace', 'Workspace'),
+        ],
+    };
+
+    const drift = computeDrift(tree, rojoTree).map(entry => `${entry.kind} ${entry.path}`).sort();
+    assert.deepEqual(drift, [
+        'class-mismatch ReplicatedStorage.Shared.Net',
+        'line-mismatch ReplicatedStorage.Shared.Util',
+        'missing-in-studio ReplicatedStorage.Shared.Config',
+        'studio-only ReplicatedStorage.Shared.Extra',
+    ]);
+});
+
+test('shallow nodes and workspaces without a project report nothing', () => {
+    const shallow = { containers: [live('ReplicatedStorage', 'ReplicatedStorage', 'ReplicatedStorage', [], { childCount: 4 })] };
+    assert.deepEqual(computeDrift(shallow, rojoTree), []);
+    assert.deepEqual(computeDrift(shallow, { hasProject: () => false }), []);
+});
+
+test('drift entries have a readable description', () => {
+    assert.match(
+        describeDrift({ kind: 'line-mismatch', path: 'A.B', studioLines: 3, fileLines: 5 }),
+        /A\.B has 3 lines in Studio but 5 on disk/
+    );
+});
@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RojoResolver, classifyFile } = require('../src/rojo-project');
+
+let dir;
+let projectFile;
+
+function write(relative, text) {
+    const file = path.join(dir, relative);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, text);
+    return file;
+}
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rojo-project-'));
+    projectFile = write('default.project.json', JSON.stringify({
+        name: 'Game',
+        tree: {
+            $className: 'DataModel',
+            ReplicatedStorage: { $className: 'ReplicatedStorage', Shared: { $path: 'src/shared' } },
+            ServerScriptService: { $className: 'ServerScriptService', $path: 'src/server' },
+        },
+    }));
+    write('src/shared/Util.lua', 'return {}\n');
+    write('src/shared/Net/init.lua', 'return {}');
+    write('src/server/Main.server.lua', 'print(1)');
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('script files are classified by suffix', () => {
+    assert.equal(classifyFile('Main.server.lua').className, 'Script');
+    assert.equal(classifyFile('Input.client.luau').className, 'LocalScript');
+    assert.equal(classifyFile('Util.lua').className, 'ModuleScript');
+});
+
+test('instance paths resolve to files and back', () => {
+    const rojo = new RojoResolver();
+    rojo.load([projectFile]);
+    assert.deepEqual(rojo.errors, []);
+    assert.equal(rojo.resolve('ReplicatedStorage.Shared.Util'), path.join(dir, 'src/shared/Util.lua'));
+    assert.equal(rojo.resolve('ReplicatedStorage.Shared.Net'), path.join(dir, 'src/shared/Net/init.lua'));
+    assert.equal(rojo.resolve('ServerScriptService.Main'), path.join(dir, 'src/server/Main.server.lua'));
+    assert.equal(rojo.instancePathFor(path.join(dir, 'src/shared/Util.lua')), 'ReplicatedStorage.Shared.Util');
+    assert.equal(rojo.resolve('ReplicatedStorage.Missing'), null);
+});
+
+test('rebuild picks up new files without parsing the project again', () => {
+    const rojo = new RojoResolver();
+    rojo.load([projectFile]);
+    const [project] = rojo.parsed;
+
+    const added = write('src/shared/Signal.lua', 'return {}');
+    rojo.rebuild();
+    assert.equal(rojo.parsed[0], project);
+    assert.equal(rojo.resolve('ReplicatedStorage.Shared.Signal'), added);
+    fs.rmSync(added);
+});
+
+test('updateFile re-counts the lines of mapped scripts only', () => {
+    const rojo = new RojoResolver();
+    rojo.load([projectFile]);
+    const util = write('src/shared/Util.lua', 'local M = {}\n\nreturn M\n');
+    assert.equal(rojo.updateFile(util), true);
+    assert.equal(rojo.getNode('ReplicatedStorage.Shared.Util').lineCount, 4);
+    assert.equal(rojo.updateFile(path.join(dir, 'elsewhere.lua')), false);
+});
+
+test('unreadable project files are reported as errors', () => {
+    const broken = write('broken.project.json', '{ nope');
+    const rojo = new RojoResolver();
+    rojo.load([projectFile, broken]);
+    assert.equal(rojo.errors.length, 1);
+    assert.equal(rojo.errors[0].file, broken);
+    rojo.rebuild();
+    assert.equal(rojo.errors.length, 1);
+    fs.rmSync(broken);
+});
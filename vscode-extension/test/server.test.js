@@ -0,0 +1,210 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const zlib = require('zlib');
+const { EmbeddedServer } = require('../src/server');
+
+const TOKEN = 'test-token';
+let server;
+let listener;
+let baseUrl;
+
+// The request handling without start(), so nothing is written to the discovery file
+before(async () => {
+    server = new EmbeddedServer();
+    server.setToken(TOKEN);
+    listener = http.createServer((req, res) => server.handleRequest(req, res));
+    await new Promise(resolve => listener.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${listener.address().port}`;
+});
+
+after(async () => {
+    server.events.close();
+    server.commands.cancelPolls();
+    server.commands.dispose();
+    server.history.dispose();
+    listener.closeAllConnections();
+    await new Promise(resolve => listener.close(resolve));
+});
+
+async function request(method, path, body, headers = {}) {
+    const response = await fetch(baseUrl + path, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'X-Pairing-Token': TOKEN, ...headers },
+        body,
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+        json = JSON.parse(text);
+    } catch (e) {
+        // not JSON
+    }
+    return { status: response.status, json };
+}
+
+const POST_ROUTES = ['/sync', '/sources', '/selection', '/log', '/disconnect', '/rojo/resolve', '/commands', '/commands/nope/result', '/snapshots'];
+
+const snapshot = (sessionId) => JSON.stringify({
+    protocol: 1,
+    type: 'snapshot',
+    seq: 1,
+    session: { sessionId },
+    tree: { name: 'Place', containers: [{ id: '1', name: 'ReplicatedStorage', className: 'ReplicatedStorage', path: 'ReplicatedStorage', children: [] }] },
+});
+
+test('requests without the pairing token are refused', async () => {
+    const response = await fetch(baseUrl + '/ping');
+    assert.equal(response.status, 401);
+    assert.equal((await request('GET', '/ping')).status, 200);
+});
+
+test('bodies that are not JSON objects are rejected on every route', async () => {
+    for (const path of POST_ROUTES) {
+        for (const body of ['null', '[]', '5', '"text"', '{not json']) {
+            const { status } = await request('POST', path, body);
+            assert.equal(status, 400, `${path} ${body}`);
+        }
+    }
+});
+
+test('a malformed session is rejected with field-level issues', async () => {
+    for (const path of ['/sources', '/selection', '/log', '/disconnect']) {
+        const { status, json } = await request('POST', path, JSON.stringify({ session: { sessionId: 5 }, selection: [], messages: [] }));
+        assert.equal(status, 400, path);
+        assert.equal(json.issues[0].path, 'session.sessionId');
+    }
+});
+
+test('/sync validates payloads, applies them and asks for a resync on gaps', async () => {
+    const invalid = await request('POST', '/sync', JSON.stringify({ type: 'snapshot', tree: { containers: 'x' } }));
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.json.status, 'invalid');
+    assert.ok(invalid.json.issues.length > 0);
+
+    const ok = await request('POST', '/sync', snapshot('test-session'));
+    assert.equal(ok.status, 200);
+    assert.deepEqual([ok.json.seq, ok.json.session, ok.json.configVersion], [1, 'test-session', server.syncConfigVersion]);
+    assert.equal((await request('GET', '/tree?session=test-session')).json.containers[0].name, 'ReplicatedStorage');
+
+    const gap = await request('POST', '/sync', JSON.stringify({ type: 'patch', baseSeq: 9, seq: 10, ops: [], session: { sessionId: 'test-session' } }));
+    assert.deepEqual([gap.status, gap.json.status, gap.json.seq], [409, 'resync', 1]);
+});
+
+test('compressed bodies are accepted; unknown encodings are not', async () => {
+    const gzipped = await request('POST', '/sync', zlib.gzipSync(snapshot('gzip-session')), { 'Content-Encoding': 'gzip' });
+    assert.equal(gzipped.status, 200);
+    const unknown = await request('POST', '/sync', snapshot('br-session'), { 'Content-Encoding': 'br' });
+    assert.equal(unknown.status, 415);
+});
+
+test('well-formed plugin requests are accepted', async () => {
+    await request('POST', '/sync', snapshot('test-session'));
+    const session = { sessionId: 'test-session' };
+    const sources = await request('POST', '/sources', JSON.stringify({ session, sources: [{ path: 'ReplicatedStorage.Util', source: 'return {}' }] }));
+    assert.deepEqual([sources.status, sources.json.stored], [200, 1]);
+    const source = await request('GET', '/source?session=test-session&path=ReplicatedStorage.Util');
+    assert.equal(source.json.source, 'return {}');
+
+    const resolve = await request('POST', '/rojo/resolve', JSON.stringify({ paths: ['ReplicatedStorage.Util'] }));
+    assert.deepEqual([resolve.status, resolve.json.files], [200, {}]);
+    assert.equal((await request('POST', '/rojo/resolve', JSON.stringify({ paths: 'abc' }))).status, 400);
+
+    assert.equal((await request('POST', '/snapshots', JSON.stringify({ name: 7 }))).status, 400);
+    const saved = await request('POST', '/snapshots', JSON.stringify({ name: 'before-refactor', session: 'test-session' }));
+    assert.deepEqual([saved.status, saved.json.name], [200, 'before-refactor']);
+});
+
+test('the Studio selection is stored per session and can be changed over HTTP', async () => {
+    await request('POST', '/sync', snapshot('test-session'));
+    const session = { sessionId: 'test-session' };
+    assert.equal((await request('POST', '/selection', JSON.stringify({ session, selection: {} }))).status, 400);
+    assert.equal((await request('POST', '/selection', JSON.stringify({ session, selection: [{ id: '1', path: 'ReplicatedStorage' }] }))).status, 200);
+
+    const selected = await request('GET', '/selection?session=test-session');
+    assert.equal(selected.json.origin, 'studio');
+    assert.deepEqual(selected.json.selection, [{ path: 'ReplicatedStorage', id: '1', name: 'ReplicatedStorage', className: 'ReplicatedStorage' }]);
+
+    const put = await request('PUT', '/selection', JSON.stringify({ session: 'test-session', paths: ['ReplicatedStorage.Gone'], origin: 'studio' }));
+    assert.equal(put.json.status, 'queued');
+    assert.equal(server.commands.get(put.json.command).origin, 'http');
+    assert.equal((await request('GET', '/selection?session=test-session')).json.origin, 'http');
+    assert.equal((await request('PUT', '/selection', JSON.stringify({ session: 'test-session', paths: 'x' }))).status, 400);
+});
+
+test('Studio output is stored per session and announced', async () => {
+    const session = { sessionId: 'test-session' };
+    assert.equal((await request('POST', '/log', JSON.stringify({ session, messages: null }))).status, 400);
+
+    const announced = [];
+    const unsubscribe = server.events.subscribe((type, data) => {
+        if (type === 'output') announced.push(data);
+    });
+    const log = await request('POST', '/log', JSON.stringify({ session, messages: [{ message: 'hi', level: 'info' }, { message: 42 }] }));
+    unsubscribe();
+    assert.deepEqual([log.status, log.json.stored], [200, 1]);
+    assert.deepEqual(announced.map(data => [data.session, data.entries[0].message]), [['test-session', 'hi']]);
+});
+
+test('workspace sync settings are served to the plugin and applied to what it sends', async (t) => {
+    t.after(() => server.setSyncConfig({}));
+    const before = server.syncConfigVersion;
+    assert.equal(server.setSyncConfig({ services: ['Workspace'], shallowClasses: ['Model'], useFilters: true, skipClasses: null }), true);
+    assert.equal(server.setSyncConfig({ services: ['Workspace'], shallowClasses: ['Model'], useFilters: true }), false);
+
+    const config = await request('GET', '/config');
+    assert.deepEqual(config.json, { version: server.syncConfigVersion, services: ['Workspace'], shallowClasses: ['Model'], useFilters: true });
+    assert.notEqual(config.json.version, before);
+
+    const model = { id: 'm', name: 'Car', className: 'Model', children: [{ id: 'p', name: 'Wheel', className: 'Part', children: [] }] };
+    const synced = await request('POST', '/sync', JSON.stringify({
+        type: 'snapshot',
+        session: { sessionId: 'filtered' },
+        tree: { name: 'Place', containers: [
+            { id: 'w', name: 'Workspace', className: 'Workspace', children: [model] },
+            { id: 'l', name: 'Lighting', className: 'Lighting', children: [] },
+        ] },
+    }));
+    assert.equal(synced.json.configVersion, server.syncConfigVersion);
+    const tree = (await request('GET', '/tree?session=filtered')).json;
+    assert.deepEqual(tree.containers.map(container => container.name), ['Workspace']);
+    assert.deepEqual([tree.containers[0].children[0].children, tree.containers[0].children[0].childCount], [[], 1]);
+});
+
+test('commands posted over HTTP are attributed to the route, not the body', async () => {
+    const { status, json } = await request('POST', '/commands', JSON.stringify({
+        type: 'rename',
+        params: { path: 'ReplicatedStorage', name: 'Shared' },
+        origin: 'VS Code',
+        session: 'test-session',
+    }));
+    assert.equal(status, 200);
+    assert.equal(json.origin, 'http');
+    assert.equal(json.session, 'test-session');
+    server.commands.reject(json.id);
+
+    const unknown = await request('POST', '/commands', JSON.stringify({ type: 'rename', params: {}, session: 'nobody' }));
+    assert.equal(unknown.status, 400);
+});
+
+test('disconnecting fails the session\'s commands and marks it offline', async () => {
+    await request('POST', '/sync', snapshot('leaving'));
+    const queued = (await request('POST', '/commands', JSON.stringify({ type: 'destroy', params: { path: 'ReplicatedStorage' }, session: 'leaving' }))).json;
+    server.commands.approve(queued.id);
+
+    assert.equal((await request('POST', '/disconnect', JSON.stringify({ session: { sessionId: 'leaving' } }))).status, 200);
+    const command = server.commands.get(queued.id);
+    assert.deepEqual([command.status, command.error], ['failed', 'Studio disconnected']);
+    assert.equal(server.sessions.get('leaving').isConnected(), false);
+});
+
+test('a handler that throws answers 500 and the server keeps serving', async (t) => {
+    t.mock.method(server.rojo, 'resolve', () => {
+        throw new TypeError('boom');
+    });
+    t.mock.method(console, 'error', () => {});
+    const { status, json } = await request('POST', '/rojo/resolve', JSON.stringify({ paths: ['ReplicatedStorage.Util'] }));
+    assert.equal(status, 500);
+    assert.match(json.error, /boom/);
+    assert.equal((await request('GET', '/ping')).status, 200);
+});
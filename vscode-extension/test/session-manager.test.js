@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionManager, DEFAULT_SESSION_ID, MAX_OFFLINE_SESSIONS } = require('../src/session-manager');
+
+function named(manager, info, gameName) {
+    const { session } = manager.getOrCreate(info);
+    session.store.applySnapshot({ name: gameName, containers: [] }, 1);
+    return session;
+}
+
+test('payloads are grouped into sessions by session id', () => {
+    const manager = new SessionManager();
+    const first = manager.getOrCreate({ sessionId: 'a', user: 'alice' });
+    assert.equal(first.created, true);
+    const again = manager.getOrCreate({ sessionId: 'a', placeId: 42 });
+    assert.equal(again.created, false);
+    assert.equal(again.session.user, 'alice');
+    assert.equal(again.session.placeId, 42);
+
+    assert.equal(manager.getOrCreate({}).session.id, DEFAULT_SESSION_ID);
+    assert.equal(manager.size, 2);
+});
+
+test('sessions are found by id, label, user or place', () => {
+    const manager = new SessionManager();
+    const alice = named(manager, { sessionId: 'a', user: 'alice', placeId: 1 }, 'Obby');
+    const bob = named(manager, { sessionId: 'b', user: 'bob', context: 'server' }, 'Racing');
+
+    assert.equal(bob.label, 'Racing (bob, server)');
+    assert.equal(manager.get('a'), alice);
+    assert.equal(manager.get('BOB'), bob);
+    assert.equal(manager.get('1'), alice);
+    assert.equal(manager.get('racing (bob'), bob);
+    assert.equal(manager.get('nobody'), null);
+});
+
+test('without a query the most recently seen session is used', () => {
+    const manager = new SessionManager();
+    const older = manager.getOrCreate({ sessionId: 'a' }).session;
+    const newer = manager.getOrCreate({ sessionId: 'b' }).session;
+    older.lastSeen = Date.now() - 1000;
+    assert.equal(manager.get(), newer);
+});
+
+test('sessions that stop syncing expire', () => {
+    const manager = new SessionManager();
+    const stale = manager.getOrCreate({ sessionId: 'a' }).session;
+    manager.getOrCreate({ sessionId: 'b' });
+    stale.lastSeen = Date.now() - 60000;
+    assert.equal(stale.isConnected(), false);
+    assert.deepEqual(manager.expire(30000).map(session => session.id), ['a']);
+    assert.deepEqual(manager.list().map(session => session.id), ['b']);
+});
+
+test('only the most recently synced offline copies are kept', () => {
+    const manager = new SessionManager();
+    const saved = i => ({ sessionId: `place-${i}`, placeId: i, savedAt: 1000 + i, tree: { name: `Place ${i}`, containers: [] } });
+    for (let i = 0; i < MAX_OFFLINE_SESSIONS + 2; i++) manager.addOffline(saved(i), 'cache');
+    manager.addOffline({ ...saved(99), sessionId: 'import-old', savedAt: 1 }, 'import');
+
+    assert.deepEqual(manager.expire(30000).map(session => session.id), ['place-1', 'place-0']);
+    assert.equal(manager.size, MAX_OFFLINE_SESSIONS + 1);
+    assert.ok(manager.get('import-old'));
+});
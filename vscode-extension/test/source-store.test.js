@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SourceStore, PatternError } = require('../src/source-store');
+
+test('applyUpdate stores, skips unchanged and removes sources', () => {
+    const store = new SourceStore();
+    let result = store.applyUpdate({ sources: [{ path: 'A.Main', source: 'print(1)\nprint(2)', hash: 'h1' }] });
+    assert.deepEqual(result.stored, ['A.Main']);
+    assert.equal(store.get('A.Main').lineCount, 2);
+
+    result = store.applyUpdate({ sources: [{ path: 'A.Main', source: 'print(1)\nprint(2)', hash: 'h1' }] });
+    assert.deepEqual(result.unchanged, ['A.Main']);
+
+    result = store.applyUpdate({ removed: ['A.Main', 'A.Unknown'] });
+    assert.deepEqual(result.removed, ['A.Main']);
+    assert.equal(store.totalBytes, 0);
+});
+
+test('applyUpdate rejects sources or removed that are not arrays', () => {
+    const store = new SourceStore();
+    assert.throws(() => store.applyUpdate({ sources: 5 }), TypeError);
+    assert.throws(() => store.applyUpdate({ removed: 'A.Main' }), TypeError);
+    assert.throws(() => store.applyUpdate({ sources: { path: 'A', source: '' } }), TypeError);
+});
+
+test('applyUpdate skips malformed entries', () => {
+    const store = new SourceStore();
+    const result = store.applyUpdate({
+        sources: [null, 5, { path: 3, source: 'x' }, { path: 'A.Ok', source: 'x' }],
+        removed: [null, 7],
+    });
+    assert.deepEqual(result.stored, ['A.Ok']);
+    assert.deepEqual(result.removed, []);
+});
+
+test('oversized scripts are rejected and the oldest are evicted over budget', () => {
+    const store = new SourceStore({ maxFileBytes: 10, maxTotalBytes: 16 });
+    const result = store.applyUpdate({ sources: [
+        { path: 'A.Big', source: 'x'.repeat(11) },
+        { path: 'A.One', source: 'y'.repeat(8) },
+        { path: 'A.Two', source: 'z'.repeat(8) },
+        { path: 'A.Three', source: 'w'.repeat(8) },
+    ] });
+    assert.deepEqual(result.rejected, ['A.Big']);
+    assert.equal(store.get('A.One'), null);
+    assert.deepEqual(store.list().map(entry => entry.path), ['A.Two', 'A.Three']);
+    assert.equal(store.totalBytes, 16);
+});
+
+test('grep matches literals by default and regexes on request', () => {
+    const store = new SourceStore();
+    store.set('A.Main', 'local x = foo(1)\nFOO(2)', 'h1');
+    store.set('B.Other', 'foo(3)', 'h2');
+
+    assert.deepEqual(store.grep('foo(').results.map(match => `${match.path}:${match.line}`), ['A.Main:1', 'A.Main:2', 'B.Other:1']);
+    assert.equal(store.grep('foo(', { caseSensitive: true, under: 'A' }).results.length, 1);
+    assert.deepEqual(store.grep('^foo\\(\\d\\)$', { regex: true }).results.map(match => match.line), [2, 1]);
+    assert.equal(store.grep('foo', { maxResults: 2 }).truncated, true);
+});
+
+test('grep refuses regexes that are invalid, too long or can backtrack', () => {
+    const store = new SourceStore();
+    assert.throws(() => store.grep('foo(', { regex: true }), PatternError);
+    assert.throws(() => store.grep('a'.repeat(201), { regex: true }), /longer than 200/);
+    assert.throws(() => store.grep('(a+)+$', { regex: true }), /Nested quantifiers/);
+    assert.throws(() => store.grep('(\\w+\\s?)*x', { regex: true }), /Nested quantifiers/);
+    assert.doesNotThrow(() => store.grep('(foo|bar)+', { regex: true }));
+});
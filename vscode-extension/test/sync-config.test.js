@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSyncConfig, configVersion, filterTree, filterOps } = require('../src/sync-config');
+const { TreeStore } = require('../src/tree-store');
+
+const node = (id, className, children) => ({ id, name: id, className, ...(children ? { children } : {}) });
+
+function place() {
+    return {
+        name: 'Obby',
+        containers: [
+            node('Workspace', 'Workspace', [
+                node('Car', 'Model', [node('Wheel', 'Part', [])]),
+                node('Terrain', 'Terrain', []),
+                node('Scripts', 'Folder', [node('Main', 'Script', [])]),
+            ]),
+            node('Lighting', 'Lighting', []),
+        ],
+    };
+}
+
+const names = nodes => nodes.map(entry => entry.name);
+
+test('only valid settings the workspace sets are served', () => {
+    assert.deepEqual(normalizeSyncConfig({ services: ['Workspace', 5], skipClasses: null, syncInterval: 0.2, useFilters: null }), {
+        services: ['Workspace'],
+        syncInterval: 1,
+    });
+    assert.deepEqual(normalizeSyncConfig({ syncInterval: -3, useFilters: false }), { useFilters: false });
+    assert.equal(configVersion({ services: ['Workspace'] }), configVersion({ services: ['Workspace'] }));
+    assert.notEqual(configVersion({}), configVersion({ useFilters: true }));
+});
+
+test('snapshots lose unlisted services, skipped classes and the children of shallow ones', () => {
+    const config = { services: ['Workspace'], skipClasses: ['Terrain'], shallowClasses: ['Model'], useFilters: true };
+    const tree = filterTree(place(), config);
+    assert.deepEqual(names(tree.containers), ['Workspace']);
+
+    const [car, scripts] = tree.containers[0].children;
+    assert.deepEqual(names(tree.containers[0].children), ['Car', 'Scripts']);
+    assert.deepEqual([car.children, car.childCount], [[], 1]);
+    assert.deepEqual(names(scripts.children), ['Main']);
+});
+
+test('class rules only apply when useFilters is true', () => {
+    for (const useFilters of [undefined, false]) {
+        const tree = filterTree(place(), { skipClasses: ['Terrain'], shallowClasses: ['Model'], useFilters });
+        assert.deepEqual(names(tree.containers[0].children), ['Car', 'Terrain', 'Scripts'], String(useFilters));
+        assert.equal(tree.containers[0].children[0].children.length, 1);
+    }
+    assert.deepEqual(names(filterTree(place(), { services: ['Lighting'] }).containers), ['Lighting']);
+});
+
+test('patch ops about left-out nodes are dropped and moves into them become removals', () => {
+    const store = new TreeStore();
+    store.applySnapshot(filterTree(place(), { shallowClasses: ['Model'], useFilters: true }), 1);
+    const config = { skipClasses: ['Terrain'], shallowClasses: ['Model'], useFilters: true };
+
+    const ops = filterOps([
+        { op: 'add', parent: 'Workspace', node: node('Grass', 'Terrain', []) },
+        { op: 'rename', id: 'Grass', name: 'Lawn' },
+        { op: 'add', parent: 'Car', node: node('Door', 'Part', []) },
+        { op: 'add', parent: 'Workspace', node: node('Tools', 'Folder', [node('Sword', 'Tool', [])]) },
+        { op: 'rename', id: 'Sword', name: 'Blade' },
+        { op: 'reparent', id: 'Main', parent: 'Car' },
+        { op: 'reparent', id: 'Tools', parent: 'Scripts' },
+        { op: 'add', parent: null, node: node('ServerStorage', 'ServerStorage', []) },
+    ], config, store);
+
+    assert.deepEqual(ops.map(op => [op.op, op.id || op.node.id]), [
+        ['add', 'Tools'],
+        ['rename', 'Sword'],
+        ['remove', 'Main'],
+        ['reparent', 'Tools'],
+        ['add', 'ServerStorage'],
+    ]);
+    assert.equal(filterOps([{ op: 'add', parent: null, node: node('ServerStorage', 'ServerStorage', []) }], { services: ['Workspace'] }, store).length, 0);
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSyncPayload, parseSessionInfo, PayloadError, SYNC_PROTOCOL_VERSION } = require('../src/sync-schema');
+
+const tree = (containers = []) => ({ name: 'Obby', containers });
+const folder = (name, children = []) => ({ id: name, name, className: 'Folder', children });
+
+// `depth` folders, each the only child of the one above
+function chain(depth) {
+    let node = folder('Leaf');
+    for (let i = 1; i < depth; i++) node = folder(`Level${i}`, [node]);
+    return node;
+}
+
+function rejection(payload, options) {
+    try {
+        parseSyncPayload(payload, options);
+    } catch (e) {
+        assert.ok(e instanceof PayloadError);
+        return e;
+    }
+    assert.fail('payload was accepted');
+}
+
+test('snapshots, patches and bare legacy trees are accepted', () => {
+    assert.equal(parseSyncPayload({ type: 'snapshot', seq: 1, tree: tree([folder('Workspace')]) }).tree.containers.length, 1);
+    assert.equal(parseSyncPayload({ type: 'patch', baseSeq: 1, ops: [{ op: 'rename', id: 'a', name: 'B' }] }).ops.length, 1);
+    assert.equal(parseSyncPayload(tree()).name, 'Obby');
+});
+
+test('invalid payloads report the field that is wrong', () => {
+    const error = rejection({ type: 'snapshot', tree: tree([{ id: 'a', name: null, className: 'Folder' }]) });
+    assert.equal(error.status, 400);
+    assert.deepEqual(error.issues[0], { path: 'tree.containers[0].name', message: 'Expected string, received null' });
+    assert.match(error.message, /^Invalid sync payload: tree\.containers\[0\]\.name/);
+
+    assert.match(rejection({ type: 'patch', baseSeq: 0, ops: [{ op: 'explode', id: 'a' }] }).issues[0].path, /^ops\[0\]/);
+    assert.match(rejection([tree()]).message, /must be a JSON object/);
+});
+
+test('newer protocols are refused with a hint to update', () => {
+    const error = rejection({ protocol: SYNC_PROTOCOL_VERSION + 1, type: 'snapshot', tree: tree() });
+    assert.match(error.message, /newer than this server supports/);
+    assert.deepEqual(error.issues.map(issue => issue.path), ['protocol']);
+});
+
+test('node count and nesting depth are capped with 413', () => {
+    const containers = [folder('A', [folder('B'), folder('C')])];
+    assert.equal(rejection({ type: 'snapshot', tree: tree(containers) }, { maxNodes: 2 }).status, 413);
+    assert.doesNotThrow(() => parseSyncPayload({ type: 'snapshot', tree: tree(containers) }, { maxNodes: 3 }));
+
+    const deep = rejection({ type: 'snapshot', tree: tree([chain(300)]) });
+    assert.equal(deep.status, 413);
+    assert.match(deep.message, /nested more than 256 levels/);
+    assert.doesNotThrow(() => parseSyncPayload({ type: 'snapshot', tree: tree([chain(50)]) }));
+});
+
+test('session info from other routes is checked against the same schema', () => {
+    assert.equal(parseSessionInfo(undefined), undefined);
+    assert.equal(parseSessionInfo({ sessionId: 'abc', placeId: 42 }).placeId, 42);
+    assert.throws(() => parseSessionInfo({ sessionId: 5 }), (e) => e instanceof PayloadError && e.issues[0].path === 'session.sessionId');
+    assert.throws(() => parseSessionInfo('abc'), /Invalid session/);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { exportTree, FORMATS } = require('../src/tree-export');
+
+const node = (name, className, children = [], extra = {}) => ({ name, className, children, ...extra });
+
+function place() {
+    const modules = [];
+    for (let i = 1; i <= 30; i++) modules.push(node(`Module${i}`, 'ModuleScript', [], { lineCount: i }));
+    return {
+        name: 'Obby',
+        containers: [
+            node('ReplicatedStorage', 'ReplicatedStorage', [
+                node('Shared', 'Folder', modules),
+                node('Assets', 'Folder', [node('Sword', 'Tool')]),
+            ]),
+            node('Workspace', 'Workspace', [node('Baseplate', 'Part')]),
+        ],
+    };
+}
+
+test('every format renders the whole tree without a budget', () => {
+    FORMATS.forEach(format => {
+        const { text, collapsed } = exportTree(place(), { format });
+        assert.equal(collapsed, 0, format);
+        assert.match(text, /Module30/, format);
+        assert.match(text, /Baseplate/, format);
+    });
+    assert.match(exportTree(place(), { format: 'paths' }).text, /^ReplicatedStorage\.Shared\.Module7 \[ModuleScript\] \(7 lines\)$/m);
+    assert.equal(exportTree(place(), { format: 'text' }).format, 'tree');
+    assert.throws(() => exportTree(place(), { format: 'xml' }), /Unknown export format "xml"/);
+});
+
+test('json and yaml are machine-readable', () => {
+    const parsed = JSON.parse(exportTree(place(), { format: 'json' }).text);
+    assert.equal(parsed.game, 'Obby');
+    assert.equal(parsed.containers[0].children[0].children[2].lines, 3);
+
+    const yaml = exportTree(place(), { format: 'yaml', header: false }).text;
+    assert.match(yaml, /^- name: ReplicatedStorage\n {2}class: ReplicatedStorage\n {2}children:\n/);
+});
+
+test('depth collapses deeper folders into summaries', () => {
+    const { text, collapsed } = exportTree(place(), { depth: 1, header: false });
+    assert.equal(collapsed, 2);
+    assert.match(text, /Shared \[Folder\] \(30 items, 30 scripts\)/);
+    assert.doesNotMatch(text, /Module1 /);
+    assert.match(text, /\(2 folders collapsed to depth 1\)/);
+});
+
+test('a token budget keeps the top of the hierarchy and fits the output', () => {
+    const { text, collapsed, estimatedTokens } = exportTree(place(), { maxTokens: 80, header: false });
+    assert.ok(collapsed > 0);
+    assert.ok(estimatedTokens <= 80, `${estimatedTokens} tokens`);
+    assert.match(text, /ReplicatedStorage/);
+    assert.match(text, /Workspace/);
+    // The small folder still opens when the big one doesn't fit
+    assert.match(text, /Sword \[Tool\]/);
+});
+
+test('services and scriptsOnly narrow the export', () => {
+    const { text } = exportTree(place(), { services: ['ReplicatedStorage'], scriptsOnly: true, format: 'paths', header: false });
+    assert.doesNotMatch(text, /Workspace|Assets|Sword/);
+    assert.match(text, /ReplicatedStorage\.Shared\.Module1 /);
+    assert.match(exportTree({ containers: [] }).text, /No data/);
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TreeHistory, diffTrees, diffToText, isEmptyDiff } = require('../src/tree-history');
+const { TreeStore } = require('../src/tree-store');
+
+const node = (id, name, path, className = 'Folder', children = [], extra = {}) => ({ id, name, className, path, children, ...extra });
+
+const before = {
+    name: 'Place',
+    containers: [
+        node('rs', 'ReplicatedStorage', 'ReplicatedStorage', 'ReplicatedStorage', [
+            node('shared', 'Shared', 'ReplicatedStorage.Shared', 'Folder', [
+                node('util', 'Util', 'ReplicatedStorage.Shared.Util', 'ModuleScript', [], { lineCount: 10 }),
+            ]),
+            node('old', 'Old', 'ReplicatedStorage.Old', 'Folder', [
+                node('junk', 'Junk', 'ReplicatedStorage.Old.Junk', 'ModuleScript'),
+            ]),
+            node('value', 'Value', 'ReplicatedStorage.Value', 'StringValue'),
+        ]),
+    ],
+};
+
+const after = {
+    name: 'Place',
+    containers: [
+        node('rs', 'ReplicatedStorage', 'ReplicatedStorage', 'ReplicatedStorage', [
+            node('shared', 'Common', 'ReplicatedStorage.Common', 'Folder', [
+                node('util', 'Util', 'ReplicatedStorage.Common.Util', 'ModuleScript', [], { lineCount: 14 }),
+            ]),
+            node('net', 'Net', 'ReplicatedStorage.Net', 'Folder', [
+                node('fire', 'Fire', 'ReplicatedStorage.Net.Fire', 'RemoteEvent'),
+            ]),
+            node('value', 'Value', 'ReplicatedStorage.Value', 'IntValue'),
+        ]),
+    ],
+};
+
+function session(id, tree, seq) {
+    const store = new TreeStore();
+    store.applySnapshot(JSON.parse(JSON.stringify(tree)), seq);
+    return { id, label: `Place (${id})`, store };
+}
+
+test('diffTrees reports the topmost changes only', () => {
+    const diff = diffTrees(before, after, { matchIds: true });
+    assert.deepEqual(diff.added.map(entry => entry.path), ['ReplicatedStorage.Net']);
+    assert.deepEqual(diff.removed.map(entry => entry.path), ['ReplicatedStorage.Old']);
+    assert.deepEqual(diff.moved, [{ from: 'ReplicatedStorage.Shared', to: 'ReplicatedStorage.Common', className: 'Folder', renamed: true }]);
+    assert.deepEqual(diff.classChanged, [{ path: 'ReplicatedStorage.Value', from: 'StringValue', to: 'IntValue' }]);
+    assert.deepEqual(diff.lineDelta, [{ path: 'ReplicatedStorage.Common.Util', before: 10, after: 14, delta: 4 }]);
+    assert.match(diffToText(diff), /ReplicatedStorage\.Shared -> ReplicatedStorage\.Common \(renamed\)/);
+    assert.equal(isEmptyDiff(diffTrees(before, before)), true);
+});
+
+test('parseTime understands relative, epoch and ISO times', () => {
+    const now = Date.now();
+    assert.ok(Math.abs(TreeHistory.parseTime('30m') - (now - 30 * 60 * 1000)) < 1000);
+    assert.equal(TreeHistory.parseTime('1700000000000'), 1700000000000);
+    assert.equal(TreeHistory.parseTime('2024-01-02T03:04:05Z'), Date.parse('2024-01-02T03:04:05Z'));
+    assert.equal(TreeHistory.parseTime('last tuesday'), null);
+});
+
+test('changes are diffed against named snapshots and history entries', () => {
+    const history = new TreeHistory();
+    const studio = session('studio', before, 1);
+    history.recordNow(studio);
+    history.saveSnapshot('before-refactor', studio);
+
+    const changed = session('studio', after, 2);
+    const { baseline, diff } = history.changesSince('before-refactor', changed);
+    assert.equal(baseline.name, 'before-refactor');
+    assert.equal(diff.moved.length, 1);
+    assert.equal(history.changesSince('no-such-snapshot', changed), null);
+    assert.equal(history.changesSince(String(Date.now()), changed).baseline.seq, 1);
+    history.dispose();
+});
+
+test('history and snapshots persist and are trimmed to the maximum', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tree-history-'));
+    try {
+        const history = new TreeHistory({ maxEntries: 2 });
+        history.open(dir);
+        ['a', 'b', 'c'].forEach((id, i) => history.recordNow(session(id, before, i + 1)));
+        history.saveSnapshot('release', session('studio', after, 3));
+        assert.deepEqual(history.listHistory().map(entry => entry.seq), [3, 2]);
+        assert.equal(history.recordNow(session('c', before, 3)), null);
+
+        const reopened = new TreeHistory({ maxEntries: 2 });
+        reopened.open(dir);
+        assert.deepEqual(reopened.listHistory().map(entry => entry.seq), [3, 2]);
+        assert.deepEqual(reopened.listSnapshots().map(entry => entry.name), ['release']);
+        assert.equal(reopened.deleteSnapshot('release'), true);
+        assert.equal(fs.readdirSync(path.join(dir, 'snapshots')).length, 0);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
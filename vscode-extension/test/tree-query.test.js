@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { compileQuery, queryTree, QueryError } = require('../src/tree-query');
+
+const nodes = [
+    { name: 'PlayerService', className: 'ModuleScript', path: 'ReplicatedStorage.Shared.PlayerService', lineCount: 250, properties: { RunContext: 'Server' } },
+    { name: 'Util', className: 'ModuleScript', path: 'ReplicatedStorage.Util', lineCount: 40 },
+    { name: 'a.b', className: 'Folder', path: 'Workspace.a.b', tags: ['Interactable'], attributes: { Team: 'Red', Level: 3 } },
+];
+
+const names = (query) => nodes.filter(compileQuery(query)).map(node => node.name);
+
+test('name globs match case-insensitively', () => {
+    assert.deepEqual(names('name:*Service'), ['PlayerService']);
+    assert.deepEqual(names('name:*SERV?CE'), ['PlayerService']);
+    assert.deepEqual(names('name:a?b'), ['a.b']);
+    assert.deepEqual(names('name:U'), []);
+});
+
+test('path globs keep * inside a segment and let ** cross them', () => {
+    assert.deepEqual(names('path:ReplicatedStorage.*'), ['Util']);
+    assert.deepEqual(names('path:ReplicatedStorage.**'), ['PlayerService', 'Util']);
+    assert.deepEqual(names('path:***.Util'), ['Util']);
+    assert.deepEqual(names('under:Replicated*'), ['PlayerService', 'Util']);
+    assert.deepEqual(names('path:Workspace.a?b'), []);
+});
+
+test('class, line count, tag and negated terms combine', () => {
+    assert.deepEqual(names('class:LuaSourceContainer lines:>200'), ['PlayerService']);
+    assert.deepEqual(names('classname:ModuleScript -name:Util'), ['PlayerService']);
+    assert.deepEqual(names('lines:10..50'), ['Util']);
+    assert.deepEqual(names('tag:Interactable'), ['a.b']);
+    assert.deepEqual(names('shared'), ['PlayerService']);
+    assert.deepEqual(names('name:"a.b"'), ['a.b']);
+});
+
+test('attributes and properties are matched by presence, glob or number', () => {
+    assert.deepEqual(names('attr:Team'), ['a.b']);
+    assert.deepEqual(names('attr:Team=r*'), ['a.b']);
+    assert.deepEqual(names('attr:Level=3'), ['a.b']);
+    assert.deepEqual(names('attr:Level>=4'), []);
+    assert.deepEqual(names('prop:RunContext=server'), ['PlayerService']);
+    assert.deepEqual(names('-prop:RunContext'), ['Util', 'a.b']);
+    assert.throws(() => compileQuery('attr:=5'), /Invalid attr filter/);
+});
+
+test('malformed queries throw QueryError', () => {
+    assert.throws(() => compileQuery(''), QueryError);
+    assert.throws(() => compileQuery('colour:red'), /Unknown filter "colour:"/);
+    assert.throws(() => compileQuery('lines:lots'), /Invalid number comparison/);
+    assert.throws(() => compileQuery('name:""'), /Missing value/);
+});
+
+test('queryTree walks containers and reports truncation', () => {
+    const tree = {
+        containers: [{ name: 'Workspace', className: 'Workspace', path: 'Workspace', children: [
+            { name: 'Part1', className: 'Part', children: [] },
+            { name: 'Part2', className: 'Part', children: [] },
+        ] }],
+    };
+    const { results, total, truncated } = queryTree(tree, 'class:BasePart', { limit: 1 });
+    assert.deepEqual(results.map(result => result.path), ['Workspace.Part1']);
+    assert.equal(total, 2);
+    assert.equal(truncated, true);
+});
+
+test('patterns that would backtrack exponentially as regexes stay fast', () => {
+    const start = Date.now();
+    const matches = compileQuery('name:' + '*a'.repeat(60) + 'b');
+    assert.equal(matches({ name: 'a'.repeat(100), className: 'Folder', path: 'x' }), false);
+    assert.equal(compileQuery('name:**********a')({ name: 'b'.repeat(5000), className: 'Folder', path: 'x' }), false);
+    assert.ok(Date.now() - start < 1000);
+});
+
+test('overlong patterns are rejected', () => {
+    assert.throws(() => compileQuery('name:' + 'x'.repeat(300)), QueryError);
+});
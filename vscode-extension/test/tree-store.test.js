@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TreeStore, SequenceGapError } = require('../src/tree-store');
+
+const node = (id, name, path, children = [], className = 'Folder') => ({ id, name, className, path, children });
+
+function sampleStore() {
+    const store = new TreeStore();
+    store.applySnapshot({
+        name: 'Place',
+        containers: [
+            node('rs', 'ReplicatedStorage', 'ReplicatedStorage', [
+                node('shared', 'Shared', 'ReplicatedStorage.Shared', [
+                    node('util', 'Util', 'ReplicatedStorage.Shared.Util', [], 'ModuleScript'),
+                ]),
+                node('remotes', 'Remotes', 'ReplicatedStorage.Remotes'),
+            ]),
+        ],
+    }, 1);
+    return store;
+}
+
+test('snapshots are indexed by id and by path', () => {
+    const store = sampleStore();
+    assert.equal(store.seq, 1);
+    assert.equal(store.get('util').name, 'Util');
+    assert.equal(store.getParent('util').id, 'shared');
+    assert.equal(store.findByPath('ReplicatedStorage.Shared.Util').id, 'util');
+    assert.equal(store.findByPath('ReplicatedStorage.Missing'), null);
+});
+
+test('a new snapshot replaces the indexes', () => {
+    const store = sampleStore();
+    store.applySnapshot({ name: 'Place', containers: [node('ws', 'Workspace', 'Workspace')] }, 5);
+    assert.equal(store.get('util'), null);
+    assert.equal(store.findByPath('ReplicatedStorage.Shared.Util'), null);
+    assert.equal(store.findByPath('Workspace').id, 'ws');
+});
+
+test('renames update the paths of the whole subtree', () => {
+    const store = sampleStore();
+    store.applyPatch({ baseSeq: 1, seq: 2, ops: [{ op: 'rename', id: 'shared', name: 'Common' }] });
+    assert.equal(store.findByPath('ReplicatedStorage.Shared'), null);
+    assert.equal(store.findByPath('ReplicatedStorage.Shared.Util'), null);
+    assert.equal(store.findByPath('ReplicatedStorage.Common').id, 'shared');
+    assert.equal(store.findByPath('ReplicatedStorage.Common.Util').id, 'util');
+});
+
+test('reparenting moves the node and its paths', () => {
+    const store = sampleStore();
+    store.applyPatch({ baseSeq: 1, seq: 2, ops: [{ op: 'reparent', id: 'util', parent: 'remotes' }] });
+    assert.deepEqual(store.get('shared').children, []);
+    assert.equal(store.getParent('util').id, 'remotes');
+    assert.equal(store.findByPath('ReplicatedStorage.Shared.Util'), null);
+    assert.equal(store.findByPath('ReplicatedStorage.Remotes.Util').id, 'util');
+});
+
+test('adds and removes keep the path index in step', () => {
+    const store = sampleStore();
+    store.applyPatch({ baseSeq: 1, seq: 2, ops: [
+        { op: 'add', parent: 'remotes', node: node('fire', 'Fire', 'ReplicatedStorage.Remotes.Fire', [], 'RemoteEvent') },
+        { op: 'remove', id: 'shared' },
+    ] });
+    assert.equal(store.findByPath('ReplicatedStorage.Remotes.Fire').id, 'fire');
+    assert.equal(store.get('util'), null);
+    assert.equal(store.findByPath('ReplicatedStorage.Shared'), null);
+    assert.equal(store.findByPath('ReplicatedStorage.Shared.Util'), null);
+});
+
+test('siblings with the same name share a path until one goes away', () => {
+    const store = sampleStore();
+    store.applyPatch({ baseSeq: 1, seq: 2, ops: [
+        { op: 'add', parent: 'shared', node: node('util2', 'Util', 'ReplicatedStorage.Shared.Util', [], 'ModuleScript') },
+        { op: 'remove', id: 'util' },
+    ] });
+    assert.equal(store.findByPath('ReplicatedStorage.Shared.Util').id, 'util2');
+});
+
+test('updates change properties but not the fields the store owns', () => {
+    const store = sampleStore();
+    store.applyPatch({ baseSeq: 1, seq: 2, ops: [{ op: 'update', id: 'util', props: { lineCount: 12, path: 'Elsewhere' } }] });
+    assert.equal(store.get('util').lineCount, 12);
+    assert.equal(store.findByPath('ReplicatedStorage.Shared.Util').id, 'util');
+});
+
+test('patches built on another seq are rejected', () => {
+    const store = sampleStore();
+    assert.throws(() => store.applyPatch({ baseSeq: 7, seq: 8, ops: [] }), SequenceGapError);
+    assert.throws(() => store.applyPatch({ baseSeq: 1, seq: 2, ops: [{ op: 'rename', id: 'nope', name: 'X' }] }), /Unknown node/);
+});
+
+test('a patch with a bad op is refused without changing the tree', () => {
+    const store = sampleStore();
+    const before = JSON.stringify(store.getTree());
+    const patches = [
+        [{ op: 'rename', id: 'util', name: 'Helpers' }, { op: 'rename', id: 'nope', name: 'X' }],
+        [{ op: 'remove', id: 'remotes' }, { op: 'add', parent: 'remotes', node: node('fire', 'Fire', 'ReplicatedStorage.Remotes.Fire') }],
+        [{ op: 'reparent', id: 'util', parent: 'remotes' }, { op: 'reparent', id: 'rs', parent: 'shared' }],
+        [{ op: 'update', id: 'util', props: { lineCount: 3 } }, { op: 'explode', id: 'util' }],
+    ];
+    for (const ops of patches) {
+        assert.throws(() => store.applyPatch({ baseSeq: 1, seq: 2, ops }));
+        assert.equal(JSON.stringify(store.getTree()), before);
+        assert.equal(store.seq, 1);
+        assert.equal(store.findByPath('ReplicatedStorage.Shared.Util').id, 'util');
+    }
+});
+
+test('ops may refer to nodes added earlier in the same patch', () => {
+    const store = sampleStore();
+    store.applyPatch({ baseSeq: 1, seq: 2, ops: [
+        { op: 'add', parent: 'rs', node: node('net', 'Net', 'ReplicatedStorage.Net') },
+        { op: 'reparent', id: 'remotes', parent: 'net' },
+        { op: 'rename', id: 'net', name: 'Network' },
+    ] });
+    assert.equal(store.findByPath('ReplicatedStorage.Network.Remotes').id, 'remotes');
+});
+
+test('an added node that reuses an id replaces the old copy and its subtree', () => {
+    const store = sampleStore();
+    store.applyPatch({ baseSeq: 1, seq: 2, ops: [
+        { op: 'add', parent: 'remotes', node: node('shared', 'Shared', 'ReplicatedStorage.Remotes.Shared') },
+    ] });
+    assert.equal(store.get('util'), null);
+    assert.equal(store.findByPath('ReplicatedStorage.Shared'), null);
+    assert.equal(store.findByPath('ReplicatedStorage.Shared.Util'), null);
+    assert.equal(store.getParent('shared').id, 'remotes');
+    assert.deepEqual(store.get('rs').children.map(child => child.id), ['remotes']);
+});